@@ -42,7 +42,7 @@ async function main() {
 
         // Step 4: Check balances before transfer
         console.log('4. Checking balances before transfer...');
-        const aliceBalanceBefore = await nftService.getAccountBalance(alice);
+        const aliceBalanceBefore = await nftService.getAccountBalance(university);
         const bobBalanceBefore = await nftService.getAccountBalance(bob);
         console.log('Alice NFTs before:', Object.keys(aliceBalanceBefore.tokens).length > 0 ? aliceBalanceBefore.tokens : 'None');
         console.log('Bob NFTs before:', Object.keys(bobBalanceBefore.tokens).length > 0 ? bobBalanceBefore.tokens : 'None');
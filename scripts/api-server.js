@@ -0,0 +1,27 @@
+import dotenv from "dotenv";
+import HederaNftService from "../src/HederaNftService.js";
+import { createApiServer } from "../src/api/api-server.js";
+
+dotenv.config({ quiet: true });
+
+// Configuration : OPERATOR_ID, OPERATOR_KEY, HEDERA_NETWORK, AUDIT_LOG_PATH, KEYSTORE_PATH, KEYSTORE_PASSPHRASE,
+// API_KEYS (séparées par des virgules), API_PORT, HEDERA_LOG_LEVEL, HEDERA_LOG_FORMAT
+const service = new HederaNftService();
+const server = createApiServer(service, { apiKeys: service.config.apiKeys });
+
+server.listen(service.config.apiPort, () => {
+    service.logger.info(`NFT API listening on http://localhost:${service.config.apiPort}`);
+    service.logger.info("Network:", service.network);
+});
+
+// Arrêt propre : plus de nouvelles requêtes, les mints en cours se terminent
+async function shutdown(signal) {
+    service.logger.info(`${signal} received, waiting for running jobs...`);
+    server.close();
+    await server.jobs.drain();
+    service.close();
+    process.exit(0);
+}
+
+process.on("SIGINT", () => shutdown("SIGINT"));
+process.on("SIGTERM", () => shutdown("SIGTERM"));
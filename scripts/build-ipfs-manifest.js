@@ -0,0 +1,83 @@
+import { parseArgs } from "util";
+import { resolve } from "path";
+import { pathToFileURL } from "url";
+import { buildIpfsManifest, generateIpfsManifest, compareWithManifest } from "../src/ipfs/ipfs-manifest.js";
+
+const USAGE = `Usage: node scripts/build-ipfs-manifest.js <inputDir> [options]
+
+Options:
+  --out <file>          Manifest module to write (e.g. src/data/ipfs-cid.js)
+  --car <file>          CAR file to write for a later upload
+  --name <name>         Collection name
+  --symbol <symbol>     Collection symbol
+  --description <text>  Collection description
+  --max-supply <n>      Collection max supply
+  --no-diploma          Only check HIP-412, not the diploma properties
+  --check <file>        Compare computed URIs with an existing manifest module
+`;
+
+async function main() {
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            out: { type: "string" },
+            car: { type: "string" },
+            name: { type: "string" },
+            symbol: { type: "string" },
+            description: { type: "string" },
+            "max-supply": { type: "string" },
+            "no-diploma": { type: "boolean", default: false },
+            check: { type: "string" },
+            help: { type: "boolean", short: "h", default: false }
+        }
+    });
+
+    const [inputDir] = positionals;
+    if (values.help || !inputDir) {
+        console.log(USAGE);
+        process.exitCode = values.help ? 0 : 1;
+        return;
+    }
+
+    const diploma = !values["no-diploma"];
+
+    // Mode vérification : les CIDs du manifest correspondent-ils aux fichiers sources ?
+    if (values.check) {
+        const { IPFS_CID_COLLECTION } = await import(pathToFileURL(resolve(values.check)).href);
+        const { entries } = await buildIpfsManifest(inputDir, { diploma });
+        const { matches, mismatches } = compareWithManifest(entries, IPFS_CID_COLLECTION);
+
+        if (matches) {
+            console.log(`Manifest ${values.check} matches ${entries.length} source file(s)`);
+        } else {
+            console.error(`Manifest ${values.check} doesn't match the source files:`);
+            mismatches.forEach(m => console.error(`- #${m.index} (${m.source}): expected ${m.expected}, computed ${m.computed}`));
+            process.exitCode = 1;
+        }
+        return;
+    }
+
+    const collectionInfo = {};
+    if (values.name) collectionInfo.name = values.name;
+    if (values.symbol) collectionInfo.symbol = values.symbol;
+    if (values.description) collectionInfo.description = values.description;
+    if (values["max-supply"]) collectionInfo.maxSupply = Number(values["max-supply"]);
+
+    const result = await generateIpfsManifest({
+        inputDir,
+        outputModule: values.out,
+        carFile: values.car,
+        collectionInfo,
+        diploma
+    });
+
+    console.log("Computed", result.entries.length, "metadata CID(s),", result.blockCount, "block(s)");
+    result.entries.forEach(entry => console.log(`- ${entry.source}: ${entry.uri}`));
+    if (result.outputModule) console.log("Manifest written to", result.outputModule);
+    if (result.carFile) console.log("CAR file written to", result.carFile);
+}
+
+main().catch(error => {
+    console.error("Error building IPFS manifest:", error.message);
+    process.exitCode = 1;
+});
@@ -0,0 +1,24 @@
+import dotenv from "dotenv";
+import { resolveHederaConfig } from "../src/config/hedera-config.js";
+import Logger from "../src/logging/Logger.js";
+import { createDiplomaVerifier } from "../src/verification/DiplomaVerifier.js";
+import { createVerificationServer } from "../src/verification/verification-server.js";
+
+dotenv.config({ quiet: true });
+
+// Configuration : HEDERA_NETWORK, HEDERA_MIRROR_NODE_URL, IPFS_GATEWAY_URL,
+// VERIFIER_INSTITUTIONS, VERIFIER_SIGNING_KEY, VERIFIER_PORT, REVOCATION_REGISTRY_PATH, HEDERA_LOG_LEVEL, HEDERA_LOG_FORMAT
+const config = resolveHederaConfig();
+const logger = new Logger({ level: config.logLevel, format: config.logFormat, context: { service: "VerificationServer" } });
+const verifier = createDiplomaVerifier(config);
+const server = createVerificationServer(verifier, { logger: logger });
+
+if (verifier.institutions.length === 0) {
+    logger.warn("Warning: VERIFIER_INSTITUTIONS is empty, every diploma will fail the institution check");
+}
+
+server.listen(config.verifierPort, () => {
+    logger.info(`Diploma verifier listening on http://localhost:${config.verifierPort}`);
+    logger.info("Network:", config.network);
+    logger.info("Report signing key:", verifier.signingKey.publicKey.toStringDer());
+});
@@ -0,0 +1,3982 @@
+import { EventEmitter } from "events";
+import dotenv from "dotenv";
+import {
+    AccountCreateTransaction,
+    Hbar,
+    PrivateKey,
+    TokenCreateTransaction,
+    TokenInfoQuery,
+    TokenMintTransaction,
+    TokenSupplyType,
+    TokenType,
+    TokenAssociateTransaction,
+    TransferTransaction,
+    AccountBalanceQuery,
+    AccountInfoQuery,
+    TokenId,
+    TokenUpdateTransaction,
+    TokenPauseTransaction,
+    TokenUnpauseTransaction,
+    TokenFreezeTransaction,
+    TokenUnfreezeTransaction,
+    TokenDeleteTransaction,
+    TokenBurnTransaction,
+    TokenWipeTransaction,
+    TokenFeeScheduleUpdateTransaction,
+    TopicCreateTransaction,
+    TopicMessageSubmitTransaction,
+    ScheduleCreateTransaction,
+    ScheduleSignTransaction,
+    ScheduleInfoQuery,
+    ScheduleId,
+    KeyList,
+    PublicKey,
+    TransactionId,
+    Timestamp,
+    NftId,
+    AccountAllowanceApproveTransaction,
+    AccountAllowanceDeleteTransaction,
+    TransactionReceiptQuery,
+    TransactionRecordQuery,
+    StatusError,
+    ReceiptStatusError
+} from "@hashgraph/sdk";
+import { resolveHederaConfig, createHederaClient, resolveMirrorNodeUrl } from "./config/hedera-config.js";
+import AuditLog from "./audit/AuditLog.js";
+import { describeTransaction } from "./audit/audit-details.js";
+import IssuanceTrailReader from "./anchoring/IssuanceTrailReader.js";
+import { buildIssuanceMessages, hashMetadata } from "./anchoring/issuance-messages.js";
+import {
+    MAX_NFTS_PER_MINT,
+    toMetadataBuffer,
+    validateMetadataBuffers,
+    chunkMetadata,
+    hashMetadataBatch,
+    createMintCheckpoint,
+    loadMintCheckpoint,
+    saveMintCheckpoint
+} from "./mint/mint-batches.js";
+import {
+    SCHEDULE_LIFETIME_SECONDS,
+    decodeScheduledMint,
+    describeApprovals,
+    scheduleStatus,
+    scheduledMintFromBody
+} from "./mint/scheduled-mint.js";
+import {
+    MAX_NFT_TRANSFERS_PER_TRANSACTION,
+    chunkNftTransfers,
+    validateNftSwap,
+    validateNftTransfers
+} from "./transfer/transfer-batches.js";
+import { assertValidDiplomaMetadata, buildDiplomaMetadata, formatMetadataErrors } from "./metadata/diploma-metadata.js";
+import { MemoryBlockstore, METADATA_FILE_NAME, computeMetadataDirectoryCid, writeCarFile } from "./ipfs/ipfs-manifest.js";
+import { readRosterFile, rosterRowToDiploma, writeIssuanceReport } from "./issuance/roster.js";
+import IssuanceJournal from "./issuance/IssuanceJournal.js";
+import { NotAssociatedError, TransactionFailedError, assertReceiptSuccess, toHederaError } from "./errors/hedera-errors.js";
+import { DEFAULT_RETRY_POLICY, withRetry } from "./errors/retry.js";
+import CostTracker from "./fees/CostTracker.js";
+import {
+    MAX_TRANSACTION_SIZE_BYTES,
+    estimateTransactionCost,
+    hbarOutflow,
+    roundHbar,
+    tinybarsToHbar,
+    transactionSizeBytes,
+    transactionType
+} from "./fees/fee-estimator.js";
+import Keystore from "./keystore/Keystore.js";
+import Logger from "./logging/Logger.js";
+import RevocationRegistry from "./revocation/RevocationRegistry.js";
+import MirrorNodeClient from "./mirror/MirrorNodeClient.js";
+import {
+    TOKEN_KEY_ROLES,
+    assertKeyRole,
+    resolveKeySpec,
+    resolveTokenKeys,
+    isGeneratedKeySpec,
+    privateKeysForRole,
+    signWithKeys
+} from "./tokens/token-keys.js";
+import { buildCustomFees, describeCustomFees } from "./tokens/custom-fees.js";
+import {
+    MAX_VALID_DURATION_SECONDS,
+    createEnvelope,
+    envelopeTransaction,
+    formatEnvelope,
+    isKeySatisfied,
+    signerKeySet,
+    serializeKey,
+    deserializeKey
+} from "./signing/transaction-envelope.js";
+
+dotenv.config({ quiet: true });
+
+/**
+ * Hedera NFT service (accounts, collections, mint, transfers, diplomas)
+ * Events (payloads are plain objects, IDs as strings):
+ * - accountCreated: { accountId, publicKey, initialBalance, maxAutomaticTokenAssociations, transactionId, createdAt }
+ *   (publicKey is null for an account with a key list)
+ * - tokenCreated: { tokenId, name, symbol, treasury, maxSupply, soulbound, transactionId, createdAt }
+ * - mintChunkCompleted: { tokenId, chunkIndex, totalChunks, serials, minted, total, transactionId, completedAt }
+ * - scheduledMintExecuted: { scheduleId, tokenId, serials, status, transactionId, executedAt }, when our signature completes the approvals
+ * - transferCompleted: { tokenId, serialNumber, from, to, spender, transactionId, transferredAt }, once per NFT
+ * - swapCompleted: { tokenId, serials, seller, buyer, price, transactionId, swappedAt }
+ * - issuanceAnchored: { topicId, tokenId, type, serials, sequenceNumbers, anchoredAt }
+ * - operationFailed: { operation, error, errorType, status, transactionId, failedAt }, once per error
+ *   (a workflow failing in a nested operation reports the nested operation)
+ */
+class HederaNftService extends EventEmitter {
+    /**
+     * @param {Object} config - Optional configuration (falls back to env vars)
+     * @param {string} config.network - mainnet, testnet, previewnet or local-node
+     * @param {string} config.operatorId - Operator account ID
+     * @param {string} config.operatorKey - Operator private key
+     * @param {Object} config.nodes - Custom nodes ({ "host:port": "0.0.3" })
+     * @param {Array} config.mirrorNetwork - Custom mirror node addresses
+     * @param {number} config.maxTransactionFee - Max transaction fee in HBAR
+     * @param {number} config.maxQueryPayment - Max query payment in HBAR
+     * @param {number} config.requestTimeout - Request timeout in milliseconds
+     * @param {number} config.maxAttempts - Max attempts per request
+     * @param {number} config.maxRetries - Retries of a transient failure (BUSY, timeouts), 0 to disable
+     * @param {number} config.retryInitialDelay - First retry delay in milliseconds (doubled at each retry)
+     * @param {number} config.retryMaxDelay - Max retry delay in milliseconds
+     * @param {Object} config.retryPolicy - Full retry policy override (see DEFAULT_RETRY_POLICY)
+     * @param {number} config.sessionBudget - Max HBAR the session may spend (fees + HBAR sent), see CostTracker
+     * @param {Client} config.client - Pre-built client to use instead of creating one
+     * @param {Keystore} config.keystore - Keystore instance (or keystorePath + keystorePassphrase)
+     * @param {RevocationRegistry} config.revocationRegistry - Registry instance (or revocationRegistryPath, required to burn or revoke)
+     * @param {MirrorNodeClient} config.mirrorNode - Mirror node client (or mirrorNodeUrl)
+     * @param {CostTracker} config.costTracker - Cost tracker shared between services (or sessionBudget)
+     * @param {AuditLog} config.auditLog - Audit log of executed transactions (or auditLogPath, one of them is required)
+     * @param {string} config.logLevel - debug, info, warn, error or silent
+     * @param {string} config.logFormat - text or json (one JSON object per line)
+     * @param {Object} config.logger - Logger instance, or any object with debug / info / warn / error (or logLevel + logFormat)
+     */
+    constructor(config = {}) {
+        super();
+        const { client, keystore, revocationRegistry, mirrorNode, costTracker, auditLog, logger, ...clientConfig } = config;
+
+        this.config = resolveHederaConfig(clientConfig);
+        this.logger = logger || new Logger({
+            level: this.config.logLevel,
+            format: this.config.logFormat,
+            context: { service: "HederaNftService" }
+        });
+
+        // Erreurs déjà signalées par operationFailed (une seule fois par erreur)
+        this.reportedErrors = new WeakSet();
+        this.operatorId = this.config.operatorId;
+        this.operatorKey = this.config.operatorKey;
+        this.network = this.config.network;
+
+        // Nouvelles tentatives (BUSY, timeouts...) avec backoff exponentiel
+        this.retryPolicy = {
+            ...DEFAULT_RETRY_POLICY,
+            maxRetries: this.config.maxRetries,
+            initialDelayMs: this.config.retryInitialDelay,
+            maxDelayMs: this.config.retryMaxDelay,
+            ...this.config.retryPolicy
+        };
+
+        // Un client injecté appartient à l'appelant : on ne le ferme pas
+        this.client = client || null;
+        this.ownsClient = !client;
+
+        if (!client && (!this.operatorKey || !this.operatorId)) {
+            throw new Error("Please set OPERATOR_ID and OPERATOR_KEY in your .env file or pass operatorId/operatorKey in the config");
+        }
+
+        // Keystore optionnel : les clés générées sont sauvegardées chiffrées
+        this.keystore = keystore || (this.config.keystorePath
+            ? new Keystore({ path: this.config.keystorePath, passphrase: this.config.keystorePassphrase })
+            : null);
+
+        // Registre des révocations, créé à la première utilisation
+        this.revocationRegistry = revocationRegistry || null;
+
+        // Client mirror node (lecture seule), créé à la première utilisation
+        this.mirrorNode = mirrorNode || null;
+
+        // Frais réels (transaction records) et budget de la session
+        this.costTracker = costTracker || new CostTracker({ budget: this.config.sessionBudget });
+        this.exchangeRate = null;
+
+        // Journal d'audit des transactions exécutées, créé à la première utilisation : jamais de session sans journal
+        this.auditLog = auditLog || null;
+        if (!this.auditLog && !this.config.auditLogPath) {
+            throw new Error("An audit log is required: set AUDIT_LOG_PATH in your .env file or pass auditLogPath in the config");
+        }
+
+        this.logger.debug("HederaNftService initialized on", this.network);
+    }
+
+    /**
+     * Obtenir le client Hedera (singleton pattern)
+     */
+    getClient() {
+        if (!this.client) {
+            this.client = createHederaClient(this.config);
+            this.ownsClient = true;
+            this.logger.debug("Hedera client connected");
+        }
+        return this.client;
+    }
+
+    /**
+     * Client mirror node (singleton pattern)
+     */
+    getMirrorNode() {
+        if (!this.mirrorNode) {
+            this.mirrorNode = new MirrorNodeClient({ baseUrl: resolveMirrorNodeUrl(this.config) });
+        }
+        return this.mirrorNode;
+    }
+
+    /**
+     * Journal d'audit (singleton pattern)
+     */
+    getAuditLog() {
+        if (!this.auditLog) {
+            this.auditLog = new AuditLog({ path: this.config.auditLogPath });
+        }
+        return this.auditLog;
+    }
+
+    /**
+     * Fermeture de la connexion client (affiche le récapitulatif des coûts de la session)
+     */
+    close() {
+        if (this.costTracker.entries.length > 0) {
+            this.logger.info(this.costTracker.formatSummary());
+        }
+        if (this.client && this.ownsClient) {
+            this.client.close();
+            this.logger.debug("Hedera client closed");
+        }
+        this.client = null;
+    }
+
+    /**
+     * Helper method - Resolve an account reference (account object, or account ID / alias from the keystore)
+     * @param {string|Object} account - Account object or keystore reference
+     * @param {Object} options - allowMissingKey: return { accountId, privateKey: null } for accounts we don't hold
+     * @returns {Object} Account object with its private key (or privateKeys for a key list account)
+     */
+    resolveAccount(account, options = {}) {
+        if (account && typeof account === "object" && (account.privateKey || account.privateKeys?.length)) {
+            return account;
+        }
+
+        const reference = account?.accountId || account;
+        if (this.keystore?.hasAccount(reference.toString())) {
+            return this.keystore.loadAccount(reference.toString());
+        }
+        if (options.allowMissingKey) {
+            // Compte externe (diplômé) : sa clé reste chez lui, il signera à part
+            return { accountId: this.resolveAccountId(account), privateKey: null };
+        }
+        if (!this.keystore) {
+            throw new Error(`Cannot resolve account "${reference}" without a keystore`);
+        }
+        return this.keystore.loadAccount(reference.toString());
+    }
+
+    /**
+     * Helper method - Private keys held for an account (its key, or the keys we hold of its key list)
+     * @param {Object} account - Account object from resolveAccount
+     * @returns {Array} Private keys (empty for accounts we don't hold)
+     */
+    accountKeys(account) {
+        return account?.privateKeys || (account?.privateKey ? [account.privateKey] : []);
+    }
+
+    /**
+     * Helper method - Resolve a token reference (token object, or token ID / alias from the keystore)
+     * @param {string|Object} token - Token object from createNFTToken or keystore reference
+     * @param {Object} options - allowMissingKey: return { tokenId, keys: {} } for tokens missing from the keystore
+     * @returns {Object} Token object with its keys
+     */
+    resolveToken(token, options = {}) {
+        if (token && typeof token === "object" && !(token instanceof TokenId)) {
+            return token;
+        }
+        if (options.allowMissingKey && !this.keystore?.findTokenEntry(token.toString())) {
+            return { tokenId: TokenId.fromString(token.toString()), keys: {} };
+        }
+        if (!this.keystore) {
+            throw new Error(`Cannot resolve token "${token}" without a keystore`);
+        }
+
+        const stored = this.keystore.loadToken(token);
+        const treasuryAccount = stored.treasuryAccountId && this.keystore.hasAccount(stored.treasuryAccountId)
+            ? this.keystore.loadAccount(stored.treasuryAccountId)
+            : null;
+
+        return {
+            tokenId: TokenId.fromString(stored.tokenId),
+            treasuryAccountId: stored.treasuryAccountId,
+            treasuryAccount: treasuryAccount,
+            soulbound: Boolean(stored.settings.soulbound),
+            issuanceTopicId: stored.settings.issuanceTopicId || null,
+            keys: stored.keys
+        };
+    }
+
+    /**
+     * Helper method - Private keys held for a token key role
+     * @param {Object} tokenData - Token object from resolveToken
+     * @param {string} role - Key role (supply, admin, freeze, ...)
+     * @param {Object} options - prepare: return [] instead of throwing (the key signs elsewhere)
+     * @returns {Array} Private keys (throws when none are held)
+     */
+    getTokenKeys(tokenData, role, options = {}) {
+        let keys = privateKeysForRole(tokenData.keys, role);
+
+        // Compatibilité : la clé de supply est par défaut celle de la treasury
+        if (keys.length === 0 && role === "supply") {
+            keys = this.accountKeys(tokenData.treasuryAccount);
+        }
+        if (keys.length === 0 && !options.prepare) {
+            throw new Error(`No ${role} key available for token ${tokenData.tokenId?.toString()}`);
+        }
+        return keys;
+    }
+
+    /**
+     * Helper method - Freeze, sign and execute a transaction, then get its receipt
+     * In prepare mode the transaction is only frozen and signed with the keys we hold,
+     * and { prepared: envelope } is returned for signing elsewhere (see submitSignedTransaction).
+     * In dry-run mode { prepared: estimate } is returned instead (see dryRunTransaction).
+     * @param {Transaction} transaction - Transaction to execute
+     * @param {Array} privateKeys - Keys to sign with
+     * @param {Object} options - prepare, dryRun, validStart, payerAccountId, operation, summary, requiredSigners
+     * @returns {Object} { response, receipt } or { prepared }
+     */
+    async executeWithKeys(transaction, privateKeys, options = {}) {
+        if (options.prepare) {
+            return { prepared: await this.prepareTransaction(transaction, privateKeys, options) };
+        }
+        if (options.dryRun) {
+            return { prepared: await this.dryRunTransaction(transaction, privateKeys, options) };
+        }
+
+        const client = this.getClient();
+
+        // Un autre payeur que l'opérateur (ex. le spender d'une allowance) doit signer
+        if (options.payerAccountId) {
+            transaction.setTransactionId(TransactionId.generate(options.payerAccountId));
+        }
+        transaction.freezeWith(client);
+        await signWithKeys(transaction, privateKeys);
+
+        return this.submitTransaction(transaction, options.operation);
+    }
+
+    /**
+     * Helper method - Submit a frozen, signed transaction and check that its receipt is SUCCESS
+     * Retryable failures (BUSY, PLATFORM_TRANSACTION_NOT_CREATED, timeouts) are retried with backoff.
+     * Retries resubmit the same transaction ID, so the network executes it at most once: a
+     * DUPLICATE_TRANSACTION answer means an earlier attempt got through and its receipt is read instead.
+     * The actual fee is then read from the transaction record and added to the session costs.
+     * @param {Transaction} transaction - Frozen, signed transaction
+     * @param {string} operation - Operation name for errors and logs
+     * @returns {Object} { response, receipt }
+     * @throws {HederaNftError} Typed error carrying the Hedera status and transaction ID
+     * @throws {BudgetExceededError} The session budget can't cover the transaction (nothing was sent)
+     */
+    async submitTransaction(transaction, operation = transactionType(transaction)) {
+        const client = this.getClient();
+        const transactionId = transaction.transactionId;
+        let response = null;
+
+        // Rien n'est envoyé si le budget de la session ne couvre pas la transaction
+        if (this.costTracker.budget !== null && this.costTracker.budget !== undefined) {
+            const estimate = await this.estimateCost(transaction);
+            this.costTracker.assertWithinBudget(estimate.totalHbar, operation);
+        }
+
+        try {
+            const result = await withRetry(async () => {
+                try {
+                    if (!response) {
+                        try {
+                            response = await transaction.execute(client);
+                        } catch (error) {
+                            if (!(error instanceof StatusError) || error.status.toString() !== "DUPLICATE_TRANSACTION") {
+                                throw error;
+                            }
+                            // Une tentative précédente a atteint le réseau : son reçu fait foi
+                            response = {
+                                transactionId: transactionId,
+                                getReceipt: receiptClient => new TransactionReceiptQuery()
+                                    .setTransactionId(transactionId)
+                                    .execute(receiptClient)
+                            };
+                        }
+                    }
+
+                    const receipt = await response.getReceipt(client);
+                    return { response, receipt: assertReceiptSuccess(receipt, { operation, transactionId }) };
+                } catch (error) {
+                    const typed = toHederaError(error, { operation, transactionId });
+                    // Reçu BUSY : la transaction doit être renvoyée (même ID), pas seulement relue
+                    if (error instanceof ReceiptStatusError && typed.retryable) {
+                        response = null;
+                    }
+                    throw typed;
+                }
+            }, this.retryPolicy, { operation: operation, logger: this.logger });
+
+            await this.recordExecutedTransaction(transaction, operation, result.receipt.status, result.receipt);
+            return result;
+        } catch (error) {
+            // Un reçu en échec a atteint le consensus : les frais sont prélevés quand même
+            if (response && error instanceof TransactionFailedError) {
+                await this.recordExecutedTransaction(transaction, operation, error.status, null);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Execute a query, retried with backoff on transient failures
+     * @param {Query} query - Query to execute
+     * @param {string} operation - Operation name for errors and logs
+     * @returns {*} Query result
+     */
+    async executeQuery(query, operation = query.constructor.name) {
+        const client = this.getClient();
+
+        return withRetry(async () => {
+            try {
+                return await query.execute(client);
+            } catch (error) {
+                throw toHederaError(error, { operation });
+            }
+        }, this.retryPolicy, { operation: operation, logger: this.logger });
+    }
+
+    /**
+     * Current HBAR/USD exchange rate (mirror node), cached until it expires
+     * @returns {Object} { usdPerHbar, expiresAt }
+     */
+    async getExchangeRate() {
+        if (!this.exchangeRate || Date.now() >= new Date(this.exchangeRate.expiresAt).getTime()) {
+            this.exchangeRate = await this.getMirrorNode().getExchangeRate();
+        }
+        return this.exchangeRate;
+    }
+
+    /**
+     * Helper method - Estimated cost of a frozen transaction for its payer
+     * Without an exchange rate the max transaction fee is assumed, so that a budget is never underestimated.
+     * @param {Transaction} transaction - Frozen transaction
+     * @returns {Object} { transactionType, feeUsd, feeHbar, outflowHbar, totalHbar, usdPerHbar }
+     */
+    async estimateCost(transaction) {
+        try {
+            const { usdPerHbar } = await this.getExchangeRate();
+            return estimateTransactionCost(transaction, usdPerHbar);
+        } catch (error) {
+            this.logger.warn("Exchange rate unavailable, assuming the max transaction fee:", error.message);
+            const outflowHbar = hbarOutflow(transaction, transaction.transactionId?.accountId);
+            return {
+                transactionType: transactionType(transaction),
+                feeUsd: null,
+                feeHbar: this.config.maxTransactionFee,
+                outflowHbar: outflowHbar,
+                totalHbar: roundHbar(this.config.maxTransactionFee + outflowHbar),
+                usdPerHbar: null
+            };
+        }
+    }
+
+    /**
+     * Helper method - Read the record of an executed transaction (success or failure) once,
+     * then add its actual cost to the session costs and append it to the audit log
+     * @param {Transaction} transaction - Executed transaction
+     * @param {string} operation - Operation name
+     * @param {Status|string} status - Receipt status
+     * @param {TransactionReceipt} receipt - Receipt (null for a failed transaction)
+     * @returns {Object} { cost, audit } entries
+     */
+    async recordExecutedTransaction(transaction, operation, status, receipt) {
+        let record = null;
+        try {
+            // Le record d'une transaction en échec existe aussi (ses frais ont été prélevés)
+            record = await this.executeQuery(
+                new TransactionRecordQuery().setTransactionId(transaction.transactionId).setValidateReceiptStatus(false),
+                `${operation} record`
+            );
+        } catch (error) {
+            this.logger.warn(`Could not read the record of ${transaction.transactionId.toString()}, using the estimated fee:`, error.message);
+        }
+
+        const cost = await this.recordTransactionCost(transaction, operation, status, record);
+        const audit = this.recordAuditEntry(transaction, operation, status, record?.receipt || receipt, record, cost);
+        return { cost, audit };
+    }
+
+    /**
+     * Helper method - Add the actual cost of an executed transaction (from its record) to the session costs
+     * Best effort: without a record, the estimate is recorded instead.
+     * @param {Transaction} transaction - Executed transaction
+     * @param {string} operation - Operation name
+     * @param {Status|string} status - Receipt status
+     * @param {TransactionRecord} record - Transaction record (null when it couldn't be read)
+     * @returns {Object} Cost entry
+     */
+    async recordTransactionCost(transaction, operation, status, record) {
+        const transactionId = transaction.transactionId;
+        const payerId = transactionId.accountId.toString();
+
+        if (record) {
+            // Tout ce qui quitte le compte du payeur (frais compris)
+            const debit = record.transfers
+                .filter(transfer => transfer.accountId.toString() === payerId)
+                .reduce((sum, transfer) => sum - tinybarsToHbar(transfer.amount.toTinybars()), 0);
+            const feeHbar = tinybarsToHbar(record.transactionFee.toTinybars());
+
+            return this.costTracker.record({
+                operation: operation,
+                transactionId: transactionId,
+                status: status,
+                feeHbar: feeHbar,
+                outflowHbar: Math.max(roundHbar(debit - feeHbar), 0),
+                source: "record"
+            });
+        }
+
+        const estimate = await this.estimateCost(transaction);
+        return this.costTracker.record({
+            operation: operation,
+            transactionId: transactionId,
+            status: status,
+            feeHbar: estimate.feeHbar,
+            // Une transaction en échec ne transfère rien, seuls les frais sont prélevés
+            outflowHbar: status?.toString() === "SUCCESS" ? estimate.outflowHbar : 0,
+            source: "estimate"
+        });
+    }
+
+    /**
+     * Helper method - Append an executed transaction to the audit log (consensus timestamp and fee from its record)
+     * The transaction already reached consensus: a write failure is logged, never thrown.
+     * @param {Transaction} transaction - Executed transaction
+     * @param {string} operation - Operation name
+     * @param {Status|string} status - Receipt status
+     * @param {TransactionReceipt} receipt - Receipt (created account / token, minted serials)
+     * @param {TransactionRecord} record - Transaction record (null when it couldn't be read)
+     * @param {Object} cost - Cost entry from recordTransactionCost
+     * @returns {Object|null} Audit entry, null when it couldn't be written
+     */
+    recordAuditEntry(transaction, operation, status, receipt, record, cost) {
+        try {
+            return this.getAuditLog().record({
+                operation: operation,
+                transactionType: transactionType(transaction),
+                transactionId: transaction.transactionId,
+                consensusTimestamp: record?.consensusTimestamp || null,
+                status: status,
+                feeHbar: cost.feeHbar,
+                feeSource: cost.source,
+                ...describeTransaction(transaction, receipt),
+                network: this.network
+            });
+        } catch (error) {
+            this.logger.error(`Could not write ${transaction.transactionId.toString()} to the audit log:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Costs of the session so far (actual fees, HBAR sent, budget left)
+     * @returns {Object} Summary (see CostTracker.summary)
+     */
+    getCostSummary() {
+        return this.costTracker.summary();
+    }
+
+    /**
+     * Helper method - Log a failed operation and emit operationFailed (once per error)
+     * @param {string} operation - Operation name
+     * @param {string} message - Log message
+     * @param {Error} error - Error about to be rethrown
+     */
+    failOperation(operation, message, error) {
+        this.logger.error(message, error.message);
+
+        if (this.reportedErrors.has(error)) {
+            return;
+        }
+        this.reportedErrors.add(error);
+        this.emit("operationFailed", {
+            operation: operation,
+            error: error.message,
+            errorType: error.name,
+            status: error.status?.toString() ?? null,
+            transactionId: error.transactionId?.toString() ?? null,
+            failedAt: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Helper method - Emit transferCompleted from a transfer result
+     * @param {Object} result - Result of transferNFT / transferNFTAsSpender
+     */
+    emitTransferCompleted(result) {
+        this.emit("transferCompleted", {
+            tokenId: result.tokenId?.toString(),
+            serialNumber: Number(result.serialNumber),
+            from: result.fromAccount,
+            to: result.toAccount,
+            spender: result.spender || null,
+            transactionId: result.transactionId,
+            transferredAt: result.transferredAt
+        });
+    }
+
+    /**
+     * Build, sign and validate a transaction without submitting it, and estimate its cost
+     * Checks: size limit, required signatures we hold (queried from the network), session budget.
+     * @param {Transaction} transaction - Transaction to check
+     * @param {Array} privateKeys - Keys we hold (null entries skipped)
+     * @param {Object} options - operation, summary, requiredSigners, payerAccountId
+     * @returns {Object} Dry-run estimate
+     */
+    async dryRunTransaction(transaction, privateKeys, options = {}) {
+        const client = this.getClient();
+
+        if (options.payerAccountId) {
+            transaction.setTransactionId(TransactionId.generate(options.payerAccountId));
+        }
+        transaction.freezeWith(client);
+        await signWithKeys(transaction, privateKeys);
+
+        const envelope = createEnvelope(transaction, {
+            operation: options.operation,
+            summary: options.summary,
+            requiredSigners: options.requiredSigners
+        });
+        const missingSigners = await this.findMissingSigners(envelope, transaction);
+        const sizeBytes = transactionSizeBytes(transaction);
+        const cost = await this.estimateCost(transaction);
+
+        const problems = [];
+        if (sizeBytes > MAX_TRANSACTION_SIZE_BYTES) {
+            problems.push(`transaction is ${sizeBytes} bytes, over the ${MAX_TRANSACTION_SIZE_BYTES} bytes limit`);
+        }
+        if (missingSigners.length > 0) {
+            problems.push(`missing signatures: ${missingSigners.map(signer => signer.role).join(", ")}`);
+        }
+        try {
+            this.costTracker.assertWithinBudget(cost.totalHbar, options.operation);
+        } catch (error) {
+            problems.push(error.message);
+        }
+
+        this.logger.info(`Dry run ${options.operation}: ${cost.feeHbar} HBAR estimated fee` +
+            (cost.outflowHbar > 0 ? ` + ${cost.outflowHbar} HBAR sent` : "") +
+            (problems.length > 0 ? ` (${problems.join("; ")})` : ""));
+
+        return {
+            dryRun: true,
+            operation: options.operation,
+            summary: options.summary || {},
+            transactionType: cost.transactionType,
+            valid: problems.length === 0,
+            problems: problems,
+            missingSigners: missingSigners,
+            sizeBytes: sizeBytes,
+            signers: envelope.signers.length,
+            estimatedFee: { usd: cost.feeUsd, hbar: cost.feeHbar },
+            hbarOutflow: cost.outflowHbar,
+            estimatedTotalHbar: cost.totalHbar,
+            usdPerHbar: cost.usdPerHbar,
+            estimatedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Freeze a transaction without executing it and wrap it in an envelope
+     * @param {Transaction} transaction - Transaction to prepare
+     * @param {Array} privateKeys - Keys we hold (signed now, null entries skipped)
+     * @param {Object} options - Envelope details
+     * @param {string} options.operation - Service operation (e.g. "transferNFT")
+     * @param {Object} options.summary - Human-readable details of the operation
+     * @param {Array} options.requiredSigners - { role, accountId } | { role, tokenId, keyRole } | { role, key } | { role, anyOf }
+     * @param {Date|string} options.validStart - Start of the validity window (to sign ahead of time)
+     * @param {string} options.payerAccountId - Payer when it isn't the operator
+     * @returns {Object} Envelope (see transaction-envelope.js)
+     */
+    async prepareTransaction(transaction, privateKeys, options = {}) {
+        const client = this.getClient();
+        const payerAccountId = options.payerAccountId || client.operatorAccountId;
+
+        // Le signataire hors-ligne a besoin de la fenêtre de validité la plus longue possible
+        if (options.validStart) {
+            transaction.setTransactionId(
+                TransactionId.withValidStart(payerAccountId, Timestamp.fromDate(new Date(options.validStart)))
+            );
+        } else if (options.payerAccountId) {
+            transaction.setTransactionId(TransactionId.generate(payerAccountId));
+        }
+        transaction.setTransactionValidDuration(MAX_VALID_DURATION_SECONDS);
+        transaction.freezeWith(client);
+        await signWithKeys(transaction, privateKeys);
+
+        const envelope = createEnvelope(transaction, {
+            operation: options.operation,
+            summary: options.summary,
+            requiredSigners: options.requiredSigners
+        });
+
+        this.logger.info("Transaction prepared for detached signing:");
+        this.logger.info(formatEnvelope(envelope));
+        return envelope;
+    }
+
+    /**
+     * Helper method - Key a required signer must satisfy (queried from the network)
+     * @param {Object} signer - Required signer from an envelope
+     * @returns {Key|null} Key, or null when the entity has no such key
+     */
+    async resolveSignerKey(signer) {
+        if (signer.key) {
+            return deserializeKey(signer.key);
+        }
+        if (signer.accountId) {
+            const info = await this.executeQuery(new AccountInfoQuery().setAccountId(signer.accountId));
+            return info.key;
+        }
+
+        const tokenInfo = await this.executeQuery(new TokenInfoQuery().setTokenId(signer.tokenId));
+        return tokenInfo[TOKEN_KEY_ROLES[signer.keyRole].configField] || null;
+    }
+
+    /**
+     * Helper method - Required signers of an envelope whose signatures are missing
+     * @param {Object} envelope - Envelope
+     * @param {Transaction} transaction - Transaction rebuilt from the envelope
+     * @returns {Array} Missing signers
+     */
+    async findMissingSigners(envelope, transaction) {
+        const signed = signerKeySet(transaction);
+        const requiredSigners = [...envelope.requiredSigners];
+
+        // Le client signe pour l'opérateur ; un autre payeur doit avoir signé
+        const operatorId = this.getClient().operatorAccountId?.toString();
+        if (envelope.payerAccountId !== operatorId) {
+            requiredSigners.push({ role: "payer", accountId: envelope.payerAccountId });
+        }
+
+        const missing = [];
+        for (const signer of requiredSigners) {
+            const candidates = signer.anyOf || [signer];
+            let satisfied = false;
+            for (const candidate of candidates) {
+                const key = await this.resolveSignerKey(candidate);
+                if (key && isKeySatisfied(key, signed)) {
+                    satisfied = true;
+                    break;
+                }
+            }
+            if (!satisfied) {
+                missing.push(signer);
+            }
+        }
+        return missing;
+    }
+
+    /**
+     * Submit a transaction prepared in prepare mode once every required signature is present
+     * @param {Object} envelope - Envelope returned in prepare mode (signed with signEnvelope / mergeSignedTransaction)
+     * @returns {Object} Submission result
+     */
+    async submitSignedTransaction(envelope) {
+        try {
+            const transaction = envelopeTransaction(envelope);
+
+            this.logger.info("Submitting signed transaction", envelope.transactionId, `(${envelope.operation})`);
+
+            const now = Date.now();
+            if (now < new Date(envelope.validStart).getTime()) {
+                throw new Error(`Transaction ${envelope.transactionId} is not valid before ${envelope.validStart}`);
+            }
+            if (now > new Date(envelope.expiresAt).getTime()) {
+                throw new Error(`Transaction ${envelope.transactionId} expired at ${envelope.expiresAt}, prepare it again`);
+            }
+
+            const missing = await this.findMissingSigners(envelope, transaction);
+            if (missing.length > 0) {
+                const error = new Error(`Missing signatures: ${missing.map(signer => signer.role).join(", ")}`);
+                error.missingSigners = missing;
+                throw error;
+            }
+            // Un burn ou un wipe n'est soumis que si sa révocation peut être enregistrée
+            if (envelope.operation === "burnNFTs" || envelope.operation === "revokeNFT") {
+                this.getRevocationRegistry();
+            }
+
+            const { response, receipt } = await this.submitTransaction(transaction, envelope.operation);
+
+            const revocations = this.recordPreparedRevocations(envelope, receipt);
+            if (revocations.length > 0) {
+                await this.anchorIssuanceEvent(envelope.summary.tokenId, {
+                    type: "revocation",
+                    serials: envelope.summary.serials,
+                    holder: envelope.summary.holder,
+                    reason: envelope.summary.reason,
+                    method: revocations[0].method,
+                    actor: transaction.transactionId?.accountId?.toString() || null,
+                    transactionId: envelope.transactionId
+                });
+            }
+
+            this.logger.info("Signed transaction executed!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                transactionId: response.transactionId?.toString(),
+                operation: envelope.operation,
+                summary: envelope.summary,
+                accountId: receipt.accountId?.toString() || null,
+                tokenId: receipt.tokenId?.toString() || null,
+                serials: (receipt.serials || []).map(s => Number(s.toString())),
+                revocations: revocations,
+                submittedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("submitSignedTransaction", "Error submitting signed transaction:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Record burns / wipes submitted from an envelope in the revocation registry
+     * @param {Object} envelope - Executed envelope
+     * @param {TransactionReceipt} receipt - Its receipt
+     * @returns {Array} Revocation entries (empty for other operations)
+     */
+    recordPreparedRevocations(envelope, receipt) {
+        const { summary } = envelope;
+        if (envelope.operation !== "burnNFTs" && envelope.operation !== "revokeNFT") {
+            return [];
+        }
+
+        return summary.serials.map(serial => this.getRevocationRegistry().record({
+            tokenId: summary.tokenId,
+            serial: serial,
+            holder: summary.holder,
+            reason: summary.reason,
+            method: envelope.operation === "burnNFTs" ? "burn" : "wipe",
+            transactionId: envelope.transactionId,
+            status: receipt.status
+        }));
+    }
+
+    /**
+     * Helper method - Account ID from an account ID, keystore alias or account object
+     * @param {string|Object} account - Account reference
+     * @returns {string} Account ID
+     */
+    resolveAccountId(account) {
+        if (account && typeof account === "object" && account.accountId) {
+            return account.accountId.toString();
+        }
+        return this.keystore ? this.keystore.resolveAccountId(account) : account.toString();
+    }
+
+    /**
+     * Helper method - Token ID from a token ID, keystore alias or token object
+     * @param {string|Object} token - Token reference
+     * @returns {string|TokenId} Token ID
+     */
+    resolveTokenId(token) {
+        if (token && typeof token === "object" && token.tokenId) {
+            return token.tokenId;
+        }
+        if (this.keystore && typeof token === "string") {
+            return this.keystore.resolveTokenId(token);
+        }
+        return token;
+    }
+
+    /**
+     * Create an account
+     * @param {number} initialBalance - Balance initiale en HBAR
+     * @param {Object} options - Optional settings
+     * @param {string} options.alias - Keystore alias for the account
+     * @param {PublicKey|string} options.publicKey - Key generated by the account holder (we never see the private key)
+     * @param {*} options.key - Key list shared by several holders, [keys] or { keys, threshold } (PrivateKey or PublicKey
+     *   members); the keystore keeps its key structure and the member private keys passed here
+     * @param {number} options.maxAutomaticTokenAssociations - Tokens the account can receive without associating (-1 = unlimited)
+     * @param {boolean} options.prepare - Return an envelope instead of executing (see prepareTransaction)
+     * @returns {Object} Account data (or an envelope in prepare mode)
+     */
+    async createAccount(initialBalance = 100, options = {}) {
+        try {
+            this.logger.info("Creating account...");
+
+            // Liste de clés (treasury à seuil) : chaque titulaire fournit sa clé, aucune n'est générée ici
+            if (options.key && options.publicKey) {
+                throw new Error("Pass either publicKey or key, not both");
+            }
+            if (options.key && isGeneratedKeySpec(options.key)) {
+                throw new Error("Key list members must be the holders' own keys, \"generate\" isn't accepted");
+            }
+            const keyList = options.key ? resolveKeySpec(options.key) : null;
+            if (keyList && !(keyList.key instanceof KeyList)) {
+                throw new Error("options.key must be a key list: [keys] or { keys, threshold }");
+            }
+            const keyMembers = keyList ? keyList.key.toArray() : [];
+
+            // Create new keys (sauf si le titulaire fournit sa propre clé publique)
+            const privateKey = options.publicKey || keyList ? null : PrivateKey.generateED25519();
+            const publicKey = keyList
+                ? null
+                : options.publicKey ? PublicKey.fromString(options.publicKey.toString()) : privateKey.publicKey;
+
+            if (options.prepare && privateKey) {
+                throw new Error("Pass the holder's publicKey to prepare an account creation (a generated key would be lost)");
+            }
+
+            const maxAutomaticTokenAssociations = options.maxAutomaticTokenAssociations ?? 0;
+            if (!Number.isInteger(maxAutomaticTokenAssociations) || maxAutomaticTokenAssociations < -1) {
+                throw new Error("maxAutomaticTokenAssociations must be an integer >= -1 (-1 = unlimited)");
+            }
+
+            // Account creation transaction
+            const transaction = new AccountCreateTransaction()
+                .setKey(keyList ? keyList.key : publicKey) // Correction: setKey au lieu de setKeyWithoutAlias
+                .setInitialBalance(new Hbar(initialBalance));
+
+            // Slots d'association automatique : le compte peut recevoir un diplôme sans s'associer
+            if (maxAutomaticTokenAssociations !== 0) {
+                transaction.setMaxAutomaticTokenAssociations(maxAutomaticTokenAssociations);
+            }
+
+            const { response, receipt, prepared } = await this.executeWithKeys(transaction, [], {
+                ...options,
+                operation: "createAccount",
+                summary: {
+                    ...(keyList
+                        ? { keys: keyMembers.map(key => key.toString()), threshold: keyList.key.threshold ?? keyMembers.length }
+                        : { publicKey: publicKey.toStringDer() }),
+                    initialBalance: `${initialBalance} HBAR`,
+                    maxAutomaticTokenAssociations: maxAutomaticTokenAssociations
+                },
+                requiredSigners: []
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            const accountId = receipt.accountId;
+            const status = receipt.status;
+
+            this.logger.info("Account created successfully!", accountId?.toString());
+            this.logger.debug("Account ID:", accountId?.toString());
+            this.logger.debug("Status:", status?.toString());
+            this.logger.debug("Balance:", initialBalance, "HBAR");
+            if (maxAutomaticTokenAssociations !== 0) {
+                this.logger.debug("Max automatic token associations:", maxAutomaticTokenAssociations);
+            }
+            if (keyList) {
+                this.logger.debug("Key list:", keyMembers.length, "key(s), threshold", keyList.key.threshold ?? "all");
+            }
+
+            // Sauvegarder la clé (ou la liste et ses clés détenues) pour pouvoir réutiliser le compte plus tard
+            if (this.keystore && (privateKey || keyList)) {
+                this.keystore.saveAccount(
+                    keyList ? { accountId, key: keyList.key, privateKeys: keyList.privateKeys } : { accountId, privateKey },
+                    { alias: options.alias }
+                );
+                this.logger.info("Account key saved to keystore", options.alias ? `as "${options.alias}"` : "");
+            }
+
+            this.emit("accountCreated", {
+                accountId: accountId?.toString(),
+                publicKey: publicKey ? publicKey.toStringDer() : null,
+                initialBalance: initialBalance,
+                maxAutomaticTokenAssociations: maxAutomaticTokenAssociations,
+                transactionId: response.transactionId?.toString(),
+                createdAt: new Date().toISOString()
+            });
+
+            return {
+                accountId: accountId,
+                privateKey: privateKey,
+                publicKey: publicKey,
+                // Clés détenues de la liste (pour signer en tant que ce compte)
+                ...(keyList ? { key: keyList.key, privateKeys: keyList.privateKeys } : {}),
+                status: status,
+                balance: initialBalance,
+                maxAutomaticTokenAssociations: maxAutomaticTokenAssociations,
+            };
+
+        } catch (error) {
+            this.failOperation("createAccount", "Error creating account:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Create NFT Token
+     * @param {Object|string} treasury - Account object from createAccount or keystore reference
+     * @param {Object} tokenConfig - Optional token configuration (alias = keystore alias for the token)
+     * @param {*} tokenConfig.adminKey - Admin key (PrivateKey, PublicKey, KeyList, "generate", [keys] or { keys, threshold })
+     * @param {*} tokenConfig.supplyKey - Supply key (defaults to the treasury key), same formats
+     * @param {*} tokenConfig.freezeKey - Freeze key, same formats
+     * @param {*} tokenConfig.wipeKey - Wipe key, same formats
+     * @param {*} tokenConfig.kycKey - KYC key, same formats
+     * @param {*} tokenConfig.pauseKey - Pause key, same formats
+     * @param {*} tokenConfig.feeScheduleKey - Fee schedule key, same formats
+     * @param {*} tokenConfig.metadataKey - Metadata key, same formats
+     * @param {string} tokenConfig.memo - Token memo
+     * @param {boolean} tokenConfig.freezeDefault - Freeze new associations by default
+     * @param {Date} tokenConfig.expirationTime - Expiration time
+     * @param {Object|string} tokenConfig.autoRenewAccount - Auto-renew account (must sign)
+     * @param {number} tokenConfig.autoRenewPeriod - Auto-renew period in seconds
+     * @param {boolean} tokenConfig.soulbound - Lock diplomas with the graduate after delivery (freeze-after-delivery)
+     * @param {Array} tokenConfig.customFees - Royalty / fixed fees (see buildCustomFees)
+     * @param {boolean} tokenConfig.issuanceTopic - Also create the collection's issuance topic (see createIssuanceTopic),
+     *   refused for a key list treasury
+     * @param {Object} options - prepare: return an envelope instead of executing (keys are then not saved)
+     * @returns {Object} Token data with info from API (or an envelope in prepare mode)
+     */
+    async createNFTToken(treasury, tokenConfig = {}, options = {}) {
+        try {
+            const treasuryAccount = this.resolveAccount(treasury, { allowMissingKey: options.prepare });
+
+            // Configuration par défaut avec possibilité de surcharge
+            const config = {
+                name: "diploma",
+                symbol: "GRAD",
+                maxSupply: 250,
+                // Treasury à liste de clés : la supply key est la même liste
+                supplyKey: treasuryAccount.privateKey || treasuryAccount.key,
+                ...tokenConfig // Permet de surcharger les valeurs par défaut
+            };
+
+            // Soulbound : une freeze key que l'on détient, comptes non gelés à l'association
+            if (config.soulbound) {
+                config.freezeKey = config.freezeKey ?? "generate";
+                config.freezeDefault = false;
+            }
+
+            // Sans exécution, aucun token ID pour ranger une clé générée dans le keystore
+            this.assertNoGeneratedKeys(config, options);
+            if (options.prepare && !config.supplyKey) {
+                throw new Error("Pass a supplyKey to prepare a token whose treasury key we don't hold");
+            }
+            if ((options.prepare || options.dryRun) && config.issuanceTopic) {
+                throw new Error("The issuance topic needs the token ID: create it with createIssuanceTopic once the token exists");
+            }
+            // Refus avant la création du token : sans quoi la collection existerait sans historique
+            if (config.issuanceTopic) {
+                this.issuanceTrailKey(treasuryAccount, "the new token");
+            }
+
+            const tokenKeys = resolveTokenKeys(config);
+            if (config.soulbound && tokenKeys.freeze.privateKeys.length === 0) {
+                throw new Error("A soulbound token needs a freeze key we hold (PrivateKey or \"generate\")");
+            }
+
+            const autoRenewAccount = config.autoRenewAccount
+                ? this.resolveAccount(config.autoRenewAccount, { allowMissingKey: options.prepare })
+                : null;
+            const customFees = buildCustomFees(config.customFees || [], account => this.resolveAccountId(account));
+
+            this.logger.info("Creating NFT token...");
+            this.logger.debug("Name:", config.name);
+            this.logger.debug("Symbol:", config.symbol);
+            this.logger.debug("Max Supply:", config.maxSupply);
+            this.logger.debug("Keys:", Object.keys(tokenKeys).join(", "));
+
+            // Create NFT token transaction
+            const transaction = new TokenCreateTransaction()
+                .setTokenName(config.name)
+                .setTokenSymbol(config.symbol)
+                .setTokenType(TokenType.NonFungibleUnique)
+                .setDecimals(0)
+                .setInitialSupply(0)
+                .setTreasuryAccountId(treasuryAccount.accountId)
+                .setSupplyType(TokenSupplyType.Finite)
+                .setMaxSupply(config.maxSupply);
+
+            for (const [role, { key }] of Object.entries(tokenKeys)) {
+                transaction[TOKEN_KEY_ROLES[role].setter](key);
+            }
+
+            if (config.memo) transaction.setTokenMemo(config.memo);
+            if (config.freezeDefault !== undefined) transaction.setFreezeDefault(config.freezeDefault);
+            if (config.expirationTime) transaction.setExpirationTime(config.expirationTime);
+            if (autoRenewAccount) transaction.setAutoRenewAccountId(autoRenewAccount.accountId);
+            if (config.autoRenewPeriod) transaction.setAutoRenewPeriod(config.autoRenewPeriod);
+            if (customFees.length > 0) transaction.setCustomFees(customFees);
+
+            // Sign and execute transaction (treasury, admin key et compte d'auto-renouvellement)
+            const { response, receipt, prepared } = await this.executeWithKeys(transaction, [
+                ...this.accountKeys(treasuryAccount),
+                ...(tokenKeys.admin?.privateKeys || []),
+                ...this.accountKeys(autoRenewAccount)
+            ], {
+                ...options,
+                operation: "createNFTToken",
+                summary: {
+                    name: config.name,
+                    symbol: config.symbol,
+                    maxSupply: config.maxSupply,
+                    treasury: treasuryAccount.accountId.toString(),
+                    keys: Object.keys(tokenKeys)
+                },
+                requiredSigners: [
+                    { role: "treasury", accountId: treasuryAccount.accountId.toString() },
+                    ...(tokenKeys.admin ? [{ role: "admin", key: serializeKey(tokenKeys.admin.key) }] : []),
+                    ...(autoRenewAccount ? [{ role: "autoRenew", accountId: autoRenewAccount.accountId.toString() }] : [])
+                ]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            const tokenId = receipt.tokenId;
+            const status = receipt.status;
+
+            this.logger.info("NFT Token created successfully!", tokenId?.toString());
+            this.logger.debug("Token ID:", tokenId?.toString());
+            this.logger.debug("Status:", status?.toString());
+
+            // Query pour récupérer les vraies infos du token
+            this.logger.debug("Fetching token information from API...");
+            const tokenInfo = await this.executeQuery(new TokenInfoQuery().setTokenId(tokenId));
+
+            // Afficher les infos récupérées
+            this.logger.debug("Token Information:");
+            this.logger.debug("Name:", tokenInfo.name);
+            this.logger.debug("Symbol:", tokenInfo.symbol);
+            this.logger.debug("Type:", tokenInfo.tokenType?.toString());
+            this.logger.debug("Max Supply:", tokenInfo.maxSupply?.toString());
+            this.logger.debug("Treasury:", tokenInfo.treasuryAccountId?.toString());
+
+            // Clés privées détenues, par rôle (une clé ou la liste des clés d'une KeyList)
+            const keys = {};
+            for (const [role, { key, privateKeys }] of Object.entries(tokenKeys)) {
+                if (privateKeys.length > 0) {
+                    keys[role] = key instanceof KeyList ? privateKeys : privateKeys[0];
+                }
+            }
+
+            // Les clés sont nécessaires pour tout futur mint / mise à jour
+            if (this.keystore) {
+                for (const [role, privateKey] of Object.entries(keys)) {
+                    this.keystore.saveTokenKey(tokenId, role, privateKey, {
+                        alias: config.alias,
+                        treasuryAccountId: treasuryAccount.accountId
+                    });
+                }
+                // Entrée créée même sans clé détenue (supply key = liste de la treasury) : alias et treasury restent connus
+                this.keystore.saveTokenSettings(tokenId, config.soulbound ? { soulbound: true } : {}, {
+                    alias: config.alias,
+                    treasuryAccountId: treasuryAccount.accountId
+                });
+                this.logger.info("Token keys saved to keystore");
+            }
+
+            this.emit("tokenCreated", {
+                tokenId: tokenId?.toString(),
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                treasury: tokenInfo.treasuryAccountId?.toString(),
+                maxSupply: Number(tokenInfo.maxSupply?.toString()),
+                soulbound: Boolean(config.soulbound),
+                transactionId: response.transactionId?.toString(),
+                createdAt: new Date().toISOString()
+            });
+
+            // Return structuré avec vraies données de l'API
+            const tokenData = {
+                // Données de base
+                tokenId: tokenId,
+                status: status,
+
+                // Vraies infos de l'API Hedera
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                tokenType: tokenInfo.tokenType,
+                decimals: tokenInfo.decimals,
+                totalSupply: tokenInfo.totalSupply,
+                maxSupply: tokenInfo.maxSupply,
+                supplyType: tokenInfo.supplyType,
+                treasuryAccountId: tokenInfo.treasuryAccountId,
+                adminKey: tokenInfo.adminKey,
+                supplyKey: tokenInfo.supplyKey,
+                freezeKey: tokenInfo.freezeKey,
+                wipeKey: tokenInfo.wipeKey,
+                kycKey: tokenInfo.kycKey,
+                pauseKey: tokenInfo.pauseKey,
+                feeScheduleKey: tokenInfo.feeScheduleKey,
+                metadataKey: tokenInfo.metadataKey,
+                customFees: describeCustomFees(tokenInfo.customFees),
+                memo: tokenInfo.tokenMemo,
+                expirationTime: tokenInfo.expirationTime,
+                autoRenewAccountId: tokenInfo.autoRenewAccountId,
+                autoRenewPeriod: tokenInfo.autoRenewPeriod,
+                creationTime: tokenInfo.creationTime,
+
+                soulbound: Boolean(config.soulbound),
+
+                // Garder la référence du treasury account et des clés privées
+                treasuryAccount: treasuryAccount,
+                keys: keys,
+                issuanceTopicId: null
+            };
+
+            if (config.issuanceTopic) {
+                await this.createIssuanceTopic(tokenData);
+            }
+            return tokenData;
+
+        } catch (error) {
+            this.failOperation("createNFTToken", "Error creating NFT token:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Mint NFTs (découpé en lots, reprise possible après un échec)
+     * @param {Object|string} token - Token object from createNFTToken or keystore reference
+     * @param {Array|Object} metadataArray - Metadata for NFTs (Buffer, string or JSON object)
+     * @param {Object} options - Optional mint options
+     * @param {number} options.chunkSize - NFTs per transaction (max 10)
+     * @param {Function} options.onProgress - Called after each chunk with progress info
+     * @param {string} options.checkpointFile - JSON file used to resume an interrupted run
+     * @param {Object} options.checkpoint - In-memory checkpoint (error.mintCheckpoint of a failed run)
+     * @param {Array} options.diplomaMetadata - HIP-412 documents behind each metadata URI, validated before minting
+     * @param {boolean} options.prepare - Return one envelope per chunk instead of minting (no checkpoint)
+     * @param {boolean} options.dryRun - Return one cost estimate per chunk instead of minting
+     * @returns {Object} Mint result with serial numbers (or an array of envelopes / estimates)
+     */
+    async mintNFTs(token, metadataArray, options = {}) {
+        const { chunkSize = MAX_NFTS_PER_MINT, onProgress, checkpointFile } = options;
+        let checkpoint = null;
+
+        try {
+            const client = this.getClient();
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const supplyKeys = this.getTokenKeys(tokenData, "supply", options);
+            const metadataBuffers = this.toMetadataBuffers(metadataArray);
+
+            // Un diplôme avec des métadonnées invalides ne doit jamais être minté
+            if (options.diplomaMetadata) {
+                if (options.diplomaMetadata.length !== metadataBuffers.length) {
+                    throw new Error(
+                        `Got ${options.diplomaMetadata.length} diploma metadata documents for ${metadataBuffers.length} NFT(s)`
+                    );
+                }
+                options.diplomaMetadata.forEach((document, index) => {
+                    assertValidDiplomaMetadata(document, `diploma metadata #${index}`);
+                });
+            }
+
+            const chunks = chunkMetadata(metadataBuffers, chunkSize);
+            const batchHash = hashMetadataBatch(metadataBuffers);
+
+            if (options.prepare || options.dryRun) {
+                const envelopes = [];
+                for (const [index, chunk] of chunks.entries()) {
+                    const { prepared } = await this.executeWithKeys(
+                        new TokenMintTransaction().setTokenId(tokenData.tokenId).setMetadata(chunk),
+                        supplyKeys,
+                        this.tokenKeyOperation(tokenData, "supply", {
+                            ...options,
+                            // Un transaction ID distinct par lot (validStart décalé d'une milliseconde)
+                            validStart: options.validStart ? new Date(new Date(options.validStart).getTime() + index) : undefined
+                        }, "mintNFTs", { chunk: `${index + 1}/${chunks.length}`, count: chunk.length })
+                    );
+                    envelopes.push(prepared);
+                }
+                return envelopes;
+            }
+
+            checkpoint = options.checkpoint || (checkpointFile ? loadMintCheckpoint(checkpointFile) : null);
+
+            if (checkpoint) {
+                await this.checkMintCheckpoint(checkpoint, tokenData, batchHash, chunkSize);
+                this.logger.info("Resuming mint:", checkpoint.completedChunks.length, "of", chunks.length, "chunk(s) already done");
+            } else {
+                const tokenInfo = await this.getTokenBasicInfo(tokenData.tokenId);
+                checkpoint = createMintCheckpoint({
+                    tokenId: tokenData.tokenId,
+                    batchHash: batchHash,
+                    total: metadataBuffers.length,
+                    chunkSize: chunkSize,
+                    startSupply: Number(tokenInfo.totalSupply)
+                });
+            }
+
+            this.logger.info("Minting", metadataBuffers.length, "NFT(s) in", chunks.length, "chunk(s)...");
+
+            for (let index = checkpoint.completedChunks.length; index < chunks.length; index++) {
+                // Mint transaction
+                const transaction = await new TokenMintTransaction()
+                    .setTokenId(tokenData.tokenId)
+                    .setMetadata(chunks[index])
+                    .freezeWith(client);
+
+                // Utiliser la bonne référence pour signer
+                const signedTransaction = await signWithKeys(transaction, supplyKeys);
+                const { response, receipt } = await this.submitTransaction(signedTransaction, "mintNFTs");
+
+                const serials = (receipt.serials || []).map(s => Number(s.toString()));
+                checkpoint.completedChunks.push({
+                    index: index,
+                    serials: serials,
+                    status: receipt.status?.toString(),
+                    transactionId: response.transactionId?.toString()
+                });
+
+                if (checkpointFile) {
+                    saveMintCheckpoint(checkpointFile, checkpoint);
+                }
+
+                await this.anchorIssuanceEvent(tokenData, {
+                    type: "mint",
+                    serials: serials,
+                    metadataHashes: chunks[index].map(hashMetadata),
+                    actor: tokenData.treasuryAccountId?.toString() || null,
+                    transactionId: response.transactionId?.toString()
+                });
+
+                const minted = checkpoint.completedChunks.reduce((sum, chunk) => sum + chunk.serials.length, 0);
+                this.logger.info(`Chunk ${index + 1}/${chunks.length} minted, serials:`, serials);
+
+                const progress = {
+                    chunkIndex: index,
+                    totalChunks: chunks.length,
+                    serials: serials,
+                    transactionId: response.transactionId?.toString(),
+                    minted: minted,
+                    total: metadataBuffers.length
+                };
+                this.emit("mintChunkCompleted", {
+                    tokenId: tokenData.tokenId.toString(),
+                    ...progress,
+                    completedAt: new Date().toISOString()
+                });
+                if (onProgress) {
+                    onProgress(progress);
+                }
+            }
+
+            const serials = checkpoint.completedChunks.flatMap(chunk => chunk.serials);
+
+            this.logger.info("NFT(s) minted successfully!", serials.length, "serial(s)");
+            this.logger.debug("Serial Numbers:", serials);
+
+            // Return structuré
+            return {
+                serials: serials,
+                status: checkpoint.completedChunks[checkpoint.completedChunks.length - 1]?.status,
+                tokenId: tokenData.tokenId,
+                count: serials.length,
+                chunks: checkpoint.completedChunks,
+                mintedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("mintNFTs", "Error minting NFTs:", error);
+            // Permet à l'appelant de reprendre là où le mint s'est arrêté
+            if (checkpoint) {
+                error.mintCheckpoint = checkpoint;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Make sure a checkpoint belongs to this run and nothing was minted behind its back
+     * @param {Object} checkpoint - Checkpoint to resume from
+     * @param {Object} tokenData - Token object from createNFTToken
+     * @param {string} batchHash - Hash of the metadata batch
+     * @param {number} chunkSize - NFTs per transaction
+     */
+    async checkMintCheckpoint(checkpoint, tokenData, batchHash, chunkSize) {
+        if (checkpoint.tokenId !== tokenData.tokenId?.toString()) {
+            throw new Error(`Checkpoint is for token ${checkpoint.tokenId}, not ${tokenData.tokenId?.toString()}`);
+        }
+        if (checkpoint.batchHash !== batchHash || checkpoint.chunkSize !== chunkSize) {
+            throw new Error("Checkpoint doesn't match this metadata batch or chunk size");
+        }
+
+        // Si un lot a été minté sans que son reçu soit enregistré, on refuse de reprendre
+        const tokenInfo = await this.getTokenBasicInfo(tokenData.tokenId);
+        const minted = checkpoint.completedChunks.reduce((sum, chunk) => sum + chunk.serials.length, 0);
+        const expectedSupply = checkpoint.startSupply + minted;
+
+        if (Number(tokenInfo.totalSupply) !== expectedSupply) {
+            throw new Error(
+                `Token supply is ${tokenInfo.totalSupply}, checkpoint expects ${expectedSupply}: ` +
+                "a chunk may have been minted without being recorded, reconcile before resuming"
+            );
+        }
+    }
+
+    /**
+     * Helper method - Metadata entries as bytes, validated before anything is sent
+     * @param {Array|Object} metadataArray - Metadata for NFTs (Buffer, string or JSON object)
+     * @returns {Array} Metadata buffers (throws on an invalid entry)
+     */
+    toMetadataBuffers(metadataArray) {
+        // S'assurer que metadataArray est un tableau
+        const metadatas = Array.isArray(metadataArray) ? metadataArray : [metadataArray];
+
+        // Convertir et valider les métadonnées avant tout envoi
+        const metadataBuffers = metadatas.map(toMetadataBuffer);
+        const errors = validateMetadataBuffers(metadataBuffers);
+        if (errors.length > 0) {
+            const details = errors.map(e => `#${e.index}: ${e.message}`).join(", ");
+            throw new Error(`Invalid NFT metadata (${errors.length} entries): ${details}`);
+        }
+        return metadataBuffers;
+    }
+
+    /**
+     * Schedule a mint that needs the approval of several supply key holders (threshold key list)
+     * Each chunk of up to 10 NFTs becomes a ScheduleCreateTransaction, signed with the supply keys we hold.
+     * The other approvers sign with signSchedule and the network runs the mint on its own as soon as the
+     * supply key is satisfied, paid by the operator. A schedule without enough signatures expires after 30 minutes.
+     * @param {Object|string} token - Token object from createNFTToken or keystore reference
+     * @param {Array|Object} metadataArray - Metadata for NFTs (Buffer, string or JSON object)
+     * @param {Object} options - chunkSize (NFTs per schedule, max 10), memo (schedule memo)
+     * @returns {Object} { tokenId, schedules (see getScheduleStatus), count, scheduledAt }
+     */
+    async scheduleMint(token, metadataArray, options = {}) {
+        const schedules = [];
+
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: true });
+            // On peut ne détenir aucune des clés de la liste : les approbateurs signent ensuite
+            const supplyKeys = this.getTokenKeys(tokenData, "supply", { prepare: true });
+            const metadataBuffers = this.toMetadataBuffers(metadataArray);
+            const chunks = chunkMetadata(metadataBuffers, options.chunkSize);
+            const tokenId = tokenData.tokenId.toString();
+
+            this.logger.info("Scheduling mint of", metadataBuffers.length, "NFT(s) in", chunks.length, "schedule(s)...");
+
+            for (const [index, chunk] of chunks.entries()) {
+                const transaction = new ScheduleCreateTransaction()
+                    .setScheduledTransaction(new TokenMintTransaction().setTokenId(tokenData.tokenId).setMetadata(chunk))
+                    .setScheduleMemo(options.memo || `Mint ${index + 1}/${chunks.length} of ${tokenId}`);
+
+                const { receipt } = await this.executeWithKeys(transaction, supplyKeys, { operation: "scheduleMint" });
+                const scheduleId = receipt.scheduleId.toString();
+                this.logger.info(`Schedule ${index + 1}/${chunks.length} created:`, scheduleId);
+
+                schedules.push(await this.reportScheduleSignature(scheduleId, tokenData));
+            }
+
+            return {
+                tokenId: tokenId,
+                schedules: schedules,
+                count: metadataBuffers.length,
+                scheduledAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("scheduleMint", "Error scheduling mint:", error);
+            // Les schedules déjà créés attendent toujours leurs signatures
+            error.schedules = schedules;
+            throw error;
+        }
+    }
+
+    /**
+     * Approve a scheduled transaction (ScheduleSignTransaction)
+     * The network runs the scheduled transaction as soon as the collected signatures satisfy its keys.
+     * @param {ScheduleId|string} scheduleId - Schedule ID
+     * @param {PrivateKey|Array} privateKeys - Approver key(s); none in prepare mode, the approver signs the envelope
+     * @param {Object} options - token: token object whose issuance trail records the mint (else found in the keystore),
+     *   prepare / dryRun (see executeWithKeys)
+     * @returns {Object} Schedule status after the signature (see getScheduleStatus), or an envelope in prepare mode
+     */
+    async signSchedule(scheduleId, privateKeys = [], options = {}) {
+        try {
+            const keys = (Array.isArray(privateKeys) ? privateKeys : [privateKeys]).filter(Boolean);
+            if (keys.length === 0 && !options.prepare && !options.dryRun) {
+                throw new Error("Pass the approver's private key(s), or prepare the signature for the approver");
+            }
+            const id = ScheduleId.fromString(scheduleId.toString());
+
+            this.logger.info("Signing schedule", id.toString(), "with", keys.length, "key(s)...");
+
+            const { prepared } = await this.executeWithKeys(new ScheduleSignTransaction().setScheduleId(id), keys, {
+                ...options,
+                operation: "signSchedule",
+                summary: { scheduleId: id.toString() },
+                requiredSigners: []
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            return await this.reportScheduleSignature(id.toString(), options.token ? this.resolveToken(options.token, { allowMissingKey: true }) : null);
+
+        } catch (error) {
+            this.failOperation("signSchedule", "Error signing schedule:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Status of a schedule we just signed; a mint our signature completed is anchored and announced
+     * @param {string} scheduleId - Schedule ID
+     * @param {Object} tokenData - Token object when known (else resolved from the token ID)
+     * @returns {Object} Schedule status (see getScheduleStatus)
+     */
+    async reportScheduleSignature(scheduleId, tokenData = null) {
+        const schedule = await this.getScheduleStatus(scheduleId);
+        this.logger.info(`Schedule ${scheduleId}: ${schedule.status}` +
+            (schedule.threshold ? ` (${schedule.approvals}/${schedule.threshold} approvals)` : ""));
+
+        if (schedule.status !== "executed" || !schedule.tokenId) {
+            return schedule;
+        }
+
+        const serials = schedule.result.serials;
+        if (schedule.result.status === "SUCCESS") {
+            const sameToken = tokenData?.tokenId?.toString() === schedule.tokenId;
+            const trailToken = this.getIssuanceTrailToken(sameToken ? tokenData : schedule.tokenId);
+            if (trailToken) {
+                await this.anchorIssuanceEvent(trailToken, {
+                    type: "mint",
+                    serials: serials,
+                    metadataHashes: schedule.metadata.map(hashMetadata),
+                    actor: trailToken.treasuryAccountId?.toString() || null,
+                    transactionId: schedule.scheduledTransactionId
+                });
+            }
+        }
+
+        this.emit("scheduledMintExecuted", {
+            scheduleId: scheduleId,
+            tokenId: schedule.tokenId,
+            serials: serials,
+            status: schedule.result.status,
+            transactionId: schedule.scheduledTransactionId,
+            executedAt: schedule.executedAt
+        });
+        return schedule;
+    }
+
+    /**
+     * Status of a schedule and of its approvals (ScheduleInfoQuery)
+     * For a scheduled mint, approvals are counted against the token's supply key, and once the mint has run
+     * its result (status, serials) is read from the receipt of the scheduled transaction.
+     * @param {ScheduleId|string} scheduleId - Schedule ID
+     * @returns {Object} { scheduleId, status (pending, executed, deleted, expired), tokenId, count, threshold, approvals, approvers, waitingFor, result, ... }
+     */
+    async getScheduleStatus(scheduleId) {
+        try {
+            const info = await this.executeQuery(
+                new ScheduleInfoQuery().setScheduleId(ScheduleId.fromString(scheduleId.toString())),
+                "getScheduleStatus"
+            );
+            const signatories = info.signers ? info.signers.toArray() : [];
+            const mint = scheduledMintFromBody(info.schedulableTransactionBody);
+
+            // Approbations : membres de la supply key (liste à seuil) qui ont signé
+            let approvals = null;
+            if (mint) {
+                const tokenInfo = await this.executeQuery(new TokenInfoQuery().setTokenId(mint.tokenId), "getScheduleStatus");
+                if (tokenInfo.supplyKey) {
+                    approvals = describeApprovals(tokenInfo.supplyKey, new Set(signatories.map(key => key.toStringRaw())));
+                }
+            }
+
+            const executedAt = info.executed ? info.executed.toDate().toISOString() : null;
+            const expiresAt = info.expirationTime ? info.expirationTime.toDate().toISOString() : null;
+
+            // Résultat de la transaction planifiée (elle peut échouer, ex. TOKEN_MAX_SUPPLY_REACHED)
+            let result = null;
+            if (executedAt) {
+                const receipt = await this.executeQuery(
+                    new TransactionReceiptQuery().setTransactionId(info.scheduledTransactionId).setValidateStatus(false),
+                    "getScheduleStatus"
+                );
+                result = {
+                    status: receipt.status.toString(),
+                    serials: (receipt.serials || []).map(s => Number(s.toString()))
+                };
+            }
+
+            return {
+                scheduleId: info.scheduleId.toString(),
+                status: scheduleStatus({ executedAt: executedAt, deleted: Boolean(info.deleted), expiresAt: expiresAt }),
+                scheduledTransactionId: info.scheduledTransactionId?.toString() || null,
+                memo: info.scheduleMemo || "",
+                creator: info.creatorAccountId?.toString() || null,
+                payer: info.payerAccountId?.toString() || null,
+                tokenId: mint?.tokenId || null,
+                count: mint ? mint.metadata.length : null,
+                metadata: mint?.metadata || [],
+                threshold: approvals?.threshold ?? null,
+                approvals: approvals?.approvals ?? null,
+                approvers: approvals?.approvers || [],
+                waitingFor: approvals?.waitingFor || [],
+                signatories: signatories.map(key => key.toString()),
+                result: result,
+                expiresAt: expiresAt,
+                executedAt: executedAt,
+                checkedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("getScheduleStatus", "Error reading schedule status:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Scheduled mints of a token still waiting for approvals (mirror node)
+     * Only the schedules created by the operator are listed, like the ones scheduleMint creates. Only the
+     * schedules young enough to be pending are read from the mirror node (see SCHEDULE_LIFETIME_SECONDS).
+     * @param {Object|string} token - Token object, token ID or keystore alias
+     * @returns {Array} { scheduleId, tokenId, count, metadata, memo, threshold, approvals, waitingFor, expiresAt, createdAt }
+     */
+    async listPendingSchedules(token) {
+        try {
+            const tokenId = this.resolveTokenId(token).toString();
+            const operatorId = this.getClient().operatorAccountId.toString();
+            const schedules = await this.getMirrorNode().listSchedules(operatorId, {
+                createdAfter: new Date(Date.now() - SCHEDULE_LIFETIME_SECONDS * 1000)
+            });
+
+            // Du plus ancien au plus récent, dans l'ordre des mints
+            const pending = schedules.reverse()
+                .filter(schedule => scheduleStatus(schedule) === "pending")
+                .map(schedule => ({ schedule: schedule, mint: decodeScheduledMint(schedule.transactionBody) }))
+                .filter(({ mint }) => mint?.tokenId === tokenId);
+            if (pending.length === 0) {
+                return [];
+            }
+
+            const tokenInfo = await this.executeQuery(new TokenInfoQuery().setTokenId(tokenId), "listPendingSchedules");
+            return pending.map(({ schedule, mint }) => {
+                const approvals = tokenInfo.supplyKey ? describeApprovals(tokenInfo.supplyKey, new Set(schedule.signerKeys)) : null;
+                return {
+                    scheduleId: schedule.scheduleId,
+                    tokenId: tokenId,
+                    count: mint.metadata.length,
+                    metadata: mint.metadata,
+                    memo: schedule.memo,
+                    threshold: approvals?.threshold ?? null,
+                    approvals: approvals?.approvals ?? null,
+                    waitingFor: approvals?.waitingFor || [],
+                    expiresAt: schedule.expiresAt,
+                    createdAt: schedule.createdAt
+                };
+            });
+
+        } catch (error) {
+            this.failOperation("listPendingSchedules", "Error listing pending schedules:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Registre des révocations (singleton pattern), obligatoire : une révocation non enregistrée serait perdue
+     */
+    getRevocationRegistry() {
+        if (!this.revocationRegistry) {
+            if (!this.config.revocationRegistryPath) {
+                throw new Error("No revocation registry: set REVOCATION_REGISTRY_PATH in your .env file or pass revocationRegistryPath in the config");
+            }
+            this.revocationRegistry = new RevocationRegistry({ path: this.config.revocationRegistryPath });
+        }
+        return this.revocationRegistry;
+    }
+
+    /**
+     * Burn NFTs still held by the treasury (e.g. a diploma minted by mistake, never delivered)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Array|number} serials - Serial numbers to burn
+     * @param {Object} options - Optional reason recorded in the revocation registry, prepare mode
+     * @returns {Object} Burn result (or an envelope in prepare mode, recorded on submission)
+     */
+    async burnNFTs(token, serials, options = {}) {
+        try {
+            // Registre vérifié avant toute transaction : un burn doit pouvoir être enregistré
+            const registry = this.getRevocationRegistry();
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const serialNumbers = (Array.isArray(serials) ? serials : [serials]).map(Number);
+            const holder = tokenData.treasuryAccountId || tokenData.treasuryAccount?.accountId;
+            const reason = options.reason || "burned from treasury";
+
+            this.logger.info("Burning", serialNumbers.length, "NFT(s) of token", tokenData.tokenId?.toString());
+            this.logger.debug("Serial Numbers:", serialNumbers);
+
+            const { response, receipt, prepared } = await this.executeWithKeys(
+                new TokenBurnTransaction()
+                    .setTokenId(tokenData.tokenId)
+                    .setSerials(serialNumbers),
+                this.getTokenKeys(tokenData, "supply", options),
+                this.tokenKeyOperation(tokenData, "supply", options, "burnNFTs", {
+                    serials: serialNumbers,
+                    holder: holder ? holder.toString() : null,
+                    reason: reason
+                })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            // Enregistrer chaque serial brûlé dans le registre
+            const revocations = serialNumbers.map(serial => registry.record({
+                tokenId: tokenData.tokenId,
+                serial: serial,
+                holder: holder,
+                reason: reason,
+                method: "burn",
+                transactionId: response.transactionId,
+                status: receipt.status
+            }));
+            await this.anchorIssuanceEvent(tokenData, {
+                type: "revocation",
+                serials: serialNumbers,
+                holder: holder ? holder.toString() : null,
+                reason: reason,
+                method: "burn",
+                actor: holder ? holder.toString() : null,
+                transactionId: response.transactionId?.toString()
+            });
+
+            this.logger.info("NFT(s) burned successfully!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                serials: serialNumbers,
+                totalSupply: receipt.totalSupply?.toString(),
+                transactionId: response.transactionId?.toString(),
+                revocations: revocations,
+                burnedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("burnNFTs", "Error burning NFTs:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Revoke a diploma held by a graduate (wipes the NFT from the holder's account)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object|string} holder - Holder account object, account ID or keystore alias
+     * @param {number} serial - NFT serial number
+     * @param {string} reason - Revocation reason (recorded in the registry)
+     * @param {Object} options - prepare: return an envelope instead of executing (recorded on submission)
+     * @returns {Object} Revocation result (or an envelope in prepare mode)
+     */
+    async revokeNFT(token, holder, serial, reason, options = {}) {
+        try {
+            if (!reason) {
+                throw new Error("A revocation reason is required");
+            }
+            const registry = this.getRevocationRegistry();
+
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const holderId = this.resolveAccountId(holder);
+            const serialNumber = Number(serial);
+
+            this.logger.info("Revoking NFT", `${tokenData.tokenId?.toString()}#${serialNumber}`, "held by", holderId);
+            this.logger.debug("Reason:", reason);
+
+            // Un compte gelé (diplôme soulbound) doit être dégelé le temps du wipe
+            const relationship = tokenData.soulbound ? await this.getTokenRelationship(tokenData.tokenId, holderId) : null;
+            if (relationship?.frozen && options.prepare) {
+                throw new Error(`Account ${holderId} is frozen for this token: unfreeze it before preparing the wipe`);
+            }
+            if (relationship?.frozen && options.dryRun) {
+                this.logger.info("Dry run: the account would be unfrozen before the wipe (not estimated)");
+            }
+
+            let unfrozen = false;
+            let wipe;
+            try {
+                if (relationship?.frozen && !options.dryRun) {
+                    await this.unfreezeAccount(tokenData, holderId);
+                    unfrozen = true;
+                }
+                wipe = await this.executeWithKeys(
+                    new TokenWipeTransaction()
+                        .setTokenId(tokenData.tokenId)
+                        .setAccountId(holderId)
+                        .setSerials([serialNumber]),
+                    this.getTokenKeys(tokenData, "wipe", options),
+                    this.tokenKeyOperation(tokenData, "wipe", options, "revokeNFT", {
+                        serials: [serialNumber],
+                        holder: holderId,
+                        reason: reason
+                    })
+                );
+            } finally {
+                // Les autres diplômes du titulaire restent verrouillés, même si le wipe échoue
+                if (unfrozen) {
+                    await this.freezeAccount(tokenData, holderId);
+                }
+            }
+
+            const { response, receipt, prepared } = wipe;
+            if (prepared) {
+                return prepared;
+            }
+
+            const revocation = registry.record({
+                tokenId: tokenData.tokenId,
+                serial: serialNumber,
+                holder: holderId,
+                reason: reason,
+                method: "wipe",
+                transactionId: response.transactionId,
+                status: receipt.status
+            });
+            await this.anchorIssuanceEvent(tokenData, {
+                type: "revocation",
+                serials: [serialNumber],
+                holder: holderId.toString(),
+                reason: reason,
+                method: "wipe",
+                actor: tokenData.treasuryAccountId?.toString() || null,
+                transactionId: response.transactionId?.toString()
+            });
+
+            this.logger.info("NFT revoked successfully!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                serialNumber: serialNumber,
+                holder: holderId,
+                reason: reason,
+                transactionId: response.transactionId?.toString(),
+                revocation: revocation,
+                revokedAt: revocation.timestamp
+            };
+
+        } catch (error) {
+            this.failOperation("revokeNFT", "Error revoking NFT:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Revocation entry of a serial (null when not revoked)
+     * @param {string} token - Token ID or keystore alias
+     * @param {number} serial - NFT serial number
+     * @returns {Object|null} Revocation entry
+     */
+    getRevocation(token, serial) {
+        return this.getRevocationRegistry().get(this.resolveTokenId(token).toString(), serial);
+    }
+
+    /**
+     * Create the issuance topic of a collection (Consensus Service)
+     * Mints, transfers and revocations are then published on it as hashed messages signed by the treasury key,
+     * which is also the topic's submit and admin key. The first message announces that key (see IssuanceTrailReader).
+     * The topic ID is saved with the token in the keystore, and set on the token object passed.
+     * @param {Object|string} token - Token object from createNFTToken or keystore reference
+     * @returns {Object} { tokenId, topicId, transactionId, createdAt }
+     */
+    async createIssuanceTopic(token) {
+        try {
+            const tokenData = this.resolveToken(token);
+            const tokenId = tokenData.tokenId.toString();
+            const treasuryKey = this.issuanceTrailKey(tokenData.treasuryAccount, `token ${tokenId}`);
+            if (tokenData.issuanceTopicId) {
+                throw new Error(`Token ${tokenId} already has an issuance topic (${tokenData.issuanceTopicId})`);
+            }
+
+            this.logger.info("Creating issuance topic for token", tokenId);
+
+            const { response, receipt } = await this.executeWithKeys(
+                new TopicCreateTransaction()
+                    .setTopicMemo(`Issuance trail of ${tokenId}`)
+                    .setAdminKey(treasuryKey.publicKey)
+                    .setSubmitKey(treasuryKey.publicKey),
+                [treasuryKey],
+                { operation: "createIssuanceTopic" }
+            );
+
+            const topicId = receipt.topicId.toString();
+            tokenData.issuanceTopicId = topicId;
+            if (this.keystore?.findTokenEntry(tokenId)) {
+                this.keystore.saveTokenSettings(tokenId, { issuanceTopicId: topicId });
+            }
+
+            // Premier message : la clé qui signe l'historique
+            const treasuryId = tokenData.treasuryAccount.accountId.toString();
+            await this.publishIssuanceEvent(tokenData, {
+                type: "collection",
+                treasury: treasuryId,
+                publicKey: treasuryKey.publicKey.toStringDer(),
+                actor: treasuryId,
+                transactionId: response.transactionId?.toString()
+            });
+
+            this.logger.info("Issuance topic created!", topicId);
+
+            return {
+                tokenId: tokenId,
+                topicId: topicId,
+                transactionId: response.transactionId?.toString(),
+                createdAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("createIssuanceTopic", "Error creating issuance topic:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Treasury key that signs an issuance trail
+     * Trail messages are verified against one announced public key: a key list treasury can't sign them.
+     * @param {Object} treasuryAccount - Treasury account object
+     * @param {string} label - Token named in errors
+     * @returns {PrivateKey} Treasury private key
+     */
+    issuanceTrailKey(treasuryAccount, label) {
+        if (treasuryAccount?.privateKeys) {
+            throw new Error(
+                `The treasury of ${label} is a key list account: an issuance trail is signed with a single ` +
+                "treasury key, use a treasury with its own private key for an anchored collection"
+            );
+        }
+        if (!treasuryAccount?.privateKey) {
+            throw new Error(`The treasury key of ${label} is needed to sign its issuance trail`);
+        }
+        return treasuryAccount.privateKey;
+    }
+
+    /**
+     * Helper method - Token object when the collection has an issuance topic, null otherwise
+     * @param {string|Object} token - Token object, token ID or keystore alias
+     * @returns {Object|null} Token object with its keys
+     */
+    getIssuanceTrailToken(token) {
+        if (token && typeof token === "object" && !(token instanceof TokenId)) {
+            return token.issuanceTopicId ? token : null;
+        }
+
+        const tokenId = this.resolveTokenId(token);
+        if (!this.keystore?.findTokenEntry(tokenId.toString())?.settings?.issuanceTopicId) {
+            return null;
+        }
+        return this.resolveToken(tokenId.toString());
+    }
+
+    /**
+     * Helper method - Publish an issuance event on the collection's topic (split in several messages if too long)
+     * @param {Object} tokenData - Token object with issuanceTopicId and its treasury account
+     * @param {Object} event - type, serials, actor, transactionId and type-specific fields
+     * @returns {Object} Payload of the issuanceAnchored event
+     */
+    async publishIssuanceEvent(tokenData, event) {
+        const treasuryKey = this.issuanceTrailKey(tokenData.treasuryAccount, `token ${tokenData.tokenId.toString()}`);
+
+        const messages = buildIssuanceMessages({
+            ...event,
+            tokenId: tokenData.tokenId.toString(),
+            occurredAt: new Date().toISOString()
+        }, treasuryKey);
+
+        const sequenceNumbers = [];
+        for (const message of messages) {
+            const { receipt } = await this.executeWithKeys(
+                new TopicMessageSubmitTransaction()
+                    .setTopicId(tokenData.issuanceTopicId)
+                    .setMessage(message),
+                [treasuryKey],
+                { operation: "anchorIssuance" }
+            );
+            sequenceNumbers.push(Number(receipt.topicSequenceNumber.toString()));
+        }
+
+        const anchored = {
+            topicId: tokenData.issuanceTopicId.toString(),
+            tokenId: tokenData.tokenId.toString(),
+            type: event.type,
+            serials: event.serials || [],
+            sequenceNumbers: sequenceNumbers,
+            anchoredAt: new Date().toISOString()
+        };
+        this.logger.debug(`Issuance ${event.type} anchored on topic ${anchored.topicId}, sequence:`, sequenceNumbers);
+        this.emit("issuanceAnchored", anchored);
+        return anchored;
+    }
+
+    /**
+     * Helper method - Anchor an executed operation when the collection has an issuance topic
+     * The operation already reached consensus: a publication failure is reported (operationFailed), never thrown.
+     * @param {string|Object} token - Token object, token ID or keystore alias
+     * @param {Object} event - Event to publish (see publishIssuanceEvent)
+     * @returns {Object|null} Anchoring details, null when nothing was published
+     */
+    async anchorIssuanceEvent(token, event) {
+        try {
+            const tokenData = this.getIssuanceTrailToken(token);
+            return tokenData ? await this.publishIssuanceEvent(tokenData, event) : null;
+        } catch (error) {
+            this.failOperation("anchorIssuance", `Error anchoring ${event.type} on the issuance topic:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Rebuild and check a collection's issuance history from its topic (mirror node)
+     * @param {string|Object} token - Token object, token ID or keystore alias
+     * @param {Object} options - topicId (defaults to the token's), publicKey (trusted key), checkLedger (default true)
+     * @returns {Object} History (see IssuanceTrailReader.read)
+     */
+    async readIssuanceHistory(token, options = {}) {
+        try {
+            const tokenId = this.resolveTokenId(token).toString();
+            const topicId = options.topicId || this.getIssuanceTrailToken(token)?.issuanceTopicId;
+            if (!topicId) {
+                throw new Error(`No issuance topic known for token ${tokenId}, pass its topicId`);
+            }
+
+            const reader = new IssuanceTrailReader({ mirrorNode: this.getMirrorNode() });
+            return await reader.read(topicId, {
+                tokenId: tokenId,
+                publicKey: options.publicKey,
+                checkLedger: options.checkLedger
+            });
+
+        } catch (error) {
+            this.failOperation("readIssuanceHistory", "Error reading issuance history:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Get essential token information
+     * @param {string} token - Token ID or keystore alias
+     * @returns {Object} Essential token info
+     */
+    async getTokenBasicInfo(token) {
+        try {
+            const tokenId = this.resolveTokenId(token);
+
+            this.logger.debug("Getting token info for:", tokenId?.toString());
+
+            const tokenInfo = await this.executeQuery(new TokenInfoQuery().setTokenId(tokenId));
+
+            return {
+                tokenId: tokenInfo.tokenId?.toString(),
+                name: tokenInfo.name,
+                symbol: tokenInfo.symbol,
+                type: tokenInfo.tokenType?.toString(),
+                totalSupply: tokenInfo.totalSupply?.toString(),
+                maxSupply: tokenInfo.maxSupply?.toString(),
+                treasury: tokenInfo.treasuryAccountId?.toString(),
+                customFees: describeCustomFees(tokenInfo.customFees)
+            };
+        } catch (error) {
+            this.failOperation("getTokenBasicInfo", "Error getting token basic info:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Update token properties and keys (signed by the admin key)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object} updates - name, symbol, memo, expirationTime, autoRenewAccount, autoRenewPeriod
+     *                           and any key field (adminKey, freezeKey, ...) with the createNFTToken formats
+     * @param {Object} options - prepare: return an envelope instead of executing (new keys are then not saved)
+     * @returns {Object} Update result (or an envelope in prepare mode)
+     */
+    async updateToken(token, updates = {}, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            this.assertNoGeneratedKeys(updates, options);
+            const newKeys = resolveTokenKeys(updates);
+            const autoRenewAccount = updates.autoRenewAccount
+                ? this.resolveAccount(updates.autoRenewAccount, { allowMissingKey: options.prepare })
+                : null;
+
+            this.logger.info("Updating token", tokenData.tokenId?.toString());
+
+            const transaction = new TokenUpdateTransaction().setTokenId(tokenData.tokenId);
+
+            if (updates.name) transaction.setTokenName(updates.name);
+            if (updates.symbol) transaction.setTokenSymbol(updates.symbol);
+            if (updates.memo !== undefined) transaction.setTokenMemo(updates.memo);
+            if (updates.expirationTime) transaction.setExpirationTime(updates.expirationTime);
+            if (autoRenewAccount) transaction.setAutoRenewAccountId(autoRenewAccount.accountId);
+            if (updates.autoRenewPeriod) transaction.setAutoRenewPeriod(updates.autoRenewPeriod);
+
+            for (const [role, { key }] of Object.entries(newKeys)) {
+                transaction[TOKEN_KEY_ROLES[role].setter](key);
+            }
+
+            // Un nouvel admin key doit aussi signer la transaction
+            const tokenId = tokenData.tokenId.toString();
+            const { receipt, prepared } = await this.executeWithKeys(transaction, [
+                ...this.getTokenKeys(tokenData, "admin", options),
+                ...(newKeys.admin?.privateKeys || []),
+                ...this.accountKeys(autoRenewAccount)
+            ], {
+                ...options,
+                operation: "updateToken",
+                summary: { tokenId: tokenId, updatedFields: Object.keys(updates) },
+                requiredSigners: [
+                    { role: "admin", tokenId: tokenId, keyRole: "admin" },
+                    ...(newKeys.admin ? [{ role: "newAdmin", key: serializeKey(newKeys.admin.key) }] : []),
+                    ...(autoRenewAccount ? [{ role: "autoRenew", accountId: autoRenewAccount.accountId.toString() }] : [])
+                ]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            this.storeTokenKeys(tokenData, newKeys);
+
+            this.logger.info("Token updated successfully!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                updatedFields: Object.keys(updates),
+                updatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("updateToken", "Error updating token:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Rotate one key of a token
+     * Signed by the admin key when we hold it, and by the current key of the role (HIP-540).
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {string} role - Key role (admin, supply, freeze, wipe, kyc, pause, feeSchedule, metadata)
+     * @param {*} newKeySpec - New key (PrivateKey, PublicKey, KeyList, "generate", [keys] or { keys, threshold })
+     * @param {Object} options - prepare: return an envelope instead of executing (the new key must be given)
+     * @returns {Object} Rotation result (or an envelope in prepare mode)
+     */
+    async rotateKey(token, role, newKeySpec = "generate", options = {}) {
+        try {
+            assertKeyRole(role);
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            this.assertNoGeneratedKeys({ [TOKEN_KEY_ROLES[role].configField]: newKeySpec }, options);
+            const newKey = resolveKeySpec(newKeySpec);
+
+            this.logger.info("Rotating", role, "key of token", tokenData.tokenId?.toString());
+
+            const signingKeys = [
+                ...privateKeysForRole(tokenData.keys, "admin"),
+                ...privateKeysForRole(tokenData.keys, role),
+                ...(role === "admin" ? newKey.privateKeys : [])
+            ];
+            if (signingKeys.length === 0 && !options.prepare) {
+                throw new Error(`No admin or ${role} key available to rotate the ${role} key`);
+            }
+
+            const transaction = new TokenUpdateTransaction().setTokenId(tokenData.tokenId);
+            transaction[TOKEN_KEY_ROLES[role].setter](newKey.key);
+
+            // Signé par l'admin key, ou par la clé actuelle du rôle (HIP-540)
+            const tokenId = tokenData.tokenId.toString();
+            const adminSigner = { role: "admin", tokenId: tokenId, keyRole: "admin" };
+            const { receipt, prepared } = await this.executeWithKeys(transaction, signingKeys, {
+                ...options,
+                operation: "rotateKey",
+                summary: { tokenId: tokenId, role: role, newKey: newKey.key.toString() },
+                requiredSigners: role === "admin"
+                    ? [adminSigner, { role: "newAdmin", key: serializeKey(newKey.key) }]
+                    : [{ role: `admin or ${role}`, anyOf: [adminSigner, { role: role, tokenId: tokenId, keyRole: role }] }]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            this.storeTokenKeys(tokenData, { [role]: newKey });
+
+            this.logger.info("Key rotated successfully!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                role: role,
+                newKey: newKey.key,
+                rotatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("rotateKey", "Error rotating token key:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Refuse "generate" key specs in prepare mode (the private key could not be saved)
+     * @param {Object} config - Token configuration or updates
+     * @param {Object} options - Operation options
+     */
+    assertNoGeneratedKeys(config, options = {}) {
+        if (!options.prepare) {
+            return;
+        }
+
+        const generated = Object.entries(TOKEN_KEY_ROLES)
+            .filter(([, { configField }]) => isGeneratedKeySpec(config[configField]))
+            .map(([role]) => role);
+        if (generated.length > 0) {
+            throw new Error(`Keys can't be generated in prepare mode (${generated.join(", ")}): pass keys you already hold`);
+        }
+    }
+
+    /**
+     * Helper method - executeWithKeys options of an operation signed by one token key
+     * @param {Object} tokenData - Token object
+     * @param {string} role - Key role that signs
+     * @param {Object} options - Operation options (prepare, validStart)
+     * @param {string} operation - Operation name
+     * @param {Object} summary - Extra summary details
+     * @returns {Object} executeWithKeys options
+     */
+    tokenKeyOperation(tokenData, role, options, operation, summary = {}) {
+        const tokenId = tokenData.tokenId.toString();
+        return {
+            ...options,
+            operation: operation,
+            summary: { tokenId: tokenId, ...summary },
+            requiredSigners: [{ role: role, tokenId: tokenId, keyRole: role }]
+        };
+    }
+
+    /**
+     * Helper method - Keep token keys up to date after an update (object + keystore)
+     * @param {Object} tokenData - Token object from resolveToken
+     * @param {Object} newKeys - Map role -> { key, privateKeys }
+     */
+    storeTokenKeys(tokenData, newKeys) {
+        tokenData.keys = tokenData.keys || {};
+
+        for (const [role, { key, privateKeys }] of Object.entries(newKeys)) {
+            if (privateKeys.length === 0) {
+                // Clé externe : on ne peut plus signer pour ce rôle
+                delete tokenData.keys[role];
+                this.keystore?.removeTokenKey(tokenData.tokenId.toString(), role);
+                continue;
+            }
+
+            const value = key instanceof KeyList ? privateKeys : privateKeys[0];
+            tokenData.keys[role] = value;
+            this.keystore?.saveTokenKey(tokenData.tokenId, role, value);
+        }
+    }
+
+    /**
+     * Replace the custom fee schedule of a token (signed by the fee schedule key)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Array} customFees - New fees (see buildCustomFees), [] removes every fee
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Update result (or an envelope in prepare mode)
+     */
+    async updateFeeSchedule(token, customFees = [], options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const fees = buildCustomFees(customFees, account => this.resolveAccountId(account));
+
+            this.logger.info("Updating fee schedule of token", tokenData.tokenId?.toString());
+            this.logger.debug("Custom fees:", fees.length);
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenFeeScheduleUpdateTransaction()
+                    .setTokenId(tokenData.tokenId)
+                    .setCustomFees(fees),
+                this.getTokenKeys(tokenData, "feeSchedule", options),
+                this.tokenKeyOperation(tokenData, "feeSchedule", options, "updateFeeSchedule", {
+                    customFees: describeCustomFees(fees).map(fee => JSON.stringify(fee))
+                })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Fee schedule updated!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                customFees: describeCustomFees(fees),
+                updatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("updateFeeSchedule", "Error updating fee schedule:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pause a token (no transfer, mint or burn until unpaused)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Pause result (or an envelope in prepare mode)
+     */
+    async pauseToken(token, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+
+            this.logger.info("Pausing token", tokenData.tokenId?.toString());
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenPauseTransaction().setTokenId(tokenData.tokenId),
+                this.getTokenKeys(tokenData, "pause", options),
+                this.tokenKeyOperation(tokenData, "pause", options, "pauseToken")
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Token paused!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                paused: true,
+                pausedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("pauseToken", "Error pausing token:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unpause a token
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Unpause result (or an envelope in prepare mode)
+     */
+    async unpauseToken(token, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+
+            this.logger.info("Unpausing token", tokenData.tokenId?.toString());
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenUnpauseTransaction().setTokenId(tokenData.tokenId),
+                this.getTokenKeys(tokenData, "pause", options),
+                this.tokenKeyOperation(tokenData, "pause", options, "unpauseToken")
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Token unpaused!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                paused: false,
+                unpausedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("unpauseToken", "Error unpausing token:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Freeze an account for a token (the account can no longer send or receive it)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object|string} account - Account object, account ID or keystore alias
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Freeze result (or an envelope in prepare mode)
+     */
+    async freezeAccount(token, account, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const accountId = this.resolveAccountId(account);
+
+            this.logger.info("Freezing account", accountId, "for token", tokenData.tokenId?.toString());
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenFreezeTransaction().setTokenId(tokenData.tokenId).setAccountId(accountId),
+                this.getTokenKeys(tokenData, "freeze", options),
+                this.tokenKeyOperation(tokenData, "freeze", options, "freezeAccount", { accountId: accountId })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Account frozen!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                accountId: accountId,
+                frozen: true,
+                frozenAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("freezeAccount", "Error freezing account:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Unfreeze an account for a token
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object|string} account - Account object, account ID or keystore alias
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Unfreeze result (or an envelope in prepare mode)
+     */
+    async unfreezeAccount(token, account, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+            const accountId = this.resolveAccountId(account);
+
+            this.logger.info("Unfreezing account", accountId, "for token", tokenData.tokenId?.toString());
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenUnfreezeTransaction().setTokenId(tokenData.tokenId).setAccountId(accountId),
+                this.getTokenKeys(tokenData, "freeze", options),
+                this.tokenKeyOperation(tokenData, "freeze", options, "unfreezeAccount", { accountId: accountId })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Account unfrozen!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                accountId: accountId,
+                frozen: false,
+                unfrozenAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("unfreezeAccount", "Error unfreezing account:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a token (irreversible, signed by the admin key)
+     * @param {Object|string} token - Token object or keystore reference
+     * @param {Object} options - prepare: return an envelope instead of executing
+     * @returns {Object} Delete result (or an envelope in prepare mode)
+     */
+    async deleteToken(token, options = {}) {
+        try {
+            const tokenData = this.resolveToken(token, { allowMissingKey: options.prepare });
+
+            this.logger.info("Deleting token", tokenData.tokenId?.toString());
+
+            const { receipt, prepared } = await this.executeWithKeys(
+                new TokenDeleteTransaction().setTokenId(tokenData.tokenId),
+                this.getTokenKeys(tokenData, "admin", options),
+                this.tokenKeyOperation(tokenData, "admin", options, "deleteToken")
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Token deleted!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenData.tokenId,
+                deleted: true,
+                deletedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("deleteToken", "Error deleting token:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Associate a token with an account (required before receiving NFTs)
+     * @param {Object|string} accountRef - Account object or keystore reference
+     * @param {string} token - Token ID (or keystore alias) to associate
+     * @param {Object} options - prepare: return an envelope for the account holder to sign
+     * @returns {Object} Association result (or an envelope in prepare mode)
+     */
+    async associateTokenToAccount(accountRef, token, options = {}) {
+        try {
+            const account = this.resolveAccount(accountRef, { allowMissingKey: options.prepare });
+            const tokenId = this.resolveTokenId(token);
+
+            this.logger.info("Associating token", tokenId?.toString(), "to account", account.accountId?.toString());
+
+            const transaction = new TokenAssociateTransaction()
+                .setAccountId(account.accountId)
+                .setTokenIds([tokenId]);
+
+            const { receipt, prepared } = await this.executeWithKeys(transaction, this.accountKeys(account), {
+                ...options,
+                operation: "associateTokenToAccount",
+                summary: { accountId: account.accountId.toString(), tokenId: tokenId.toString() },
+                requiredSigners: [{ role: "account", accountId: account.accountId.toString() }]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("Token association successful!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                accountId: account.accountId,
+                tokenId: tokenId,
+                associatedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("associateTokenToAccount", "Error associating token to account:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Token object when the token is soulbound, null otherwise
+     * @param {string|Object} token - Token object, token ID or keystore alias
+     * @returns {Object|null} Token object with its keys
+     */
+    getSoulboundToken(token) {
+        if (token && typeof token === "object" && !(token instanceof TokenId)) {
+            return token.soulbound ? token : null;
+        }
+
+        // Un token inconnu du keystore est traité comme transférable ; les clés ne sont déchiffrées que si besoin
+        const tokenId = this.resolveTokenId(token);
+        if (!this.keystore?.findTokenEntry(tokenId)?.settings?.soulbound) {
+            return null;
+        }
+        return this.resolveToken(tokenId.toString());
+    }
+
+    /**
+     * Helper method - Is this account the token treasury?
+     * @param {Object} tokenData - Token object
+     * @param {Object|string} account - Account reference
+     * @returns {boolean}
+     */
+    isTreasury(tokenData, account) {
+        const treasuryId = tokenData.treasuryAccountId?.toString() || tokenData.treasuryAccount?.accountId?.toString();
+        return Boolean(treasuryId) && treasuryId === this.resolveAccountId(account);
+    }
+
+    /**
+     * Helper method - Deliver soulbound NFTs and lock their receivers, whatever the outcome
+     * Frozen receivers are unfrozen for the delivery. Afterwards every receiver is locked on success,
+     * and the receivers unfrozen here are locked again on failure (their other diplomas stay locked).
+     * @param {Array} receivers - { tokenData, account } of each soulbound delivery (treasury receivers are skipped)
+     * @param {Function} deliver - Runs the transfer
+     * @returns {*} Result of deliver
+     */
+    async deliverSoulbound(receivers, deliver) {
+        const locks = new Map();
+        for (const { tokenData, account } of receivers) {
+            const accountId = this.resolveAccountId(account);
+            if (!this.isTreasury(tokenData, accountId)) {
+                locks.set(`${tokenData.tokenId.toString()}|${accountId}`, { tokenData: tokenData, accountId: accountId });
+            }
+        }
+
+        const unfrozen = [];
+        let delivered = false;
+        try {
+            for (const lock of locks.values()) {
+                const relationship = await this.getTokenRelationship(lock.tokenData.tokenId, lock.accountId);
+                if (relationship.frozen) {
+                    await this.unfreezeAccount(lock.tokenData, lock.accountId);
+                    unfrozen.push(lock);
+                }
+            }
+
+            const result = await deliver();
+            delivered = true;
+            return result;
+
+        } finally {
+            for (const lock of delivered ? locks.values() : unfrozen) {
+                await this.lockDiploma(lock.tokenData, lock.accountId);
+            }
+        }
+    }
+
+    /**
+     * Get the relationship between an account and a token (association, freeze, balance)
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {string|Object} account - Account ID, keystore alias or account object
+     * @returns {Object} Relationship info
+     */
+    async getTokenRelationship(token, account) {
+        try {
+            const tokenId = this.resolveTokenId(token).toString();
+            const accountId = this.resolveAccountId(account);
+
+            const info = await this.executeQuery(new AccountInfoQuery().setAccountId(accountId));
+
+            const relationship = info.tokenRelationships?.get(tokenId);
+
+            return {
+                accountId: accountId,
+                tokenId: tokenId,
+                associated: Boolean(relationship),
+                frozen: relationship?.isFrozen === true,
+                kycGranted: relationship?.isKycGranted ?? null,
+                balance: relationship ? relationship.balance?.toString() : "0"
+            };
+
+        } catch (error) {
+            this.failOperation("getTokenRelationship", "Error getting token relationship:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Can this account receive the token right now? (association or free automatic association slot)
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {string|Object} account - Account ID, keystore alias or account object
+     * @returns {Object} Association status
+     */
+    async getAssociationStatus(token, account) {
+        try {
+            const tokenId = this.resolveTokenId(token).toString();
+            const accountId = this.resolveAccountId(account);
+
+            const info = await this.executeQuery(new AccountInfoQuery().setAccountId(accountId));
+
+            const relationships = info.tokenRelationships ? [...info.tokenRelationships.values()] : [];
+            const maxAutomatic = Number(info.maxAutomaticTokenAssociations?.toString() ?? 0);
+            const usedAutomatic = relationships.filter(relationship => relationship.automaticAssociation === true).length;
+
+            // -1 : associations automatiques illimitées (HIP-904)
+            const unlimited = maxAutomatic === -1;
+
+            return {
+                accountId: accountId,
+                tokenId: tokenId,
+                associated: Boolean(info.tokenRelationships?.get(tokenId)),
+                maxAutomaticTokenAssociations: maxAutomatic,
+                usedAutomaticAssociations: usedAutomatic,
+                freeAutomaticAssociations: unlimited ? null : Math.max(0, maxAutomatic - usedAutomatic),
+                canAutoAssociate: unlimited || maxAutomatic > usedAutomatic
+            };
+
+        } catch (error) {
+            this.failOperation("getAssociationStatus", "Error getting association status:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Make sure an account can receive a token, associating only when it's really needed
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {Object|string} account - Account object or keystore reference (its key is only needed to associate)
+     * @returns {Object} { path: "already-associated" | "auto-association" | "associated", status }
+     */
+    async ensureTokenAssociation(token, account) {
+        const tokenId = this.resolveTokenId(token);
+        const accountRef = this.resolveAccount(account, { allowMissingKey: true });
+        const status = await this.getAssociationStatus(tokenId, accountRef);
+
+        if (status.associated) {
+            this.logger.info("Token already associated to account", status.accountId);
+            return { path: "already-associated", status: status };
+        }
+        if (status.canAutoAssociate) {
+            this.logger.info("Account", status.accountId, "has a free automatic association slot, no association needed");
+            return { path: "auto-association", status: status };
+        }
+        if (this.accountKeys(accountRef).length === 0) {
+            throw new NotAssociatedError(
+                `Account ${status.accountId} is not associated with token ${status.tokenId} and has no free automatic ` +
+                "association slot: the account holder must associate it first (associateTokenToAccount in prepare mode)",
+                { operation: "ensureTokenAssociation" }
+            );
+        }
+
+        const association = await this.associateTokenToAccount(accountRef, tokenId);
+        return { path: "associated", status: status, association: association };
+    }
+
+    /**
+     * Lock a delivered diploma with its holder (freezes the holder for this token)
+     * @param {Object|string} token - Soulbound token object or keystore reference
+     * @param {Object|string} holder - Holder account object, account ID or keystore alias
+     * @returns {Object} Freeze result
+     */
+    async lockDiploma(token, holder) {
+        const tokenData = this.resolveToken(token);
+        if (!tokenData.soulbound) {
+            throw new Error(`Token ${tokenData.tokenId?.toString()} is not soulbound`);
+        }
+        if (this.isTreasury(tokenData, holder)) {
+            throw new Error("The treasury account can't be locked");
+        }
+
+        this.logger.info("Locking diploma with holder", this.resolveAccountId(holder));
+        return this.freezeAccount(tokenData, holder);
+    }
+
+    /**
+     * Deliver a diploma from the treasury to a graduate, then lock it (soulbound)
+     * @param {Object|string} token - Soulbound token object or keystore reference
+     * @param {Object|string} graduate - Graduate account object or keystore reference
+     * @param {number} serialNumber - NFT serial number
+     * @returns {Object} Transfer result (see transferNFTWithBalanceCheck)
+     */
+    async deliverDiploma(token, graduate, serialNumber) {
+        const tokenData = this.resolveToken(token);
+        if (!tokenData.soulbound) {
+            throw new Error(`Token ${tokenData.tokenId?.toString()} is not soulbound`);
+        }
+
+        const treasury = tokenData.treasuryAccount;
+        if (this.accountKeys(treasury).length === 0) {
+            throw new Error(`Treasury key of token ${tokenData.tokenId?.toString()} is not available`);
+        }
+
+        return this.transferNFTWithBalanceCheck(tokenData, treasury, graduate, serialNumber);
+    }
+
+    /**
+     * Is the diploma of this holder locked?
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {string|Object} holder - Account ID, keystore alias or account object
+     * @returns {Object} { locked, soulbound, associated, frozen, balance }
+     */
+    async isDiplomaLocked(token, holder) {
+        const relationship = await this.getTokenRelationship(token, holder);
+        const soulbound = Boolean(this.getSoulboundToken(token));
+
+        return {
+            ...relationship,
+            soulbound: soulbound,
+            locked: relationship.associated && relationship.frozen
+        };
+    }
+
+    /**
+     * Get account balance (HBAR + tokens)
+     * @param {string|Object} account - Account ID string, keystore alias or account object
+     * @returns {Object} Account balance information
+     */
+    async getAccountBalance(account) {
+        try {
+            const accountId = this.resolveAccountId(account);
+
+            this.logger.debug("Getting balance for account:", accountId?.toString());
+
+            const balance = await this.executeQuery(new AccountBalanceQuery().setAccountId(accountId));
+
+            const result = {
+                accountId: accountId?.toString(),
+                hbarBalance: balance.hbars?.toString(),
+                tokens: {}
+            };
+
+            // Convertir les tokens en format lisible
+            // TokenBalanceMap (ObjectMap du SDK) : itérable, sans forEach
+            if (balance.tokens && balance.tokens.size > 0) {
+                for (const [tokenId, amount] of balance.tokens) {
+                    result.tokens[tokenId.toString()] = amount.toString();
+                }
+            }
+
+            this.logger.debug("Account Balance:");
+            this.logger.debug("HBAR:", result.hbarBalance);
+            this.logger.debug("Tokens:", Object.keys(result.tokens).length > 0 ? result.tokens : "None");
+
+            return result;
+
+        } catch (error) {
+            this.failOperation("getAccountBalance", "Error getting account balance:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transfer NFT from one account to another
+     * @param {string} token - Token ID or keystore alias
+     * @param {Object|string} from - Sender account object or keystore reference
+     * @param {Object|string} to - Receiver account object, keystore reference or account ID (its key is not needed)
+     * @param {number} serialNumber - NFT serial number
+     * A soulbound diploma can only leave the treasury, and its receiver is locked right after delivery.
+     * @param {Object} options - prepare: return an envelope for the sender to sign (not for soulbound tokens)
+     * @returns {Object} Transfer result (or an envelope in prepare mode)
+     */
+    async transferNFT(token, from, to, serialNumber, options = {}) {
+        try {
+            const tokenId = this.resolveTokenId(token);
+            const fromAccount = this.resolveAccount(from, { allowMissingKey: options.prepare });
+            const toAccount = this.resolveAccount(to, { allowMissingKey: true });
+
+            // Un diplôme soulbound ne peut être envoyé que par la treasury
+            const soulboundToken = this.getSoulboundToken(token);
+            if (soulboundToken && !this.isTreasury(soulboundToken, fromAccount)) {
+                throw new Error(
+                    `Token ${tokenId?.toString()} is soulbound: only the treasury can transfer it, ` +
+                    `not ${fromAccount.accountId?.toString()}`
+                );
+            }
+            // Une enveloppe signée ailleurs laisserait le destinataire déverrouillé
+            if (soulboundToken && options.prepare) {
+                throw new Error(`Token ${tokenId?.toString()} is soulbound: its delivery can't be prepared, the receiver must be locked right after it`);
+            }
+
+            this.logger.info("Transferring NFT...");
+            this.logger.debug("Token ID:", tokenId?.toString());
+            this.logger.debug("Serial Number:", serialNumber);
+            this.logger.debug("From:", fromAccount.accountId?.toString());
+            this.logger.debug("To:", toAccount.accountId?.toString());
+
+            // Create transfer transaction
+            const transaction = new TransferTransaction()
+                .addNftTransfer(tokenId, serialNumber, fromAccount.accountId, toAccount.accountId);
+
+            // Seul l'expéditeur doit signer ; le destinataire signe si on détient sa clé
+            const locking = soulboundToken && !options.dryRun;
+            const { response, receipt, prepared } = await this.deliverSoulbound(
+                locking ? [{ tokenData: soulboundToken, account: toAccount }] : [],
+                () => this.executeWithKeys(transaction, [
+                    ...this.accountKeys(fromAccount),
+                    ...this.accountKeys(toAccount)
+                ], {
+                    ...options,
+                    operation: "transferNFT",
+                    summary: {
+                        tokenId: tokenId.toString(),
+                        serialNumber: Number(serialNumber),
+                        from: fromAccount.accountId.toString(),
+                        to: toAccount.accountId.toString()
+                    },
+                    requiredSigners: [{ role: "sender", accountId: fromAccount.accountId.toString() }]
+                })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("NFT transfer successful!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            const result = {
+                status: receipt.status,
+                tokenId: tokenId,
+                serialNumber: serialNumber,
+                fromAccount: fromAccount.accountId?.toString(),
+                toAccount: toAccount.accountId?.toString(),
+                transactionId: response.transactionId?.toString(),
+                locked: Boolean(locking),
+                transferredAt: new Date().toISOString()
+            };
+            this.emitTransferCompleted(result);
+            await this.anchorIssuanceEvent(token, {
+                type: "transfer",
+                serials: [Number(serialNumber)],
+                from: result.fromAccount,
+                to: result.toAccount,
+                actor: result.spender || result.fromAccount,
+                transactionId: result.transactionId
+            });
+            return result;
+
+        } catch (error) {
+            this.failOperation("transferNFT", "Error transferring NFT:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Complete NFT transfer workflow with balance checks
+     * @param {string} token - Token ID or keystore alias
+     * @param {Object|string} from - Sender account or keystore reference
+     * @param {Object|string} to - Receiver account or keystore reference
+     * @param {number} serialNumber - NFT serial number
+     * @returns {Object} Complete transfer result with before/after balances
+     */
+    async transferNFTWithBalanceCheck(token, from, to, serialNumber) {
+        try {
+            const tokenId = this.resolveTokenId(token);
+            const fromAccount = this.resolveAccount(from);
+            const toAccount = this.resolveAccount(to, { allowMissingKey: true });
+            this.logger.info("Starting NFT transfer with balance checks...");
+
+            // Step 1: Check balances before transfer
+            this.logger.debug("BEFORE TRANSFER:");
+            const beforeBalanceFrom = await this.getAccountBalance(fromAccount);
+            const beforeBalanceTo = await this.getAccountBalance(toAccount);
+
+            // Step 2: Associate token to receiver only if needed
+            const association = await this.ensureTokenAssociation(tokenId, toAccount);
+
+            // Step 3: Execute transfer (soulbound : transferNFT verrouille le destinataire)
+            const transferResult = await this.transferNFT(token, fromAccount, toAccount, serialNumber);
+
+            // Step 4: Check balances after transfer
+            this.logger.debug("AFTER TRANSFER:");
+            const afterBalanceFrom = await this.getAccountBalance(fromAccount);
+            const afterBalanceTo = await this.getAccountBalance(toAccount);
+
+            // Summary
+            const result = {
+                transferResult: transferResult,
+                association: association,
+                balances: {
+                    before: {
+                        sender: beforeBalanceFrom,
+                        receiver: beforeBalanceTo
+                    },
+                    after: {
+                        sender: afterBalanceFrom,
+                        receiver: afterBalanceTo
+                    }
+                },
+                summary: {
+                    tokenId: tokenId?.toString(),
+                    serialNumber: serialNumber,
+                    from: fromAccount.accountId?.toString(),
+                    to: toAccount.accountId?.toString(),
+                    success: transferResult.status?.toString() === "SUCCESS",
+                    associationPath: association.path,
+                    soulbound: transferResult.locked,
+                    locked: transferResult.locked
+                }
+            };
+
+            this.logger.info("Transfer completed successfully!");
+            this.logger.debug("Summary:");
+            this.logger.debug("Token transferred:", result.summary.tokenId);
+            this.logger.debug("Serial Number:", result.summary.serialNumber);
+            this.logger.debug("From account:", result.summary.from);
+            this.logger.debug("To account:", result.summary.to);
+            this.logger.debug("Success:", result.summary.success);
+            this.logger.debug("Association:", result.summary.associationPath);
+            if (transferResult.locked) {
+                this.logger.debug("Locked with receiver:", result.summary.locked);
+            }
+
+            return result;
+
+        } catch (error) {
+            this.failOperation("transferNFTWithBalanceCheck", "Error in transfer workflow:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transfer several NFTs in as few transactions as the network allows (10 NFT transfers per CryptoTransfer)
+     * Transfers can mix tokens, senders and receivers; each transaction is signed by its senders (and by the
+     * receivers whose key we hold). Receivers must be associated or have a free automatic association slot.
+     * Transactions run in order: when one fails, the error lists the ones already executed (completedTransactions).
+     * Soulbound diplomas can only leave the treasury; the receivers of each transaction are locked after it.
+     * @param {Array} transfers - { token, serial, from, to } (token and accounts as objects or keystore references)
+     * @param {Object} options - chunkSize (NFT transfers per transaction, max 10), prepare / dryRun: one envelope per transaction
+     *   (prepare is refused for soulbound tokens)
+     * @returns {Object} { transactions: [{ status, transactionId, transfers }], transferred, transactionCount, transferredAt }
+     */
+    async transferNFTs(transfers, options = {}) {
+        const { chunkSize = MAX_NFT_TRANSFERS_PER_TRANSACTION } = options;
+        const completed = [];
+
+        try {
+            const resolved = transfers.map(transfer => ({
+                token: transfer.token,
+                tokenId: this.resolveTokenId(transfer.token).toString(),
+                serial: Number(transfer.serial),
+                from: this.resolveAccount(transfer.from, { allowMissingKey: options.prepare }),
+                to: this.resolveAccount(transfer.to, { allowMissingKey: true })
+            }));
+            const describe = transfer => ({
+                tokenId: transfer.tokenId,
+                serialNumber: transfer.serial,
+                from: transfer.from.accountId.toString(),
+                to: transfer.to.accountId.toString()
+            });
+
+            const errors = validateNftTransfers(resolved.map(transfer => ({ ...describe(transfer), serial: transfer.serial })));
+            if (errors.length > 0) {
+                const details = errors.map(e => `#${e.index}: ${e.message}`).join(", ");
+                throw new Error(`Invalid NFT transfers (${errors.length} entries): ${details}`);
+            }
+
+            // Un diplôme soulbound ne peut être envoyé que par la treasury
+            const soulboundTokens = new Map();
+            for (const transfer of resolved) {
+                if (!soulboundTokens.has(transfer.tokenId)) {
+                    soulboundTokens.set(transfer.tokenId, this.getSoulboundToken(transfer.token));
+                }
+                transfer.soulboundToken = soulboundTokens.get(transfer.tokenId);
+                if (transfer.soulboundToken && !this.isTreasury(transfer.soulboundToken, transfer.from)) {
+                    throw new Error(
+                        `Token ${transfer.tokenId} is soulbound: only the treasury can transfer it, ` +
+                        `not ${transfer.from.accountId.toString()}`
+                    );
+                }
+                if (transfer.soulboundToken && options.prepare) {
+                    throw new Error(`Token ${transfer.tokenId} is soulbound: its delivery can't be prepared, the receiver must be locked right after it`);
+                }
+            }
+
+            const chunks = chunkNftTransfers(resolved, chunkSize);
+            this.logger.info("Transferring", resolved.length, "NFT(s) in", chunks.length, "transaction(s)...");
+
+            const envelopes = [];
+            for (const [index, chunk] of chunks.entries()) {
+                const transaction = new TransferTransaction();
+                for (const transfer of chunk) {
+                    transaction.addNftTransfer(transfer.tokenId, transfer.serial, transfer.from.accountId, transfer.to.accountId);
+                }
+                const senders = [...new Set(chunk.map(transfer => transfer.from.accountId.toString()))];
+                const soulboundReceivers = options.dryRun ? [] : chunk
+                    .filter(transfer => transfer.soulboundToken)
+                    .map(transfer => ({ tokenData: transfer.soulboundToken, account: transfer.to }));
+
+                const { response, receipt, prepared } = await this.deliverSoulbound(soulboundReceivers, () => this.executeWithKeys(
+                    transaction,
+                    chunk.flatMap(transfer => [...this.accountKeys(transfer.from), ...this.accountKeys(transfer.to)]),
+                    {
+                        ...options,
+                        // Un transaction ID distinct par lot (validStart décalé d'une milliseconde)
+                        validStart: options.validStart ? new Date(new Date(options.validStart).getTime() + index) : undefined,
+                        operation: "transferNFTs",
+                        summary: {
+                            chunk: `${index + 1}/${chunks.length}`,
+                            transfers: chunk.map(transfer => `${transfer.tokenId}#${transfer.serial} ` +
+                                `${transfer.from.accountId.toString()} -> ${transfer.to.accountId.toString()}`)
+                        },
+                        requiredSigners: senders.map(accountId => ({ role: "sender", accountId: accountId }))
+                    }
+                ));
+                if (prepared) {
+                    envelopes.push(prepared);
+                    continue;
+                }
+
+                const transactionId = response.transactionId?.toString();
+                const transferredAt = new Date().toISOString();
+                completed.push({ status: receipt.status?.toString(), transactionId: transactionId, transfers: chunk.map(describe) });
+                this.logger.info(`Transaction ${index + 1}/${chunks.length} done:`, chunk.length, "NFT(s) transferred");
+
+                for (const transfer of chunk) {
+                    this.emitTransferCompleted({
+                        tokenId: transfer.tokenId,
+                        serialNumber: transfer.serial,
+                        fromAccount: transfer.from.accountId.toString(),
+                        toAccount: transfer.to.accountId.toString(),
+                        transactionId: transactionId,
+                        transferredAt: transferredAt
+                    });
+                }
+                await this.anchorBatchTransfers(chunk, transactionId);
+            }
+
+            if (options.prepare || options.dryRun) {
+                return envelopes;
+            }
+
+            this.logger.info("NFT batch transfer successful!");
+
+            return {
+                transactions: completed,
+                transferred: resolved.length,
+                transactionCount: completed.length,
+                transferredAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            // Les transactions déjà exécutées restent valides sur le ledger
+            error.completedTransactions = completed;
+            this.failOperation("transferNFTs", "Error transferring NFTs:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Anchor the transfers of one transaction, one event per token, sender and receiver
+     * @param {Array} transfers - Resolved transfers (token, tokenId, serial, from, to)
+     * @param {string} transactionId - Transaction that moved them
+     */
+    async anchorBatchTransfers(transfers, transactionId) {
+        const groups = new Map();
+        for (const transfer of transfers) {
+            const from = transfer.from.accountId.toString();
+            const to = transfer.to.accountId.toString();
+            const key = `${transfer.tokenId}|${from}|${to}`;
+            if (!groups.has(key)) {
+                groups.set(key, { token: transfer.token, from: from, to: to, serials: [] });
+            }
+            groups.get(key).serials.push(transfer.serial);
+        }
+
+        for (const group of groups.values()) {
+            await this.anchorIssuanceEvent(group.token, {
+                type: "transfer",
+                serials: group.serials,
+                from: group.from,
+                to: group.to,
+                actor: group.from,
+                transactionId: transactionId
+            });
+        }
+    }
+
+    /**
+     * Swap NFTs for HBAR or a fungible token in one atomic transaction (e.g. a paid alumni membership)
+     * The NFTs go from the seller to the buyer and the price from the buyer to the seller in the same
+     * CryptoTransfer: either everything moves or nothing does. Both accounts sign.
+     * The buyer (and the seller, for a token price) is associated first when needed, and balances are
+     * reported before and after, like transferNFTWithBalanceCheck.
+     * @param {Object|string} token - NFT token object or keystore reference
+     * @param {Array|number} serials - NFT serial numbers (max 10)
+     * @param {Object|string} seller - NFT holder, account object or keystore reference
+     * @param {Object|string} buyer - Account paying the price
+     * @param {Object} price - { hbar } or { token, amount } (fungible token, amount in its smallest unit)
+     * @param {Object} options - prepare / dryRun: return an envelope for the missing signatures (no association or balances)
+     * @returns {Object} { swapResult, associations, balances: { before, after }, summary }
+     */
+    async swapNFTs(token, serials, seller, buyer, price, options = {}) {
+        try {
+            const tokenId = this.resolveTokenId(token);
+            const serialNumbers = (Array.isArray(serials) ? serials : [serials]).map(Number);
+            const detached = options.prepare || options.dryRun;
+            const sellerAccount = this.resolveAccount(seller, { allowMissingKey: detached });
+            const buyerAccount = this.resolveAccount(buyer, { allowMissingKey: detached });
+            const sellerId = sellerAccount.accountId.toString();
+            const buyerId = buyerAccount.accountId.toString();
+            const payment = {
+                ...(price?.hbar !== undefined ? { hbar: price.hbar } : {}),
+                ...(price?.token !== undefined ? { tokenId: this.resolveTokenId(price.token).toString(), amount: price.amount } : {})
+            };
+
+            const errors = validateNftSwap({ tokenId: tokenId.toString(), serials: serialNumbers, seller: sellerId, buyer: buyerId, price: payment });
+            if (errors.length > 0) {
+                throw new Error(`Invalid swap: ${errors.join(", ")}`);
+            }
+
+            const soulboundToken = this.getSoulboundToken(token);
+            if (soulboundToken && !this.isTreasury(soulboundToken, sellerAccount)) {
+                throw new Error(`Token ${tokenId.toString()} is soulbound: only the treasury can sell it, not ${sellerId}`);
+            }
+            if (soulboundToken && options.prepare) {
+                throw new Error(`Token ${tokenId.toString()} is soulbound: its sale can't be prepared, the buyer must be locked right after it`);
+            }
+
+            const priceLabel = payment.tokenId ? `${payment.amount} of token ${payment.tokenId}` : `${payment.hbar} HBAR`;
+            this.logger.info("Swapping", serialNumbers.length, "NFT(s) of token", tokenId.toString(), "for", priceLabel);
+            this.logger.debug("Seller:", sellerId);
+            this.logger.debug("Buyer:", buyerId);
+
+            // Sans exécution, pas d'association ni de soldes : seule l'enveloppe est produite
+            let balancesBefore = null;
+            let associations = null;
+            if (!detached) {
+                balancesBefore = {
+                    seller: await this.getAccountBalance(sellerAccount),
+                    buyer: await this.getAccountBalance(buyerAccount)
+                };
+                associations = {
+                    buyer: await this.ensureTokenAssociation(tokenId, buyerAccount),
+                    seller: payment.tokenId ? await this.ensureTokenAssociation(payment.tokenId, sellerAccount) : null
+                };
+            }
+
+            // NFTs et paiement dans la même transaction
+            const transaction = new TransferTransaction();
+            for (const serial of serialNumbers) {
+                transaction.addNftTransfer(tokenId, serial, sellerAccount.accountId, buyerAccount.accountId);
+            }
+            if (payment.tokenId) {
+                transaction
+                    .addTokenTransfer(payment.tokenId, buyerAccount.accountId, -payment.amount)
+                    .addTokenTransfer(payment.tokenId, sellerAccount.accountId, payment.amount);
+            } else {
+                transaction
+                    .addHbarTransfer(buyerAccount.accountId, new Hbar(payment.hbar).negated())
+                    .addHbarTransfer(sellerAccount.accountId, new Hbar(payment.hbar));
+            }
+
+            // Soulbound : le buyer est dégelé le temps du swap, puis verrouillé même si le swap échoue
+            const locked = Boolean(soulboundToken) && !detached;
+            const { response, receipt, prepared } = await this.deliverSoulbound(
+                locked ? [{ tokenData: soulboundToken, account: buyerAccount }] : [],
+                () => this.executeWithKeys(transaction, [
+                    ...this.accountKeys(sellerAccount),
+                    ...this.accountKeys(buyerAccount)
+                ], {
+                    ...options,
+                    operation: "swapNFTs",
+                    summary: {
+                        tokenId: tokenId.toString(),
+                        serials: serialNumbers,
+                        seller: sellerId,
+                        buyer: buyerId,
+                        price: priceLabel
+                    },
+                    requiredSigners: [
+                        { role: "seller", accountId: sellerId },
+                        { role: "buyer", accountId: buyerId }
+                    ]
+                })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            const balancesAfter = {
+                seller: await this.getAccountBalance(sellerAccount),
+                buyer: await this.getAccountBalance(buyerAccount)
+            };
+
+            const swapResult = {
+                status: receipt.status,
+                tokenId: tokenId,
+                serials: serialNumbers,
+                seller: sellerId,
+                buyer: buyerId,
+                price: payment,
+                transactionId: response.transactionId?.toString(),
+                swappedAt: new Date().toISOString()
+            };
+            for (const serial of serialNumbers) {
+                this.emitTransferCompleted({
+                    tokenId: tokenId,
+                    serialNumber: serial,
+                    fromAccount: sellerId,
+                    toAccount: buyerId,
+                    transactionId: swapResult.transactionId,
+                    transferredAt: swapResult.swappedAt
+                });
+            }
+            this.emit("swapCompleted", {
+                tokenId: tokenId.toString(),
+                serials: serialNumbers,
+                seller: sellerId,
+                buyer: buyerId,
+                price: payment,
+                transactionId: swapResult.transactionId,
+                swappedAt: swapResult.swappedAt
+            });
+            await this.anchorIssuanceEvent(token, {
+                type: "transfer",
+                serials: serialNumbers,
+                from: sellerId,
+                to: buyerId,
+                actor: sellerId,
+                transactionId: swapResult.transactionId
+            });
+
+            this.logger.info("NFT swap successful!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                swapResult: swapResult,
+                associations: associations,
+                balances: {
+                    before: balancesBefore,
+                    after: balancesAfter
+                },
+                summary: {
+                    tokenId: tokenId.toString(),
+                    serials: serialNumbers,
+                    seller: sellerId,
+                    buyer: buyerId,
+                    price: priceLabel,
+                    success: receipt.status?.toString() === "SUCCESS",
+                    buyerAssociationPath: associations.buyer.path,
+                    sellerAssociationPath: associations.seller?.path || null,
+                    soulbound: Boolean(soulboundToken),
+                    locked: locked
+                }
+            };
+
+        } catch (error) {
+            this.failOperation("swapNFTs", "Error swapping NFTs:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Serials argument of the allowance methods
+     * @param {Array|number|string} serials - Serial numbers, or "all" for every serial
+     * @returns {Array|null} Serial numbers, null for every serial
+     */
+    parseAllowanceSerials(serials) {
+        if (serials === "all") {
+            return null;
+        }
+
+        const serialNumbers = (Array.isArray(serials) ? serials : [serials]).map(Number);
+        if (serialNumbers.length === 0 || serialNumbers.some(serial => !Number.isInteger(serial) || serial <= 0)) {
+            throw new Error("Allowance serials must be positive integers, or \"all\"");
+        }
+        return serialNumbers;
+    }
+
+    /**
+     * Approve a spender (e.g. a registrar account) to transfer NFTs of an owner (signed by the owner)
+     * @param {Object|string} owner - Owner account object or keystore reference (usually the treasury)
+     * @param {Object|string} spender - Spender account object, account ID or keystore alias
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {Array|number|string} serials - Serial numbers, or "all" for every serial (current and future)
+     * @param {Object} options - prepare: return an envelope for the owner to sign
+     * @returns {Object} Approval result (or an envelope in prepare mode)
+     */
+    async approveNftAllowance(owner, spender, token, serials, options = {}) {
+        try {
+            const ownerAccount = this.resolveAccount(owner, { allowMissingKey: options.prepare });
+            const spenderId = this.resolveAccountId(spender);
+            const tokenId = this.resolveTokenId(token);
+            const serialNumbers = this.parseAllowanceSerials(serials);
+
+            this.logger.info("Approving NFT allowance on token", tokenId?.toString());
+            this.logger.debug("Owner:", ownerAccount.accountId?.toString());
+            this.logger.debug("Spender:", spenderId);
+            this.logger.debug("Serials:", serialNumbers || "all");
+
+            const transaction = new AccountAllowanceApproveTransaction();
+            if (serialNumbers) {
+                for (const serial of serialNumbers) {
+                    transaction.approveTokenNftAllowance(new NftId(TokenId.fromString(tokenId.toString()), serial), ownerAccount.accountId, spenderId);
+                }
+            } else {
+                transaction.approveTokenNftAllowanceAllSerials(tokenId, ownerAccount.accountId, spenderId);
+            }
+
+            const { receipt, prepared } = await this.executeWithKeys(transaction, this.accountKeys(ownerAccount), {
+                ...options,
+                operation: "approveNftAllowance",
+                summary: {
+                    tokenId: tokenId.toString(),
+                    owner: ownerAccount.accountId.toString(),
+                    spender: spenderId,
+                    serials: serialNumbers || "all"
+                },
+                requiredSigners: [{ role: "owner", accountId: ownerAccount.accountId.toString() }]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("NFT allowance approved!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenId,
+                owner: ownerAccount.accountId?.toString(),
+                spender: spenderId,
+                serials: serialNumbers || "all",
+                approvedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("approveNftAllowance", "Error approving NFT allowance:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove NFT allowances granted by an owner (signed by the owner)
+     * Serial allowances are removed whatever their spender; "all" removes the spender's all-serials approval.
+     * @param {Object|string} owner - Owner account object or keystore reference
+     * @param {Object|string} spender - Spender account (used with "all")
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {Array|number|string} serials - Serial numbers, or "all"
+     * @param {Object} options - prepare: return an envelope for the owner to sign
+     * @returns {Object} Deletion result (or an envelope in prepare mode)
+     */
+    async deleteNftAllowance(owner, spender, token, serials, options = {}) {
+        try {
+            const ownerAccount = this.resolveAccount(owner, { allowMissingKey: options.prepare });
+            const spenderId = spender ? this.resolveAccountId(spender) : null;
+            const tokenId = this.resolveTokenId(token);
+            const serialNumbers = this.parseAllowanceSerials(serials);
+
+            if (!serialNumbers && !spenderId) {
+                throw new Error("A spender is required to delete an all-serials allowance");
+            }
+
+            this.logger.info("Deleting NFT allowance on token", tokenId?.toString());
+            this.logger.debug("Owner:", ownerAccount.accountId?.toString());
+            this.logger.debug("Serials:", serialNumbers || `all (spender ${spenderId})`);
+
+            let transaction;
+            if (serialNumbers) {
+                transaction = new AccountAllowanceDeleteTransaction();
+                for (const serial of serialNumbers) {
+                    transaction.deleteAllTokenNftAllowances(new NftId(TokenId.fromString(tokenId.toString()), serial), ownerAccount.accountId);
+                }
+            } else {
+                // L'approbation "tous les serials" se retire par une approbation à false
+                transaction = new AccountAllowanceApproveTransaction()
+                    .deleteTokenNftAllowanceAllSerials(tokenId, ownerAccount.accountId, spenderId);
+            }
+
+            const { receipt, prepared } = await this.executeWithKeys(transaction, this.accountKeys(ownerAccount), {
+                ...options,
+                operation: "deleteNftAllowance",
+                summary: {
+                    tokenId: tokenId.toString(),
+                    owner: ownerAccount.accountId.toString(),
+                    spender: spenderId,
+                    serials: serialNumbers || "all"
+                },
+                requiredSigners: [{ role: "owner", accountId: ownerAccount.accountId.toString() }]
+            });
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("NFT allowance deleted!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            return {
+                status: receipt.status,
+                tokenId: tokenId,
+                owner: ownerAccount.accountId?.toString(),
+                spender: spenderId,
+                serials: serialNumbers || "all",
+                deletedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("deleteNftAllowance", "Error deleting NFT allowance:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Transfer an NFT with an approved allowance (the spender pays and signs, not the owner)
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {Object|string} owner - Current owner account (account ID is enough)
+     * @param {Object|string} spender - Spender account object or keystore reference
+     * @param {Object|string} to - Receiver account object, account ID or keystore alias
+     * @param {number} serialNumber - NFT serial number
+     * @param {Object} options - prepare: return an envelope for the spender to sign
+     * @returns {Object} Transfer result (or an envelope in prepare mode)
+     */
+    async transferNFTAsSpender(token, owner, spender, to, serialNumber, options = {}) {
+        try {
+            const tokenId = this.resolveTokenId(token);
+            const ownerId = this.resolveAccountId(owner);
+            const spenderAccount = this.resolveAccount(spender, { allowMissingKey: options.prepare });
+            const toId = this.resolveAccountId(to);
+
+            // Un diplôme soulbound ne peut quitter que la treasury
+            const soulboundToken = this.getSoulboundToken(token);
+            if (soulboundToken && !this.isTreasury(soulboundToken, ownerId)) {
+                throw new Error(`Token ${tokenId?.toString()} is soulbound: only the treasury's NFTs can be transferred, not ${ownerId}'s`);
+            }
+            if (soulboundToken && options.prepare) {
+                throw new Error(`Token ${tokenId?.toString()} is soulbound: its delivery can't be prepared, the receiver must be locked right after it`);
+            }
+
+            this.logger.info("Transferring NFT with allowance...");
+            this.logger.debug("Token ID:", tokenId?.toString());
+            this.logger.debug("Serial Number:", serialNumber);
+            this.logger.debug("Owner:", ownerId);
+            this.logger.debug("Spender:", spenderAccount.accountId?.toString());
+            this.logger.debug("To:", toId);
+
+            const transaction = new TransferTransaction()
+                .addApprovedNftTransfer(new NftId(TokenId.fromString(tokenId.toString()), Number(serialNumber)), ownerId, toId);
+
+            // Le spender est le payeur de la transaction : l'allowance est vérifiée sur lui
+            const spenderId = spenderAccount.accountId.toString();
+            const locking = soulboundToken && !options.dryRun;
+            const { response, receipt, prepared } = await this.deliverSoulbound(
+                locking ? [{ tokenData: soulboundToken, account: toId }] : [],
+                () => this.executeWithKeys(transaction, this.accountKeys(spenderAccount), {
+                    ...options,
+                    payerAccountId: spenderId,
+                    operation: "transferNFTAsSpender",
+                    summary: {
+                        tokenId: tokenId.toString(),
+                        serialNumber: Number(serialNumber),
+                        owner: ownerId,
+                        spender: spenderId,
+                        to: toId
+                    },
+                    requiredSigners: [{ role: "spender", accountId: spenderId }]
+                })
+            );
+            if (prepared) {
+                return prepared;
+            }
+
+            this.logger.info("NFT transfer with allowance successful!");
+            this.logger.debug("Status:", receipt.status?.toString());
+
+            const result = {
+                status: receipt.status,
+                tokenId: tokenId,
+                serialNumber: Number(serialNumber),
+                fromAccount: ownerId,
+                toAccount: toId,
+                spender: spenderId,
+                transactionId: response.transactionId?.toString(),
+                locked: Boolean(locking),
+                transferredAt: new Date().toISOString()
+            };
+            this.emitTransferCompleted(result);
+            await this.anchorIssuanceEvent(token, {
+                type: "transfer",
+                serials: [Number(serialNumber)],
+                from: result.fromAccount,
+                to: result.toAccount,
+                actor: result.spender || result.fromAccount,
+                transactionId: result.transactionId
+            });
+            return result;
+
+        } catch (error) {
+            this.failOperation("transferNFTAsSpender", "Error transferring NFT as spender:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * List the NFT allowances currently granted on a collection (from the mirror node)
+     * @param {string|Object} token - Token ID, keystore alias or token object
+     * @param {Object} options - owner whose all-serials approvals are listed (defaults to the treasury)
+     * @returns {Object} { tokenId, owner, allSerials, serials }
+     */
+    async listNftAllowances(token, options = {}) {
+        try {
+            const mirrorNode = this.getMirrorNode();
+            const tokenId = this.resolveTokenId(token).toString();
+            const owner = options.owner
+                ? this.resolveAccountId(options.owner)
+                : (await this.getTokenBasicInfo(tokenId)).treasury;
+
+            this.logger.info("Listing NFT allowances of token", tokenId, "(owner", owner + ")");
+
+            // Approbations "tous les serials" du propriétaire
+            const allowances = await mirrorNode.listNftAllowances(owner, { tokenId: tokenId });
+            const allSerials = allowances
+                .filter(allowance => allowance.approved_for_all)
+                .map(allowance => ({
+                    owner: allowance.owner,
+                    spender: allowance.spender,
+                    grantedAt: allowance.timestamp?.from || null
+                }));
+
+            // Allowances serial par serial, tous propriétaires confondus
+            const nfts = await mirrorNode.listAllNftsByToken(tokenId);
+            const serials = nfts
+                .filter(nft => nft.spender && !nft.deleted)
+                .map(nft => ({
+                    serialNumber: nft.serialNumber,
+                    owner: nft.owner,
+                    spender: nft.spender
+                }));
+
+            this.logger.debug("All-serials approvals:", allSerials.length);
+            this.logger.debug("Serial approvals:", serials.length);
+
+            return {
+                tokenId: tokenId,
+                owner: owner,
+                allSerials: allSerials,
+                serials: serials,
+                listedAt: new Date().toISOString()
+            };
+
+        } catch (error) {
+            this.failOperation("listNftAllowances", "Error listing NFT allowances:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Helper method - Roster rows -> report rows and diplomas to process (duplicates, invalid rows and
+     * students already in the journal are sorted out; new diplomas get their metadata and IPFS URI)
+     * @param {Array} rows - Roster rows
+     * @param {IssuanceJournal} journal - Issuance journal
+     * @param {Object} defaults - Metadata defaults (institution, graduationDate, image, ...)
+     * @param {MemoryBlockstore} blockstore - Blockstore receiving the metadata blocks
+     * @returns {Object} { report, work, roots } (work entries: { row, report, studentId, accountId, metadataUri, state })
+     */
+    async planIssuance(rows, journal, defaults, blockstore) {
+        const report = [];
+        const work = [];
+        const roots = [];
+        const seen = new Set();
+
+        for (const row of rows) {
+            const line = {
+                row: row.row,
+                studentId: row.studentId || null,
+                studentName: row.studentName || null,
+                accountId: row.accountId || null,
+                status: null,
+                serialNumber: null,
+                metadataUri: null,
+                transactionId: null,
+                error: null
+            };
+            report.push(line);
+
+            if (!row.studentId || !row.studentName || !row.degree || !row.accountId) {
+                Object.assign(line, { status: "invalid", error: "studentId, studentName, degree and accountId are required" });
+                continue;
+            }
+            if (!/^\d+\.\d+\.\d+$/.test(row.accountId)) {
+                Object.assign(line, { status: "invalid", error: `Invalid account ID "${row.accountId}"` });
+                continue;
+            }
+            if (seen.has(row.studentId)) {
+                Object.assign(line, { status: "duplicate", error: `Student ${row.studentId} appears more than once in the roster` });
+                continue;
+            }
+            seen.add(row.studentId);
+
+            // Étudiant déjà dans le journal : jamais un second diplôme
+            const entry = journal.get(row.studentId);
+            if (entry) {
+                Object.assign(line, { serialNumber: entry.serialNumber ?? null, metadataUri: entry.metadataUri });
+                if (entry.accountId !== row.accountId) {
+                    Object.assign(line, {
+                        status: "failed",
+                        error: `Student ${row.studentId} was issued to ${entry.accountId} in the journal, not ${row.accountId}`
+                    });
+                } else if (entry.state === "delivered") {
+                    Object.assign(line, { status: "already-issued", transactionId: entry.transferTransactionId });
+                } else {
+                    work.push({ ...entry, row: row.row, report: line });
+                }
+                continue;
+            }
+
+            let metadata;
+            try {
+                metadata = buildDiplomaMetadata(rosterRowToDiploma(row, defaults));
+            } catch (error) {
+                Object.assign(line, { status: "invalid", error: error.errors ? formatMetadataErrors(error.errors) : error.message });
+                continue;
+            }
+
+            // Même contenu que buildIpfsManifest : ipfs://<cid>/metadata.json
+            const directoryCid = await computeMetadataDirectoryCid(Buffer.from(JSON.stringify(metadata, null, 2)), blockstore);
+            roots.push(directoryCid);
+            line.metadataUri = `ipfs://${directoryCid.toString()}/${METADATA_FILE_NAME}`;
+
+            work.push({
+                studentId: row.studentId,
+                studentName: row.studentName,
+                accountId: row.accountId,
+                metadataUri: line.metadataUri,
+                state: null,
+                row: row.row,
+                report: line
+            });
+        }
+
+        return { report, work, roots };
+    }
+
+    /**
+     * Helper method - Find on the mirror node the diplomas of "minting" entries (crash between mint and journal)
+     * The metadata URI is unique per student, so a minted diploma is found by its metadata.
+     * @param {Object} tokenData - Token object
+     * @param {Array} entries - Work entries in the "minting" state
+     * @param {IssuanceJournal} journal - Issuance journal
+     */
+    async reconcileMinting(tokenData, entries, journal) {
+        const tokenId = tokenData.tokenId.toString();
+        const nfts = (await this.getMirrorNode().listAllNftsByToken(tokenId)).filter(nft => !nft.deleted);
+
+        // Le mirror node a quelques secondes de retard : sans lui à jour, on risquerait de re-minter
+        const tokenInfo = await this.getTokenBasicInfo(tokenData.tokenId);
+        if (nfts.length < Number(tokenInfo.totalSupply)) {
+            throw new Error(
+                `Mirror node lists ${nfts.length} NFT(s) of ${tokenId} but the supply is ${tokenInfo.totalSupply}: ` +
+                "wait for the mirror node to catch up before resuming the issuance"
+            );
+        }
+
+        const serialsByUri = new Map(nfts.map(nft => [nft.metadata, nft.serialNumber]));
+        for (const entry of entries) {
+            const serialNumber = serialsByUri.get(entry.metadataUri);
+            if (serialNumber) {
+                this.logger.info(`Student ${entry.studentId}: diploma already minted as serial ${serialNumber}`);
+                journal.update([{ studentId: entry.studentId, state: "minted", serialNumber: serialNumber }]);
+                Object.assign(entry, { state: "minted", serialNumber: serialNumber });
+            }
+        }
+    }
+
+    /**
+     * Helper method - Check on the mirror node where the diplomas of "delivering" entries ended up
+     * A soulbound diploma found with its graduate is locked, the run may have stopped before the freeze.
+     * @param {Object} tokenData - Token object
+     * @param {Array} entries - Work entries in the "delivering" state
+     * @param {IssuanceJournal} journal - Issuance journal
+     */
+    async reconcileDelivering(tokenData, entries, journal) {
+        for (const entry of entries) {
+            const nft = await this.getMirrorNode().getNft(tokenData.tokenId.toString(), entry.serialNumber);
+            const state = nft?.owner === entry.accountId ? "delivered" : "minted";
+            if (state === "delivered") {
+                this.logger.info(`Student ${entry.studentId}: diploma already delivered to ${entry.accountId}`);
+                if (tokenData.soulbound && !(await this.isDiplomaLocked(tokenData, entry.accountId)).locked) {
+                    await this.lockDiploma(tokenData, entry.accountId);
+                }
+            }
+            journal.update([{ studentId: entry.studentId, state: state }]);
+            entry.state = state;
+        }
+    }
+
+    /**
+     * Issue diplomas from a graduate roster: metadata per student, batched mint, association / delivery,
+     * per-row report. A journal makes reruns safe: rows already done are skipped and a student
+     * never receives a second diploma.
+     * @param {Object|string} token - Token object or keystore reference (its treasury delivers the diplomas)
+     * @param {string|Array} roster - Roster CSV file or rows from parseRoster
+     * @param {Object} options - Issuance options
+     * @param {string} options.journalPath - Journal file (required, keep it between reruns)
+     * @param {string} options.reportPath - Per-row report file (.csv or .json)
+     * @param {string} options.carFile - CAR file with the metadata to pin (default: next to the journal)
+     * @param {Object|string} options.treasury - Account delivering the diplomas (default: the token treasury)
+     * @param {number} options.chunkSize - NFTs per mint transaction
+     * @param {string} options.institution - Default institution (roster column wins)
+     * @param {string} options.graduationDate - Default graduation date (roster column wins)
+     * @param {string} options.image - Default diploma image URI (roster column wins)
+     * @returns {Object} { tokenId, rows, issued, alreadyIssued, failed, invalid, reportPath, carFile, completedAt }
+     */
+    async issueDiplomasFromRoster(token, roster, options = {}) {
+        const { journalPath, reportPath, chunkSize = MAX_NFTS_PER_MINT } = options;
+
+        try {
+            if (!journalPath) {
+                throw new Error("A journal path is required to issue diplomas (it prevents double issuance on reruns)");
+            }
+
+            const tokenData = this.resolveToken(token);
+            const treasury = options.treasury ? this.resolveAccount(options.treasury) : tokenData.treasuryAccount;
+            if (this.accountKeys(treasury).length === 0) {
+                throw new Error(`Treasury key of token ${tokenData.tokenId?.toString()} is not available, pass options.treasury`);
+            }
+
+            const rows = typeof roster === "string" ? readRosterFile(roster) : roster;
+            const journal = new IssuanceJournal({ path: journalPath, tokenId: tokenData.tokenId });
+            const blockstore = new MemoryBlockstore();
+
+            this.logger.info("Issuing diplomas from", rows.length, "roster row(s) with token", tokenData.tokenId.toString());
+
+            // Step 1: Métadonnées des nouveaux diplômes, reprise des étudiants déjà journalisés
+            const { report, work, roots } = await this.planIssuance(rows, journal, {
+                institution: options.institution,
+                graduationDate: options.graduationDate,
+                image: options.image,
+                imageType: options.imageType,
+                fieldOfStudy: options.fieldOfStudy
+            }, blockstore);
+
+            // Le CAR est écrit avant le mint : les URIs on-chain doivent pouvoir être épinglées
+            const carFile = roots.length > 0 ? options.carFile || `${journalPath.replace(/\.json$/i, "")}.car` : null;
+            if (carFile) {
+                await writeCarFile(blockstore, roots, carFile);
+                this.logger.info(`Metadata of ${roots.length} diploma(s) written to ${carFile}, pin it on IPFS`);
+            }
+
+            // Step 2: Retrouver les diplômes mintés ou livrés avant une interruption
+            const minting = work.filter(entry => entry.state === "minting");
+            if (minting.length > 0) {
+                await this.reconcileMinting(tokenData, minting, journal);
+            }
+            const delivering = work.filter(entry => entry.state === "delivering");
+            if (delivering.length > 0) {
+                await this.reconcileDelivering(tokenData, delivering, journal);
+            }
+
+            // Step 3: Mint par lots, journalisé avant l'envoi puis après chaque lot
+            const toMint = work.filter(entry => !entry.state || entry.state === "minting");
+            if (toMint.length > 0) {
+                journal.update(toMint.map(entry => ({
+                    studentId: entry.studentId,
+                    studentName: entry.studentName,
+                    accountId: entry.accountId,
+                    metadataUri: entry.metadataUri,
+                    row: entry.row,
+                    state: "minting"
+                })));
+                toMint.forEach(entry => {
+                    entry.state = "minting";
+                });
+
+                try {
+                    await this.mintNFTs(tokenData, toMint.map(entry => entry.metadataUri), {
+                        chunkSize: chunkSize,
+                        onProgress: ({ chunkIndex, serials, transactionId }) => {
+                            const chunk = toMint.slice(chunkIndex * chunkSize, chunkIndex * chunkSize + serials.length);
+                            journal.update(chunk.map((entry, index) => ({
+                                studentId: entry.studentId,
+                                state: "minted",
+                                serialNumber: serials[index],
+                                mintTransactionId: transactionId
+                            })));
+                            chunk.forEach((entry, index) => {
+                                Object.assign(entry, { state: "minted", serialNumber: serials[index] });
+                            });
+                        }
+                    });
+                } catch (error) {
+                    // Les lots non confirmés restent "minting" : réconciliés au prochain passage
+                    for (const entry of toMint.filter(item => item.state === "minting")) {
+                        Object.assign(entry.report, { status: "failed", error: `Mint failed: ${error.message}` });
+                    }
+                }
+            }
+
+            // Step 4: Association si besoin puis livraison, diplôme par diplôme
+            for (const entry of work.filter(item => item.state === "minted" || item.state === "delivered")) {
+                entry.report.serialNumber = entry.serialNumber;
+                if (entry.state === "delivered") {
+                    entry.report.status = "issued";
+                    continue;
+                }
+
+                journal.update([{ studentId: entry.studentId, state: "delivering" }]);
+                try {
+                    const result = await this.transferNFTWithBalanceCheck(tokenData, treasury, entry.accountId, entry.serialNumber);
+                    journal.update([{
+                        studentId: entry.studentId,
+                        state: "delivered",
+                        transferTransactionId: result.transferResult.transactionId,
+                        lastError: null
+                    }]);
+                    Object.assign(entry.report, { status: "issued", transactionId: result.transferResult.transactionId });
+                } catch (error) {
+                    // Reste "delivering" : le mirror node dira au prochain passage si le transfert a eu lieu
+                    journal.update([{ studentId: entry.studentId, lastError: error.message }]);
+                    Object.assign(entry.report, { status: "failed", error: `Delivery failed: ${error.message}` });
+                }
+            }
+
+            const count = status => report.filter(line => line.status === status).length;
+            const result = {
+                tokenId: tokenData.tokenId.toString(),
+                rows: report,
+                total: report.length,
+                issued: count("issued"),
+                alreadyIssued: count("already-issued"),
+                failed: count("failed"),
+                invalid: count("invalid") + count("duplicate"),
+                journalPath: journalPath,
+                reportPath: reportPath || null,
+                carFile: carFile,
+                completedAt: new Date().toISOString()
+            };
+
+            if (reportPath) {
+                writeIssuanceReport(reportPath, report);
+            }
+
+            this.logger.info("Issuance completed!");
+            this.logger.debug("Issued:", result.issued);
+            this.logger.debug("Already issued:", result.alreadyIssued);
+            this.logger.debug("Failed:", result.failed);
+            this.logger.debug("Invalid rows:", result.invalid);
+            if (reportPath) {
+                this.logger.debug("Report:", reportPath);
+            }
+
+            return result;
+
+        } catch (error) {
+            this.failOperation("issueDiplomasFromRoster", "Error issuing diplomas:", error);
+            throw error;
+        }
+    }
+
+    /**
+     * Complete workflow - Create account, token and mint NFTs
+     * @param {Object} tokenConfig - Token configuration
+     * @param {Array} metadataArray - NFT metadata
+     * @param {number} initialBalance - Initial account balance
+     * @returns {Object} Complete workflow result
+     */
+    async createCompleteNFTCollection(tokenConfig = {}, metadataArray = [], initialBalance = 100) {
+        try {
+            this.logger.info("Starting complete NFT workflow...");
+
+            // Step 1: Create an account
+            const account = await this.createAccount(initialBalance);
+
+            // Step 2: Create a token
+            const tokenData = await this.createNFTToken(account, tokenConfig);
+
+            // Step 3: Mint NFTs (si metadata fournie)
+            let mintResult = null;
+            if (metadataArray.length > 0) {
+                mintResult = await this.mintNFTs(tokenData, metadataArray);
+            }
+
+            // Summary
+            const result = {
+                account: account,
+                tokenData: tokenData,
+                mintResult: mintResult,
+                summary: {
+                    accountId: account.accountId?.toString(),
+                    tokenId: tokenData.tokenId?.toString(),
+                    nftCount: mintResult?.count || 0,
+                    serials: mintResult?.serials?.map(s => s.toString()) || []
+                }
+            };
+
+            this.logger.info("Workflow completed successfully!");
+            this.logger.debug("Summary:");
+            this.logger.debug("Account ID:", result.summary.accountId);
+            this.logger.debug("Token ID:", result.summary.tokenId);
+            if (mintResult) {
+                this.logger.debug("NFTs minted:", result.summary.nftCount);
+                this.logger.debug("Serial Numbers:", result.summary.serials);
+            }
+
+            return result;
+
+        } catch (error) {
+            this.failOperation("createCompleteNFTCollection", "Error in complete workflow:", error);
+            throw error;
+        }
+    }
+}
+
+export default HederaNftService;
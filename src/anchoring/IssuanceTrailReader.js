@@ -0,0 +1,245 @@
+import { PublicKey } from "@hashgraph/sdk";
+import { resolveMirrorNodeUrl } from "../config/hedera-config.js";
+import MirrorNodeClient from "../mirror/MirrorNodeClient.js";
+import { ISSUANCE_MESSAGE_VERSION, hashMetadata, verifyIssuanceMessage } from "./issuance-messages.js";
+
+export const HISTORY_VERSION = 1;
+
+/**
+ * Helper - Deux clés publiques identiques ?
+ */
+function sameKey(a, b) {
+    return a.toStringRaw() === b.toStringRaw();
+}
+
+/**
+ * Rebuild the issuance history of a collection from its topic messages
+ * Every message must be valid JSON, hashed and signed by the publishing key (given, or announced by the
+ * collection message that opens the topic), and consistent with the history so far: no sequence gap,
+ * no serial minted twice, transfers from the current holder, no event after a revocation.
+ * Invalid messages are reported in issues and left out of the history.
+ * @param {Array} messages - Topic messages (see MirrorNodeClient.listTopicMessages), oldest first
+ * @param {Object} options - tokenId: expected token, publicKey: trusted publishing key
+ * @returns {Object} { tokenId, collection, publicKey, messages, valid, serials, issues }
+ */
+export function rebuildIssuanceHistory(messages, { tokenId, publicKey } = {}) {
+    const issues = [];
+    const serials = new Map();
+    let collection = null;
+    let trustedKey = publicKey ? PublicKey.fromString(publicKey.toString()) : null;
+    let expectedSequence = 1;
+
+    const issue = (message, problem) => issues.push({ sequenceNumber: message?.sequenceNumber ?? null, problem: problem });
+
+    for (const message of messages) {
+        if (message.sequenceNumber !== expectedSequence) {
+            issue(message, `Missing message(s) ${expectedSequence} to ${message.sequenceNumber - 1}`);
+        }
+        expectedSequence = message.sequenceNumber + 1;
+
+        let signed;
+        try {
+            signed = JSON.parse(message.message);
+        } catch {
+            issue(message, "Not a JSON message");
+            continue;
+        }
+        if (signed.version !== ISSUANCE_MESSAGE_VERSION) {
+            issue(message, `Unsupported message version ${signed.version}`);
+            continue;
+        }
+
+        // Le message d'ouverture annonce la clé de publication
+        if (signed.type === "collection" && !collection && signed.publicKey) {
+            const announced = PublicKey.fromString(signed.publicKey);
+            if (trustedKey && !sameKey(trustedKey, announced)) {
+                issue(message, "The collection message announces another key than the trusted one");
+                continue;
+            }
+            trustedKey = trustedKey || announced;
+        }
+        if (!trustedKey) {
+            issue(message, "No publishing key: pass one or start the topic with a collection message");
+            continue;
+        }
+
+        const { hashValid, signatureValid } = verifyIssuanceMessage(signed, trustedKey);
+        if (!hashValid) {
+            issue(message, "Hash doesn't match the message content");
+            continue;
+        }
+        if (!signatureValid) {
+            issue(message, "Signature doesn't match the publishing key");
+            continue;
+        }
+        if (tokenId && signed.tokenId !== tokenId.toString()) {
+            issue(message, `Message is about token ${signed.tokenId}, not ${tokenId}`);
+            continue;
+        }
+        if (collection && signed.tokenId !== collection.tokenId) {
+            issue(message, `Message is about token ${signed.tokenId}, the topic belongs to ${collection.tokenId}`);
+            continue;
+        }
+
+        const event = {
+            type: signed.type,
+            sequenceNumber: message.sequenceNumber,
+            consensusTimestamp: message.consensusTimestamp,
+            timestamp: message.timestamp || null,
+            transactionId: signed.transactionId || null,
+            actor: signed.actor || null
+        };
+
+        if (signed.type === "collection") {
+            if (collection) {
+                issue(message, "Duplicate collection message");
+                continue;
+            }
+            collection = {
+                tokenId: signed.tokenId,
+                treasury: signed.treasury || null,
+                publicKey: signed.publicKey || null,
+                sequenceNumber: message.sequenceNumber,
+                createdAt: message.timestamp || null
+            };
+            continue;
+        }
+
+        for (const [index, serial] of (signed.serials || []).entries()) {
+            const state = serials.get(serial);
+
+            if (signed.type === "mint") {
+                if (state) {
+                    issue(message, `Serial ${serial} minted twice`);
+                    continue;
+                }
+                serials.set(serial, {
+                    serial: serial,
+                    metadataHash: signed.metadataHashes?.[index] || null,
+                    holder: signed.actor || null,
+                    revoked: false,
+                    revocation: null,
+                    events: [event]
+                });
+                continue;
+            }
+
+            if (!state) {
+                issue(message, `Serial ${serial} was never minted on this topic`);
+                continue;
+            }
+            if (state.revoked) {
+                issue(message, `Serial ${serial} was already revoked`);
+                continue;
+            }
+
+            if (signed.type === "transfer") {
+                if (signed.from !== state.holder) {
+                    issue(message, `Serial ${serial} transferred from ${signed.from}, held by ${state.holder}`);
+                }
+                state.holder = signed.to;
+                state.events.push({ ...event, from: signed.from, to: signed.to });
+            } else if (signed.type === "revocation") {
+                state.revoked = true;
+                state.revocation = { reason: signed.reason || null, method: signed.method || null, holder: signed.holder || null };
+                state.holder = null;
+                state.events.push({ ...event, reason: signed.reason || null, method: signed.method || null });
+            }
+        }
+    }
+
+    return {
+        tokenId: collection?.tokenId || (tokenId ? tokenId.toString() : null),
+        collection: collection,
+        publicKey: trustedKey ? trustedKey.toStringDer() : null,
+        messages: messages.length,
+        valid: issues.length === 0,
+        serials: [...serials.values()].sort((a, b) => a.serial - b.serial),
+        issues: issues
+    };
+}
+
+/**
+ * Reads the issuance trail of a collection from its Consensus Service topic and checks it
+ * Works from the mirror node only, no operator account needed.
+ */
+class IssuanceTrailReader {
+    /**
+     * @param {Object} options - Reader options
+     * @param {MirrorNodeClient} options.mirrorNode - Mirror node client
+     */
+    constructor({ mirrorNode } = {}) {
+        if (!mirrorNode) {
+            throw new Error("A mirror node client is required");
+        }
+
+        this.mirrorNode = mirrorNode;
+    }
+
+    /**
+     * Rebuild a collection's history from its topic, then compare it with the NFTs on the ledger
+     * @param {string} topicId - Issuance topic ID
+     * @param {Object} options - tokenId, publicKey (trusted publishing key), checkLedger (default true)
+     * @returns {Object} History (see rebuildIssuanceHistory) with topicId and checkedAt
+     */
+    async read(topicId, { tokenId, publicKey, checkLedger = true } = {}) {
+        const messages = await this.mirrorNode.listTopicMessages(topicId.toString());
+        const history = rebuildIssuanceHistory(messages, { tokenId, publicKey });
+
+        if (checkLedger && history.tokenId) {
+            await this.compareWithLedger(history);
+        }
+
+        return {
+            version: HISTORY_VERSION,
+            topicId: topicId.toString(),
+            ...history,
+            valid: history.issues.length === 0,
+            checkedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Helper - Chaque NFT du ledger doit correspondre à l'historique (détenteur, métadonnées, révocation)
+     */
+    async compareWithLedger(history) {
+        const nfts = await this.mirrorNode.listAllNftsByToken(history.tokenId);
+        const anchored = new Map(history.serials.map(state => [state.serial, state]));
+        const issue = problem => history.issues.push({ sequenceNumber: null, problem: problem });
+
+        for (const nft of nfts) {
+            const state = anchored.get(nft.serialNumber);
+            anchored.delete(nft.serialNumber);
+
+            if (!state) {
+                issue(`Serial ${nft.serialNumber} exists on the ledger but was never anchored`);
+                continue;
+            }
+            if (state.metadataHash && hashMetadata(nft.metadata || "") !== state.metadataHash) {
+                issue(`Serial ${nft.serialNumber}: ledger metadata doesn't match the anchored hash`);
+            }
+            if (state.revoked !== nft.deleted) {
+                issue(state.revoked
+                    ? `Serial ${nft.serialNumber} is revoked on the topic but still exists on the ledger`
+                    : `Serial ${nft.serialNumber} was burned or wiped without an anchored revocation`);
+            } else if (!nft.deleted && nft.owner !== state.holder) {
+                issue(`Serial ${nft.serialNumber} is held by ${nft.owner} on the ledger, ${state.holder} on the topic`);
+            }
+        }
+
+        for (const serial of anchored.keys()) {
+            issue(`Serial ${serial} is anchored but doesn't exist on the ledger`);
+        }
+    }
+}
+
+/**
+ * Build a reader from the resolved configuration (see resolveHederaConfig)
+ * @param {Object} config - Configuration (network, mirrorNodeUrl)
+ * @returns {IssuanceTrailReader} Reader
+ */
+export function createIssuanceTrailReader(config) {
+    return new IssuanceTrailReader({ mirrorNode: new MirrorNodeClient({ baseUrl: resolveMirrorNodeUrl(config) }) });
+}
+
+export default IssuanceTrailReader;
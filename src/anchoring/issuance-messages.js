@@ -0,0 +1,93 @@
+import { createHash } from "crypto";
+import { PublicKey } from "@hashgraph/sdk";
+import { canonicalJson } from "../verification/DiplomaVerifier.js";
+
+export const ISSUANCE_MESSAGE_VERSION = 1;
+
+// collection : premier message du topic, il publie la clé qui signe les suivants
+export const ISSUANCE_EVENT_TYPES = ["collection", "mint", "transfer", "revocation"];
+
+// Taille maximale d'un message HCS (un seul chunk)
+export const MAX_TOPIC_MESSAGE_BYTES = 1024;
+
+/**
+ * SHA-256 of NFT metadata (the CID URI stored on-chain)
+ * @param {Buffer|Uint8Array|string} metadata - Metadata bytes or string
+ * @returns {string} Hex digest
+ */
+export function hashMetadata(metadata) {
+    return createHash("sha256").update(Buffer.from(metadata)).digest("hex");
+}
+
+/**
+ * SHA-256 of an issuance event (canonical JSON, so the hash doesn't depend on key order)
+ * @param {Object} event - Unsigned event
+ * @returns {string} Hex digest
+ */
+export function hashIssuanceEvent(event) {
+    return createHash("sha256").update(canonicalJson(event)).digest("hex");
+}
+
+/**
+ * Hash and sign an issuance event
+ * @param {Object} event - Unsigned event (version, type, tokenId, serials, actor, ...)
+ * @param {PrivateKey} privateKey - Publishing key (the topic submit key)
+ * @returns {Object} Event with its hash and signature (hex, over the hash bytes)
+ */
+export function signIssuanceEvent(event, privateKey) {
+    const hash = hashIssuanceEvent(event);
+    const signature = privateKey.sign(Buffer.from(hash, "hex"));
+    return { ...event, hash: hash, signature: Buffer.from(signature).toString("hex") };
+}
+
+/**
+ * Check the hash and signature of a topic message
+ * @param {Object} message - Parsed message (signed event)
+ * @param {PublicKey|string} publicKey - Expected publishing key
+ * @returns {Object} { hashValid, signatureValid }
+ */
+export function verifyIssuanceMessage(message, publicKey) {
+    const { hash, signature, ...event } = message;
+    const hashValid = typeof hash === "string" && hash === hashIssuanceEvent(event);
+    if (!hashValid || typeof signature !== "string") {
+        return { hashValid: hashValid, signatureValid: false };
+    }
+
+    const key = publicKey instanceof PublicKey ? publicKey : PublicKey.fromString(publicKey.toString());
+    return { hashValid: true, signatureValid: key.verify(Buffer.from(hash, "hex"), Buffer.from(signature, "hex")) };
+}
+
+/**
+ * Build the signed topic messages of an event
+ * An event whose message would exceed one HCS chunk is split by serials, each part signed on its own.
+ * @param {Object} event - Unsigned event
+ * @param {PrivateKey} privateKey - Publishing key
+ * @returns {Array} Message strings (JSON)
+ */
+export function buildIssuanceMessages(event, privateKey) {
+    if (!ISSUANCE_EVENT_TYPES.includes(event.type)) {
+        throw new Error(`Unknown issuance event type "${event.type}"`);
+    }
+
+    const message = JSON.stringify(signIssuanceEvent({ version: ISSUANCE_MESSAGE_VERSION, ...event }, privateKey));
+    if (Buffer.byteLength(message) <= MAX_TOPIC_MESSAGE_BYTES) {
+        return [message];
+    }
+
+    const serials = event.serials || [];
+    if (serials.length <= 1) {
+        throw new Error(`Issuance message for ${event.tokenId} exceeds ${MAX_TOPIC_MESSAGE_BYTES} bytes`);
+    }
+
+    // Deux moitiés (serials et hash de métadonnées alignés)
+    const middle = Math.ceil(serials.length / 2);
+    const part = (start, end) => ({
+        ...event,
+        serials: serials.slice(start, end),
+        ...(event.metadataHashes ? { metadataHashes: event.metadataHashes.slice(start, end) } : {})
+    });
+    return [
+        ...buildIssuanceMessages(part(0, middle), privateKey),
+        ...buildIssuanceMessages(part(middle, serials.length), privateKey)
+    ];
+}
@@ -0,0 +1,34 @@
+/**
+ * Error returned to API clients as { error: { code, message, details } }
+ */
+class ApiError extends Error {
+    /**
+     * @param {number} status - HTTP status
+     * @param {string} code - Stable machine-readable code (validation_failed, unauthorized, ...)
+     * @param {string} message - Human-readable message
+     * @param {*} details - Optional details (e.g. validation errors)
+     */
+    constructor(status, code, message, details = null) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+    }
+
+    /**
+     * JSON body of the error response
+     * @returns {Object} { error: { code, message, details? } }
+     */
+    toJSON() {
+        return {
+            error: {
+                code: this.code,
+                message: this.message,
+                ...(this.details ? { details: this.details } : {})
+            }
+        };
+    }
+}
+
+export default ApiError;
@@ -0,0 +1,128 @@
+import { randomUUID } from "crypto";
+
+/**
+ * In-memory queue of long-running operations (mints), run one at a time
+ * Jobs are lost when the process stops; a failed mint keeps its checkpoint so it can be retried.
+ */
+class JobQueue {
+    /**
+     * @param {Object} options - Queue options
+     * @param {number} options.maxFinishedJobs - Finished jobs kept for GET /jobs (oldest dropped first)
+     * @param {Object} options.logger - Logger for failed jobs (defaults to console)
+     */
+    constructor({ maxFinishedJobs = 100, logger = console } = {}) {
+        this.maxFinishedJobs = maxFinishedJobs;
+        this.logger = logger;
+        this.jobs = new Map();
+        // Une seule opération à la fois : les transactions de l'opérateur ne se chevauchent pas
+        this.tail = Promise.resolve();
+    }
+
+    /**
+     * Queue a job
+     * @param {string} type - Job type (mint, ...)
+     * @param {Object} input - Public description of the job input
+     * @param {Function} run - async (job) => result, may update job.progress
+     * @returns {Object} Job
+     */
+    enqueue(type, input, run) {
+        const job = {
+            id: randomUUID(),
+            type: type,
+            status: "queued",
+            input: input,
+            progress: null,
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+
+        this.jobs.set(job.id, job);
+        this.schedule(job, run);
+        return job;
+    }
+
+    /**
+     * Run a failed job again (its runner receives the job, with the state of the previous run)
+     * @param {string} id - Job ID
+     * @param {Function} run - async (job) => result
+     * @returns {Object} Job
+     */
+    retry(id, run) {
+        const job = this.get(id);
+        if (!job || job.status !== "failed") {
+            throw new Error(`Job ${id} is not a failed job`);
+        }
+
+        job.status = "queued";
+        job.error = null;
+        job.finishedAt = null;
+        this.schedule(job, run);
+        return job;
+    }
+
+    /**
+     * Helper - Chaîner l'exécution d'un job derrière les précédents
+     */
+    schedule(job, run) {
+        this.tail = this.tail.then(async () => {
+            job.status = "running";
+            job.startedAt = new Date().toISOString();
+            try {
+                job.result = await run(job);
+                job.status = "succeeded";
+            } catch (error) {
+                this.logger.error(`Error in ${job.type} job ${job.id}:`, error.message);
+                job.status = "failed";
+                job.error = error;
+            }
+            job.finishedAt = new Date().toISOString();
+            this.prune();
+        });
+    }
+
+    /**
+     * Helper - Oublier les jobs terminés les plus anciens
+     */
+    prune() {
+        const finished = [...this.jobs.values()].filter(job => job.finishedAt);
+        for (const job of finished.slice(0, Math.max(0, finished.length - this.maxFinishedJobs))) {
+            this.jobs.delete(job.id);
+        }
+    }
+
+    /**
+     * Get a job
+     * @param {string} id - Job ID
+     * @returns {Object|null} Job
+     */
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    /**
+     * List the jobs, most recent first
+     * @param {Object} filter - Optional type, status
+     * @returns {Array} Jobs
+     */
+    list({ type, status } = {}) {
+        return [...this.jobs.values()]
+            .filter(job => (!type || job.type === type) && (!status || job.status === status))
+            .reverse();
+    }
+
+    /**
+     * Wait until every queued job has finished (used on shutdown)
+     */
+    async drain() {
+        let tail;
+        do {
+            tail = this.tail;
+            await tail;
+        } while (tail !== this.tail);
+    }
+}
+
+export default JobQueue;
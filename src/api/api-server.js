@@ -0,0 +1,408 @@
+import http from "http";
+import { createHash, timingSafeEqual } from "crypto";
+import ApiError from "./ApiError.js";
+import JobQueue from "./JobQueue.js";
+import { validateBody, validateReference } from "./validation.js";
+import { toJsonValue } from "../utils/json-value.js";
+import { TOKEN_KEY_ROLES } from "../tokens/token-keys.js";
+import { MAX_NFTS_PER_MINT, toMetadataBuffer, validateMetadataBuffers } from "../mint/mint-batches.js";
+import {
+    AccountFrozenError,
+    BudgetExceededError,
+    HederaNftError,
+    InsufficientBalanceError,
+    InvalidSignatureError,
+    MaxSupplyReachedError,
+    NotAssociatedError,
+    TokenPausedError,
+    TransactionFailedError,
+    TransientNetworkError,
+    toHederaError
+} from "../errors/hedera-errors.js";
+
+// Taille maximale d'un corps de requête JSON
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// Nombre maximal de NFTs par job de mint
+const MAX_NFTS_PER_JOB = 1000;
+
+// Erreurs typées du service -> statut HTTP et code (la première classe correspondante gagne)
+const ERROR_RESPONSES = [
+    [NotAssociatedError, 409, "not_associated"],
+    [MaxSupplyReachedError, 409, "max_supply_reached"],
+    [AccountFrozenError, 409, "account_frozen"],
+    [TokenPausedError, 409, "token_paused"],
+    [InsufficientBalanceError, 402, "insufficient_balance"],
+    [BudgetExceededError, 402, "budget_exceeded"],
+    [InvalidSignatureError, 403, "invalid_signature"],
+    [TransientNetworkError, 503, "network_unavailable"],
+    [TransactionFailedError, 422, "transaction_failed"]
+];
+
+const ACCOUNT_SCHEMA = {
+    initialBalance: { type: "number", min: 0 },
+    alias: { type: "reference" },
+    publicKey: { type: "string", maxLength: 200 },
+    maxAutomaticTokenAssociations: { type: "integer", min: -1 }
+};
+
+const TOKEN_SCHEMA = {
+    treasury: { type: "reference", required: true },
+    name: { type: "string", maxLength: 100 },
+    symbol: { type: "string", maxLength: 100 },
+    maxSupply: { type: "integer", min: 1 },
+    memo: { type: "string", maxLength: 100 },
+    keys: { type: "array", items: { type: "string", enum: Object.keys(TOKEN_KEY_ROLES) } },
+    soulbound: { type: "boolean" },
+    customFees: { type: "array", maxItems: 10, items: { type: "object" } },
+    alias: { type: "reference" }
+};
+
+const MINT_SCHEMA = {
+    metadata: { type: "array", required: true, minItems: 1, maxItems: MAX_NFTS_PER_JOB, items: { type: "string" } },
+    diplomaMetadata: { type: "array", items: { type: "object" } },
+    chunkSize: { type: "integer", min: 1, max: MAX_NFTS_PER_MINT }
+};
+
+const ASSOCIATION_SCHEMA = {
+    account: { type: "reference", required: true }
+};
+
+const TRANSFER_SCHEMA = {
+    token: { type: "reference", required: true },
+    serial: { type: "integer", required: true, min: 1 },
+    from: { type: "reference", required: true },
+    to: { type: "reference", required: true }
+};
+
+/**
+ * Helper - Réponse JSON (les champs privateKey ne sortent jamais, même par erreur)
+ */
+function sendJson(response, status, body, headers = {}) {
+    const json = JSON.stringify(toJsonValue(body), (key, value) => (key === "privateKey" ? undefined : value), 2);
+    response.writeHead(status, { "content-type": "application/json; charset=utf-8", ...headers });
+    response.end(json);
+}
+
+/**
+ * Helper - Lire et parser le corps JSON d'une requête
+ */
+async function readJsonBody(request) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of request) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+            throw new ApiError(413, "payload_too_large", `Request body is larger than ${MAX_BODY_BYTES} bytes`);
+        }
+        chunks.push(chunk);
+    }
+
+    const text = Buffer.concat(chunks).toString("utf8");
+    if (text.trim() === "") {
+        return {};
+    }
+    try {
+        return JSON.parse(text);
+    } catch {
+        throw new ApiError(400, "invalid_json", "Request body is not valid JSON");
+    }
+}
+
+/**
+ * Helper - Empreinte d'une clé d'API (comparaison à temps constant)
+ */
+function hashApiKey(apiKey) {
+    return createHash("sha256").update(apiKey).digest();
+}
+
+/**
+ * Helper - Clé d'API de la requête (x-api-key ou Authorization: Bearer)
+ */
+function requestApiKey(request) {
+    const header = request.headers["x-api-key"];
+    if (header) {
+        return header;
+    }
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || "");
+    return match ? match[1].trim() : null;
+}
+
+/**
+ * Turn any error into an ApiError (HTTP status + stable code)
+ * @param {Error} error - Error thrown by a route or the service
+ * @returns {ApiError} Error for the response
+ */
+export function toApiError(error) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+    const typed = toHederaError(error);
+    if (typed instanceof HederaNftError) {
+        const [, status, code] = ERROR_RESPONSES.find(([ErrorClass]) => typed instanceof ErrorClass) || [null, 500, "operation_failed"];
+        return new ApiError(status, code, typed.message, {
+            status: typed.status,
+            transactionId: typed.transactionId
+        });
+    }
+    if (/not found in keystore/.test(error.message)) {
+        return new ApiError(404, "not_found", error.message);
+    }
+    return new ApiError(500, "operation_failed", error.message);
+}
+
+/**
+ * Helper - Vue publique d'un job
+ */
+function describeJob(job) {
+    return {
+        id: job.id,
+        type: job.type,
+        status: job.status,
+        input: job.input,
+        progress: job.progress,
+        result: job.result,
+        error: job.error ? toApiError(job.error).toJSON().error : null,
+        resumable: job.status === "failed" && Boolean(job.checkpoint),
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt
+    };
+}
+
+/**
+ * Helper - Lancer (ou relancer depuis son checkpoint) le mint d'un job
+ */
+function mintRunner(service, token, metadata, options) {
+    return async job => {
+        try {
+            return await service.mintNFTs(token, metadata, {
+                ...options,
+                checkpoint: job.checkpoint || undefined,
+                onProgress: progress => {
+                    job.progress = progress;
+                }
+            });
+        } catch (error) {
+            // Le checkpoint permet de reprendre sans re-minter les lots terminés
+            job.checkpoint = error.mintCheckpoint || job.checkpoint || null;
+            throw error;
+        }
+    };
+}
+
+// Table des routes : méthode, chemin (":param"), schéma du corps, handler
+const ROUTES = [
+    {
+        method: "GET",
+        path: "/health",
+        public: true,
+        handler: async () => ({ status: 200, body: { status: "ok" } })
+    },
+    {
+        method: "POST",
+        path: "/accounts",
+        schema: ACCOUNT_SCHEMA,
+        handler: async ({ service, body }) => {
+            const { initialBalance = 100, ...options } = body;
+            const account = await service.createAccount(initialBalance, options);
+            return { status: 201, body: account };
+        }
+    },
+    {
+        method: "GET",
+        path: "/accounts/:account/balance",
+        handler: async ({ service, params }) => ({
+            status: 200,
+            body: await service.getAccountBalance(validateReference(params.account, "account"))
+        })
+    },
+    {
+        method: "POST",
+        path: "/tokens",
+        schema: TOKEN_SCHEMA,
+        handler: async ({ service, body }) => {
+            const { treasury, keys: roles = [], ...tokenConfig } = body;
+            for (const role of roles) {
+                tokenConfig[TOKEN_KEY_ROLES[role].configField] = "generate";
+            }
+
+            const { treasuryAccount, keys, ...token } = await service.createNFTToken(treasury, tokenConfig);
+            return { status: 201, body: { ...token, keyRoles: Object.keys(keys) } };
+        }
+    },
+    {
+        method: "GET",
+        path: "/tokens/:token",
+        handler: async ({ service, params }) => ({
+            status: 200,
+            body: await service.getTokenBasicInfo(validateReference(params.token, "token"))
+        })
+    },
+    {
+        method: "POST",
+        path: "/tokens/:token/associations",
+        schema: ASSOCIATION_SCHEMA,
+        handler: async ({ service, params, body }) => ({
+            status: 200,
+            body: await service.associateTokenToAccount(body.account, validateReference(params.token, "token"))
+        })
+    },
+    {
+        method: "POST",
+        path: "/tokens/:token/mint",
+        schema: MINT_SCHEMA,
+        handler: async ({ service, jobs, params, body }) => {
+            const token = validateReference(params.token, "token");
+            const errors = validateMetadataBuffers(body.metadata.map(toMetadataBuffer));
+            if (errors.length > 0) {
+                throw new ApiError(400, "validation_failed", "Invalid NFT metadata",
+                    errors.map(error => ({ path: `metadata[${error.index}]`, message: error.message })));
+            }
+
+            const options = { chunkSize: body.chunkSize, diplomaMetadata: body.diplomaMetadata };
+            const job = jobs.enqueue("mint", { token: token, count: body.metadata.length },
+                mintRunner(service, token, body.metadata, options));
+            job.retryRunner = mintRunner(service, token, body.metadata, options);
+
+            return { status: 202, body: describeJob(job), headers: { location: `/jobs/${job.id}` } };
+        }
+    },
+    {
+        method: "POST",
+        path: "/transfers",
+        schema: TRANSFER_SCHEMA,
+        handler: async ({ service, body }) => ({
+            status: 200,
+            body: await service.transferNFTWithBalanceCheck(body.token, body.from, body.to, body.serial)
+        })
+    },
+    {
+        method: "GET",
+        path: "/jobs",
+        handler: async ({ jobs, query }) => ({
+            status: 200,
+            body: {
+                jobs: jobs.list({ type: query.get("type") || undefined, status: query.get("status") || undefined }).map(describeJob)
+            }
+        })
+    },
+    {
+        method: "GET",
+        path: "/jobs/:id",
+        handler: async ({ jobs, params }) => {
+            const job = jobs.get(params.id);
+            if (!job) {
+                throw new ApiError(404, "not_found", `Job ${params.id} not found`);
+            }
+            return { status: 200, body: describeJob(job) };
+        }
+    },
+    {
+        method: "POST",
+        path: "/jobs/:id/retry",
+        handler: async ({ jobs, params }) => {
+            const job = jobs.get(params.id);
+            if (!job) {
+                throw new ApiError(404, "not_found", `Job ${params.id} not found`);
+            }
+            if (job.status !== "failed" || !job.retryRunner) {
+                throw new ApiError(409, "conflict", `Job ${params.id} is ${job.status}, only failed jobs can be retried`);
+            }
+            jobs.retry(job.id, job.retryRunner);
+            return { status: 202, body: describeJob(job), headers: { location: `/jobs/${job.id}` } };
+        }
+    }
+].map(route => ({
+    ...route,
+    pattern: new RegExp(`^${route.path.replace(/:(\w+)/g, "(?<$1>[^/]+)")}/?$`)
+}));
+
+/**
+ * Helper - Route correspondant à une requête (405 si le chemin existe avec une autre méthode)
+ */
+function matchRoute(method, pathname) {
+    const matches = ROUTES
+        .map(route => ({ route: route, match: route.pattern.exec(pathname) }))
+        .filter(item => item.match);
+
+    if (matches.length === 0) {
+        throw new ApiError(404, "not_found", `No route for ${pathname}`);
+    }
+
+    const found = matches.find(item => item.route.method === method);
+    if (!found) {
+        throw new ApiError(405, "method_not_allowed", `${method} is not allowed on ${pathname}`);
+    }
+
+    const params = {};
+    for (const [name, value] of Object.entries(found.match.groups || {})) {
+        try {
+            params[name] = decodeURIComponent(value);
+        } catch {
+            throw new ApiError(400, "validation_failed", `Invalid ${name} in ${pathname}`, [
+                { path: name, message: "malformed percent-encoding" }
+            ]);
+        }
+    }
+    return { route: found.route, params: params };
+}
+
+/**
+ * Create the REST API server wrapping HederaNftService
+ * Every route except GET /health needs an API key (x-api-key header or Authorization: Bearer).
+ * Errors are returned as { error: { code, message, details } }; private keys are never returned,
+ * so the service must have a keystore to keep the keys it generates.
+ * @param {HederaNftService} service - Service used for every request
+ * @param {Object} options - apiKeys: accepted API keys, jobs: JobQueue (one using the service logger by default)
+ * @returns {http.Server} Server (not listening yet), with its job queue as server.jobs
+ */
+export function createApiServer(service, { apiKeys = [], jobs = new JobQueue({ logger: service.logger }) } = {}) {
+    if (apiKeys.length === 0) {
+        throw new Error("At least one API key is required (API_KEYS)");
+    }
+    if (!service.keystore) {
+        throw new Error("The API needs a keystore (KEYSTORE_PATH): generated keys are never returned to clients");
+    }
+
+    const acceptedKeys = apiKeys.map(hashApiKey);
+    const isAuthorized = request => {
+        const apiKey = requestApiKey(request);
+        if (!apiKey) {
+            return false;
+        }
+        const hash = hashApiKey(apiKey);
+        return acceptedKeys.some(accepted => timingSafeEqual(accepted, hash));
+    };
+
+    const server = http.createServer(async (request, response) => {
+        const url = new URL(request.url, "http://localhost");
+
+        try {
+            const { route, params } = matchRoute(request.method, url.pathname);
+
+            if (!route.public && !isAuthorized(request)) {
+                throw new ApiError(401, "unauthorized", "Missing or invalid API key");
+            }
+
+            const body = route.schema ? validateBody(await readJsonBody(request), route.schema) : {};
+            const result = await route.handler({
+                service: service,
+                jobs: jobs,
+                params: params,
+                query: url.searchParams,
+                body: body
+            });
+            sendJson(response, result.status, result.body, result.headers);
+        } catch (error) {
+            const apiError = toApiError(error);
+            if (apiError.status >= 500 || error instanceof HederaNftError) {
+                service.logger.error(`Error handling ${request.method} ${url.pathname}:`, error.message);
+            }
+            sendJson(response, apiError.status, apiError.toJSON());
+        }
+    });
+
+    server.jobs = jobs;
+    return server;
+}
@@ -0,0 +1,135 @@
+import ApiError from "./ApiError.js";
+
+// Référence de compte / token : ID Hedera (0.0.x) ou alias du keystore
+export const REFERENCE_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]{0,99}$/;
+
+/**
+ * Helper - Type JSON d'une valeur, tel qu'annoncé dans les messages d'erreur
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) {
+        return "array";
+    }
+    return value === null ? "null" : typeof value;
+}
+
+/**
+ * Helper - Valider une valeur selon sa règle, en ajoutant les erreurs à la liste
+ */
+function checkValue(value, rule, path, errors) {
+    const fail = message => errors.push({ path: path, message: message });
+
+    switch (rule.type) {
+        case "string":
+            if (typeof value !== "string" || value.trim() === "") {
+                return fail("must be a non-empty string");
+            }
+            if (rule.maxLength && value.length > rule.maxLength) {
+                return fail(`must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !rule.pattern.test(value)) {
+                return fail(rule.patternMessage || "has an invalid format");
+            }
+            break;
+        case "reference":
+            if (typeof value !== "string" || !REFERENCE_PATTERN.test(value)) {
+                return fail("must be an entity ID (0.0.x) or a keystore alias");
+            }
+            break;
+        case "integer":
+        case "number":
+            if (typeof value !== "number" || !Number.isFinite(value) || (rule.type === "integer" && !Number.isInteger(value))) {
+                return fail(`must be ${rule.type === "integer" ? "an integer" : "a number"}`);
+            }
+            if (rule.min !== undefined && value < rule.min) {
+                return fail(`must be >= ${rule.min}`);
+            }
+            if (rule.max !== undefined && value > rule.max) {
+                return fail(`must be <= ${rule.max}`);
+            }
+            break;
+        case "boolean":
+            if (typeof value !== "boolean") {
+                return fail("must be a boolean");
+            }
+            break;
+        case "object":
+            if (typeOf(value) !== "object") {
+                return fail("must be an object");
+            }
+            break;
+        case "array":
+            if (!Array.isArray(value)) {
+                return fail("must be an array");
+            }
+            if (rule.minItems !== undefined && value.length < rule.minItems) {
+                return fail(`must contain at least ${rule.minItems} item(s)`);
+            }
+            if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+                return fail(`must contain at most ${rule.maxItems} item(s)`);
+            }
+            if (rule.items) {
+                value.forEach((item, index) => checkValue(item, rule.items, `${path}[${index}]`, errors));
+            }
+            break;
+        default:
+            throw new Error(`Unknown validation type "${rule.type}"`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+        fail(`must be one of: ${rule.enum.join(", ")}`);
+    }
+}
+
+/**
+ * Validate a JSON request body against a schema
+ * @param {*} body - Parsed body
+ * @param {Object} schema - Field rules: { type, required, min, max, maxLength, pattern, enum, minItems, maxItems, items }
+ * @returns {Object} Body with the known fields only
+ * @throws {ApiError} 400 validation_failed with { path, message } details
+ */
+export function validateBody(body, schema) {
+    if (typeOf(body) !== "object") {
+        throw new ApiError(400, "validation_failed", "Request body must be a JSON object");
+    }
+
+    const errors = [];
+    for (const field of Object.keys(body)) {
+        if (!schema[field]) {
+            errors.push({ path: field, message: "is not a known field" });
+        }
+    }
+
+    const values = {};
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = body[field];
+        if (value === undefined || value === null) {
+            if (rule.required) {
+                errors.push({ path: field, message: "is required" });
+            }
+            continue;
+        }
+        checkValue(value, rule, field, errors);
+        values[field] = value;
+    }
+
+    if (errors.length > 0) {
+        throw new ApiError(400, "validation_failed", "Invalid request body", errors);
+    }
+    return values;
+}
+
+/**
+ * Validate an account / token reference taken from the URL
+ * @param {string} value - Path parameter
+ * @param {string} name - Parameter name for the error message
+ * @returns {string} Reference
+ */
+export function validateReference(value, name) {
+    if (!REFERENCE_PATTERN.test(value)) {
+        throw new ApiError(400, "validation_failed", `Invalid ${name} "${value}"`, [
+            { path: name, message: "must be an entity ID (0.0.x) or a keystore alias" }
+        ]);
+    }
+    return value;
+}
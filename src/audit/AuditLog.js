@@ -0,0 +1,189 @@
+import { appendFileSync, closeSync, existsSync, fstatSync, mkdirSync, openSync, readFileSync, readSync, writeFileSync } from "fs";
+import { dirname } from "path";
+import { toCsv } from "../issuance/roster.js";
+
+const AUDIT_VERSION = 1;
+
+export const AUDIT_EXPORT_FORMATS = ["json", "csv"];
+
+// Colonnes de l'export CSV (acteurs, tokens et serials séparés par des points-virgules)
+export const AUDIT_CSV_COLUMNS = [
+    "consensusTimestamp", "consensusAt", "operation", "transactionType", "transactionId", "status",
+    "feeHbar", "feeSource", "payer", "actors", "tokenIds", "serials", "network", "recordedAt"
+];
+
+/**
+ * Append-only audit log of the transactions executed by the service
+ * One JSON object per line (JSON Lines): entries are appended, never rewritten, so a crash can
+ * at worst leave one truncated line (skipped on read) and several processes can share the file.
+ */
+class AuditLog {
+    /**
+     * @param {Object} options - Audit log options
+     * @param {string} options.path - Log file (created on first record)
+     */
+    constructor({ path } = {}) {
+        if (!path) {
+            throw new Error("Audit log path is required");
+        }
+
+        this.path = path;
+    }
+
+    /**
+     * Lecture de toutes les entrées
+     */
+    read() {
+        if (!existsSync(this.path)) {
+            return [];
+        }
+
+        const lines = readFileSync(this.path, "utf8").split("\n").filter(line => line.trim() !== "");
+        const entries = [];
+        lines.forEach((line, index) => {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch {
+                // Écriture interrompue par un crash : la ligne incomplète est ignorée
+                return;
+            }
+            if (entry.version !== AUDIT_VERSION) {
+                throw new Error(`Unsupported audit log version ${entry.version} in ${this.path} at line ${index + 1}`);
+            }
+            entries.push(entry);
+        });
+        return entries;
+    }
+
+    /**
+     * Record an executed transaction
+     * @param {Object} entry - operation, transactionType, transactionId, consensusTimestamp (Timestamp), status,
+     *   feeHbar, feeSource, actors ([{ role, accountId }]), tokenIds, serials, network
+     * @returns {Object} Stored entry
+     */
+    record({ operation, transactionType, transactionId, consensusTimestamp, status, feeHbar, feeSource = "record", actors = [], tokenIds = [], serials = [], network }) {
+        const entry = {
+            version: AUDIT_VERSION,
+            operation: operation,
+            transactionType: transactionType || null,
+            transactionId: transactionId ? transactionId.toString() : null,
+            consensusTimestamp: consensusTimestamp ? consensusTimestamp.toString() : null,
+            consensusAt: consensusTimestamp ? consensusTimestamp.toDate().toISOString() : null,
+            status: status ? status.toString() : null,
+            feeHbar: feeHbar ?? null,
+            feeSource: feeSource,
+            payer: transactionId?.accountId ? transactionId.accountId.toString() : null,
+            actors: actors,
+            tokenIds: tokenIds.map(tokenId => tokenId.toString()),
+            serials: serials.map(Number),
+            network: network || null,
+            recordedAt: new Date().toISOString()
+        };
+
+        mkdirSync(dirname(this.path), { recursive: true });
+        // Une ligne tronquée par un crash reste seule sur sa ligne
+        const separator = endsWithNewline(this.path) ? "" : "\n";
+        appendFileSync(this.path, separator + JSON.stringify(entry) + "\n");
+        return entry;
+    }
+
+    /**
+     * Query entries, in the order they were recorded
+     * @param {Object} filters - operation, status, tokenId, serial, accountId (payer or any actor), transactionId,
+     *   since / until (dates, on the consensus time), limit (last n entries)
+     * @returns {Array} Matching entries
+     */
+    query({ operation, status, tokenId, serial, accountId, transactionId, since, until, limit } = {}) {
+        const sinceTime = since ? parseDate(since, "since") : null;
+        const untilTime = until ? parseDate(until, "until") : null;
+
+        const entries = this.read().filter(entry => {
+            const time = new Date(entry.consensusAt || entry.recordedAt).getTime();
+            return (!operation || entry.operation === operation)
+                && (!status || entry.status === status.toString())
+                && (!tokenId || entry.tokenIds.includes(tokenId.toString()))
+                && (serial === undefined || serial === null || entry.serials.includes(Number(serial)))
+                && (!accountId || entry.payer === accountId.toString()
+                    || entry.actors.some(actor => actor.accountId === accountId.toString()))
+                && (!transactionId || entry.transactionId === transactionId.toString())
+                && (sinceTime === null || time >= sinceTime)
+                && (untilTime === null || time <= untilTime);
+        });
+
+        return limit ? entries.slice(-limit) : entries;
+    }
+
+    /**
+     * Write entries to a file
+     * @param {string} filePath - Export file
+     * @param {Array} entries - Entries (from query)
+     * @param {string} format - json or csv
+     * @returns {Object} { path, format, entries, exportedAt }
+     */
+    export(filePath, entries, format = "json") {
+        if (!AUDIT_EXPORT_FORMATS.includes(format)) {
+            throw new Error(`Unknown export format "${format}", expected one of: ${AUDIT_EXPORT_FORMATS.join(", ")}`);
+        }
+
+        const content = format === "csv"
+            ? toCsv(entries.map(toCsvRow), AUDIT_CSV_COLUMNS)
+            : JSON.stringify(entries, null, 2) + "\n";
+        mkdirSync(dirname(filePath), { recursive: true });
+        writeFileSync(filePath, content);
+
+        return {
+            path: filePath,
+            format: format,
+            entries: entries.length,
+            exportedAt: new Date().toISOString()
+        };
+    }
+}
+
+/**
+ * Helper - Le fichier est-il vide ou terminé par un saut de ligne ?
+ */
+function endsWithNewline(path) {
+    if (!existsSync(path)) {
+        return true;
+    }
+
+    const fd = openSync(path, "r");
+    try {
+        const size = fstatSync(fd).size;
+        if (size === 0) {
+            return true;
+        }
+        const lastByte = Buffer.alloc(1);
+        readSync(fd, lastByte, 0, 1, size - 1);
+        return lastByte[0] === 0x0a;
+    } finally {
+        closeSync(fd);
+    }
+}
+
+/**
+ * Helper - Date d'un filtre en millisecondes
+ */
+function parseDate(value, name) {
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) {
+        throw new Error(`Invalid ${name} date "${value}"`);
+    }
+    return time;
+}
+
+/**
+ * Helper - Entrée à plat pour le CSV
+ */
+function toCsvRow(entry) {
+    return {
+        ...entry,
+        actors: entry.actors.map(actor => `${actor.role}:${actor.accountId}`).join(";"),
+        tokenIds: entry.tokenIds.join(";"),
+        serials: entry.serials.join(";")
+    };
+}
+
+export default AuditLog;
@@ -0,0 +1,128 @@
+import {
+    AccountAllowanceApproveTransaction,
+    AccountAllowanceDeleteTransaction,
+    AccountCreateTransaction,
+    TokenAssociateTransaction,
+    TokenBurnTransaction,
+    TokenCreateTransaction,
+    TokenFreezeTransaction,
+    TokenUnfreezeTransaction,
+    TokenWipeTransaction,
+    TransferTransaction
+} from "@hashgraph/sdk";
+
+/**
+ * Helper - Collecte des acteurs, tokens et serials sans doublons
+ */
+function createCollector() {
+    const actors = [];
+    const tokenIds = new Set();
+    const serials = new Set();
+
+    return {
+        actor(role, accountId) {
+            if (!accountId) {
+                return;
+            }
+            const id = accountId.toString();
+            if (!actors.some(actor => actor.role === role && actor.accountId === id)) {
+                actors.push({ role: role, accountId: id });
+            }
+        },
+        token(tokenId) {
+            if (tokenId) {
+                tokenIds.add(tokenId.toString());
+            }
+        },
+        serial(serial) {
+            serials.add(Number(serial));
+        },
+        result() {
+            return { actors: actors, tokenIds: [...tokenIds], serials: [...serials].sort((a, b) => a - b) };
+        }
+    };
+}
+
+/**
+ * Accounts, tokens and serials involved in a transaction, for the audit log
+ * Read from the transaction body, plus the receipt for what the network created (account, token, minted serials).
+ * The payer is always the first actor.
+ * @param {Transaction} transaction - Executed transaction
+ * @param {TransactionReceipt} receipt - Its receipt (or null when unknown)
+ * @returns {Object} { actors: [{ role, accountId }], tokenIds, serials }
+ */
+export function describeTransaction(transaction, receipt = null) {
+    const collector = createCollector();
+    collector.actor("payer", transaction.transactionId?.accountId);
+
+    // Le champ tokenId existe sur la plupart des transactions de token (mint, burn, freeze, pause...)
+    if (transaction.tokenId) {
+        collector.token(transaction.tokenId);
+    }
+
+    // instanceof : les noms de classes du SDK sont minifiés
+    if (transaction instanceof AccountCreateTransaction) {
+        collector.actor("account", receipt?.accountId);
+    } else if (transaction instanceof TokenCreateTransaction) {
+        collector.actor("treasury", transaction.treasuryAccountId);
+        collector.token(receipt?.tokenId);
+    } else if (transaction instanceof TokenAssociateTransaction) {
+        collector.actor("account", transaction.accountId);
+        for (const tokenId of transaction.tokenIds || []) {
+            collector.token(tokenId);
+        }
+    } else if (transaction instanceof TokenFreezeTransaction || transaction instanceof TokenUnfreezeTransaction) {
+        collector.actor("account", transaction.accountId);
+    } else if (transaction instanceof TokenWipeTransaction) {
+        collector.actor("account", transaction.accountId);
+        for (const serial of transaction.serials || []) {
+            collector.serial(serial);
+        }
+    } else if (transaction instanceof TokenBurnTransaction) {
+        for (const serial of transaction.serials || []) {
+            collector.serial(serial);
+        }
+    } else if (transaction instanceof TransferTransaction) {
+        for (const [tokenId, transfers] of transaction.nftTransfers) {
+            collector.token(tokenId);
+            for (const transfer of transfers) {
+                collector.actor("sender", transfer.sender);
+                collector.actor("receiver", transfer.recipient);
+                collector.serial(transfer.serial);
+            }
+        }
+        for (const [tokenId, amounts] of transaction.tokenTransfers) {
+            collector.token(tokenId);
+            for (const [accountId, amount] of amounts) {
+                collector.actor(amount.isNegative() ? "sender" : "receiver", accountId);
+            }
+        }
+        for (const [accountId, amount] of transaction.hbarTransfers) {
+            collector.actor(amount.isNegative() ? "sender" : "receiver", accountId);
+        }
+    } else if (transaction instanceof AccountAllowanceApproveTransaction) {
+        for (const allowance of transaction.tokenNftApprovals) {
+            collector.token(allowance.tokenId);
+            collector.actor("owner", allowance.ownerAccountId);
+            collector.actor("spender", allowance.spenderAccountId);
+            for (const serial of allowance.serialNumbers || []) {
+                collector.serial(serial);
+            }
+        }
+    } else if (transaction instanceof AccountAllowanceDeleteTransaction) {
+        for (const allowance of transaction.tokenNftAllowanceDeletions) {
+            collector.token(allowance.tokenId);
+            collector.actor("owner", allowance.ownerAccountId);
+            for (const serial of allowance.serialNumbers || []) {
+                collector.serial(serial);
+            }
+        }
+    }
+
+    // Serials créés par un mint
+    for (const serial of receipt?.serials || []) {
+        collector.serial(serial);
+    }
+
+    return collector.result();
+}
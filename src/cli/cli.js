@@ -0,0 +1,1039 @@
+import { parseArgs } from "util";
+import { existsSync, readFileSync } from "fs";
+import { extname, resolve } from "path";
+import { pathToFileURL } from "url";
+import { PrivateKey, PublicKey } from "@hashgraph/sdk";
+import HederaNftService from "../HederaNftService.js";
+import AuditLog from "../audit/AuditLog.js";
+import Logger from "../logging/Logger.js";
+import { TOKEN_KEY_ROLES, assertKeyRole } from "../tokens/token-keys.js";
+import { resolveHederaConfig } from "../config/hedera-config.js";
+import { createDiplomaVerifier } from "../verification/DiplomaVerifier.js";
+import { createIssuanceTrailReader } from "../anchoring/IssuanceTrailReader.js";
+import { toJsonValue } from "../utils/json-value.js";
+import { HederaNftError } from "../errors/hedera-errors.js";
+import { roundHbar } from "../fees/fee-estimator.js";
+import { parseCsv } from "../issuance/roster.js";
+import {
+    formatEnvelope,
+    loadEnvelope,
+    mergeSignedTransaction,
+    saveEnvelope,
+    signEnvelope
+} from "../signing/transaction-envelope.js";
+
+const GLOBAL_OPTIONS = {
+    config: { type: "string" },
+    network: { type: "string" },
+    keystore: { type: "string" },
+    prepare: { type: "string" },
+    "valid-start": { type: "string" },
+    "dry-run": { type: "boolean", default: false },
+    budget: { type: "string" },
+    "log-level": { type: "string" },
+    "log-format": { type: "string" },
+    json: { type: "boolean", default: false },
+    help: { type: "boolean", short: "h", default: false }
+};
+
+/**
+ * Helper - Lire un entier depuis un flag
+ */
+function toInteger(value, flag) {
+    if (value === undefined) {
+        return undefined;
+    }
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed)) {
+        throw new Error(`--${flag} must be an integer, got "${value}"`);
+    }
+    return parsed;
+}
+
+/**
+ * Helper - Exiger un argument positionnel
+ */
+function required(value, name) {
+    if (value === undefined || value === "") {
+        throw new Error(`Missing <${name}>`);
+    }
+    return value;
+}
+
+/**
+ * Helper - Retirer les valeurs undefined (flags absents)
+ */
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Helper - "admin,freeze" -> { adminKey: "generate", freezeKey: "generate" }
+ */
+function generatedKeys(roles) {
+    if (!roles) {
+        return {};
+    }
+
+    const config = {};
+    for (const role of roles.split(",").map(item => item.trim()).filter(Boolean)) {
+        assertKeyRole(role);
+        config[TOKEN_KEY_ROLES[role].configField] = "generate";
+    }
+    return config;
+}
+
+/**
+ * Helper - "<key>,<key>" + seuil -> { keys, threshold } (clés publiques des titulaires)
+ */
+function keyListSpec(keys, threshold, flag) {
+    const publicKeys = keys.split(",").map(item => item.trim()).filter(Boolean).map(key => PublicKey.fromString(key));
+    if (publicKeys.length === 0) {
+        throw new Error(`--${flag} must list public keys separated by commas`);
+    }
+    return withoutUndefined({ keys: publicKeys, threshold: threshold });
+}
+
+/**
+ * Helper - Lire un fichier JSON
+ */
+function readJsonFile(filePath) {
+    return JSON.parse(readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Helper - Options des modes prepare (--prepare <file> [--valid-start <date>]) et --dry-run
+ */
+function prepareOptions(flags) {
+    if (flags["dry-run"]) {
+        return { dryRun: true };
+    }
+    if (!flags.prepare) {
+        return {};
+    }
+    return withoutUndefined({ prepare: true, validStart: flags["valid-start"] });
+}
+
+/**
+ * Helper - Serials d'une allowance (positionnels ou --all)
+ */
+function allowanceSerials(serials, flags) {
+    if (flags.all) {
+        if (serials.length > 0) {
+            throw new Error("Pass serials or --all, not both");
+        }
+        return "all";
+    }
+    if (serials.length === 0) {
+        throw new Error("Missing <serial> (or --all)");
+    }
+    return serials.map(serial => toInteger(serial, "serial"));
+}
+
+/**
+ * Helper - Liste de transferts NFT (JSON, ou CSV avec les colonnes token,serial,from,to)
+ */
+function readTransferList(filePath) {
+    if (extname(filePath).toLowerCase() === ".json") {
+        return readJsonFile(filePath);
+    }
+
+    const [header, ...records] = parseCsv(readFileSync(filePath, "utf8").replace(/^\uFEFF/, ""));
+    const missing = ["token", "serial", "from", "to"].filter(column => !header?.includes(column));
+    if (missing.length > 0) {
+        throw new Error(`${filePath} is missing column(s): ${missing.join(", ")}`);
+    }
+    return records
+        .filter(record => record.some(field => field.trim() !== ""))
+        .map(record => Object.fromEntries(header.map((column, index) => [column, record[index]?.trim()])));
+}
+
+/**
+ * Helper - Argument en base64 ou chemin d'un fichier contenant le base64
+ */
+function readBase64Argument(value) {
+    return existsSync(value) ? readFileSync(value, "utf8").trim() : value;
+}
+
+/**
+ * Helper - Lire un montant HBAR positif depuis un flag
+ */
+function toHbarAmount(value, flag) {
+    const parsed = Number(value);
+    if (!Number.isFinite(parsed) || parsed < 0) {
+        throw new Error(`--${flag} must be a positive HBAR amount, got "${value}"`);
+    }
+    return parsed;
+}
+
+// Filtres communs des commandes audit
+const AUDIT_FILTER_OPTIONS = {
+    file: { type: "string" },
+    operation: { type: "string" },
+    token: { type: "string" },
+    serial: { type: "string" },
+    account: { type: "string" },
+    status: { type: "string" },
+    since: { type: "string" },
+    until: { type: "string" },
+    limit: { type: "string" }
+};
+
+const AUDIT_FILTER_USAGE = "[--file <audit log>] [--operation <name>] [--token <id>] [--serial <n>] [--account <id>] [--status <status>] [--since <date>] [--until <date>] [--limit <n>]";
+
+/**
+ * Helper - Journal d'audit (--file, sinon auditLogPath / AUDIT_LOG_PATH)
+ */
+function openAuditLog(flags) {
+    const path = flags.file || resolveHederaConfig(buildServiceConfig(flags)).auditLogPath;
+    if (!path) {
+        throw new Error("No audit log: pass --file or set AUDIT_LOG_PATH");
+    }
+    return new AuditLog({ path: path });
+}
+
+/**
+ * Helper - Filtres d'audit depuis les flags
+ */
+function auditFilters(flags) {
+    return withoutUndefined({
+        operation: flags.operation,
+        tokenId: flags.token,
+        serial: toInteger(flags.serial, "serial"),
+        accountId: flags.account,
+        status: flags.status,
+        since: flags.since,
+        until: flags.until,
+        limit: toInteger(flags.limit, "limit")
+    });
+}
+
+/**
+ * Total of the dry-run estimates of an operation split in several transactions (mint chunks)
+ * @param {Array} estimates - Dry-run estimates
+ * @returns {Object} { estimates, valid, estimatedTotalHbar }
+ */
+function summarizeEstimates(estimates) {
+    return {
+        estimates: estimates,
+        valid: estimates.every(estimate => estimate.valid),
+        estimatedTotalHbar: roundHbar(estimates.reduce((sum, estimate) => sum + estimate.estimatedTotalHbar, 0))
+    };
+}
+
+/**
+ * Save the envelope(s) of a prepared operation (mint gives one file per chunk: file-1.json, file-2.json, ...)
+ * @param {string} filePath - Output file
+ * @param {Object|Array} prepared - Envelope or envelopes
+ * @returns {Object} Summary of the saved files
+ */
+function savePrepared(filePath, prepared) {
+    const envelopes = Array.isArray(prepared) ? prepared : [prepared];
+    const extension = extname(filePath);
+    const base = filePath.slice(0, filePath.length - extension.length);
+
+    const files = envelopes.map((envelope, index) => {
+        const file = envelopes.length === 1 ? filePath : `${base}-${index + 1}${extension || ".json"}`;
+        saveEnvelope(file, envelope);
+        return { file: file, transactionId: envelope.transactionId, expiresAt: envelope.expiresAt };
+    });
+
+    return {
+        operation: envelopes[0]?.operation,
+        prepared: files,
+        requiredSigners: envelopes[0]?.requiredSigners
+    };
+}
+
+/**
+ * Helper - Métadonnées à minter (--from-manifest <file> ou --metadata <uri>...)
+ */
+async function metadataToMint(flags) {
+    let metadata = flags.metadata || [];
+    if (flags["from-manifest"]) {
+        metadata = (await loadManifest(flags["from-manifest"])).IPFS_CID_COLLECTION;
+    }
+    if (metadata.length === 0) {
+        throw new Error("Nothing to mint: pass --from-manifest <file> or --metadata <uri>");
+    }
+    return metadata;
+}
+
+/**
+ * Load the metadata URIs from a manifest module (same shape as src/data/ipfs-cid.js)
+ * @param {string} manifestPath - Manifest module path
+ * @returns {Array} Metadata entries
+ */
+async function loadManifest(manifestPath) {
+    const manifest = await import(pathToFileURL(resolve(manifestPath)).href);
+    if (!Array.isArray(manifest.IPFS_CID_COLLECTION)) {
+        throw new Error(`${manifestPath} doesn't export IPFS_CID_COLLECTION`);
+    }
+    return manifest;
+}
+
+// Conservé dans l'API publique du CLI
+export { toJsonValue };
+
+// Table des commandes : options propres à chaque commande + appel du service
+export const COMMANDS = {
+    "account create": {
+        usage: "account create [--balance <hbar>] [--alias <name>] [--public-key <key> | --key-list <key,...> [--threshold <n>]] [--max-auto-associations <n>]",
+        options: {
+            balance: { type: "string" },
+            alias: { type: "string" },
+            "public-key": { type: "string" },
+            "key-list": { type: "string" },
+            threshold: { type: "string" },
+            "max-auto-associations": { type: "string" }
+        },
+        preparable: true,
+        run: async (service, args, flags) => {
+            const account = await service.createAccount(toInteger(flags.balance, "balance") ?? 100, withoutUndefined({
+                alias: flags.alias,
+                publicKey: flags["public-key"],
+                key: flags["key-list"] ? keyListSpec(flags["key-list"], toInteger(flags.threshold, "threshold"), "key-list") : undefined,
+                maxAutomaticTokenAssociations: toInteger(flags["max-auto-associations"], "max-auto-associations"),
+                ...prepareOptions(flags)
+            }));
+            if (flags.prepare || flags["dry-run"] || !account.privateKey) {
+                return account;
+            }
+            const result = toJsonValue(account);
+
+            // Sans keystore, la clé privée serait perdue : on la rend une seule fois
+            if (!service.keystore) {
+                console.error("Warning: no keystore configured, store this private key now, it won't be shown again");
+                result.privateKey = account.privateKey.toStringDer();
+            }
+            return result;
+        }
+    },
+    "token create": {
+        usage: "token create --treasury <account> [--name <name>] [--symbol <symbol>] [--max-supply <n>] [--memo <text>] [--keys admin,freeze,...] [--supply-keys <key,...> [--supply-threshold <n>]] [--soulbound] [--fees-file <file>] [--issuance-topic] [--alias <name>]",
+        options: {
+            treasury: { type: "string" },
+            name: { type: "string" },
+            symbol: { type: "string" },
+            "max-supply": { type: "string" },
+            memo: { type: "string" },
+            keys: { type: "string" },
+            "supply-keys": { type: "string" },
+            "supply-threshold": { type: "string" },
+            soulbound: { type: "boolean", default: false },
+            "fees-file": { type: "string" },
+            "issuance-topic": { type: "boolean", default: false },
+            alias: { type: "string" }
+        },
+        preparable: true,
+        run: async (service, args, flags) => {
+            const tokenConfig = {
+                name: flags.name,
+                symbol: flags.symbol,
+                maxSupply: toInteger(flags["max-supply"], "max-supply"),
+                memo: flags.memo,
+                alias: flags.alias,
+                soulbound: flags.soulbound || undefined,
+                customFees: flags["fees-file"] ? readJsonFile(flags["fees-file"]) : undefined,
+                issuanceTopic: flags["issuance-topic"] || undefined,
+                ...generatedKeys(flags.keys),
+                // Supply key à seuil : les approbateurs gardent leurs clés et signent les mints planifiés
+                ...(flags["supply-keys"] ? {
+                    supplyKey: keyListSpec(flags["supply-keys"], toInteger(flags["supply-threshold"], "supply-threshold"), "supply-keys")
+                } : {})
+            };
+            const token = await service.createNFTToken(
+                required(flags.treasury, "treasury"),
+                withoutUndefined(tokenConfig),
+                prepareOptions(flags)
+            );
+            if (flags.prepare || flags["dry-run"]) {
+                return token;
+            }
+            const { treasuryAccount, keys, ...info } = token;
+            const result = toJsonValue(info);
+            result.keyRoles = Object.keys(keys);
+
+            // Sans keystore, les clés générées seraient perdues : on les rend une seule fois
+            if (!service.keystore) {
+                console.error("Warning: no keystore configured, store these token keys now, they won't be shown again");
+                result.privateKeys = Object.fromEntries(Object.entries(keys).map(([role, value]) => [
+                    role,
+                    Array.isArray(value) ? value.map(key => key.toStringDer()) : value.toStringDer()
+                ]));
+            }
+            return result;
+        }
+    },
+    "token info": {
+        usage: "token info <token> [--mirror]",
+        options: { mirror: { type: "boolean", default: false } },
+        run: async (service, [token], flags) => {
+            if (flags.mirror) {
+                return service.getMirrorNode().getTokenInfo(service.resolveTokenId(required(token, "token")).toString());
+            }
+            return service.getTokenBasicInfo(required(token, "token"));
+        }
+    },
+    "token update": {
+        usage: "token update <token> [--name <name>] [--symbol <symbol>] [--memo <text>]",
+        options: { name: { type: "string" }, symbol: { type: "string" }, memo: { type: "string" } },
+        preparable: true,
+        run: async (service, [token], flags) => {
+            const updates = withoutUndefined({ name: flags.name, symbol: flags.symbol, memo: flags.memo });
+            return toJsonValue(await service.updateToken(required(token, "token"), updates, prepareOptions(flags)));
+        }
+    },
+    "token fees": {
+        usage: "token fees <token> --fees-file <file>",
+        options: { "fees-file": { type: "string" } },
+        preparable: true,
+        run: async (service, [token], flags) => {
+            const customFees = readJsonFile(required(flags["fees-file"], "fees-file"));
+            return toJsonValue(await service.updateFeeSchedule(required(token, "token"), customFees, prepareOptions(flags)));
+        }
+    },
+    "token rotate-key": {
+        usage: "token rotate-key <token> <role> [--public-key <key>]",
+        options: { "public-key": { type: "string" } },
+        preparable: true,
+        run: async (service, [token, role], flags) => {
+            const newKey = flags["public-key"] ? PublicKey.fromString(flags["public-key"]) : "generate";
+            return toJsonValue(await service.rotateKey(required(token, "token"), required(role, "role"), newKey, prepareOptions(flags)));
+        }
+    },
+    "token pause": {
+        usage: "token pause <token>",
+        options: {},
+        preparable: true,
+        run: async (service, [token], flags) => toJsonValue(await service.pauseToken(required(token, "token"), prepareOptions(flags)))
+    },
+    "token unpause": {
+        usage: "token unpause <token>",
+        options: {},
+        preparable: true,
+        run: async (service, [token], flags) => toJsonValue(await service.unpauseToken(required(token, "token"), prepareOptions(flags)))
+    },
+    "token freeze": {
+        usage: "token freeze <token> <account>",
+        options: {},
+        preparable: true,
+        run: async (service, [token, account], flags) => {
+            return toJsonValue(await service.freezeAccount(required(token, "token"), required(account, "account"), prepareOptions(flags)));
+        }
+    },
+    "token unfreeze": {
+        usage: "token unfreeze <token> <account>",
+        options: {},
+        preparable: true,
+        run: async (service, [token, account], flags) => {
+            return toJsonValue(await service.unfreezeAccount(required(token, "token"), required(account, "account"), prepareOptions(flags)));
+        }
+    },
+    "token delete": {
+        usage: "token delete <token>",
+        options: {},
+        preparable: true,
+        run: async (service, [token], flags) => toJsonValue(await service.deleteToken(required(token, "token"), prepareOptions(flags)))
+    },
+    "mint": {
+        usage: "mint <token> (--from-manifest <file> | --metadata <uri>...) [--chunk-size <n>] [--checkpoint <file>]",
+        options: {
+            "from-manifest": { type: "string" },
+            metadata: { type: "string", multiple: true },
+            "chunk-size": { type: "string" },
+            checkpoint: { type: "string" }
+        },
+        preparable: true,
+        run: async (service, [token], flags) => {
+            const metadata = await metadataToMint(flags);
+            const result = await service.mintNFTs(required(token, "token"), metadata, withoutUndefined({
+                chunkSize: toInteger(flags["chunk-size"], "chunk-size"),
+                checkpointFile: flags.checkpoint,
+                ...prepareOptions(flags)
+            }));
+            return toJsonValue(result);
+        }
+    },
+    "schedule mint": {
+        usage: "schedule mint <token> (--from-manifest <file> | --metadata <uri>...) [--chunk-size <n>] [--memo <text>]",
+        options: {
+            "from-manifest": { type: "string" },
+            metadata: { type: "string", multiple: true },
+            "chunk-size": { type: "string" },
+            memo: { type: "string" }
+        },
+        run: async (service, [token], flags) => {
+            const metadata = await metadataToMint(flags);
+            return toJsonValue(await service.scheduleMint(required(token, "token"), metadata, withoutUndefined({
+                chunkSize: toInteger(flags["chunk-size"], "chunk-size"),
+                memo: flags.memo
+            })));
+        }
+    },
+    "schedule sign": {
+        usage: "schedule sign <schedule> --key-file <file>",
+        options: { "key-file": { type: "string" } },
+        preparable: true,
+        run: async (service, [schedule], flags) => {
+            // En mode --prepare, l'approbateur signe l'enveloppe avec tx sign
+            const options = prepareOptions(flags);
+            const privateKey = options.prepare || options.dryRun
+                ? null
+                : PrivateKey.fromStringDer(readFileSync(required(flags["key-file"], "key-file"), "utf8").trim());
+            return toJsonValue(await service.signSchedule(required(schedule, "schedule"), privateKey ? [privateKey] : [], options));
+        }
+    },
+    "schedule status": {
+        usage: "schedule status <schedule>",
+        options: {},
+        run: async (service, [schedule]) => service.getScheduleStatus(required(schedule, "schedule"))
+    },
+    "schedule list": {
+        usage: "schedule list <token>",
+        options: {},
+        run: async (service, [token]) => service.listPendingSchedules(required(token, "token"))
+    },
+    "burn": {
+        usage: "burn <token> <serial>... [--reason <text>]",
+        options: { reason: { type: "string" } },
+        preparable: true,
+        run: async (service, [token, ...serials], flags) => {
+            if (serials.length === 0) {
+                throw new Error("Missing <serial>");
+            }
+            const serialNumbers = serials.map(serial => toInteger(serial, "serial"));
+            return toJsonValue(await service.burnNFTs(required(token, "token"), serialNumbers, withoutUndefined({
+                reason: flags.reason,
+                ...prepareOptions(flags)
+            })));
+        }
+    },
+    "revoke": {
+        usage: "revoke <token> <serial> --holder <account> --reason <text>",
+        options: { holder: { type: "string" }, reason: { type: "string" } },
+        preparable: true,
+        run: async (service, [token, serial], flags) => {
+            return toJsonValue(await service.revokeNFT(
+                required(token, "token"),
+                required(flags.holder, "holder"),
+                toInteger(required(serial, "serial"), "serial"),
+                required(flags.reason, "reason"),
+                prepareOptions(flags)
+            ));
+        }
+    },
+    "revocations list": {
+        usage: "revocations list [--token <token>] [--holder <account>]",
+        options: { token: { type: "string" }, holder: { type: "string" } },
+        run: async (service, args, flags) => {
+            return service.getRevocationRegistry().list(withoutUndefined({
+                tokenId: flags.token ? service.resolveTokenId(flags.token) : undefined,
+                holder: flags.holder ? service.resolveAccountId(flags.holder) : undefined
+            }));
+        }
+    },
+    "associate": {
+        usage: "associate <account> <token>",
+        options: {},
+        preparable: true,
+        run: async (service, [account, token], flags) => {
+            return toJsonValue(await service.associateTokenToAccount(
+                required(account, "account"),
+                required(token, "token"),
+                prepareOptions(flags)
+            ));
+        }
+    },
+    "transfer": {
+        usage: "transfer <token> <serial> --from <account> --to <account> [--check-balances] [--spender <account>]",
+        options: {
+            from: { type: "string" },
+            to: { type: "string" },
+            spender: { type: "string" },
+            "check-balances": { type: "boolean", default: false }
+        },
+        preparable: true,
+        run: async (service, [token, serial], flags) => {
+            const serialNumber = toInteger(required(serial, "serial"), "serial");
+            const from = required(flags.from, "from");
+            const to = required(flags.to, "to");
+            if ((flags.prepare || flags["dry-run"]) && flags["check-balances"]) {
+                throw new Error("--check-balances runs several transactions and can't be combined with --prepare or --dry-run");
+            }
+            if (flags.spender) {
+                if (flags["check-balances"]) {
+                    throw new Error("--spender can't be combined with --check-balances");
+                }
+                return toJsonValue(await service.transferNFTAsSpender(
+                    required(token, "token"), from, flags.spender, to, serialNumber, prepareOptions(flags)
+                ));
+            }
+
+            const result = flags["check-balances"]
+                ? await service.transferNFTWithBalanceCheck(required(token, "token"), from, to, serialNumber)
+                : await service.transferNFT(required(token, "token"), from, to, serialNumber, prepareOptions(flags));
+            return toJsonValue(result);
+        }
+    },
+    "transfer batch": {
+        usage: "transfer batch <file.csv|file.json> [--chunk-size <n>]",
+        options: { "chunk-size": { type: "string" } },
+        preparable: true,
+        run: async (service, [file], flags) => {
+            const transfers = readTransferList(required(file, "file")).map(transfer => ({
+                ...transfer,
+                serial: toInteger(String(transfer.serial), "serial")
+            }));
+            return toJsonValue(await service.transferNFTs(transfers, withoutUndefined({
+                chunkSize: toInteger(flags["chunk-size"], "chunk-size"),
+                ...prepareOptions(flags)
+            })));
+        }
+    },
+    "swap": {
+        usage: "swap <token> <serial>... --seller <account> --buyer <account> (--hbar <amount> | --price-token <token> --amount <n>)",
+        options: {
+            seller: { type: "string" },
+            buyer: { type: "string" },
+            hbar: { type: "string" },
+            "price-token": { type: "string" },
+            amount: { type: "string" }
+        },
+        preparable: true,
+        run: async (service, [token, ...serials], flags) => {
+            if (serials.length === 0) {
+                throw new Error("Missing <serial>");
+            }
+            if (Boolean(flags.hbar) === Boolean(flags["price-token"])) {
+                throw new Error("Pass the price as --hbar <amount> or --price-token <token> --amount <n>");
+            }
+            const price = flags.hbar
+                ? { hbar: toHbarAmount(flags.hbar, "hbar") }
+                : { token: flags["price-token"], amount: toInteger(required(flags.amount, "amount"), "amount") };
+            return toJsonValue(await service.swapNFTs(
+                required(token, "token"),
+                serials.map(serial => toInteger(serial, "serial")),
+                required(flags.seller, "seller"),
+                required(flags.buyer, "buyer"),
+                price,
+                prepareOptions(flags)
+            ));
+        }
+    },
+    "allowance approve": {
+        usage: "allowance approve <token> (<serial>... | --all) --owner <account> --spender <account>",
+        options: { owner: { type: "string" }, spender: { type: "string" }, all: { type: "boolean", default: false } },
+        preparable: true,
+        run: async (service, [token, ...serials], flags) => {
+            return toJsonValue(await service.approveNftAllowance(
+                required(flags.owner, "owner"),
+                required(flags.spender, "spender"),
+                required(token, "token"),
+                allowanceSerials(serials, flags),
+                prepareOptions(flags)
+            ));
+        }
+    },
+    "allowance delete": {
+        usage: "allowance delete <token> (<serial>... | --all) --owner <account> [--spender <account>]",
+        options: { owner: { type: "string" }, spender: { type: "string" }, all: { type: "boolean", default: false } },
+        preparable: true,
+        run: async (service, [token, ...serials], flags) => {
+            // Le spender n'est nécessaire que pour retirer une approbation "tous les serials"
+            const spender = flags.all ? required(flags.spender, "spender") : flags.spender;
+            return toJsonValue(await service.deleteNftAllowance(
+                required(flags.owner, "owner"),
+                spender ?? null,
+                required(token, "token"),
+                allowanceSerials(serials, flags),
+                prepareOptions(flags)
+            ));
+        }
+    },
+    "allowance list": {
+        usage: "allowance list <token> [--owner <account>]",
+        options: { owner: { type: "string" } },
+        run: async (service, [token], flags) => {
+            return service.listNftAllowances(required(token, "token"), withoutUndefined({ owner: flags.owner }));
+        }
+    },
+    "nft info": {
+        usage: "nft info <token> <serial>",
+        options: {},
+        run: async (service, [token, serial]) => {
+            const tokenId = service.resolveTokenId(required(token, "token")).toString();
+            const nft = await service.getMirrorNode().getNft(tokenId, toInteger(required(serial, "serial"), "serial"));
+            if (!nft) {
+                throw new Error(`NFT ${tokenId}#${serial} not found on the mirror node`);
+            }
+            return nft;
+        }
+    },
+    "nft history": {
+        usage: "nft history <token> <serial>",
+        options: {},
+        run: async (service, [token, serial]) => {
+            const tokenId = service.resolveTokenId(required(token, "token")).toString();
+            return service.getMirrorNode().getNftTransactionHistory(tokenId, toInteger(required(serial, "serial"), "serial"));
+        }
+    },
+    "nft list": {
+        usage: "nft list <token> [--limit <n>] [--next <link>]",
+        options: { limit: { type: "string" }, next: { type: "string" } },
+        run: async (service, [token], flags) => {
+            const tokenId = service.resolveTokenId(required(token, "token")).toString();
+            return service.getMirrorNode().listNftsByToken(tokenId, withoutUndefined({
+                limit: toInteger(flags.limit, "limit"),
+                next: flags.next
+            }));
+        }
+    },
+    "account nfts": {
+        usage: "account nfts <account> [--token <token>] [--limit <n>] [--next <link>]",
+        options: { token: { type: "string" }, limit: { type: "string" }, next: { type: "string" } },
+        run: async (service, [account], flags) => {
+            return service.getMirrorNode().listNftsByAccount(service.resolveAccountId(required(account, "account")), withoutUndefined({
+                tokenId: flags.token ? service.resolveTokenId(flags.token).toString() : undefined,
+                limit: toInteger(flags.limit, "limit"),
+                next: flags.next
+            }));
+        }
+    },
+    "verify": {
+        usage: "verify <token> <serial> [--holder <account>]",
+        options: { holder: { type: "string" } },
+        offline: true,
+        run: async (service, [token, serial], flags) => {
+            // Vérification en lecture seule : mirror node + passerelle IPFS, sans opérateur
+            const verifier = createDiplomaVerifier(resolveHederaConfig(buildServiceConfig(flags)));
+            return verifier.verify(required(token, "token"), required(serial, "serial"), withoutUndefined({ holder: flags.holder }));
+        }
+    },
+    "topic create": {
+        usage: "topic create <token>",
+        options: {},
+        run: async (service, [token]) => service.createIssuanceTopic(required(token, "token"))
+    },
+    "history": {
+        usage: "history <topic> [--token <id>] [--public-key <key>] [--no-ledger-check]",
+        options: {
+            token: { type: "string" },
+            "public-key": { type: "string" },
+            "no-ledger-check": { type: "boolean", default: false }
+        },
+        offline: true,
+        run: async (service, [topic], flags) => {
+            // Lecture seule depuis le mirror node, comme verify
+            const reader = createIssuanceTrailReader(resolveHederaConfig(buildServiceConfig(flags)));
+            return reader.read(required(topic, "topic"), withoutUndefined({
+                tokenId: flags.token,
+                publicKey: flags["public-key"],
+                checkLedger: !flags["no-ledger-check"]
+            }));
+        }
+    },
+    "deliver": {
+        usage: "deliver <token> <serial> --to <account>",
+        options: { to: { type: "string" } },
+        run: async (service, [token, serial], flags) => {
+            return toJsonValue(await service.deliverDiploma(
+                required(token, "token"),
+                required(flags.to, "to"),
+                toInteger(required(serial, "serial"), "serial")
+            ));
+        }
+    },
+    "issue": {
+        usage: "issue <token> --roster <csv> --journal <file> [--report <file>] [--car <file>] [--treasury <account>] [--institution <name>] [--graduation-date <YYYY-MM-DD>] [--image <uri>] [--chunk-size <n>]",
+        options: {
+            roster: { type: "string" },
+            journal: { type: "string" },
+            report: { type: "string" },
+            car: { type: "string" },
+            treasury: { type: "string" },
+            institution: { type: "string" },
+            "graduation-date": { type: "string" },
+            image: { type: "string" },
+            "chunk-size": { type: "string" }
+        },
+        run: async (service, [token], flags) => {
+            return toJsonValue(await service.issueDiplomasFromRoster(required(token, "token"), required(flags.roster, "roster"), withoutUndefined({
+                journalPath: required(flags.journal, "journal"),
+                reportPath: flags.report,
+                carFile: flags.car,
+                treasury: flags.treasury,
+                institution: flags.institution,
+                graduationDate: flags["graduation-date"],
+                image: flags.image,
+                chunkSize: toInteger(flags["chunk-size"], "chunk-size")
+            })));
+        }
+    },
+    "association-status": {
+        usage: "association-status <token> <account>",
+        options: {},
+        run: async (service, [token, account]) => {
+            return service.getAssociationStatus(required(token, "token"), required(account, "account"));
+        }
+    },
+    "lock-status": {
+        usage: "lock-status <token> <account>",
+        options: {},
+        run: async (service, [token, account]) => {
+            return service.isDiplomaLocked(required(token, "token"), required(account, "account"));
+        }
+    },
+    "balance": {
+        usage: "balance <account>",
+        options: {},
+        run: async (service, [account]) => service.getAccountBalance(required(account, "account"))
+    },
+    "collection create": {
+        usage: "collection create [--from-manifest <file>] [--name <name>] [--symbol <symbol>] [--max-supply <n>] [--balance <hbar>] [--alias <name>]",
+        options: {
+            "from-manifest": { type: "string" },
+            name: { type: "string" },
+            symbol: { type: "string" },
+            "max-supply": { type: "string" },
+            balance: { type: "string" },
+            alias: { type: "string" }
+        },
+        run: async (service, args, flags) => {
+            let metadata = [];
+            let collectionInfo = {};
+            if (flags["from-manifest"]) {
+                const manifest = await loadManifest(flags["from-manifest"]);
+                metadata = manifest.IPFS_CID_COLLECTION;
+                collectionInfo = manifest.COLLECTION_INFO || {};
+            }
+
+            const tokenConfig = withoutUndefined({
+                name: flags.name ?? collectionInfo.name,
+                symbol: flags.symbol ?? collectionInfo.symbol,
+                maxSupply: toInteger(flags["max-supply"], "max-supply") ?? collectionInfo.maxSupply,
+                alias: flags.alias
+            });
+
+            const result = await service.createCompleteNFTCollection(
+                tokenConfig,
+                metadata,
+                toInteger(flags.balance, "balance") ?? 100
+            );
+            return toJsonValue(result.summary);
+        }
+    },
+    "audit list": {
+        usage: `audit list ${AUDIT_FILTER_USAGE}`,
+        options: AUDIT_FILTER_OPTIONS,
+        offline: true,
+        run: async (service, args, flags) => openAuditLog(flags).query(auditFilters(flags))
+    },
+    "audit export": {
+        usage: `audit export <output> [--format json|csv] ${AUDIT_FILTER_USAGE}`,
+        options: { ...AUDIT_FILTER_OPTIONS, format: { type: "string" } },
+        offline: true,
+        run: async (service, [output], flags) => {
+            const file = required(output, "output");
+            const auditLog = openAuditLog(flags);
+            // Format déduit de l'extension si --format est absent
+            const format = flags.format || (extname(file).toLowerCase() === ".csv" ? "csv" : "json");
+            return auditLog.export(file, auditLog.query(auditFilters(flags)), format);
+        }
+    },
+    "tx show": {
+        usage: "tx show <file>",
+        options: {},
+        offline: true,
+        run: async (service, [file]) => {
+            const envelope = loadEnvelope(required(file, "file"));
+            console.log(formatEnvelope(envelope));
+            const { transactionBytes, ...details } = envelope;
+            return details;
+        }
+    },
+    "tx sign": {
+        usage: "tx sign <file> --key-file <file>",
+        options: { "key-file": { type: "string" } },
+        offline: true,
+        run: async (service, [file], flags) => {
+            const envelope = loadEnvelope(required(file, "file"));
+            const privateKey = PrivateKey.fromStringDer(readFileSync(required(flags["key-file"], "key-file"), "utf8").trim());
+
+            console.log(formatEnvelope(envelope));
+            const signed = await signEnvelope(envelope, privateKey);
+            saveEnvelope(file, signed);
+            return { file: file, signedBy: privateKey.publicKey.toStringDer(), signatures: signed.signers.length };
+        }
+    },
+    "tx add-signature": {
+        usage: "tx add-signature <file> --signed <base64|file>",
+        options: { signed: { type: "string" } },
+        offline: true,
+        run: async (service, [file], flags) => {
+            const envelope = loadEnvelope(required(file, "file"));
+            const merged = mergeSignedTransaction(envelope, readBase64Argument(required(flags.signed, "signed")));
+            saveEnvelope(file, merged);
+            return { file: file, signers: merged.signers };
+        }
+    },
+    "tx submit": {
+        usage: "tx submit <file>",
+        options: {},
+        run: async (service, [file]) => toJsonValue(await service.submitSignedTransaction(loadEnvelope(required(file, "file"))))
+    }
+};
+
+/**
+ * Find the command matching the positionals ("token create" before "token")
+ * @param {Array} positionals - Positional arguments
+ * @returns {Object|null} { name, command, args }
+ */
+function findCommand(positionals) {
+    const twoWords = positionals.slice(0, 2).join(" ");
+    if (COMMANDS[twoWords]) {
+        return { name: twoWords, command: COMMANDS[twoWords], args: positionals.slice(2) };
+    }
+    if (COMMANDS[positionals[0]]) {
+        return { name: positionals[0], command: COMMANDS[positionals[0]], args: positionals.slice(1) };
+    }
+    return null;
+}
+
+/**
+ * Usage text for every command
+ * @returns {string} Usage
+ */
+export function usage() {
+    const commands = Object.values(COMMANDS).map(command => `  hedera-nft ${command.usage}`).join("\n");
+    return `Usage:
+${commands}
+
+Global options:
+  --config <file>    JSON config file (network, operatorId, operatorKey, keystorePath, ...)
+  --network <name>   mainnet, testnet, previewnet or local-node
+  --keystore <file>  Keystore file (passphrase from KEYSTORE_PASSPHRASE)
+  --prepare <file>   Don't execute: save the frozen transaction to <file> for detached signing (tx sign / tx submit)
+  --valid-start <date>  With --prepare, start of the validity window (the transaction expires 3 minutes later)
+  --dry-run          Don't execute: validate the transaction and print its estimated cost
+  --budget <hbar>    Session budget: stop before a transaction that would take spending over it
+  --log-level <level>   Service logs: debug, info, warn, error or silent (default info)
+  --log-format <format> Service logs as text or json (one object per line)
+  --json             Print only the JSON result on stdout
+`;
+}
+
+/**
+ * Build the service configuration from the config file and global flags
+ * @param {Object} flags - Parsed flags
+ * @returns {Object} Service configuration
+ */
+export function buildServiceConfig(flags) {
+    const fileConfig = flags.config ? readJsonFile(flags.config) : {};
+    const config = {
+        ...fileConfig,
+        ...withoutUndefined({
+            network: flags.network,
+            keystorePath: flags.keystore,
+            sessionBudget: flags.budget === undefined ? undefined : toHbarAmount(flags.budget, "budget"),
+            logLevel: flags["log-level"],
+            logFormat: flags["log-format"]
+        })
+    };
+
+    // En mode --json, stdout ne reçoit que le résultat : les logs du service partent sur stderr
+    if (flags.json) {
+        const { logLevel, logFormat } = resolveHederaConfig(config);
+        config.logger = new Logger({
+            level: logLevel,
+            format: logFormat,
+            context: { service: "HederaNftService" },
+            stream: process.stderr
+        });
+    }
+    return config;
+}
+
+/**
+ * Run the CLI
+ * @param {Array} argv - Arguments (without node and script path)
+ * @returns {number} Exit code
+ */
+export async function runCli(argv) {
+    // Premier passage permissif pour trouver la commande
+    const { positionals } = parseArgs({ args: argv, options: GLOBAL_OPTIONS, allowPositionals: true, strict: false });
+    const match = findCommand(positionals);
+
+    if (!match) {
+        const wantsHelp = argv.includes("--help") || argv.includes("-h") || positionals.length === 0;
+        (wantsHelp ? console.log : console.error)(usage());
+        return wantsHelp ? 0 : 1;
+    }
+
+    let flags;
+    try {
+        ({ values: flags } = parseArgs({
+            args: argv,
+            options: { ...GLOBAL_OPTIONS, ...match.command.options },
+            allowPositionals: true
+        }));
+    } catch (error) {
+        console.error(`${error.message}\nUsage: hedera-nft ${match.command.usage}`);
+        return 1;
+    }
+
+    if (flags.help) {
+        console.log(`Usage: hedera-nft ${match.command.usage}`);
+        return 0;
+    }
+    if (flags.prepare && !match.command.preparable) {
+        console.error(`${match.name} can't be prepared for detached signing`);
+        return 1;
+    }
+    if (flags["dry-run"] && (flags.prepare || !match.command.preparable)) {
+        console.error(flags.prepare ? "--dry-run can't be combined with --prepare" : `${match.name} has no dry-run mode`);
+        return 1;
+    }
+
+    // En mode --json, les messages des commandes partent sur stderr pour garder stdout propre
+    const originalLog = console.log;
+    if (flags.json) {
+        console.log = (...args) => console.error(...args);
+    }
+
+    let service = null;
+    try {
+        // Les commandes hors-ligne (signature, vérification) tournent sans client ni opérateur
+        service = match.command.offline ? null : new HederaNftService(buildServiceConfig(flags));
+        let result = await match.command.run(service, match.args, flags);
+        if (flags.prepare) {
+            result = savePrepared(flags.prepare, result);
+        }
+        if (flags["dry-run"] && Array.isArray(result)) {
+            result = summarizeEstimates(result);
+        }
+
+        if (flags.json) {
+            process.stdout.write(JSON.stringify(toJsonValue(result), null, 2) + "\n");
+        } else {
+            originalLog("\nResult:");
+            originalLog(JSON.stringify(toJsonValue(result), null, 2));
+        }
+        return 0;
+
+    } catch (error) {
+        if (flags.json) {
+            const details = error instanceof HederaNftError
+                ? { type: error.name, status: error.status, transactionId: error.transactionId }
+                : {};
+            process.stdout.write(JSON.stringify({ error: error.message, ...details }, null, 2) + "\n");
+        } else {
+            console.error(`Error (${match.name}):`, error.message);
+        }
+        return 1;
+
+    } finally {
+        service?.close();
+        console.log = originalLog;
+    }
+}
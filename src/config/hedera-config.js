@@ -0,0 +1,226 @@
+import { Client, Hbar } from "@hashgraph/sdk";
+
+export const SUPPORTED_NETWORKS = ["mainnet", "testnet", "previewnet", "local-node"];
+
+// Adresses par défaut d'un hedera-local-node
+export const LOCAL_NODE_DEFAULTS = {
+    nodes: { "127.0.0.1:50211": "0.0.3" },
+    mirrorNetwork: ["127.0.0.1:5600"],
+    mirrorNodeUrl: "http://127.0.0.1:5551"
+};
+
+// Mirror nodes REST publics par réseau
+export const MIRROR_NODE_URLS = {
+    mainnet: "https://mainnet-public.mirrornode.hedera.com",
+    testnet: "https://testnet.mirrornode.hedera.com",
+    previewnet: "https://previewnet.mirrornode.hedera.com",
+    "local-node": LOCAL_NODE_DEFAULTS.mirrorNodeUrl
+};
+
+export const DEFAULT_CONFIG = {
+    network: "testnet",
+    maxTransactionFee: 50,
+    maxQueryPayment: 30,
+    requestTimeout: null,
+    maxAttempts: null,
+    maxRetries: 3,
+    retryInitialDelay: 500,
+    retryMaxDelay: 8000,
+    sessionBudget: null,
+    logLevel: "info",
+    logFormat: "text",
+    // Aucun fichier écrit dans le dossier courant : REVOCATION_REGISTRY_PATH et AUDIT_LOG_PATH sont à fournir
+    revocationRegistryPath: null,
+    auditLogPath: null,
+    ipfsGatewayUrl: "https://ipfs.io/ipfs",
+    institutions: [],
+    verifierPort: 8080,
+    apiKeys: [],
+    apiPort: 3000
+};
+
+/**
+ * Lire un nombre depuis une variable d'environnement
+ * @param {string} name - Nom de la variable
+ * @returns {number|undefined} Valeur numérique ou undefined
+ */
+function numberFromEnv(name) {
+    const value = process.env[name];
+    if (value === undefined || value === "") {
+        return undefined;
+    }
+
+    const parsed = Number(value);
+    if (Number.isNaN(parsed)) {
+        throw new Error(`Environment variable ${name} must be a number, got "${value}"`);
+    }
+    return parsed;
+}
+
+/**
+ * Lire une liste (séparée par des virgules) depuis une variable d'environnement
+ * @param {string} name - Nom de la variable
+ * @returns {Array|undefined} Liste ou undefined
+ */
+function listFromEnv(name) {
+    const value = process.env[name];
+    if (!value) {
+        return undefined;
+    }
+    return value.split(",").map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Lire les nœuds depuis HEDERA_NODES ("host:port=0.0.3,host:port=0.0.4")
+ * @returns {Object|undefined} Map adresse -> account ID du nœud
+ */
+function nodesFromEnv() {
+    const entries = listFromEnv("HEDERA_NODES");
+    if (!entries) {
+        return undefined;
+    }
+
+    const nodes = {};
+    for (const entry of entries) {
+        const [address, nodeAccountId] = entry.split("=").map(part => part?.trim());
+        if (!address || !nodeAccountId) {
+            throw new Error(`Invalid HEDERA_NODES entry "${entry}", expected host:port=0.0.x`);
+        }
+        nodes[address] = nodeAccountId;
+    }
+    return nodes;
+}
+
+/**
+ * Lire les institutions reconnues depuis VERIFIER_INSTITUTIONS ("0.0.123=University of X,0.0.456")
+ * @returns {Array|undefined} { accountId, name } entries
+ */
+function institutionsFromEnv() {
+    const entries = listFromEnv("VERIFIER_INSTITUTIONS");
+    if (!entries) {
+        return undefined;
+    }
+
+    return entries.map(entry => {
+        const [accountId, name] = entry.split("=").map(part => part?.trim());
+        return { accountId: accountId, name: name || null };
+    });
+}
+
+/**
+ * Retirer les clés undefined pour ne pas écraser les valeurs par défaut
+ * @param {Object} object - Objet à nettoyer
+ * @returns {Object} Objet sans valeurs undefined
+ */
+function withoutUndefined(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Resolve the service configuration (config object > env vars > defaults)
+ * Env vars: HEDERA_NETWORK, OPERATOR_ID, OPERATOR_KEY, HEDERA_NODES, HEDERA_MIRROR_NETWORK,
+ * HEDERA_MIRROR_NODE_URL, HEDERA_MAX_TRANSACTION_FEE, HEDERA_MAX_QUERY_PAYMENT,
+ * HEDERA_REQUEST_TIMEOUT, HEDERA_MAX_ATTEMPTS, HEDERA_MAX_RETRIES, HEDERA_RETRY_INITIAL_DELAY,
+ * HEDERA_RETRY_MAX_DELAY, HEDERA_SESSION_BUDGET, HEDERA_LOG_LEVEL, HEDERA_LOG_FORMAT, KEYSTORE_PATH,
+ * KEYSTORE_PASSPHRASE, REVOCATION_REGISTRY_PATH, AUDIT_LOG_PATH, IPFS_GATEWAY_URL, VERIFIER_INSTITUTIONS,
+ * VERIFIER_SIGNING_KEY, VERIFIER_PORT, API_KEYS, API_PORT
+ * @param {Object} config - Explicit configuration
+ * @returns {Object} Resolved configuration
+ */
+export function resolveHederaConfig(config = {}) {
+    const fromEnv = withoutUndefined({
+        network: process.env.HEDERA_NETWORK || undefined,
+        operatorId: process.env.OPERATOR_ID || undefined,
+        operatorKey: process.env.OPERATOR_KEY || undefined,
+        nodes: nodesFromEnv(),
+        mirrorNetwork: listFromEnv("HEDERA_MIRROR_NETWORK"),
+        mirrorNodeUrl: process.env.HEDERA_MIRROR_NODE_URL || undefined,
+        maxTransactionFee: numberFromEnv("HEDERA_MAX_TRANSACTION_FEE"),
+        maxQueryPayment: numberFromEnv("HEDERA_MAX_QUERY_PAYMENT"),
+        requestTimeout: numberFromEnv("HEDERA_REQUEST_TIMEOUT"),
+        maxAttempts: numberFromEnv("HEDERA_MAX_ATTEMPTS"),
+        maxRetries: numberFromEnv("HEDERA_MAX_RETRIES"),
+        retryInitialDelay: numberFromEnv("HEDERA_RETRY_INITIAL_DELAY"),
+        retryMaxDelay: numberFromEnv("HEDERA_RETRY_MAX_DELAY"),
+        sessionBudget: numberFromEnv("HEDERA_SESSION_BUDGET"),
+        logLevel: process.env.HEDERA_LOG_LEVEL || undefined,
+        logFormat: process.env.HEDERA_LOG_FORMAT || undefined,
+        keystorePath: process.env.KEYSTORE_PATH || undefined,
+        keystorePassphrase: process.env.KEYSTORE_PASSPHRASE || undefined,
+        revocationRegistryPath: process.env.REVOCATION_REGISTRY_PATH || undefined,
+        auditLogPath: process.env.AUDIT_LOG_PATH || undefined,
+        ipfsGatewayUrl: process.env.IPFS_GATEWAY_URL || undefined,
+        institutions: institutionsFromEnv(),
+        verifierSigningKey: process.env.VERIFIER_SIGNING_KEY || undefined,
+        verifierPort: numberFromEnv("VERIFIER_PORT"),
+        apiKeys: listFromEnv("API_KEYS"),
+        apiPort: numberFromEnv("API_PORT")
+    });
+
+    const resolved = {
+        ...DEFAULT_CONFIG,
+        ...fromEnv,
+        ...withoutUndefined(config)
+    };
+
+    if (!SUPPORTED_NETWORKS.includes(resolved.network)) {
+        throw new Error(
+            `Unsupported network "${resolved.network}", expected one of: ${SUPPORTED_NETWORKS.join(", ")}`
+        );
+    }
+
+    return resolved;
+}
+
+/**
+ * Mirror node REST base URL (HEDERA_MIRROR_NODE_URL / mirrorNodeUrl, else the network default)
+ * @param {Object} config - Configuration from resolveHederaConfig
+ * @returns {string} Base URL without trailing slash
+ */
+export function resolveMirrorNodeUrl(config) {
+    const url = config.mirrorNodeUrl || MIRROR_NODE_URLS[config.network];
+    if (!url) {
+        throw new Error(`No mirror node URL for network "${config.network}", set HEDERA_MIRROR_NODE_URL`);
+    }
+    return url.replace(/\/+$/, "");
+}
+
+/**
+ * Create a Hedera client for the resolved configuration
+ * @param {Object} config - Configuration from resolveHederaConfig
+ * @returns {Client} Configured Hedera client
+ */
+export function createHederaClient(config) {
+    let client;
+
+    // Des nœuds explicites priment sur le nom du réseau
+    if (config.nodes) {
+        client = Client.forNetwork(config.nodes);
+    } else if (config.network === "local-node") {
+        client = Client.forNetwork(LOCAL_NODE_DEFAULTS.nodes);
+    } else {
+        client = Client.forName(config.network);
+    }
+
+    if (config.mirrorNetwork) {
+        client.setMirrorNetwork(config.mirrorNetwork);
+    } else if (config.network === "local-node") {
+        client.setMirrorNetwork(LOCAL_NODE_DEFAULTS.mirrorNetwork);
+    }
+
+    if (config.operatorId && config.operatorKey) {
+        client.setOperator(config.operatorId, config.operatorKey);
+    }
+
+    client.setDefaultMaxTransactionFee(new Hbar(config.maxTransactionFee));
+    client.setDefaultMaxQueryPayment(new Hbar(config.maxQueryPayment));
+
+    if (config.requestTimeout) {
+        client.setRequestTimeout(config.requestTimeout);
+    }
+    if (config.maxAttempts) {
+        client.setMaxAttempts(config.maxAttempts);
+    }
+
+    return client;
+}
@@ -0,0 +1,173 @@
+import { MaxAttemptsOrTimeoutError, StatusError } from "@hashgraph/sdk";
+
+// Statuts transitoires : la même transaction peut être renvoyée telle quelle
+export const RETRYABLE_STATUSES = ["BUSY", "PLATFORM_TRANSACTION_NOT_CREATED", "PLATFORM_NOT_ACTIVE"];
+
+// Erreurs gRPC d'un nœud lent ou injoignable
+const TRANSIENT_GRPC_STATUSES = ["DEADLINE_EXCEEDED", "UNAVAILABLE", "TIMEOUT"];
+
+/**
+ * Base class of the errors thrown by HederaNftService
+ * status is the Hedera status name (e.g. "INSUFFICIENT_PAYER_BALANCE") when the network returned one.
+ */
+export class HederaNftError extends Error {
+    /**
+     * @param {string} message - Error message
+     * @param {Object} details - status, transactionId, operation, cause
+     */
+    constructor(message, { status = null, transactionId = null, operation = null, cause } = {}) {
+        super(message, cause ? { cause: cause } : undefined);
+        this.name = this.constructor.name;
+        this.status = status;
+        this.transactionId = transactionId;
+        this.operation = operation;
+    }
+
+    /**
+     * Can the same request be sent again?
+     */
+    get retryable() {
+        return false;
+    }
+}
+
+/**
+ * The network refused the transaction (precheck) or its receipt isn't SUCCESS
+ */
+export class TransactionFailedError extends HederaNftError {}
+
+/**
+ * The payer (or sender of a custom fee) can't cover the transaction
+ */
+export class InsufficientBalanceError extends TransactionFailedError {}
+
+/**
+ * The account isn't associated with the token and has no free automatic association slot
+ */
+export class NotAssociatedError extends TransactionFailedError {}
+
+/**
+ * A required signature is missing or doesn't match the key
+ */
+export class InvalidSignatureError extends TransactionFailedError {}
+
+/**
+ * Minting would exceed the token max supply
+ */
+export class MaxSupplyReachedError extends TransactionFailedError {}
+
+/**
+ * The account is frozen for the token (a locked soulbound diploma, for instance)
+ */
+export class AccountFrozenError extends TransactionFailedError {}
+
+/**
+ * The token is paused
+ */
+export class TokenPausedError extends TransactionFailedError {}
+
+/**
+ * Transient failure (busy network, node timeout): retried with backoff, see withRetry
+ */
+export class TransientNetworkError extends HederaNftError {
+    get retryable() {
+        return true;
+    }
+}
+
+/**
+ * The session budget (see CostTracker) can't cover the next transaction: nothing was submitted
+ */
+export class BudgetExceededError extends HederaNftError {}
+
+// Statut Hedera -> classe d'erreur
+export const STATUS_ERRORS = {
+    INSUFFICIENT_PAYER_BALANCE: InsufficientBalanceError,
+    INSUFFICIENT_ACCOUNT_BALANCE: InsufficientBalanceError,
+    INSUFFICIENT_TX_FEE: InsufficientBalanceError,
+    INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE: InsufficientBalanceError,
+    TOKEN_NOT_ASSOCIATED_TO_ACCOUNT: NotAssociatedError,
+    NO_REMAINING_AUTOMATIC_ASSOCIATIONS: NotAssociatedError,
+    INVALID_SIGNATURE: InvalidSignatureError,
+    INVALID_SIGNATURE_TYPE_MISMATCHING_KEY: InvalidSignatureError,
+    TOKEN_MAX_SUPPLY_REACHED: MaxSupplyReachedError,
+    ACCOUNT_FROZEN_FOR_TOKEN: AccountFrozenError,
+    TOKEN_IS_PAUSED: TokenPausedError
+};
+
+/**
+ * Error class for a Hedera status
+ * @param {string} status - Status name
+ * @returns {Function} Error class
+ */
+export function errorClassForStatus(status) {
+    if (RETRYABLE_STATUSES.includes(status)) {
+        return TransientNetworkError;
+    }
+    return STATUS_ERRORS[status] || TransactionFailedError;
+}
+
+/**
+ * Helper - Préfixe "operation: " des messages
+ */
+function prefix(operation) {
+    return operation ? `${operation}: ` : "";
+}
+
+/**
+ * Convert an SDK error (PrecheckStatusError, ReceiptStatusError, timeouts) to a typed error
+ * Other errors are returned unchanged.
+ * @param {Error} error - Error thrown by the SDK
+ * @param {Object} context - operation, transactionId (when the error doesn't carry it)
+ * @returns {Error} Typed error
+ */
+export function toHederaError(error, { operation = null, transactionId = null } = {}) {
+    if (error instanceof HederaNftError) {
+        return error;
+    }
+
+    if (error instanceof StatusError) {
+        const status = error.status.toString();
+        const txId = error.transactionId?.toString() || transactionId?.toString() || null;
+        const ErrorClass = errorClassForStatus(status);
+        return new ErrorClass(`${prefix(operation)}transaction ${txId} failed with status ${status}`, {
+            status: status,
+            transactionId: txId,
+            operation: operation,
+            cause: error
+        });
+    }
+
+    const grpcStatus = error.name === "GrpcServiceError" ? error.status?.toString() : null;
+    if (error instanceof MaxAttemptsOrTimeoutError || TRANSIENT_GRPC_STATUSES.includes(grpcStatus)) {
+        return new TransientNetworkError(`${prefix(operation)}${error.message}`, {
+            status: grpcStatus,
+            transactionId: transactionId?.toString() || null,
+            operation: operation,
+            cause: error
+        });
+    }
+
+    return error;
+}
+
+/**
+ * Throw a typed error unless a receipt is SUCCESS
+ * @param {TransactionReceipt} receipt - Receipt to check
+ * @param {Object} context - operation, transactionId
+ * @returns {TransactionReceipt} The receipt when successful
+ */
+export function assertReceiptSuccess(receipt, { operation = null, transactionId = null } = {}) {
+    const status = receipt?.status?.toString();
+    if (status === "SUCCESS") {
+        return receipt;
+    }
+
+    const txId = transactionId?.toString() || null;
+    const ErrorClass = errorClassForStatus(status);
+    throw new ErrorClass(`${prefix(operation)}transaction ${txId} failed with status ${status || "UNKNOWN"}`, {
+        status: status || null,
+        transactionId: txId,
+        operation: operation
+    });
+}
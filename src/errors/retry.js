@@ -0,0 +1,49 @@
+// Politique par défaut : 3 nouvelles tentatives, 500 ms puis x2 à chaque fois (max 8 s)
+export const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    initialDelayMs: 500,
+    maxDelayMs: 8000,
+    factor: 2,
+    jitter: true
+};
+
+/**
+ * Delay before a retry (exponential backoff, optional jitter of up to 50%)
+ * @param {number} retry - Retry number (1 for the first retry)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+export function retryDelay(retry, policy = DEFAULT_RETRY_POLICY) {
+    const delay = Math.min(policy.initialDelayMs * policy.factor ** (retry - 1), policy.maxDelayMs);
+    return policy.jitter ? Math.round(delay * (0.5 + Math.random() / 2)) : delay;
+}
+
+/**
+ * Run an async function, retrying while it throws a retryable error (error.retryable)
+ * The function must be safe to call again: transactions are resubmitted with the same
+ * transaction ID, so the network executes them at most once.
+ * @param {Function} fn - async (attempt) => result
+ * @param {Object} policy - maxRetries, initialDelayMs, maxDelayMs, factor, jitter
+ * @param {Object} options - operation (for logs), logger (defaults to console), sleep (for tests)
+ * @returns {*} Result of fn
+ */
+export async function withRetry(fn, policy = DEFAULT_RETRY_POLICY, { operation = "operation", logger = console, sleep } = {}) {
+    const wait = sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn(attempt);
+        } catch (error) {
+            if (!error?.retryable || attempt > policy.maxRetries) {
+                throw error;
+            }
+
+            const delay = retryDelay(attempt, policy);
+            logger.warn(
+                `${operation} failed (${error.status || error.message}), retrying in ${delay} ms ` +
+                `(retry ${attempt}/${policy.maxRetries})`
+            );
+            await wait(delay);
+        }
+    }
+}
@@ -0,0 +1,117 @@
+import { BudgetExceededError } from "../errors/hedera-errors.js";
+import { roundHbar } from "./fee-estimator.js";
+
+/**
+ * Spending of a service session: actual fees from transaction records, HBAR sent, optional budget
+ */
+class CostTracker {
+    /**
+     * @param {Object} options - Tracker options
+     * @param {number} options.budget - Max HBAR the session may spend (fees + HBAR sent), null for no limit
+     */
+    constructor({ budget = null } = {}) {
+        this.budget = budget;
+        this.entries = [];
+    }
+
+    /**
+     * HBAR spent so far (fees + HBAR sent)
+     */
+    get spent() {
+        return roundHbar(this.entries.reduce((sum, entry) => sum + entry.feeHbar + entry.outflowHbar, 0));
+    }
+
+    /**
+     * Record the cost of an executed transaction
+     * @param {Object} cost - operation, transactionId, status, feeHbar, outflowHbar, source ("record" or "estimate")
+     * @returns {Object} Stored entry
+     */
+    record({ operation, transactionId, status, feeHbar, outflowHbar = 0, source = "record" }) {
+        const entry = {
+            operation: operation,
+            transactionId: transactionId ? transactionId.toString() : null,
+            status: status ? status.toString() : null,
+            feeHbar: feeHbar,
+            outflowHbar: outflowHbar,
+            source: source,
+            recordedAt: new Date().toISOString()
+        };
+        this.entries.push(entry);
+        return entry;
+    }
+
+    /**
+     * Throw if spending this amount would go over the budget
+     * @param {number} amountHbar - Estimated cost of the next transaction
+     * @param {string} operation - Operation name for the error
+     */
+    assertWithinBudget(amountHbar, operation) {
+        if (this.budget === null || this.budget === undefined) {
+            return;
+        }
+        if (this.spent + amountHbar > this.budget) {
+            throw new BudgetExceededError(
+                `${operation}: estimated cost ${amountHbar} HBAR would exceed the session budget ` +
+                `(${this.spent} of ${this.budget} HBAR already spent)`,
+                { operation: operation }
+            );
+        }
+    }
+
+    /**
+     * Cost summary of the session
+     * @returns {Object} { transactions, totalFeesHbar, totalSentHbar, totalSpentHbar, budgetHbar, remainingHbar, byOperation }
+     */
+    summary() {
+        const byOperation = {};
+        for (const entry of this.entries) {
+            const total = byOperation[entry.operation] || { count: 0, feesHbar: 0, sentHbar: 0 };
+            total.count += 1;
+            total.feesHbar = roundHbar(total.feesHbar + entry.feeHbar);
+            total.sentHbar = roundHbar(total.sentHbar + entry.outflowHbar);
+            byOperation[entry.operation] = total;
+        }
+
+        const spent = this.spent;
+        return {
+            transactions: this.entries.length,
+            totalFeesHbar: roundHbar(this.entries.reduce((sum, entry) => sum + entry.feeHbar, 0)),
+            totalSentHbar: roundHbar(this.entries.reduce((sum, entry) => sum + entry.outflowHbar, 0)),
+            totalSpentHbar: spent,
+            estimatedEntries: this.entries.filter(entry => entry.source === "estimate").length,
+            budgetHbar: this.budget ?? null,
+            remainingHbar: this.budget === null || this.budget === undefined ? null : roundHbar(this.budget - spent),
+            byOperation: byOperation
+        };
+    }
+
+    /**
+     * Cost summary as text
+     * @returns {string} Summary lines
+     */
+    formatSummary() {
+        const summary = this.summary();
+        const lines = [
+            "Cost summary:",
+            `Transactions: ${summary.transactions}`,
+            `Fees:         ${summary.totalFeesHbar} HBAR`,
+            `HBAR sent:    ${summary.totalSentHbar} HBAR`,
+            `Total spent:  ${summary.totalSpentHbar} HBAR`
+        ];
+
+        if (summary.budgetHbar !== null) {
+            lines.push(`Budget:       ${summary.budgetHbar} HBAR (${summary.remainingHbar} HBAR left)`);
+        }
+        for (const [operation, total] of Object.entries(summary.byOperation)) {
+            lines.push(`- ${operation}: ${total.count} tx, ${total.feesHbar} HBAR fees` +
+                (total.sentHbar > 0 ? `, ${total.sentHbar} HBAR sent` : ""));
+        }
+        if (summary.estimatedEntries > 0) {
+            lines.push(`(${summary.estimatedEntries} fee(s) estimated, their record wasn't available)`);
+        }
+
+        return lines.join("\n");
+    }
+}
+
+export default CostTracker;
@@ -0,0 +1,175 @@
+import {
+    AccountAllowanceApproveTransaction,
+    AccountAllowanceDeleteTransaction,
+    AccountCreateTransaction,
+    ScheduleCreateTransaction,
+    ScheduleSignTransaction,
+    TokenAssociateTransaction,
+    TokenBurnTransaction,
+    TokenCreateTransaction,
+    TokenDeleteTransaction,
+    TokenFeeScheduleUpdateTransaction,
+    TokenFreezeTransaction,
+    TokenMintTransaction,
+    TokenPauseTransaction,
+    TokenUnfreezeTransaction,
+    TokenUnpauseTransaction,
+    TokenUpdateTransaction,
+    TokenWipeTransaction,
+    TopicCreateTransaction,
+    TopicMessageSubmitTransaction,
+    TransferTransaction
+} from "@hashgraph/sdk";
+import { listSignerPublicKeys } from "../signing/transaction-envelope.js";
+
+// Frais de base publiés par Hedera (USD, hedera.com/fees), par type de transaction
+// (instanceof : les noms de classes du SDK sont minifiés)
+export const BASE_FEES_USD = [
+    [AccountCreateTransaction, "AccountCreateTransaction", 0.05],
+    [TokenCreateTransaction, "TokenCreateTransaction", 1],
+    [TokenMintTransaction, "TokenMintTransaction", 0.02], // par NFT
+    [TokenBurnTransaction, "TokenBurnTransaction", 0.001],
+    [TokenWipeTransaction, "TokenWipeTransaction", 0.001],
+    [TokenAssociateTransaction, "TokenAssociateTransaction", 0.05],
+    [TokenUpdateTransaction, "TokenUpdateTransaction", 0.001],
+    [TokenFreezeTransaction, "TokenFreezeTransaction", 0.001],
+    [TokenUnfreezeTransaction, "TokenUnfreezeTransaction", 0.001],
+    [TokenPauseTransaction, "TokenPauseTransaction", 0.001],
+    [TokenUnpauseTransaction, "TokenUnpauseTransaction", 0.001],
+    [TokenDeleteTransaction, "TokenDeleteTransaction", 0.001],
+    [TokenFeeScheduleUpdateTransaction, "TokenFeeScheduleUpdateTransaction", 0.001],
+    [TransferTransaction, "TransferTransaction", 0.001],
+    [AccountAllowanceApproveTransaction, "AccountAllowanceApproveTransaction", 0.05],
+    [AccountAllowanceDeleteTransaction, "AccountAllowanceDeleteTransaction", 0.05],
+    [TopicCreateTransaction, "TopicCreateTransaction", 0.01],
+    [TopicMessageSubmitTransaction, "TopicMessageSubmitTransaction", 0.0001],
+    [ScheduleCreateTransaction, "ScheduleCreateTransaction", 0.01],
+    [ScheduleSignTransaction, "ScheduleSignTransaction", 0.001]
+];
+
+// Token avec frais personnalisés : le double du tarif de base
+const CUSTOM_FEES_MULTIPLIER = 2;
+
+// Vérification de chaque signature au-delà de la première
+export const SIGNATURE_FEE_USD = 0.0001;
+
+// Type inconnu : on reste prudent
+const UNKNOWN_TRANSACTION_FEE_USD = 0.05;
+
+const TINYBARS_PER_HBAR = 100000000;
+
+// Taille maximale d'une transaction acceptée par le réseau
+export const MAX_TRANSACTION_SIZE_BYTES = 6144;
+
+// Signature ED25519 ajoutée par l'opérateur à l'exécution (clé publique + signature + encodage)
+const OPERATOR_SIGNATURE_BYTES = 100;
+
+/**
+ * Helper - Entrée du barème pour une transaction
+ */
+function feeScheduleEntry(transaction) {
+    return BASE_FEES_USD.find(([TransactionClass]) => transaction instanceof TransactionClass) || null;
+}
+
+/**
+ * Transaction type name (e.g. "TokenMintTransaction"), "Transaction" for types missing from BASE_FEES_USD
+ * @param {Transaction} transaction - Transaction
+ * @returns {string} Type name
+ */
+export function transactionType(transaction) {
+    return feeScheduleEntry(transaction)?.[1] || "Transaction";
+}
+
+/**
+ * Estimate the network fee of a transaction in USD from the published base fees
+ * The real fee also depends on the transaction size and storage, see the transaction record after execution.
+ * @param {Transaction} transaction - Transaction (frozen, so that its signatures can be counted)
+ * @returns {number} Estimated fee in USD
+ */
+export function estimateFeeUsd(transaction) {
+    let fee = feeScheduleEntry(transaction)?.[2] ?? UNKNOWN_TRANSACTION_FEE_USD;
+
+    if (transaction instanceof TokenMintTransaction) {
+        fee *= Math.max(transaction.metadata.length, 1);
+    }
+    if (transaction instanceof TokenCreateTransaction && transaction.customFees.length > 0) {
+        fee *= CUSTOM_FEES_MULTIPLIER;
+    }
+
+    // L'opérateur signe à l'exécution, en plus des signatures déjà présentes
+    const signatures = (transaction.isFrozen() ? listSignerPublicKeys(transaction).length : 0) + 1;
+    return fee + (signatures - 1) * SIGNATURE_FEE_USD;
+}
+
+/**
+ * Size of a frozen transaction as sent to one node, once the operator has signed it
+ * @param {Transaction} transaction - Frozen transaction
+ * @returns {number} Size in bytes
+ */
+export function transactionSizeBytes(transaction) {
+    // toBytes() contient une copie signée par nœud
+    const nodes = Math.max(transaction.nodeAccountIds.length, 1);
+    return Math.ceil(transaction.toBytes().length / nodes) + OPERATOR_SIGNATURE_BYTES;
+}
+
+/**
+ * HBAR leaving the payer account besides the fee (initial balance of a new account, HBAR transfers)
+ * @param {Transaction} transaction - Transaction
+ * @param {AccountId|string} payerAccountId - Payer account
+ * @returns {number} HBAR
+ */
+export function hbarOutflow(transaction, payerAccountId) {
+    if (transaction instanceof AccountCreateTransaction) {
+        return tinybarsToHbar(transaction.initialBalance?.toTinybars() ?? 0);
+    }
+    if (transaction instanceof TransferTransaction && payerAccountId) {
+        let tinybars = 0;
+        for (const [accountId, amount] of transaction.hbarTransfers) {
+            const value = Number(amount.toTinybars().toString());
+            if (accountId.toString() === payerAccountId.toString() && value < 0) {
+                tinybars -= value;
+            }
+        }
+        return tinybarsToHbar(tinybars);
+    }
+    return 0;
+}
+
+/**
+ * Convert tinybars to HBAR
+ * @param {number|Long} tinybars - Amount in tinybars
+ * @returns {number} HBAR
+ */
+export function tinybarsToHbar(tinybars) {
+    return Number(tinybars.toString()) / TINYBARS_PER_HBAR;
+}
+
+/**
+ * Round an HBAR amount to the tinybar
+ * @param {number} hbar - Amount in HBAR
+ * @returns {number} Rounded amount
+ */
+export function roundHbar(hbar) {
+    return Math.round(hbar * TINYBARS_PER_HBAR) / TINYBARS_PER_HBAR;
+}
+
+/**
+ * Estimate what a transaction will cost its payer
+ * @param {Transaction} transaction - Frozen transaction
+ * @param {number} usdPerHbar - Exchange rate (see MirrorNodeClient.getExchangeRate)
+ * @returns {Object} { transactionType, feeUsd, feeHbar, outflowHbar, totalHbar, usdPerHbar }
+ */
+export function estimateTransactionCost(transaction, usdPerHbar) {
+    const feeUsd = estimateFeeUsd(transaction);
+    const feeHbar = roundHbar(feeUsd / usdPerHbar);
+    const outflowHbar = hbarOutflow(transaction, transaction.transactionId?.accountId);
+
+    return {
+        transactionType: transactionType(transaction),
+        feeUsd: feeUsd,
+        feeHbar: feeHbar,
+        outflowHbar: outflowHbar,
+        totalHbar: roundHbar(feeHbar + outflowHbar),
+        usdPerHbar: usdPerHbar
+    };
+}
@@ -0,0 +1,267 @@
+import { readFileSync, readdirSync, writeFileSync, createWriteStream } from "fs";
+import { join, dirname, resolve } from "path";
+import { pipeline } from "stream/promises";
+import { Readable } from "stream";
+import { importer } from "ipfs-unixfs-importer";
+import { CarWriter } from "@ipld/car";
+import { validateHip412Metadata, validateDiplomaMetadata, formatMetadataErrors } from "../metadata/diploma-metadata.js";
+
+// Mêmes paramètres que les services de pinning (CIDv1, feuilles raw)
+const IMPORTER_OPTIONS = {
+    cidVersion: 1,
+    rawLeaves: true,
+    reduceSingleLeafToSelf: true
+};
+
+export const METADATA_FILE_NAME = "metadata.json";
+
+/**
+ * Blockstore en mémoire - garde les blocs pour écrire le fichier CAR
+ */
+export class MemoryBlockstore {
+    constructor() {
+        this.blocks = new Map();
+    }
+
+    async put(cid, bytes) {
+        this.blocks.set(cid.toString(), { cid, bytes });
+        return cid;
+    }
+
+    async get(cid) {
+        return this.blocks.get(cid.toString())?.bytes;
+    }
+
+    async has(cid) {
+        return this.blocks.has(cid.toString());
+    }
+
+    *entries() {
+        yield* this.blocks.values();
+    }
+}
+
+/**
+ * Compute the CIDv1 of a file's content
+ * @param {Uint8Array} bytes - File content
+ * @param {MemoryBlockstore} blockstore - Blockstore receiving the blocks
+ * @returns {CID} File CID
+ */
+export async function computeFileCid(bytes, blockstore = new MemoryBlockstore()) {
+    let root = null;
+    for await (const entry of importer([{ content: bytes }], blockstore, IMPORTER_OPTIONS)) {
+        root = entry.cid;
+    }
+    return root;
+}
+
+/**
+ * Compute the CID of a directory wrapping metadata.json (ipfs://<cid>/metadata.json)
+ * @param {Uint8Array} bytes - metadata.json content
+ * @param {MemoryBlockstore} blockstore - Blockstore receiving the blocks
+ * @returns {CID} Directory CID
+ */
+export async function computeMetadataDirectoryCid(bytes, blockstore = new MemoryBlockstore()) {
+    let root = null;
+    const candidates = [{ path: METADATA_FILE_NAME, content: bytes }];
+    for await (const entry of importer(candidates, blockstore, { ...IMPORTER_OPTIONS, wrapWithDirectory: true })) {
+        // La dernière entrée est le répertoire racine
+        root = entry.cid;
+    }
+    return root;
+}
+
+/**
+ * Helper - Lien local (chemin relatif) ou déjà une URI ?
+ */
+function isLocalLink(link) {
+    return typeof link === "string" && link.length > 0 && !/^[a-z][a-z0-9+.-]*:\/\//i.test(link);
+}
+
+/**
+ * Compute the CID of a linked local file and return its ipfs:// URI
+ * @param {string} link - Path relative to the metadata file
+ * @param {string} baseDir - Directory of the metadata file
+ * @param {MemoryBlockstore} blockstore - Blockstore receiving the blocks
+ * @param {Object} files - Map of file path -> CID, filled in place
+ * @returns {string} ipfs:// URI
+ */
+async function linkToIpfsUri(link, baseDir, blockstore, files) {
+    const filePath = resolve(baseDir, link);
+    const cid = await computeFileCid(readFileSync(filePath), blockstore);
+    files[link] = cid.toString();
+    return `ipfs://${cid.toString()}`;
+}
+
+/**
+ * Build the IPFS manifest for a folder of diploma metadata files
+ * Each *.json file is HIP-412 metadata whose image / files[].uri may point to local files.
+ * @param {string} inputDir - Folder containing the metadata files and diploma files
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.diploma - Validate documents as diplomas (default true)
+ * @returns {Object} { entries, roots, blockstore }
+ */
+export async function buildIpfsManifest(inputDir, options = {}) {
+    const { diploma = true } = options;
+    const blockstore = new MemoryBlockstore();
+    const entries = [];
+    const roots = [];
+
+    // Ordre stable pour des CIDs et un manifest reproductibles
+    const metadataFiles = readdirSync(inputDir)
+        .filter(name => name.endsWith(".json"))
+        .sort();
+
+    if (metadataFiles.length === 0) {
+        throw new Error(`No metadata .json files found in ${inputDir}`);
+    }
+
+    for (const fileName of metadataFiles) {
+        const sourcePath = join(inputDir, fileName);
+        const baseDir = dirname(sourcePath);
+        const document = JSON.parse(readFileSync(sourcePath, "utf8"));
+        const files = {};
+
+        // Réécrire les liens locaux en ipfs://<cid>
+        if (isLocalLink(document.image)) {
+            document.image = await linkToIpfsUri(document.image, baseDir, blockstore, files);
+        }
+        if (Array.isArray(document.files)) {
+            for (const file of document.files) {
+                if (isLocalLink(file.uri)) {
+                    file.uri = await linkToIpfsUri(file.uri, baseDir, blockstore, files);
+                }
+            }
+        }
+
+        const { valid, errors } = diploma ? validateDiplomaMetadata(document) : validateHip412Metadata(document);
+        if (!valid) {
+            const error = new Error(`Invalid metadata in ${fileName}:\n${formatMetadataErrors(errors)}`);
+            error.errors = errors;
+            throw error;
+        }
+
+        const metadataBytes = Buffer.from(JSON.stringify(document, null, 2));
+        const directoryCid = await computeMetadataDirectoryCid(metadataBytes, blockstore);
+        roots.push(directoryCid);
+
+        entries.push({
+            source: fileName,
+            metadataCid: directoryCid.toString(),
+            uri: `ipfs://${directoryCid.toString()}/${METADATA_FILE_NAME}`,
+            files: files,
+            metadata: document
+        });
+    }
+
+    return { entries, roots, blockstore };
+}
+
+/**
+ * Render the manifest as a module with the same shape as src/data/ipfs-cid.js
+ * @param {Array} entries - Manifest entries from buildIpfsManifest
+ * @param {Object} collectionInfo - name, symbol, description, maxSupply
+ * @returns {string} Module source
+ */
+export function renderManifestModule(entries, collectionInfo = {}) {
+    const uris = entries
+        .map(entry => `    Buffer.from(\n        "${entry.uri}"\n    )`)
+        .join(",\n");
+
+    const sources = entries
+        .map(entry => `    { source: ${JSON.stringify(entry.source)}, metadataCid: "${entry.metadataCid}", files: ${JSON.stringify(entry.files)} }`)
+        .join(",\n");
+
+    const info = {
+        name: "Diploma Certificate Collection",
+        symbol: "DIPLOM",
+        description: "Collection de diplômes certifiés stockés sur IPFS",
+        maxSupply: 1000,
+        ...collectionInfo
+    };
+
+    return `// Généré par scripts/build-ipfs-manifest.js - ne pas modifier à la main
+export const IPFS_CID_COLLECTION = [
+${uris}
+];
+
+export const IPFS_MANIFEST = [
+${sources}
+];
+
+export const COLLECTION_INFO = {
+    name: ${JSON.stringify(info.name)},
+    symbol: ${JSON.stringify(info.symbol)},
+    description: ${JSON.stringify(info.description)},
+    maxSupply: ${Number(info.maxSupply)},
+    totalCIDs: IPFS_CID_COLLECTION.length
+};
+`;
+}
+
+/**
+ * Write every block of the manifest to a CAR file (to upload to a pinning service later)
+ * @param {MemoryBlockstore} blockstore - Blocks to write
+ * @param {Array} roots - Root CIDs (one per metadata directory)
+ * @param {string} carPath - Output file
+ */
+export async function writeCarFile(blockstore, roots, carPath) {
+    const { writer, out } = CarWriter.create(roots);
+    const written = pipeline(Readable.from(out), createWriteStream(carPath));
+
+    for (const block of blockstore.entries()) {
+        await writer.put(block);
+    }
+    await writer.close();
+    await written;
+}
+
+/**
+ * Complete workflow - Compute CIDs, write the manifest module and the CAR file
+ * @param {Object} params - Workflow parameters
+ * @param {string} params.inputDir - Folder of metadata + diploma files
+ * @param {string} params.outputModule - Manifest module to write (optional)
+ * @param {string} params.carFile - CAR file to write (optional)
+ * @param {Object} params.collectionInfo - Collection info for the manifest
+ * @param {boolean} params.diploma - Validate documents as diplomas
+ * @returns {Object} Manifest entries and output paths
+ */
+export async function generateIpfsManifest({ inputDir, outputModule, carFile, collectionInfo = {}, diploma = true }) {
+    const { entries, roots, blockstore } = await buildIpfsManifest(inputDir, { diploma });
+
+    if (outputModule) {
+        writeFileSync(outputModule, renderManifestModule(entries, collectionInfo));
+    }
+    if (carFile) {
+        await writeCarFile(blockstore, roots, carFile);
+    }
+
+    return {
+        entries: entries,
+        roots: roots.map(root => root.toString()),
+        blockCount: blockstore.blocks.size,
+        outputModule: outputModule || null,
+        carFile: carFile || null
+    };
+}
+
+/**
+ * Compare freshly computed URIs with an existing manifest (on-chain metadata vs source files)
+ * @param {Array} entries - Entries from buildIpfsManifest
+ * @param {Array} expectedUris - URIs (string or Buffer) from an existing manifest
+ * @returns {Object} { matches, mismatches }
+ */
+export function compareWithManifest(entries, expectedUris) {
+    const mismatches = [];
+    const count = Math.max(entries.length, expectedUris.length);
+
+    for (let i = 0; i < count; i++) {
+        const computed = entries[i]?.uri ?? null;
+        const expected = expectedUris[i] !== undefined ? expectedUris[i].toString() : null;
+        if (computed !== expected) {
+            mismatches.push({ index: i, source: entries[i]?.source ?? null, computed, expected });
+        }
+    }
+
+    return { matches: mismatches.length === 0, mismatches };
+}
@@ -0,0 +1,103 @@
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from "fs";
+import { dirname } from "path";
+
+const JOURNAL_VERSION = 1;
+
+// États d'une émission : minting -> minted -> delivering -> delivered
+export const ISSUANCE_STATES = ["minting", "minted", "delivering", "delivered"];
+
+/**
+ * Journal of a diploma issuance run, one entry per student
+ * Written before and after every network step, so a rerun after a crash knows what was done
+ * and a student never receives a second diploma.
+ */
+class IssuanceJournal {
+    /**
+     * @param {Object} options - Journal options
+     * @param {string} options.path - Journal file (created on first write)
+     * @param {string} options.tokenId - Token the diplomas are issued from (a journal belongs to one token)
+     */
+    constructor({ path, tokenId } = {}) {
+        if (!path) {
+            throw new Error("Issuance journal path is required");
+        }
+
+        this.path = path;
+        this.data = this.read();
+
+        if (this.data.tokenId && tokenId && this.data.tokenId !== tokenId.toString()) {
+            throw new Error(`Journal ${path} belongs to token ${this.data.tokenId}, not ${tokenId.toString()}`);
+        }
+        this.data.tokenId = this.data.tokenId || (tokenId ? tokenId.toString() : null);
+    }
+
+    /**
+     * Lecture du fichier (ou journal vide)
+     */
+    read() {
+        if (!existsSync(this.path)) {
+            return { version: JOURNAL_VERSION, tokenId: null, entries: {} };
+        }
+
+        const data = JSON.parse(readFileSync(this.path, "utf8"));
+        if (data.version !== JOURNAL_VERSION) {
+            throw new Error(`Unsupported issuance journal version ${data.version} in ${this.path}`);
+        }
+        return data;
+    }
+
+    /**
+     * Écriture atomique du fichier
+     */
+    write() {
+        mkdirSync(dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.tmp`;
+        writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        renameSync(tmpPath, this.path);
+    }
+
+    /**
+     * Get the entry of a student
+     * @param {string} studentId - Student ID
+     * @returns {Object|null} { studentId, accountId, state, serialNumber, metadataUri, ... } or null
+     */
+    get(studentId) {
+        return this.data.entries[studentId] || null;
+    }
+
+    /**
+     * List the entries, optionally in one state
+     * @param {string} state - Optional state filter
+     * @returns {Array} Entries
+     */
+    list(state) {
+        return Object.values(this.data.entries).filter(entry => !state || entry.state === state);
+    }
+
+    /**
+     * Create or update the entries of several students in one write
+     * @param {Array} updates - { studentId, ...fields } (state must be one of ISSUANCE_STATES)
+     * @returns {Array} Stored entries
+     */
+    update(updates) {
+        const now = new Date().toISOString();
+        const entries = updates.map(({ studentId, ...fields }) => {
+            if (fields.state && !ISSUANCE_STATES.includes(fields.state)) {
+                throw new Error(`Unknown issuance state "${fields.state}"`);
+            }
+
+            const entry = {
+                ...(this.data.entries[studentId] || { studentId: studentId, createdAt: now }),
+                ...fields,
+                updatedAt: now
+            };
+            this.data.entries[studentId] = entry;
+            return entry;
+        });
+
+        this.write();
+        return entries;
+    }
+}
+
+export default IssuanceJournal;
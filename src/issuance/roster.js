@@ -0,0 +1,199 @@
+import { readFileSync, writeFileSync } from "fs";
+import { extname } from "path";
+
+// Colonnes reconnues du roster (en-têtes comparés sans casse ni ponctuation)
+export const ROSTER_COLUMNS = {
+    studentId: ["studentid", "id", "matricule"],
+    studentName: ["studentname", "name", "fullname"],
+    degree: ["degree", "diploma"],
+    accountId: ["accountid", "account", "hederaaccount", "receivingaccount"],
+    fieldOfStudy: ["fieldofstudy", "major"],
+    graduationDate: ["graduationdate", "date"],
+    institution: ["institution"],
+    image: ["image"]
+};
+
+export const REQUIRED_ROSTER_COLUMNS = ["studentId", "studentName", "degree", "accountId"];
+
+// Colonnes du rapport d'émission
+export const REPORT_COLUMNS = [
+    "row", "studentId", "studentName", "accountId", "status", "serialNumber", "metadataUri", "transactionId", "error"
+];
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, doubled quotes, CRLF)
+ * @param {string} text - CSV content
+ * @returns {Array} Records (arrays of fields), empty lines skipped
+ */
+export function parseCsv(text) {
+    return parseCsvRecords(text).map(record => record.fields);
+}
+
+/**
+ * Parse CSV text, keeping the line number each record starts on
+ * Lines are counted in the file: skipped blank lines and line breaks inside quoted fields count.
+ * @param {string} text - CSV content
+ * @returns {Array} Records { line, fields }, empty lines skipped
+ */
+export function parseCsvRecords(text) {
+    const records = [];
+    let record = [];
+    let field = "";
+    let quoted = false;
+    let line = 1;
+    let recordLine = 1;
+
+    for (let index = 0; index < text.length; index++) {
+        const char = text[index];
+
+        if (quoted) {
+            if (char === "\"" && text[index + 1] === "\"") {
+                field += "\"";
+                index++;
+            } else if (char === "\"") {
+                quoted = false;
+            } else {
+                // Retour à la ligne dans un champ : la ligne physique avance, pas l'enregistrement
+                if (char === "\n" || (char === "\r" && text[index + 1] !== "\n")) {
+                    line++;
+                }
+                field += char;
+            }
+        } else if (char === "\"" && field === "") {
+            quoted = true;
+        } else if (char === ",") {
+            record.push(field);
+            field = "";
+        } else if (char === "\n" || char === "\r") {
+            if (char === "\r" && text[index + 1] === "\n") {
+                index++;
+            }
+            record.push(field);
+            records.push({ line: recordLine, fields: record });
+            record = [];
+            field = "";
+            line++;
+            recordLine = line;
+        } else {
+            field += char;
+        }
+    }
+
+    if (quoted) {
+        throw new Error(`Invalid CSV: unterminated quoted field starting on line ${recordLine}`);
+    }
+    if (field !== "" || record.length > 0) {
+        record.push(field);
+        records.push({ line: recordLine, fields: record });
+    }
+
+    return records.filter(({ fields }) => fields.some(value => value.trim() !== ""));
+}
+
+/**
+ * Helper - Nom de colonne normalisé ("Student ID" -> "studentid")
+ */
+function normalizeHeader(header) {
+    return header.toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Parse a graduate roster
+ * Columns: student ID, name, degree, receiving account ID (+ optional field of study, graduation date, institution, image).
+ * @param {string} text - CSV content with a header line
+ * @returns {Array} Rows { row, studentId, studentName, degree, accountId, ... } (row = line number in the file)
+ */
+export function parseRoster(text) {
+    const [headerRecord, ...records] = parseCsvRecords(text.replace(/^\uFEFF/, ""));
+    if (!headerRecord) {
+        throw new Error("Roster is empty");
+    }
+
+    // Index de chaque colonne connue dans l'en-tête
+    const normalized = headerRecord.fields.map(normalizeHeader);
+    const columns = {};
+    for (const [field, names] of Object.entries(ROSTER_COLUMNS)) {
+        const index = normalized.findIndex(name => names.includes(name));
+        if (index !== -1) {
+            columns[field] = index;
+        }
+    }
+
+    const missing = REQUIRED_ROSTER_COLUMNS.filter(field => columns[field] === undefined);
+    if (missing.length > 0) {
+        throw new Error(`Roster is missing column(s): ${missing.join(", ")}`);
+    }
+
+    return records.map(({ line, fields }) => {
+        const row = { row: line };
+        for (const [field, column] of Object.entries(columns)) {
+            const value = (fields[column] || "").trim();
+            if (value !== "") {
+                row[field] = value;
+            }
+        }
+        return row;
+    });
+}
+
+/**
+ * Diploma data of a roster row (row values first, then the run defaults)
+ * @param {Object} row - Roster row
+ * @param {Object} defaults - institution, graduationDate, image, imageType, fieldOfStudy
+ * @returns {Object} Input of buildDiplomaMetadata
+ */
+export function rosterRowToDiploma(row, defaults = {}) {
+    return {
+        studentId: row.studentId,
+        studentName: row.studentName,
+        degree: row.degree,
+        fieldOfStudy: row.fieldOfStudy || defaults.fieldOfStudy,
+        institution: row.institution || defaults.institution,
+        graduationDate: row.graduationDate || defaults.graduationDate,
+        image: row.image || defaults.image,
+        imageType: defaults.imageType
+    };
+}
+
+/**
+ * Read a roster CSV file
+ * @param {string} filePath - Roster file
+ * @returns {Array} Rows (see parseRoster)
+ */
+export function readRosterFile(filePath) {
+    return parseRoster(readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Helper - Champ CSV échappé si besoin
+ */
+function csvField(value) {
+    const text = value === null || value === undefined ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+/**
+ * Render rows as CSV
+ * @param {Array} rows - Objects to render
+ * @param {Array} columns - Column names (header line)
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.join(",")];
+    for (const row of rows) {
+        lines.push(columns.map(column => csvField(row[column])).join(","));
+    }
+    return `${lines.join("\n")}\n`;
+}
+
+/**
+ * Write the per-row issuance report (.json as JSON, anything else as CSV)
+ * @param {string} filePath - Report file
+ * @param {Array} rows - Report rows
+ */
+export function writeIssuanceReport(filePath, rows) {
+    const content = extname(filePath).toLowerCase() === ".json"
+        ? JSON.stringify(rows, null, 2)
+        : toCsv(rows, REPORT_COLUMNS);
+    writeFileSync(filePath, content);
+}
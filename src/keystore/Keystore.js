@@ -0,0 +1,375 @@
+import { randomBytes, scryptSync, createCipheriv, createDecipheriv } from "crypto";
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from "fs";
+import { dirname } from "path";
+import { AccountId, KeyList, PrivateKey } from "@hashgraph/sdk";
+import { deserializeKey, serializeKey } from "../signing/transaction-envelope.js";
+
+const KEYSTORE_VERSION = 1;
+
+// Paramètres scrypt (N=2^15, r=8, p=1) et chiffrement AES-256-GCM
+const SCRYPT_PARAMS = { N: 32768, r: 8, p: 1 };
+const SCRYPT_MAXMEM = 64 * 1024 * 1024;
+const KEY_LENGTH = 32;
+const CIPHER = "aes-256-gcm";
+
+/**
+ * Encrypted local keystore for account and token keys
+ * Private keys are encrypted one by one (scrypt + AES-256-GCM), IDs and public keys stay readable.
+ */
+class Keystore {
+    /**
+     * @param {Object} options - Keystore options
+     * @param {string} options.path - Keystore file (created on first save)
+     * @param {string} options.passphrase - Passphrase used to encrypt / decrypt keys
+     */
+    constructor({ path, passphrase } = {}) {
+        if (!path) {
+            throw new Error("Keystore path is required");
+        }
+        if (!passphrase) {
+            throw new Error("Keystore passphrase is required (set KEYSTORE_PASSPHRASE or pass keystorePassphrase)");
+        }
+
+        this.path = path;
+        this.passphrase = passphrase;
+        this.data = this.read();
+    }
+
+    /**
+     * Lecture du fichier (ou keystore vide)
+     */
+    read() {
+        if (!existsSync(this.path)) {
+            return { version: KEYSTORE_VERSION, accounts: {}, tokens: {} };
+        }
+
+        const data = JSON.parse(readFileSync(this.path, "utf8"));
+        if (data.version !== KEYSTORE_VERSION) {
+            throw new Error(`Unsupported keystore version ${data.version} in ${this.path}`);
+        }
+        return { accounts: {}, tokens: {}, ...data };
+    }
+
+    /**
+     * Écriture atomique du fichier, lisible uniquement par son propriétaire
+     */
+    write() {
+        mkdirSync(dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.tmp`;
+        writeFileSync(tmpPath, JSON.stringify(this.data, null, 2), { mode: 0o600 });
+        renameSync(tmpPath, this.path);
+    }
+
+    /**
+     * Encrypt a private key
+     * @param {PrivateKey} privateKey - Key to encrypt
+     * @returns {Object} Encrypted key (base64 fields)
+     */
+    encryptKey(privateKey) {
+        const salt = randomBytes(16);
+        const iv = randomBytes(12);
+        const key = scryptSync(this.passphrase, salt, KEY_LENGTH, { ...SCRYPT_PARAMS, maxmem: SCRYPT_MAXMEM });
+
+        const cipher = createCipheriv(CIPHER, key, iv);
+        const ciphertext = Buffer.concat([cipher.update(privateKey.toStringDer(), "utf8"), cipher.final()]);
+
+        return {
+            kdf: "scrypt",
+            ...SCRYPT_PARAMS,
+            salt: salt.toString("base64"),
+            cipher: CIPHER,
+            iv: iv.toString("base64"),
+            tag: cipher.getAuthTag().toString("base64"),
+            ciphertext: ciphertext.toString("base64")
+        };
+    }
+
+    /**
+     * Decrypt a private key
+     * @param {Object} encrypted - Encrypted key from encryptKey
+     * @returns {PrivateKey} Decrypted key
+     */
+    decryptKey(encrypted) {
+        const key = scryptSync(this.passphrase, Buffer.from(encrypted.salt, "base64"), KEY_LENGTH, {
+            N: encrypted.N,
+            r: encrypted.r,
+            p: encrypted.p,
+            maxmem: SCRYPT_MAXMEM
+        });
+
+        try {
+            const decipher = createDecipheriv(encrypted.cipher, key, Buffer.from(encrypted.iv, "base64"));
+            decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+            const der = Buffer.concat([
+                decipher.update(Buffer.from(encrypted.ciphertext, "base64")),
+                decipher.final()
+            ]).toString("utf8");
+            return PrivateKey.fromStringDer(der);
+        } catch (error) {
+            throw new Error("Cannot decrypt key: wrong keystore passphrase or corrupted keystore");
+        }
+    }
+
+    /**
+     * Check that an alias isn't already used by another entry
+     */
+    assertAliasAvailable(alias, ownId) {
+        if (!alias) {
+            return;
+        }
+        const owner = [...Object.values(this.data.accounts), ...Object.values(this.data.tokens)]
+            .find(entry => entry.alias === alias);
+        const ownerId = owner?.accountId || owner?.tokenId;
+        if (owner && ownerId !== ownId) {
+            throw new Error(`Keystore alias "${alias}" is already used by ${ownerId}`);
+        }
+    }
+
+    /**
+     * Store an account and its private key
+     * A key list account is stored with its public key structure and the member keys held here (possibly none).
+     * @param {Object} account - Account object from createAccount
+     * @param {Object} options - Optional alias
+     * @returns {Object} Stored entry (without secrets)
+     */
+    saveAccount(account, { alias } = {}) {
+        const accountId = account.accountId.toString();
+        this.assertAliasAvailable(alias, accountId);
+
+        const keyList = account.key instanceof KeyList ? account.key : null;
+        this.data.accounts[accountId] = {
+            accountId: accountId,
+            alias: alias || this.data.accounts[accountId]?.alias || null,
+            publicKey: keyList ? null : account.privateKey.publicKey.toStringDer(),
+            ...(keyList
+                ? { key: serializeKey(keyList), privateKeys: (account.privateKeys || []).map(key => this.encryptTokenKey(key)) }
+                : { privateKey: this.encryptKey(account.privateKey) }),
+            createdAt: this.data.accounts[accountId]?.createdAt || new Date().toISOString()
+        };
+        this.write();
+
+        return this.describeAccount(this.data.accounts[accountId]);
+    }
+
+    /**
+     * Store a key of a token (supply, admin, ...)
+     * @param {string} tokenId - Token ID
+     * @param {string} role - Key role (e.g. "supply")
+     * @param {PrivateKey|Array} privateKey - Key to store (or keys of a key list)
+     * @param {Object} options - Optional alias and treasury account ID
+     * @returns {Object} Stored entry (without secrets)
+     */
+    saveTokenKey(tokenId, role, privateKey, { alias, treasuryAccountId } = {}) {
+        const id = tokenId.toString();
+        this.assertAliasAvailable(alias, id);
+
+        const entry = this.data.tokens[id] || { tokenId: id, alias: null, treasuryAccountId: null, keys: {}, createdAt: new Date().toISOString() };
+        entry.alias = alias || entry.alias;
+        entry.treasuryAccountId = treasuryAccountId?.toString() || entry.treasuryAccountId;
+        entry.keys[role] = Array.isArray(privateKey)
+            ? privateKey.map(key => this.encryptTokenKey(key))
+            : this.encryptTokenKey(privateKey);
+
+        this.data.tokens[id] = entry;
+        this.write();
+
+        return this.describeToken(entry);
+    }
+
+    /**
+     * Store non-secret settings of a token (e.g. soulbound)
+     * @param {string} tokenId - Token ID
+     * @param {Object} settings - Settings to merge
+     * @param {Object} options - Optional alias and treasury account ID
+     */
+    saveTokenSettings(tokenId, settings, { alias, treasuryAccountId } = {}) {
+        const id = tokenId.toString();
+        this.assertAliasAvailable(alias, id);
+
+        const entry = this.data.tokens[id] || { tokenId: id, alias: null, treasuryAccountId: null, keys: {}, createdAt: new Date().toISOString() };
+        entry.alias = alias || entry.alias;
+        entry.treasuryAccountId = treasuryAccountId?.toString() || entry.treasuryAccountId;
+        entry.settings = { ...entry.settings, ...settings };
+
+        this.data.tokens[id] = entry;
+        this.write();
+    }
+
+    /**
+     * Clé de token chiffrée avec sa clé publique en clair
+     */
+    encryptTokenKey(privateKey) {
+        return {
+            publicKey: privateKey.publicKey.toStringDer(),
+            privateKey: this.encryptKey(privateKey)
+        };
+    }
+
+    /**
+     * Remove a token key role (e.g. after a key rotation to a key we don't hold)
+     * @param {string} tokenId - Token ID
+     * @param {string} role - Key role
+     */
+    removeTokenKey(tokenId, role) {
+        const entry = this.findTokenEntry(tokenId);
+        if (entry && entry.keys[role]) {
+            delete entry.keys[role];
+            this.write();
+        }
+    }
+
+    /**
+     * Find an account entry by account ID or alias
+     */
+    findAccountEntry(reference) {
+        const ref = reference.toString();
+        return this.data.accounts[ref] || Object.values(this.data.accounts).find(entry => entry.alias === ref) || null;
+    }
+
+    /**
+     * Find a token entry by token ID or alias
+     */
+    findTokenEntry(reference) {
+        const ref = reference.toString();
+        return this.data.tokens[ref] || Object.values(this.data.tokens).find(entry => entry.alias === ref) || null;
+    }
+
+    /**
+     * Does the keystore hold this account?
+     * @param {string} reference - Account ID or alias
+     * @returns {boolean}
+     */
+    hasAccount(reference) {
+        return this.findAccountEntry(reference) !== null;
+    }
+
+    /**
+     * Load an account with its decrypted private key
+     * @param {string} reference - Account ID or alias
+     * @returns {Object} Account object ({ accountId, privateKey, publicKey, alias }, or { key, privateKeys } for a key list)
+     */
+    loadAccount(reference) {
+        const entry = this.findAccountEntry(reference);
+        if (!entry) {
+            throw new Error(`Account "${reference}" not found in keystore ${this.path}`);
+        }
+
+        if (entry.key) {
+            return {
+                accountId: AccountId.fromString(entry.accountId),
+                privateKey: null,
+                publicKey: null,
+                key: deserializeKey(entry.key),
+                privateKeys: entry.privateKeys.map(item => this.decryptKey(item.privateKey)),
+                alias: entry.alias
+            };
+        }
+
+        const privateKey = this.decryptKey(entry.privateKey);
+        return {
+            accountId: AccountId.fromString(entry.accountId),
+            privateKey: privateKey,
+            publicKey: privateKey.publicKey,
+            alias: entry.alias
+        };
+    }
+
+    /**
+     * Load a token with its decrypted keys
+     * @param {string} reference - Token ID or alias
+     * @returns {Object} { tokenId, alias, treasuryAccountId, settings, keys: { role: PrivateKey | PrivateKey[] } }
+     */
+    loadToken(reference) {
+        const entry = this.findTokenEntry(reference);
+        if (!entry) {
+            throw new Error(`Token "${reference}" not found in keystore ${this.path}`);
+        }
+
+        const keys = {};
+        for (const [role, key] of Object.entries(entry.keys)) {
+            keys[role] = Array.isArray(key)
+                ? key.map(item => this.decryptKey(item.privateKey))
+                : this.decryptKey(key.privateKey);
+        }
+
+        return {
+            tokenId: entry.tokenId,
+            alias: entry.alias,
+            treasuryAccountId: entry.treasuryAccountId,
+            settings: entry.settings || {},
+            keys: keys
+        };
+    }
+
+    /**
+     * Resolve an account ID from an account ID or alias (no decryption)
+     * @param {string} reference - Account ID or alias
+     * @returns {string} Account ID (the reference itself when unknown)
+     */
+    resolveAccountId(reference) {
+        return this.findAccountEntry(reference)?.accountId || reference.toString();
+    }
+
+    /**
+     * Resolve a token ID from a token ID or alias (no decryption)
+     * @param {string} reference - Token ID or alias
+     * @returns {string} Token ID (the reference itself when unknown)
+     */
+    resolveTokenId(reference) {
+        return this.findTokenEntry(reference)?.tokenId || reference.toString();
+    }
+
+    /**
+     * Remove an account or token entry
+     * @param {string} reference - ID or alias
+     * @returns {boolean} true if an entry was removed
+     */
+    remove(reference) {
+        const account = this.findAccountEntry(reference);
+        const token = this.findTokenEntry(reference);
+        if (account) delete this.data.accounts[account.accountId];
+        if (token) delete this.data.tokens[token.tokenId];
+        if (account || token) this.write();
+        return Boolean(account || token);
+    }
+
+    /**
+     * List stored accounts and tokens (never returns private keys)
+     * @returns {Object} { accounts, tokens }
+     */
+    list() {
+        return {
+            accounts: Object.values(this.data.accounts).map(entry => this.describeAccount(entry)),
+            tokens: Object.values(this.data.tokens).map(entry => this.describeToken(entry))
+        };
+    }
+
+    /**
+     * Vue publique d'un compte (sans clé privée)
+     */
+    describeAccount(entry) {
+        return {
+            accountId: entry.accountId,
+            alias: entry.alias,
+            publicKey: entry.publicKey,
+            ...(entry.key ? { key: entry.key, heldKeys: entry.privateKeys.map(item => item.publicKey) } : {}),
+            createdAt: entry.createdAt
+        };
+    }
+
+    /**
+     * Vue publique d'un token (sans clés privées)
+     */
+    describeToken(entry) {
+        return {
+            tokenId: entry.tokenId,
+            alias: entry.alias,
+            treasuryAccountId: entry.treasuryAccountId,
+            keyRoles: Object.keys(entry.keys),
+            settings: entry.settings || {},
+            createdAt: entry.createdAt
+        };
+    }
+}
+
+export default Keystore;
@@ -0,0 +1,80 @@
+import { format as formatMessage } from "util";
+
+// Niveaux par sévérité croissante ; "silent" n'affiche rien
+export const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+export const LOG_FORMATS = ["text", "json"];
+
+/**
+ * Leveled logger writing text lines (like console.log) or one JSON object per line
+ * Any object with debug / info / warn / error methods (console, pino, winston...) can replace it in the service.
+ */
+class Logger {
+    /**
+     * @param {Object} options - Logger options
+     * @param {string} options.level - Minimum level written (debug, info, warn, error, silent)
+     * @param {string} options.format - text or json
+     * @param {Object} options.context - Fields added to every JSON entry (e.g. { service: "HederaNftService" })
+     * @param {Object} options.stream - Destination of debug / info entries (defaults to stdout)
+     * @param {Object} options.errorStream - Destination of warn / error entries (defaults to stderr)
+     */
+    constructor({ level = "info", format = "text", context = {}, stream = process.stdout, errorStream = process.stderr } = {}) {
+        if (!LOG_LEVELS.includes(level)) {
+            throw new Error(`Unknown log level "${level}", expected one of: ${LOG_LEVELS.join(", ")}`);
+        }
+        if (!LOG_FORMATS.includes(format)) {
+            throw new Error(`Unknown log format "${format}", expected one of: ${LOG_FORMATS.join(", ")}`);
+        }
+
+        this.level = level;
+        this.format = format;
+        this.context = context;
+        this.stream = stream;
+        this.errorStream = errorStream;
+    }
+
+    /**
+     * Is this level written?
+     * @param {string} level - Level name
+     * @returns {boolean}
+     */
+    isLevelEnabled(level) {
+        return level !== "silent" && LOG_LEVELS.indexOf(level) >= LOG_LEVELS.indexOf(this.level);
+    }
+
+    /**
+     * Write an entry (arguments are formatted like console.log)
+     * @param {string} level - debug, info, warn or error
+     * @param {Array} args - Message parts
+     */
+    log(level, args) {
+        if (!this.isLevelEnabled(level)) {
+            return;
+        }
+
+        const message = formatMessage(...args);
+        const line = this.format === "json"
+            ? JSON.stringify({ time: new Date().toISOString(), level: level, ...this.context, msg: message })
+            : message;
+        const stream = level === "warn" || level === "error" ? this.errorStream : this.stream;
+        stream.write(line + "\n");
+    }
+
+    debug(...args) {
+        this.log("debug", args);
+    }
+
+    info(...args) {
+        this.log("info", args);
+    }
+
+    warn(...args) {
+        this.log("warn", args);
+    }
+
+    error(...args) {
+        this.log("error", args);
+    }
+}
+
+export default Logger;
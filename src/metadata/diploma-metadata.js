@@ -0,0 +1,245 @@
+import { readFileSync } from "fs";
+
+// Standard de métadonnées NFT Hedera (HIP-412)
+export const HIP412_FORMAT = "HIP412@2.0.0";
+
+export const DIPLOMA_REQUIRED_PROPERTIES = ["studentName", "studentId", "degree", "institution", "graduationDate"];
+
+const MIME_TYPE_PATTERN = /^[a-z]+\/[a-z0-9.+-]+$/i;
+const URI_PATTERN = /^(ipfs|ar|https?|hcs):\/\/\S+$/i;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Helper - Vérifier qu'une valeur est une chaîne non vide
+ */
+function isNonEmptyString(value) {
+    return typeof value === "string" && value.trim().length > 0;
+}
+
+/**
+ * Helper - Vérifier une date ISO (YYYY-MM-DD) réelle
+ */
+function isIsoDate(value) {
+    if (typeof value !== "string" || !DATE_PATTERN.test(value)) {
+        return false;
+    }
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(value);
+}
+
+/**
+ * Validate a single entry of the HIP-412 files array
+ * @param {Object} file - File entry
+ * @param {string} path - Path of the entry in the document
+ * @param {Array} errors - Errors collected so far
+ */
+function validateFileEntry(file, path, errors) {
+    if (!file || typeof file !== "object") {
+        errors.push({ path, message: "must be an object" });
+        return;
+    }
+    if (!isNonEmptyString(file.uri) || !URI_PATTERN.test(file.uri)) {
+        errors.push({ path: `${path}.uri`, message: "must be a URI (ipfs://, ar://, https://, hcs://)" });
+    }
+    if (!isNonEmptyString(file.type) || !MIME_TYPE_PATTERN.test(file.type)) {
+        errors.push({ path: `${path}.type`, message: "must be a MIME type such as application/pdf" });
+    }
+    if (file.is_default_file !== undefined && typeof file.is_default_file !== "boolean") {
+        errors.push({ path: `${path}.is_default_file`, message: "must be a boolean" });
+    }
+    if (file.checksum !== undefined && !isNonEmptyString(file.checksum)) {
+        errors.push({ path: `${path}.checksum`, message: "must be a non-empty string" });
+    }
+}
+
+/**
+ * Validate a metadata document against the HIP-412 schema
+ * @param {Object} document - Parsed metadata JSON
+ * @returns {Object} { valid, errors } where errors are { path, message }
+ */
+export function validateHip412Metadata(document) {
+    const errors = [];
+
+    if (!document || typeof document !== "object" || Array.isArray(document)) {
+        return { valid: false, errors: [{ path: "", message: "metadata must be a JSON object" }] };
+    }
+
+    // Champs obligatoires
+    if (!isNonEmptyString(document.name)) {
+        errors.push({ path: "name", message: "is required" });
+    }
+    if (!isNonEmptyString(document.image) || !URI_PATTERN.test(document.image)) {
+        errors.push({ path: "image", message: "is required and must be a URI" });
+    }
+    if (!isNonEmptyString(document.type) || !MIME_TYPE_PATTERN.test(document.type)) {
+        errors.push({ path: "type", message: "is required and must be a MIME type" });
+    }
+
+    // Champs optionnels
+    for (const field of ["description", "creator", "creatorDID", "checksum", "format"]) {
+        if (document[field] !== undefined && typeof document[field] !== "string") {
+            errors.push({ path: field, message: "must be a string" });
+        }
+    }
+    if (document.format !== undefined && !String(document.format).startsWith("HIP412@")) {
+        errors.push({ path: "format", message: `must be a HIP-412 format such as ${HIP412_FORMAT}` });
+    }
+
+    if (document.files !== undefined) {
+        if (!Array.isArray(document.files)) {
+            errors.push({ path: "files", message: "must be an array" });
+        } else {
+            document.files.forEach((file, index) => validateFileEntry(file, `files[${index}]`, errors));
+        }
+    }
+
+    if (document.properties !== undefined &&
+        (typeof document.properties !== "object" || document.properties === null || Array.isArray(document.properties))) {
+        errors.push({ path: "properties", message: "must be an object" });
+    }
+
+    if (document.attributes !== undefined) {
+        if (!Array.isArray(document.attributes)) {
+            errors.push({ path: "attributes", message: "must be an array" });
+        } else {
+            document.attributes.forEach((attribute, index) => {
+                if (!attribute || !isNonEmptyString(attribute.trait_type)) {
+                    errors.push({ path: `attributes[${index}].trait_type`, message: "is required" });
+                }
+                if (attribute && attribute.value === undefined) {
+                    errors.push({ path: `attributes[${index}].value`, message: "is required" });
+                }
+            });
+        }
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate a diploma metadata document (HIP-412 + diploma properties)
+ * @param {Object} document - Parsed metadata JSON
+ * @returns {Object} { valid, errors } where errors are { path, message }
+ */
+export function validateDiplomaMetadata(document) {
+    const { errors } = validateHip412Metadata(document);
+    const properties = document?.properties;
+
+    if (properties && typeof properties === "object") {
+        for (const property of DIPLOMA_REQUIRED_PROPERTIES) {
+            if (!isNonEmptyString(properties[property])) {
+                errors.push({ path: `properties.${property}`, message: "is required for a diploma" });
+            }
+        }
+        if (isNonEmptyString(properties.graduationDate) && !isIsoDate(properties.graduationDate)) {
+            errors.push({ path: "properties.graduationDate", message: "must be a valid date (YYYY-MM-DD)" });
+        }
+    } else if (properties === undefined) {
+        errors.push({ path: "properties", message: "is required for a diploma" });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Format validation errors as a readable message
+ * @param {Array} errors - Errors from a validate function
+ * @returns {string} One line per error
+ */
+export function formatMetadataErrors(errors) {
+    return errors.map(error => `- ${error.path || "(root)"}: ${error.message}`).join("\n");
+}
+
+/**
+ * Throw if a diploma metadata document is invalid
+ * @param {Object} document - Parsed metadata JSON
+ * @param {string} label - Name used in the error message
+ * @returns {Object} The document when valid
+ */
+export function assertValidDiplomaMetadata(document, label = "diploma metadata") {
+    const { valid, errors } = validateDiplomaMetadata(document);
+    if (!valid) {
+        const error = new Error(`Invalid ${label}:\n${formatMetadataErrors(errors)}`);
+        error.errors = errors;
+        throw error;
+    }
+    return document;
+}
+
+/**
+ * Build HIP-412 metadata for a diploma
+ * @param {Object} diploma - Diploma data
+ * @param {string} diploma.studentName - Graduate full name
+ * @param {string} diploma.studentId - Student ID at the institution
+ * @param {string} diploma.degree - Degree title (e.g. "Master of Science")
+ * @param {string} diploma.fieldOfStudy - Optional major / field of study
+ * @param {string} diploma.institution - Issuing institution
+ * @param {string} diploma.graduationDate - Graduation date (YYYY-MM-DD)
+ * @param {string} diploma.image - Diploma image URI (ipfs://...)
+ * @param {string} diploma.imageType - Image MIME type (default image/png)
+ * @param {Array} diploma.files - Attached files ({ uri, type, checksum })
+ * @returns {Object} Validated HIP-412 metadata document
+ */
+export function buildDiplomaMetadata(diploma) {
+    const {
+        studentName,
+        studentId,
+        degree,
+        fieldOfStudy,
+        institution,
+        graduationDate,
+        image,
+        imageType = "image/png",
+        description,
+        files = [],
+        extraProperties = {}
+    } = diploma;
+
+    const metadata = {
+        name: `${degree} - ${studentName}`,
+        creator: institution,
+        description: description || `${degree}${fieldOfStudy ? ` in ${fieldOfStudy}` : ""} awarded to ${studentName} by ${institution}`,
+        image: image,
+        type: imageType,
+        format: HIP412_FORMAT,
+        properties: {
+            studentName,
+            studentId,
+            degree,
+            ...(fieldOfStudy ? { fieldOfStudy } : {}),
+            institution,
+            graduationDate,
+            ...extraProperties
+        },
+        attributes: [
+            { trait_type: "Degree", value: degree },
+            { trait_type: "Institution", value: institution },
+            { trait_type: "Graduation Date", value: graduationDate, display_type: "date" }
+        ]
+    };
+
+    if (fieldOfStudy) {
+        metadata.attributes.push({ trait_type: "Field of Study", value: fieldOfStudy });
+    }
+    if (files.length > 0) {
+        metadata.files = files.map(file => ({ ...file }));
+    }
+
+    return assertValidDiplomaMetadata(metadata, `diploma metadata for ${studentName || "unknown student"}`);
+}
+
+/**
+ * Read and validate a metadata.json file
+ * @param {string} filePath - Path of the metadata file
+ * @returns {Object} { document, valid, errors }
+ */
+export function validateDiplomaMetadataFile(filePath) {
+    let document;
+    try {
+        document = JSON.parse(readFileSync(filePath, "utf8"));
+    } catch (error) {
+        return { document: null, valid: false, errors: [{ path: "", message: `cannot read JSON: ${error.message}` }] };
+    }
+
+    return { document, ...validateDiplomaMetadata(document) };
+}
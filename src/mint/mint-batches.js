@@ -0,0 +1,121 @@
+import { createHash } from "crypto";
+import { existsSync, readFileSync, writeFileSync, renameSync } from "fs";
+
+// Limites imposées par le réseau Hedera
+export const MAX_NFTS_PER_MINT = 10;
+export const MAX_NFT_METADATA_BYTES = 100;
+
+/**
+ * Convert one metadata entry to the bytes stored on-chain
+ * @param {Buffer|Uint8Array|string|Object} metadata - Raw bytes, URI string or JSON object
+ * @returns {Buffer} Metadata bytes
+ */
+export function toMetadataBuffer(metadata) {
+    if (Buffer.isBuffer(metadata)) {
+        return metadata;
+    }
+    if (metadata instanceof Uint8Array) {
+        return Buffer.from(metadata);
+    }
+    if (typeof metadata === "string") {
+        return Buffer.from(metadata);
+    }
+    if (metadata && typeof metadata === "object") {
+        return Buffer.from(JSON.stringify(metadata));
+    }
+
+    throw new Error(`Unsupported metadata type: ${typeof metadata}`);
+}
+
+/**
+ * Check that every metadata entry is non-empty and fits the per-NFT byte limit
+ * @param {Array} metadataBuffers - Metadata bytes
+ * @param {number} maxBytes - Byte limit per NFT
+ * @returns {Array} Errors found (empty when valid)
+ */
+export function validateMetadataBuffers(metadataBuffers, maxBytes = MAX_NFT_METADATA_BYTES) {
+    const errors = [];
+
+    metadataBuffers.forEach((buffer, index) => {
+        if (buffer.length === 0) {
+            errors.push({ index, message: "metadata is empty" });
+        } else if (buffer.length > maxBytes) {
+            errors.push({ index, message: `metadata is ${buffer.length} bytes, max is ${maxBytes}` });
+        }
+    });
+
+    return errors;
+}
+
+/**
+ * Split metadata into mint chunks
+ * @param {Array} metadataBuffers - Metadata bytes
+ * @param {number} chunkSize - NFTs per transaction
+ * @returns {Array} Array of chunks
+ */
+export function chunkMetadata(metadataBuffers, chunkSize = MAX_NFTS_PER_MINT) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_NFTS_PER_MINT) {
+        throw new Error(`chunkSize must be an integer between 1 and ${MAX_NFTS_PER_MINT}`);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < metadataBuffers.length; i += chunkSize) {
+        chunks.push(metadataBuffers.slice(i, i + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * Hash the whole batch so a checkpoint can't be resumed with different metadata
+ * @param {Array} metadataBuffers - Metadata bytes
+ * @returns {string} sha256 hex digest
+ */
+export function hashMetadataBatch(metadataBuffers) {
+    const hash = createHash("sha256");
+    for (const buffer of metadataBuffers) {
+        hash.update(String(buffer.length));
+        hash.update(":");
+        hash.update(buffer);
+    }
+    return hash.digest("hex");
+}
+
+/**
+ * Create an empty mint checkpoint
+ * @param {Object} params - tokenId, batchHash, total, chunkSize, startSupply
+ * @returns {Object} Checkpoint
+ */
+export function createMintCheckpoint({ tokenId, batchHash, total, chunkSize, startSupply }) {
+    return {
+        tokenId: tokenId.toString(),
+        batchHash: batchHash,
+        total: total,
+        chunkSize: chunkSize,
+        startSupply: startSupply,
+        completedChunks: []
+    };
+}
+
+/**
+ * Load a checkpoint from disk
+ * @param {string} filePath - Checkpoint file
+ * @returns {Object|null} Checkpoint or null when the file doesn't exist
+ */
+export function loadMintCheckpoint(filePath) {
+    if (!existsSync(filePath)) {
+        return null;
+    }
+    return JSON.parse(readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Save a checkpoint to disk (write + rename so a crash never leaves half a file)
+ * @param {string} filePath - Checkpoint file
+ * @param {Object} checkpoint - Checkpoint to save
+ */
+export function saveMintCheckpoint(filePath, checkpoint) {
+    const tmpPath = `${filePath}.tmp`;
+    writeFileSync(tmpPath, JSON.stringify(checkpoint, null, 2));
+    renameSync(tmpPath, filePath);
+}
+
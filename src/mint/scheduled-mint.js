@@ -0,0 +1,77 @@
+import { KeyList, PublicKey } from "@hashgraph/sdk";
+import { proto } from "@hashgraph/proto";
+import { isKeySatisfied } from "../signing/transaction-envelope.js";
+
+// Durée de vie d'un schedule sans waitForExpiry (ledger.schedule.txExpiryTimeSecs du réseau)
+export const SCHEDULE_LIFETIME_SECONDS = 1800;
+
+/**
+ * Status of a schedule
+ * @param {Object} schedule - executedAt, deleted, expiresAt (ISO dates or null)
+ * @param {number} now - Current time in milliseconds
+ * @returns {string} executed, deleted, expired or pending
+ */
+export function scheduleStatus({ executedAt, deleted, expiresAt }, now = Date.now()) {
+    if (executedAt) {
+        return "executed";
+    }
+    if (deleted) {
+        return "deleted";
+    }
+    if (expiresAt && now > new Date(expiresAt).getTime()) {
+        return "expired";
+    }
+    return "pending";
+}
+
+/**
+ * Helper - Description d'une clé membre (DER pour une clé publique)
+ */
+function describeKey(key) {
+    return key instanceof PublicKey ? key.toStringDer() : key.toString();
+}
+
+/**
+ * Approvals collected for a key: members of a (threshold) key list whose signature is in, against the threshold
+ * @param {Key} key - Required key (PublicKey or KeyList)
+ * @param {Set} signerKeys - Raw public keys (hex) that signed
+ * @returns {Object} { threshold, approvals, approvers, waitingFor, satisfied }
+ */
+export function describeApprovals(key, signerKeys) {
+    const members = key instanceof KeyList ? key.toArray() : [key];
+    const threshold = key instanceof KeyList ? (key.threshold ?? members.length) : 1;
+    const approvers = members.filter(member => isKeySatisfied(member, signerKeys));
+
+    return {
+        threshold: threshold,
+        approvals: approvers.length,
+        approvers: approvers.map(describeKey),
+        waitingFor: members.filter(member => !approvers.includes(member)).map(describeKey),
+        satisfied: isKeySatisfied(key, signerKeys)
+    };
+}
+
+/**
+ * Token and metadata of a scheduled mint
+ * @param {Object} body - SchedulableTransactionBody (protobuf object)
+ * @returns {Object|null} { tokenId, metadata } (metadata as strings), null for another transaction
+ */
+export function scheduledMintFromBody(body) {
+    if (!body?.tokenMint) {
+        return null;
+    }
+    const { token, metadata } = body.tokenMint;
+    return {
+        tokenId: `${Number(token.shardNum || 0)}.${Number(token.realmNum || 0)}.${Number(token.tokenNum || 0)}`,
+        metadata: (metadata || []).map(item => Buffer.from(item).toString("utf8"))
+    };
+}
+
+/**
+ * Decode the scheduled transaction of a mirror node schedule (base64 SchedulableTransactionBody)
+ * @param {string} transactionBody - Base64 body
+ * @returns {Object|null} Scheduled mint (see scheduledMintFromBody)
+ */
+export function decodeScheduledMint(transactionBody) {
+    return scheduledMintFromBody(proto.SchedulableTransactionBody.decode(Buffer.from(transactionBody, "base64")));
+}
@@ -0,0 +1,296 @@
+// Taille de page maximale acceptée par le mirror node
+export const MAX_PAGE_SIZE = 100;
+
+// Délai maximal d'une requête : un mirror node muet ne doit pas bloquer la réconciliation
+export const DEFAULT_REQUEST_TIMEOUT_MS = 30000;
+
+/**
+ * Convert a mirror node consensus timestamp ("seconds.nanos") to an ISO date
+ * @param {string} timestamp - Consensus timestamp
+ * @returns {string|null} ISO date
+ */
+export function consensusTimestampToIso(timestamp) {
+    if (!timestamp) {
+        return null;
+    }
+    const [seconds, nanos = "0"] = timestamp.split(".");
+    return new Date(Number(seconds) * 1000 + Math.floor(Number(nanos.padEnd(9, "0")) / 1e6)).toISOString();
+}
+
+/**
+ * Normalize an NFT from the mirror node (metadata decoded from base64)
+ * @param {Object} nft - Raw NFT
+ * @returns {Object} { tokenId, serialNumber, owner, spender, deleted, metadata, createdAt, modifiedAt }
+ */
+export function normalizeNft(nft) {
+    return {
+        tokenId: nft.token_id,
+        serialNumber: nft.serial_number,
+        owner: nft.account_id || null,
+        spender: nft.spender || null,
+        delegatingSpender: nft.delegating_spender || null,
+        deleted: Boolean(nft.deleted),
+        metadata: nft.metadata ? Buffer.from(nft.metadata, "base64").toString("utf8") : null,
+        createdAt: consensusTimestampToIso(nft.created_timestamp),
+        modifiedAt: consensusTimestampToIso(nft.modified_timestamp)
+    };
+}
+
+/**
+ * Client for the Hedera mirror node REST API (read-only, no fees)
+ * Results use the camelCase shape of the service, timestamps as ISO dates.
+ */
+class MirrorNodeClient {
+    /**
+     * @param {Object} options - Client options
+     * @param {string} options.baseUrl - Mirror node base URL (e.g. https://testnet.mirrornode.hedera.com)
+     * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+     * @param {number} options.timeoutMs - Timeout of each request in milliseconds
+     */
+    constructor({ baseUrl, fetch = globalThis.fetch, timeoutMs = DEFAULT_REQUEST_TIMEOUT_MS } = {}) {
+        if (!baseUrl) {
+            throw new Error("Mirror node base URL is required");
+        }
+
+        this.baseUrl = baseUrl.replace(/\/+$/, "");
+        this.fetch = fetch;
+        this.timeoutMs = timeoutMs;
+    }
+
+    /**
+     * GET a mirror node path and parse the JSON body
+     * @param {string} path - Path with its query string (/api/v1/...) or links.next value
+     * @param {Object} params - Extra query parameters (undefined values are skipped)
+     * @param {Object} options - allowNotFound: return null on HTTP 404
+     * @returns {Object} JSON body
+     */
+    async request(path, params = {}, { allowNotFound = false } = {}) {
+        const url = new URL(path, this.baseUrl);
+        for (const [key, value] of Object.entries(params)) {
+            if (value !== undefined && value !== null) {
+                url.searchParams.set(key, value.toString());
+            }
+        }
+
+        let response;
+        try {
+            response = await this.fetch(url.toString(), {
+                headers: { accept: "application/json" },
+                signal: AbortSignal.timeout(this.timeoutMs)
+            });
+        } catch (error) {
+            if (error.name === "TimeoutError") {
+                throw new Error(`Mirror node request ${url.pathname} timed out after ${this.timeoutMs} ms`);
+            }
+            throw error;
+        }
+        if (response.status === 404 && allowNotFound) {
+            return null;
+        }
+        if (!response.ok) {
+            const error = new Error(`Mirror node request ${url.pathname} failed with HTTP ${response.status}`);
+            error.status = response.status;
+            throw error;
+        }
+        return response.json();
+    }
+
+    /**
+     * Follow links.next until every page of a list has been read (or a stop condition is met)
+     * @param {string} path - First page path
+     * @param {Object} params - Query parameters of the first page
+     * @param {string} field - List field of the body (nfts, allowances, ...)
+     * @param {Object} options - maxItems: stop after this many items, until: stop at the first item it accepts (excluded)
+     * @returns {Array} Every item read
+     */
+    async collect(path, params, field, { maxItems = Infinity, until = null } = {}) {
+        const items = [];
+        let body = await this.request(path, { limit: Math.min(MAX_PAGE_SIZE, maxItems), ...params });
+
+        for (;;) {
+            for (const item of body[field] || []) {
+                if (items.length >= maxItems || until?.(item)) {
+                    return items;
+                }
+                items.push(item);
+            }
+            if (!body.links?.next) {
+                return items;
+            }
+            body = await this.request(body.links.next);
+        }
+    }
+
+    /**
+     * Helper - Une page de NFTs (première page, ou page suivante via links.next)
+     */
+    async nftPage(path, params, next) {
+        const body = next ? await this.request(next) : await this.request(path, params);
+        return { nfts: (body.nfts || []).map(normalizeNft), next: body.links?.next || null };
+    }
+
+    /**
+     * Get one NFT (current owner, spender, metadata)
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - Serial number
+     * @returns {Object|null} NFT, null when it doesn't exist
+     */
+    async getNft(tokenId, serial) {
+        const nft = await this.request(`/api/v1/tokens/${tokenId}/nfts/${Number(serial)}`, {}, { allowNotFound: true });
+        return nft ? normalizeNft(nft) : null;
+    }
+
+    /**
+     * List the NFTs of a token, one page at a time
+     * @param {string} tokenId - Token ID
+     * @param {Object} options - limit, order (asc/desc), next (value returned by the previous page)
+     * @returns {Object} { nfts, next }
+     */
+    async listNftsByToken(tokenId, { limit = 25, order, next } = {}) {
+        return this.nftPage(`/api/v1/tokens/${tokenId}/nfts`, { limit: limit, order: order }, next);
+    }
+
+    /**
+     * List every NFT of a token (all pages)
+     * @param {string} tokenId - Token ID
+     * @returns {Array} NFTs
+     */
+    async listAllNftsByToken(tokenId) {
+        return (await this.collect(`/api/v1/tokens/${tokenId}/nfts`, {}, "nfts")).map(normalizeNft);
+    }
+
+    /**
+     * List the NFTs held by an account, one page at a time
+     * @param {string} accountId - Account ID
+     * @param {Object} options - tokenId filter, limit, order, next
+     * @returns {Object} { nfts, next }
+     */
+    async listNftsByAccount(accountId, { tokenId, limit = 25, order, next } = {}) {
+        return this.nftPage(`/api/v1/accounts/${accountId}/nfts`, { "token.id": tokenId, limit: limit, order: order }, next);
+    }
+
+    /**
+     * Transfer history of one NFT (mint, transfers, burn / wipe), most recent first
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - Serial number
+     * @returns {Array} { transactionId, type, from, to, isApproval, consensusTimestamp, timestamp }
+     */
+    async getNftTransactionHistory(tokenId, serial) {
+        const transactions = await this.collect(`/api/v1/tokens/${tokenId}/nfts/${Number(serial)}/transactions`, {}, "transactions");
+        return transactions.map(transaction => ({
+            transactionId: transaction.transaction_id,
+            type: transaction.type,
+            from: transaction.sender_account_id || null,
+            to: transaction.receiver_account_id || null,
+            isApproval: Boolean(transaction.is_approval),
+            consensusTimestamp: transaction.consensus_timestamp,
+            timestamp: consensusTimestampToIso(transaction.consensus_timestamp)
+        }));
+    }
+
+    /**
+     * Token information as seen by the mirror node
+     * @param {string} tokenId - Token ID
+     * @returns {Object|null} Token info, null when it doesn't exist
+     */
+    async getTokenInfo(tokenId) {
+        const token = await this.request(`/api/v1/tokens/${tokenId}`, {}, { allowNotFound: true });
+        if (!token) {
+            return null;
+        }
+
+        return {
+            tokenId: token.token_id,
+            name: token.name,
+            symbol: token.symbol,
+            type: token.type,
+            memo: token.memo,
+            treasury: token.treasury_account_id,
+            totalSupply: token.total_supply,
+            maxSupply: token.max_supply,
+            supplyType: token.supply_type,
+            deleted: Boolean(token.deleted),
+            paused: token.pause_status === "PAUSED",
+            freezeDefault: Boolean(token.freeze_default),
+            customFees: token.custom_fees || null,
+            createdAt: consensusTimestampToIso(token.created_timestamp),
+            modifiedAt: consensusTimestampToIso(token.modified_timestamp)
+        };
+    }
+
+    /**
+     * Current HBAR/USD exchange rate used by the network to compute fees
+     * @returns {Object} { usdPerHbar, expiresAt }
+     */
+    async getExchangeRate() {
+        const body = await this.request("/api/v1/network/exchangerate");
+        const rate = body.current_rate;
+
+        return {
+            // cent_equivalent cents pour hbar_equivalent HBAR
+            usdPerHbar: rate.cent_equivalent / rate.hbar_equivalent / 100,
+            expiresAt: new Date(rate.expiration_time * 1000).toISOString()
+        };
+    }
+
+    /**
+     * Every message of a Consensus Service topic, oldest first (all pages)
+     * @param {string} topicId - Topic ID
+     * @returns {Array} { topicId, sequenceNumber, message (utf8), runningHash (base64), payer, consensusTimestamp, timestamp }
+     */
+    async listTopicMessages(topicId) {
+        const messages = await this.collect(`/api/v1/topics/${topicId}/messages`, { order: "asc" }, "messages");
+        return messages.map(message => ({
+            topicId: message.topic_id,
+            sequenceNumber: Number(message.sequence_number),
+            message: Buffer.from(message.message, "base64").toString("utf8"),
+            runningHash: message.running_hash,
+            payer: message.payer_account_id || null,
+            consensusTimestamp: message.consensus_timestamp,
+            timestamp: consensusTimestampToIso(message.consensus_timestamp)
+        }));
+    }
+
+    /**
+     * Schedules created by an account, newest first
+     * The mirror node can't filter schedules by date or state: pages are read until a schedule older
+     * than createdAfter, or until limit schedules, so a long history isn't read for recent schedules.
+     * @param {string} accountId - Creator account ID
+     * @param {Object} options - createdAfter (date, older schedules are not read), limit (max schedules)
+     * @returns {Array} { scheduleId, creator, payer, memo, transactionBody (base64), signerKeys (hex), executedAt, deleted, expiresAt, createdAt }
+     */
+    async listSchedules(accountId, { createdAfter, limit } = {}) {
+        const after = createdAfter ? new Date(createdAfter).getTime() : null;
+        const schedules = await this.collect("/api/v1/schedules", { "account.id": accountId, order: "desc" }, "schedules", {
+            maxItems: limit,
+            until: after === null ? null : schedule => new Date(consensusTimestampToIso(schedule.consensus_timestamp)).getTime() <= after
+        });
+        return schedules.map(schedule => ({
+            scheduleId: schedule.schedule_id,
+            creator: schedule.creator_account_id,
+            payer: schedule.payer_account_id,
+            memo: schedule.memo || "",
+            transactionBody: schedule.transaction_body,
+            signerKeys: (schedule.signatures || []).map(signature => Buffer.from(signature.public_key_prefix, "base64").toString("hex")),
+            executedAt: consensusTimestampToIso(schedule.executed_timestamp),
+            deleted: Boolean(schedule.deleted),
+            expiresAt: consensusTimestampToIso(schedule.expiration_time),
+            createdAt: consensusTimestampToIso(schedule.consensus_timestamp)
+        }));
+    }
+
+    /**
+     * List the "all serials" NFT allowances granted by an owner
+     * @param {string} ownerId - Owner account ID
+     * @param {Object} filter - Optional tokenId, spender
+     * @returns {Array} Allowances (approved_for_all, owner, spender, token_id, timestamp)
+     */
+    async listNftAllowances(ownerId, { tokenId, spender } = {}) {
+        return this.collect(`/api/v1/accounts/${ownerId}/allowances/nfts`, {
+            "token.id": tokenId,
+            "account.id": spender
+        }, "allowances");
+    }
+}
+
+export default MirrorNodeClient;
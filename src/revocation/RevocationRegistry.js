@@ -0,0 +1,107 @@
+import { existsSync, readFileSync, writeFileSync, renameSync, mkdirSync } from "fs";
+import { dirname } from "path";
+
+const REGISTRY_VERSION = 1;
+
+/**
+ * Local registry of revoked diplomas (burned or wiped NFTs)
+ * Stored as JSON so verification tools can check it without the service.
+ */
+class RevocationRegistry {
+    /**
+     * @param {Object} options - Registry options
+     * @param {string} options.path - Registry file (created on first record)
+     */
+    constructor({ path } = {}) {
+        if (!path) {
+            throw new Error("Revocation registry path is required");
+        }
+
+        this.path = path;
+        this.data = this.read();
+    }
+
+    /**
+     * Lecture du fichier (ou registre vide)
+     */
+    read() {
+        if (!existsSync(this.path)) {
+            return { version: REGISTRY_VERSION, revocations: [] };
+        }
+
+        const data = JSON.parse(readFileSync(this.path, "utf8"));
+        if (data.version !== REGISTRY_VERSION) {
+            throw new Error(`Unsupported revocation registry version ${data.version} in ${this.path}`);
+        }
+        return data;
+    }
+
+    /**
+     * Écriture atomique du fichier
+     */
+    write() {
+        mkdirSync(dirname(this.path), { recursive: true });
+        const tmpPath = `${this.path}.tmp`;
+        writeFileSync(tmpPath, JSON.stringify(this.data, null, 2));
+        renameSync(tmpPath, this.path);
+    }
+
+    /**
+     * Record a revocation
+     * @param {Object} revocation - tokenId, serial, holder, reason, method, transactionId, status
+     * @returns {Object} Stored entry
+     */
+    record({ tokenId, serial, holder, reason, method, transactionId, status, timestamp }) {
+        const entry = {
+            tokenId: tokenId.toString(),
+            serial: Number(serial),
+            holder: holder ? holder.toString() : null,
+            reason: reason || null,
+            method: method,
+            transactionId: transactionId ? transactionId.toString() : null,
+            status: status ? status.toString() : null,
+            timestamp: timestamp || new Date().toISOString()
+        };
+
+        this.data.revocations.push(entry);
+        this.write();
+        return entry;
+    }
+
+    /**
+     * Get the revocation of a serial
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - NFT serial number
+     * @returns {Object|null} Revocation entry or null
+     */
+    get(tokenId, serial) {
+        return this.data.revocations.find(entry =>
+            entry.tokenId === tokenId.toString() && entry.serial === Number(serial)
+        ) || null;
+    }
+
+    /**
+     * Is this serial revoked?
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - NFT serial number
+     * @returns {boolean}
+     */
+    isRevoked(tokenId, serial) {
+        return this.get(tokenId, serial) !== null;
+    }
+
+    /**
+     * List revocations, optionally filtered
+     * @param {Object} filter - Optional tokenId, holder, method
+     * @returns {Array} Revocation entries
+     */
+    list({ tokenId, holder, method } = {}) {
+        return this.data.revocations.filter(entry =>
+            (!tokenId || entry.tokenId === tokenId.toString()) &&
+            (!holder || entry.holder === holder.toString()) &&
+            (!method || entry.method === method)
+        );
+    }
+}
+
+export default RevocationRegistry;
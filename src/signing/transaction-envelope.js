@@ -0,0 +1,246 @@
+import { readFileSync, writeFileSync } from "fs";
+import { KeyList, PublicKey, Transaction } from "@hashgraph/sdk";
+
+// Format du fichier échangé entre machines pour la signature hors-ligne
+export const ENVELOPE_FORMAT = "hedera-nft-envelope@1";
+
+// Une transaction Hedera expire 120 secondes après son validStart (durée par défaut)
+const DEFAULT_VALID_DURATION_SECONDS = 120;
+
+// Durée maximale acceptée par le réseau, utilisée pour laisser le temps de signer
+export const MAX_VALID_DURATION_SECONDS = 180;
+
+/**
+ * Helper - Timestamp SDK -> Date
+ */
+function timestampToDate(timestamp) {
+    return new Date(Number(timestamp.seconds.toString()) * 1000 + Math.floor(timestamp.nanos.toNumber() / 1e6));
+}
+
+/**
+ * List the public keys that already signed a frozen transaction
+ * @param {Transaction} transaction - Frozen transaction
+ * @returns {Array} Public keys (DER strings)
+ */
+export function listSignerPublicKeys(transaction) {
+    const signers = new Set();
+    for (const [, nodeSignatures] of transaction.getSignatures()) {
+        for (const [, signatures] of nodeSignatures) {
+            for (const [publicKey] of signatures) {
+                signers.add(publicKey.toStringDer());
+            }
+        }
+    }
+    return [...signers];
+}
+
+/**
+ * Check whether a key (PublicKey or KeyList with threshold) is satisfied by a set of signers
+ * @param {Key} key - Required key
+ * @param {Set} signerKeys - Raw public keys (hex) that signed
+ * @returns {boolean}
+ */
+export function isKeySatisfied(key, signerKeys) {
+    if (key instanceof PublicKey) {
+        return signerKeys.has(key.toStringRaw());
+    }
+    if (key instanceof KeyList) {
+        const members = key.toArray();
+        const required = key.threshold ?? members.length;
+        return members.filter(member => isKeySatisfied(member, signerKeys)).length >= required;
+    }
+    return false;
+}
+
+/**
+ * Serialize a key (PublicKey or KeyList) as JSON for an envelope
+ * @param {Key} key - Public key or key list
+ * @returns {Object} { publicKey } or { keys, threshold }
+ */
+export function serializeKey(key) {
+    if (key instanceof PublicKey) {
+        return { publicKey: key.toStringDer() };
+    }
+    if (key instanceof KeyList) {
+        return { keys: key.toArray().map(serializeKey), threshold: key.threshold ?? null };
+    }
+    throw new Error("Only public keys and key lists can be required signers");
+}
+
+/**
+ * Rebuild a key serialized with serializeKey
+ * @param {Object} data - { publicKey } or { keys, threshold }
+ * @returns {Key} PublicKey or KeyList
+ */
+export function deserializeKey(data) {
+    if (data.publicKey) {
+        return PublicKey.fromString(data.publicKey);
+    }
+    const keyList = KeyList.of(...data.keys.map(deserializeKey));
+    if (data.threshold) {
+        keyList.setThreshold(data.threshold);
+    }
+    return keyList;
+}
+
+/**
+ * Raw public keys (hex) that signed a transaction, for isKeySatisfied
+ * @param {Transaction} transaction - Frozen transaction
+ * @returns {Set} Raw public keys
+ */
+export function signerKeySet(transaction) {
+    return new Set(listSignerPublicKeys(transaction).map(der => PublicKey.fromString(der).toStringRaw()));
+}
+
+/**
+ * Wrap a frozen (partially signed) transaction in an envelope
+ * @param {Transaction} transaction - Frozen transaction
+ * @param {Object} details - operation, summary, requiredSigners
+ * @returns {Object} Envelope (JSON-serializable)
+ */
+export function createEnvelope(transaction, { operation, summary = {}, requiredSigners = [] }) {
+    const validStart = timestampToDate(transaction.transactionId.validStart);
+    const validDuration = transaction.transactionValidDuration || DEFAULT_VALID_DURATION_SECONDS;
+
+    return {
+        format: ENVELOPE_FORMAT,
+        operation: operation,
+        summary: summary,
+        transactionId: transaction.transactionId.toString(),
+        payerAccountId: transaction.transactionId.accountId.toString(),
+        nodeAccountIds: transaction.nodeAccountIds.map(nodeAccountId => nodeAccountId.toString()),
+        validStart: validStart.toISOString(),
+        expiresAt: new Date(validStart.getTime() + validDuration * 1000).toISOString(),
+        requiredSigners: requiredSigners,
+        signers: listSignerPublicKeys(transaction),
+        transactionBytes: Buffer.from(transaction.toBytes()).toString("base64"),
+        preparedAt: new Date().toISOString()
+    };
+}
+
+/**
+ * Rebuild the transaction of an envelope
+ * @param {Object} envelope - Envelope from createEnvelope
+ * @returns {Transaction} Frozen transaction
+ */
+export function envelopeTransaction(envelope) {
+    if (envelope?.format !== ENVELOPE_FORMAT) {
+        throw new Error(`Not a transaction envelope (expected format ${ENVELOPE_FORMAT})`);
+    }
+    return Transaction.fromBytes(Buffer.from(envelope.transactionBytes, "base64"));
+}
+
+/**
+ * Helper - Envelope mise à jour avec les octets d'une transaction signée
+ */
+function withTransaction(envelope, transaction) {
+    return {
+        ...envelope,
+        signers: listSignerPublicKeys(transaction),
+        transactionBytes: Buffer.from(transaction.toBytes()).toString("base64")
+    };
+}
+
+/**
+ * Sign an envelope with a private key (on the machine that holds the key)
+ * @param {Object} envelope - Envelope
+ * @param {PrivateKey} privateKey - Key to sign with
+ * @returns {Object} Updated envelope
+ */
+export async function signEnvelope(envelope, privateKey) {
+    const transaction = envelopeTransaction(envelope);
+    await transaction.sign(privateKey);
+    return withTransaction(envelope, transaction);
+}
+
+/**
+ * Merge the signatures of the same transaction signed elsewhere (wallet export, other machine)
+ * @param {Object} envelope - Envelope
+ * @param {Uint8Array|string} signedBytes - Signed transaction bytes (or base64)
+ * @returns {Object} Updated envelope
+ */
+export function mergeSignedTransaction(envelope, signedBytes) {
+    const transaction = envelopeTransaction(envelope);
+    const bytes = typeof signedBytes === "string" ? Buffer.from(signedBytes.trim(), "base64") : signedBytes;
+    const signed = Transaction.fromBytes(bytes);
+
+    if (signed.transactionId.toString() !== transaction.transactionId.toString()) {
+        throw new Error(`Signed transaction ${signed.transactionId.toString()} doesn't match envelope ${envelope.transactionId}`);
+    }
+
+    // Chaque clé publique signataire est ajoutée avec ses signatures par nœud
+    const signatures = signed.getSignatures();
+    const known = new Set(listSignerPublicKeys(transaction));
+    for (const der of listSignerPublicKeys(signed)) {
+        if (!known.has(der)) {
+            transaction.addSignature(PublicKey.fromString(der), signatures);
+        }
+    }
+
+    return withTransaction(envelope, transaction);
+}
+
+/**
+ * Helper - Description lisible d'un signataire requis
+ */
+function describeSigner(signer) {
+    if (signer.anyOf) {
+        return signer.anyOf.map(describeSigner).join(" or ");
+    }
+    if (signer.accountId) {
+        return `account ${signer.accountId}`;
+    }
+    if (signer.tokenId) {
+        return `${signer.keyRole} key of token ${signer.tokenId}`;
+    }
+    if (signer.key?.keys) {
+        return `${signer.key.threshold || signer.key.keys.length} of ${signer.key.keys.length} keys`;
+    }
+    return signer.key?.publicKey;
+}
+
+/**
+ * Human-readable summary of an envelope
+ * @param {Object} envelope - Envelope
+ * @returns {string} Summary text
+ */
+export function formatEnvelope(envelope) {
+    const lines = [
+        `Operation:      ${envelope.operation}`,
+        `Transaction ID: ${envelope.transactionId}`,
+        `Payer:          ${envelope.payerAccountId}`,
+        `Expires at:     ${envelope.expiresAt}`
+    ];
+
+    for (const [key, value] of Object.entries(envelope.summary)) {
+        lines.push(`${key}: ${Array.isArray(value) ? value.join(", ") : value}`);
+    }
+
+    lines.push("Required signers:");
+    for (const signer of envelope.requiredSigners) {
+        lines.push(`- ${signer.role}: ${describeSigner(signer)}`);
+    }
+    lines.push(`Signatures present: ${envelope.signers.length}`);
+
+    return lines.join("\n");
+}
+
+/**
+ * Save an envelope to a JSON file
+ * @param {string} filePath - Output file
+ * @param {Object} envelope - Envelope
+ */
+export function saveEnvelope(filePath, envelope) {
+    writeFileSync(filePath, JSON.stringify(envelope, null, 2));
+}
+
+/**
+ * Load an envelope from a JSON file
+ * @param {string} filePath - Envelope file
+ * @returns {Object} Envelope
+ */
+export function loadEnvelope(filePath) {
+    const envelope = JSON.parse(readFileSync(filePath, "utf8"));
+    envelopeTransaction(envelope);
+    return envelope;
+}
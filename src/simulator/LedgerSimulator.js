@@ -0,0 +1,2076 @@
+import { createHash } from "crypto";
+import { AccountId, Hbar, PrivateKey, PublicKey, Transaction } from "@hashgraph/sdk";
+import { proto } from "@hashgraph/proto";
+import { DEFAULT_CONFIG } from "../config/hedera-config.js";
+import MirrorNodeClient from "../mirror/MirrorNodeClient.js";
+import { estimateFeeUsd } from "../fees/fee-estimator.js";
+import SimulatorClient from "./SimulatorClient.js";
+
+const TINYBARS_PER_HBAR = 100000000;
+
+// Comptes système : opérateur (genèse) et collecte des frais
+export const GENESIS_ACCOUNT_ID = "0.0.2";
+export const FEE_COLLECTION_ACCOUNT_ID = "0.0.98";
+
+// Premier numéro d'entité attribué aux comptes et tokens créés
+const FIRST_ENTITY_NUM = 1001;
+
+// Limites du réseau appliquées par le simulateur
+const MAX_NFTS_PER_MINT = 10;
+const MAX_METADATA_BYTES = 100;
+const MAX_TOPIC_MESSAGE_BYTES = 1024;
+const MAX_HBAR_TRANSFERS = 10;
+const MAX_TOKEN_TRANSFERS = 10;
+const MAX_NFT_TRANSFERS = 10;
+const MAX_CLOCK_SKEW_MS = 10000;
+const DEFAULT_AUTO_RENEW_SECONDS = 7776000;
+const DEFAULT_SCHEDULE_EXPIRY_SECONDS = 1800;
+
+const OK = proto.ResponseCodeEnum.OK;
+
+/**
+ * Status thrown by a transaction or query handler (a Hedera response code name)
+ */
+class LedgerStatus extends Error {
+    constructor(status) {
+        super(status);
+        this.status = status;
+    }
+}
+
+/**
+ * Helper - Échec avec un statut Hedera
+ */
+function fail(status) {
+    return new LedgerStatus(status);
+}
+
+/**
+ * Helper - Long / number / string -> number
+ */
+function toNumber(value) {
+    return value === null || value === undefined ? 0 : Number(value.toString());
+}
+
+/**
+ * Helper - AccountID / TokenID / TopicID / ScheduleID protobuf -> "0.0.x"
+ */
+function entityId(id) {
+    if (!id) {
+        return null;
+    }
+    const num = id.accountNum ?? id.tokenNum ?? id.topicNum ?? id.scheduleNum;
+    return `${toNumber(id.shardNum)}.${toNumber(id.realmNum)}.${toNumber(num)}`;
+}
+
+/**
+ * Helper - "0.0.x" -> AccountID protobuf
+ */
+function accountIdProto(id) {
+    const [shardNum, realmNum, accountNum] = id.split(".").map(Number);
+    return { shardNum, realmNum, accountNum };
+}
+
+/**
+ * Helper - "0.0.x" -> TokenID protobuf
+ */
+function tokenIdProto(id) {
+    const [shardNum, realmNum, tokenNum] = id.split(".").map(Number);
+    return { shardNum, realmNum, tokenNum };
+}
+
+/**
+ * Helper - "0.0.x" -> TopicID protobuf
+ */
+function topicIdProto(id) {
+    const [shardNum, realmNum, topicNum] = id.split(".").map(Number);
+    return { shardNum, realmNum, topicNum };
+}
+
+/**
+ * Helper - "0.0.x" -> ScheduleID protobuf
+ */
+function scheduleIdProto(id) {
+    const [shardNum, realmNum, scheduleNum] = id.split(".").map(Number);
+    return { shardNum, realmNum, scheduleNum };
+}
+
+/**
+ * Helper - Timestamp protobuf -> "seconds.nanos" (format du mirror node)
+ */
+function timestampString(timestamp) {
+    return `${toNumber(timestamp.seconds)}.${String(toNumber(timestamp.nanos)).padStart(9, "0")}`;
+}
+
+/**
+ * Helper - TransactionID protobuf -> "0.0.x@seconds.nanos" (format du SDK, "?scheduled" pour une transaction planifiée)
+ */
+function transactionIdString(transactionId) {
+    const id = `${entityId(transactionId.accountID)}@${timestampString(transactionId.transactionValidStart)}`;
+    return transactionId.scheduled ? `${id}?scheduled` : id;
+}
+
+/**
+ * Helper - Clé protobuf satisfaite par les signataires (clés publiques brutes, hex) ?
+ */
+function isKeySatisfied(key, signers) {
+    if (!key) {
+        return false;
+    }
+    if (key.ed25519?.length) {
+        return signers.has(Buffer.from(key.ed25519).toString("hex"));
+    }
+    if (key.ECDSASecp256k1?.length) {
+        return signers.has(Buffer.from(key.ECDSASecp256k1).toString("hex"));
+    }
+    if (key.keyList) {
+        return key.keyList.keys.length > 0 && key.keyList.keys.every(member => isKeySatisfied(member, signers));
+    }
+    if (key.thresholdKey) {
+        const members = key.thresholdKey.keys?.keys || [];
+        return members.filter(member => isKeySatisfied(member, signers)).length >= key.thresholdKey.threshold;
+    }
+    return false;
+}
+
+/**
+ * Helper - Clé protobuf d'une clé publique du SDK
+ */
+function publicKeyProto(publicKey) {
+    return publicKey.type === "ED25519"
+        ? { ed25519: publicKey.toBytesRaw() }
+        : { ECDSASecp256k1: publicKey.toBytesRaw() };
+}
+
+/**
+ * Helper - Clé protobuf d'un signataire (clé publique brute, hex : 32 octets en ED25519, 33 en ECDSA compressé)
+ */
+function signerKeyProto(publicKey) {
+    const bytes = Buffer.from(publicKey, "hex");
+    return bytes.length === 32 ? { ed25519: bytes } : { ECDSASecp256k1: bytes };
+}
+
+/**
+ * Helper - Frais personnalisés d'un token au format du mirror node
+ */
+function mirrorCustomFees(token) {
+    const fixedFee = fee => ({
+        amount: toNumber(fee.amount),
+        denominating_token_id: entityId(fee.denominatingTokenId) === "0.0.0" ? token.tokenId : entityId(fee.denominatingTokenId)
+    });
+    const base = fee => ({
+        all_collectors_are_exempt: Boolean(fee.allCollectorsAreExempt),
+        collector_account_id: entityId(fee.feeCollectorAccountId)
+    });
+    const fraction = ({ numerator, denominator }) => ({ numerator: toNumber(numerator), denominator: toNumber(denominator) });
+
+    const fees = {
+        fixed_fees: token.customFees.filter(fee => fee.fixedFee).map(fee => ({ ...base(fee), ...fixedFee(fee.fixedFee) }))
+    };
+    if (token.fungible) {
+        fees.fractional_fees = token.customFees.filter(fee => fee.fractionalFee).map(fee => ({
+            ...base(fee),
+            amount: fraction(fee.fractionalFee.fractionalAmount),
+            denominating_token_id: token.tokenId,
+            minimum: toNumber(fee.fractionalFee.minimumAmount),
+            maximum: toNumber(fee.fractionalFee.maximumAmount) || null,
+            net_of_transfers: Boolean(fee.fractionalFee.netOfTransfers)
+        }));
+    } else {
+        fees.royalty_fees = token.customFees.filter(fee => fee.royaltyFee).map(fee => ({
+            ...base(fee),
+            amount: fraction(fee.royaltyFee.exchangeValueFraction),
+            fallback_fee: fee.royaltyFee.fallbackFee ? fixedFee(fee.royaltyFee.fallbackFee) : null
+        }));
+    }
+    return fees;
+}
+
+// Rôles des clés d'un token : champ protobuf -> rôle
+const TOKEN_KEY_FIELDS = {
+    adminKey: "admin",
+    kycKey: "kyc",
+    freezeKey: "freeze",
+    wipeKey: "wipe",
+    supplyKey: "supply",
+    feeScheduleKey: "feeSchedule",
+    pauseKey: "pause",
+    metadataKey: "metadata"
+};
+
+/**
+ * In-memory Hedera ledger for offline tests, injected in place of the network:
+ *   const ledger = new LedgerSimulator();
+ *   const service = new HederaNftService({
+ *       client: ledger.createClient(),
+ *       mirrorNode: ledger.createMirrorNode(),
+ *       auditLogPath: "audit-log.jsonl"
+ *   });
+ *
+ * It models accounts and HBAR balances, NFT collections (max supply, supply / freeze / wipe / pause / admin keys,
+ * serial numbers), associations (explicit and automatic), NFT allowances, transfers and their signature
+ * requirements, fees and records. The SDK code runs for real (freeze, signatures, receipts): transactions are
+ * checked like a node would (precheck statuses such as INVALID_SIGNATURE, INSUFFICIENT_PAYER_BALANCE,
+ * DUPLICATE_TRANSACTION) then applied atomically (receipt statuses such as TOKEN_MAX_SUPPLY_REACHED,
+ * TOKEN_NOT_ASSOCIATED_TO_ACCOUNT, ACCOUNT_FROZEN_FOR_TOKEN). Custom fees are charged on transfers: fixed fees
+ * per sender, fractional fees on fungible amounts and royalties on the value exchanged for an NFT (or the
+ * fallback fee, paid by the receiver, when nothing is exchanged); the treasury and the collectors are exempt.
+ * Fungible tokens can be created and transferred (not minted, burned or wiped). Consensus Service topics (create, submit message with its
+ * submit key, mirror node message listing) are modeled too; their running hash is a simplified SHA-384 chain.
+ * Scheduled transactions collect signatures (create, sign) and run as soon as they satisfy the keys the inner
+ * transaction needs, paid by the schedule payer; they expire after 30 minutes (no waitForExpiry).
+ */
+class LedgerSimulator {
+    /**
+     * @param {Object} options - Simulator options
+     * @param {number} options.operatorBalance - HBAR of the genesis (operator) account
+     * @param {number} options.usdPerHbar - Exchange rate used for fees and by the simulated mirror node
+     */
+    constructor({ operatorBalance = 1000000, usdPerHbar = 0.05 } = {}) {
+        this.usdPerHbar = usdPerHbar;
+        this.accounts = new Map();
+        this.tokens = new Map();
+        this.nfts = new Map();
+        this.nftAllowances = new Set();
+        this.topics = new Map();
+        this.schedules = new Map();
+        this.transactions = new Map();
+        this.nftHistory = [];
+        this.injectedStatuses = [];
+        this.nextEntityNum = FIRST_ENTITY_NUM;
+        this.lastConsensusNanos = 0n;
+
+        // Compte de genèse : l'opérateur des clients créés par createClient
+        const operatorKey = PrivateKey.generateED25519();
+        this.addAccount(GENESIS_ACCOUNT_ID, publicKeyProto(operatorKey.publicKey), operatorBalance * TINYBARS_PER_HBAR);
+        this.addAccount(FEE_COLLECTION_ACCOUNT_ID, { keyList: { keys: [] } }, 0);
+        this.operator = { accountId: AccountId.fromString(GENESIS_ACCOUNT_ID), privateKey: operatorKey };
+    }
+
+    /**
+     * SDK client connected to this ledger, paying with the genesis account
+     * One SDK attempt per request by default: a BUSY status goes straight to the service's retry policy
+     * (withRetry) instead of the SDK's own backoff, which keeps tests fast.
+     * @param {Object} options - maxTransactionFee (HBAR), maxAttempts of the SDK
+     * @returns {SimulatorClient} Client to pass as config.client (close it at the end of the test)
+     */
+    createClient({ maxTransactionFee = DEFAULT_CONFIG.maxTransactionFee, maxAttempts = 1 } = {}) {
+        return new SimulatorClient(this)
+            .setOperator(this.operator.accountId, this.operator.privateKey)
+            .setDefaultMaxTransactionFee(new Hbar(maxTransactionFee))
+            .setMaxAttempts(maxAttempts)
+            .setMinBackoff(1)
+            .setMaxBackoff(1)
+            .setNodeMinBackoff(1)
+            .setNodeMaxBackoff(1)
+            .setNodeMinReadmitPeriod(1)
+            .setNodeMaxReadmitPeriod(1);
+    }
+
+    /**
+     * Mirror node client reading this ledger (NFTs, token info, allowances, exchange rate)
+     * @returns {MirrorNodeClient} Client to pass as config.mirrorNode
+     */
+    createMirrorNode() {
+        return new MirrorNodeClient({ baseUrl: "http://simulator", fetch: url => this.mirrorFetch(url) });
+    }
+
+    /**
+     * Create a funded account directly in the ledger (test fixture, no transaction)
+     * @param {Object} options - balance (HBAR), maxAutomaticTokenAssociations, privateKey
+     * @returns {Object} { accountId, privateKey }
+     */
+    createAccount({ balance = 100, maxAutomaticTokenAssociations = 0, privateKey = PrivateKey.generateED25519() } = {}) {
+        const accountId = `0.0.${this.nextEntityNum++}`;
+        const account = this.addAccount(accountId, publicKeyProto(privateKey.publicKey), balance * TINYBARS_PER_HBAR);
+        account.maxAutomaticTokenAssociations = maxAutomaticTokenAssociations;
+        return { accountId: AccountId.fromString(accountId), privateKey: privateKey };
+    }
+
+    /**
+     * Answer the next transactions with a precheck status instead of handling them (e.g. "BUSY")
+     * @param {string} status - Hedera status name
+     * @param {number} count - Number of transactions to refuse
+     */
+    failNext(status, count = 1) {
+        if (proto.ResponseCodeEnum[status] === undefined) {
+            throw new Error(`Unknown Hedera status "${status}"`);
+        }
+        for (let index = 0; index < count; index++) {
+            this.injectedStatuses.push(status);
+        }
+    }
+
+    /**
+     * HBAR balance of an account
+     * @param {AccountId|string} accountId - Account ID
+     * @returns {number} HBAR
+     */
+    getHbarBalance(accountId) {
+        return this.requireAccount(accountId.toString()).balance / TINYBARS_PER_HBAR;
+    }
+
+    /**
+     * Token balance of an account (NFT count or fungible units)
+     * @param {AccountId|string} accountId - Account ID
+     * @param {TokenId|string} tokenId - Token ID
+     * @returns {number|null} Balance, null when the account isn't associated
+     */
+    getTokenBalance(accountId, tokenId) {
+        const relationship = this.requireAccount(accountId.toString()).relationships.get(tokenId.toString());
+        return relationship ? relationship.balance : null;
+    }
+
+    /**
+     * Current state of an NFT
+     * @param {TokenId|string} tokenId - Token ID
+     * @param {number} serial - Serial number
+     * @returns {Object|null} { tokenId, serial, owner, spender, metadata, deleted }
+     */
+    getNft(tokenId, serial) {
+        const nft = this.nfts.get(`${tokenId.toString()}/${Number(serial)}`);
+        return nft ? { ...nft, metadata: Buffer.from(nft.metadata).toString("utf8") } : null;
+    }
+
+    /**
+     * Current state of a token
+     * @param {TokenId|string} tokenId - Token ID
+     * @returns {Object|null} Token state (name, symbol, treasury, totalSupply, maxSupply, paused, deleted, ...)
+     */
+    getToken(tokenId) {
+        const token = this.tokens.get(tokenId.toString());
+        return token ? { ...token } : null;
+    }
+
+    /**
+     * Current state of a topic
+     * @param {TopicId|string} topicId - Topic ID
+     * @returns {Object|null} { topicId, memo, adminKey, submitKey, sequenceNumber, messages, ... }
+     *   (messages are the stored objects: a test can alter one to simulate tampering)
+     */
+    getTopic(topicId) {
+        const topic = this.topics.get(topicId.toString());
+        return topic ? { ...topic } : null;
+    }
+
+    /**
+     * Current state of a schedule
+     * @param {ScheduleId|string} scheduleId - Schedule ID
+     * @returns {Object|null} { scheduleId, memo, creator, payer, transactionId, signatories, expiresAt, executedAt, ... }
+     *   (signatories: public key hex -> consensus timestamp of its signature)
+     */
+    getSchedule(scheduleId) {
+        const schedule = this.schedules.get(scheduleId.toString());
+        return schedule ? { ...schedule, signatories: new Map(schedule.signatories) } : null;
+    }
+
+    /**
+     * Entry point of SimulatorClient: a gRPC request (Transaction or Query bytes) -> response bytes
+     * @param {string} requestType - "Transaction" or "Query"
+     * @param {Uint8Array} requestData - Encoded request
+     * @returns {Uint8Array} Encoded TransactionResponse or Response
+     */
+    handleRequest(requestType, requestData) {
+        return requestType === "Query" ? this.answerQuery(requestData) : this.submitTransaction(requestData);
+    }
+
+    /**
+     * Helper - Ajouter un compte au registre
+     */
+    addAccount(accountId, key, balance) {
+        const account = {
+            accountId: accountId,
+            key: key,
+            balance: balance,
+            maxAutomaticTokenAssociations: 0,
+            memo: "",
+            relationships: new Map()
+        };
+        this.accounts.set(accountId, account);
+        return account;
+    }
+
+    /**
+     * Helper - Compte existant ou INVALID_ACCOUNT_ID
+     */
+    requireAccount(accountId) {
+        const account = accountId ? this.accounts.get(accountId) : null;
+        if (!account) {
+            throw fail("INVALID_ACCOUNT_ID");
+        }
+        return account;
+    }
+
+    /**
+     * Helper - Token utilisable (existant, non supprimé, non pausé sauf allowPaused)
+     */
+    requireToken(tokenId, { allowPaused = false } = {}) {
+        const token = tokenId ? this.tokens.get(tokenId) : null;
+        if (!token) {
+            throw fail("INVALID_TOKEN_ID");
+        }
+        if (token.deleted) {
+            throw fail("TOKEN_WAS_DELETED");
+        }
+        if (token.paused && !allowPaused) {
+            throw fail("TOKEN_IS_PAUSED");
+        }
+        return token;
+    }
+
+    /**
+     * Helper - La clé d'un rôle du token doit avoir signé
+     */
+    requireTokenKey(token, role, signers, missingStatus) {
+        const key = token.keys[role];
+        if (!key) {
+            throw fail(missingStatus);
+        }
+        if (!isKeySatisfied(key, signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+    }
+
+    /**
+     * Helper - Le compte doit avoir signé
+     */
+    requireAccountSignature(accountId, signers) {
+        if (!isKeySatisfied(this.requireAccount(accountId).key, signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+    }
+
+    /**
+     * Helper - Topic existant (non supprimé) ou INVALID_TOPIC_ID
+     */
+    requireTopic(topicId) {
+        const topic = topicId ? this.topics.get(topicId) : null;
+        if (!topic || topic.deleted) {
+            throw fail("INVALID_TOPIC_ID");
+        }
+        return topic;
+    }
+
+    /**
+     * Helper - NFT existant (non brûlé) ou INVALID_NFT_ID
+     */
+    requireNft(tokenId, serial) {
+        const nft = this.nfts.get(`${tokenId}/${serial}`);
+        if (!nft || nft.deleted) {
+            throw fail("INVALID_NFT_ID");
+        }
+        return nft;
+    }
+
+    /**
+     * Helper - Schedule en attente (ni exécuté, ni supprimé, ni expiré) ou statut d'échec
+     */
+    requireSchedule(scheduleId) {
+        const schedule = scheduleId ? this.schedules.get(scheduleId) : null;
+        if (!schedule || Date.now() / 1000 > schedule.expiresAt) {
+            throw fail("INVALID_SCHEDULE_ID");
+        }
+        if (schedule.executedAt) {
+            throw fail("SCHEDULE_ALREADY_EXECUTED");
+        }
+        if (schedule.deletedAt) {
+            throw fail("SCHEDULE_ALREADY_DELETED");
+        }
+        return schedule;
+    }
+
+    /**
+     * Helper - Horodatage de consensus strictement croissant
+     */
+    nextConsensusTimestamp() {
+        const now = BigInt(Date.now()) * 1000000n;
+        this.lastConsensusNanos = now > this.lastConsensusNanos ? now : this.lastConsensusNanos + 1n;
+        return {
+            seconds: Number(this.lastConsensusNanos / 1000000000n),
+            nanos: Number(this.lastConsensusNanos % 1000000000n)
+        };
+    }
+
+    /**
+     * Helper - Clés publiques (hex) dont la signature est valide
+     */
+    verifiedSigners(signedTransaction) {
+        const signers = new Set();
+        for (const pair of signedTransaction.sigMap?.sigPair || []) {
+            let publicKey;
+            let signature;
+            if (pair.ed25519?.length) {
+                publicKey = PublicKey.fromBytesED25519(pair.pubKeyPrefix);
+                signature = pair.ed25519;
+            } else if (pair.ECDSASecp256k1?.length) {
+                publicKey = PublicKey.fromBytesECDSA(pair.pubKeyPrefix);
+                signature = pair.ECDSASecp256k1;
+            } else {
+                continue;
+            }
+            if (publicKey.verify(signedTransaction.bodyBytes, signature)) {
+                signers.add(publicKey.toStringRaw());
+            }
+        }
+        return signers;
+    }
+
+    /**
+     * Helper - Réponse TransactionResponse
+     */
+    transactionResponse(status) {
+        return proto.TransactionResponse.encode({ nodeTransactionPrecheckCode: proto.ResponseCodeEnum[status] }).finish();
+    }
+
+    /**
+     * Handle a submitted transaction: precheck, then consensus (state change, fee, receipt and record)
+     * @param {Uint8Array} requestData - Encoded Transaction
+     * @returns {Uint8Array} Encoded TransactionResponse
+     */
+    submitTransaction(requestData) {
+        if (this.injectedStatuses.length > 0) {
+            return this.transactionResponse(this.injectedStatuses.shift());
+        }
+
+        const transaction = proto.Transaction.decode(requestData);
+        const signedTransaction = proto.SignedTransaction.decode(transaction.signedTransactionBytes);
+        const body = proto.TransactionBody.decode(signedTransaction.bodyBytes);
+        const transactionId = transactionIdString(body.transactionID);
+        const payerId = entityId(body.transactionID.accountID);
+
+        // Precheck : refusé par le nœud, rien n'est facturé
+        const payer = this.accounts.get(payerId);
+        const validStart = toNumber(body.transactionID.transactionValidStart.seconds) * 1000;
+        const signers = this.verifiedSigners(signedTransaction);
+        const fee = Math.round(estimateFeeUsd(Transaction.fromBytes(requestData)) / this.usdPerHbar * TINYBARS_PER_HBAR);
+
+        let precheck = null;
+        if (this.transactions.has(transactionId)) {
+            precheck = "DUPLICATE_TRANSACTION";
+        } else if (!payer) {
+            precheck = "PAYER_ACCOUNT_NOT_FOUND";
+        } else if (validStart > Date.now() + MAX_CLOCK_SKEW_MS) {
+            precheck = "INVALID_TRANSACTION_START";
+        } else if (Date.now() > validStart + toNumber(body.transactionValidDuration?.seconds) * 1000) {
+            precheck = "TRANSACTION_EXPIRED";
+        } else if (!isKeySatisfied(payer.key, signers)) {
+            precheck = "INVALID_SIGNATURE";
+        } else if (fee > toNumber(body.transactionFee)) {
+            precheck = "INSUFFICIENT_TX_FEE";
+        } else if (payer.balance < fee) {
+            precheck = "INSUFFICIENT_PAYER_BALANCE";
+        }
+        if (precheck) {
+            return this.transactionResponse(precheck);
+        }
+
+        this.applyTransaction(body, { payerId, fee, signers, transactionId });
+        return this.transactionResponse("OK");
+    }
+
+    /**
+     * Helper - Consensus : le handler valide tout avant de modifier l'état (atomique), puis frais, reçu et record
+     * pendingOnSignature (transaction planifiée) : sans les signatures requises, rien n'est appliqué ni facturé
+     * et la méthode renvoie null ; sinon elle renvoie le statut.
+     */
+    applyTransaction(body, { payerId, fee, signers, transactionId, scheduleRef = null, pendingOnSignature = false }) {
+        const payer = this.accounts.get(payerId);
+        const consensusTimestamp = this.nextConsensusTimestamp();
+        const context = {
+            body: body,
+            payerId: payerId,
+            fee: fee,
+            signers: signers,
+            transactionId: transactionId,
+            consensusTimestamp: consensusTimestamp,
+            receipt: {},
+            hbarTransfers: new Map(),
+            tokenTransfers: new Map(),
+            nftTransfers: new Map(),
+            assessedCustomFees: [],
+            automaticAssociations: [],
+            onCommit: null
+        };
+
+        let status = "SUCCESS";
+        try {
+            const handler = TRANSACTION_HANDLERS[body.data];
+            if (!handler) {
+                throw fail("NOT_SUPPORTED");
+            }
+            // Le payeur d'une transaction planifiée n'a pas passé de precheck
+            if (payer.balance < fee) {
+                throw fail("INSUFFICIENT_PAYER_BALANCE");
+            }
+            handler.call(this, body[body.data], context);
+        } catch (error) {
+            if (!(error instanceof LedgerStatus)) {
+                throw error;
+            }
+            if (pendingOnSignature && error.status === "INVALID_SIGNATURE") {
+                return null;
+            }
+            status = error.status;
+            context.receipt = {};
+            context.hbarTransfers = new Map();
+            context.tokenTransfers = new Map();
+            context.nftTransfers = new Map();
+            context.assessedCustomFees = [];
+            context.automaticAssociations = [];
+            context.onCommit = null;
+        }
+
+        // Les frais sont prélevés même en cas d'échec, sauf si le payeur ne peut pas les couvrir
+        const charged = status === "INSUFFICIENT_PAYER_BALANCE" ? 0 : fee;
+        payer.balance -= charged;
+        this.accounts.get(FEE_COLLECTION_ACCOUNT_ID).balance += charged;
+        this.addHbarTransfer(context, payerId, -charged);
+        this.addHbarTransfer(context, FEE_COLLECTION_ACCOUNT_ID, charged);
+
+        const receipt = { ...context.receipt, status: proto.ResponseCodeEnum[status] };
+        this.transactions.set(transactionId, {
+            receipt: receipt,
+            record: {
+                receipt: receipt,
+                transactionHash: Buffer.alloc(48),
+                consensusTimestamp: consensusTimestamp,
+                transactionID: body.transactionID,
+                memo: body.memo,
+                transactionFee: charged,
+                transferList: {
+                    accountAmounts: [...context.hbarTransfers].map(([accountId, amount]) => ({
+                        accountID: accountIdProto(accountId),
+                        amount: amount
+                    }))
+                },
+                tokenTransferLists: [
+                    ...[...context.tokenTransfers].map(([tokenId, amounts]) => ({
+                        token: tokenIdProto(tokenId),
+                        transfers: [...amounts].map(([accountId, amount]) => ({
+                            accountID: accountIdProto(accountId),
+                            amount: amount
+                        }))
+                    })),
+                    ...[...context.nftTransfers].map(([tokenId, nftTransfers]) => ({
+                        token: tokenIdProto(tokenId),
+                        nftTransfers: nftTransfers
+                    }))
+                ],
+                assessedCustomFees: context.assessedCustomFees,
+                automaticTokenAssociations: context.automaticAssociations,
+                scheduleRef: scheduleRef ? scheduleIdProto(scheduleRef) : null
+            }
+        });
+
+        // Suite d'une transaction réussie (exécution d'une transaction planifiée)
+        if (context.onCommit) {
+            context.onCommit();
+        }
+        return status;
+    }
+
+    /**
+     * Helper - Exécuter la transaction planifiée d'un schedule si ses signatures accumulées suffisent
+     */
+    executeSchedule(schedule) {
+        const data = schedule.body.data;
+        const body = { transactionID: schedule.transactionID, memo: schedule.body.memo, data: data, [data]: schedule.body[data] };
+        const status = this.applyTransaction(body, {
+            payerId: schedule.payer,
+            fee: this.scheduledTransactionFee(body),
+            signers: schedule.signatories,
+            transactionId: schedule.transactionId,
+            scheduleRef: schedule.scheduleId,
+            pendingOnSignature: true
+        });
+        if (status !== null) {
+            schedule.executedAt = this.transactions.get(schedule.transactionId).record.consensusTimestamp;
+        }
+    }
+
+    /**
+     * Helper - Frais d'une transaction planifiée, estimés comme si elle était soumise directement
+     */
+    scheduledTransactionFee(body) {
+        const bodyBytes = proto.TransactionBody.encode({
+            ...body,
+            nodeAccountID: accountIdProto("0.0.3"),
+            transactionValidDuration: { seconds: 120 }
+        }).finish();
+        const signedTransactionBytes = proto.SignedTransaction.encode({ bodyBytes: bodyBytes }).finish();
+        const transaction = Transaction.fromBytes(proto.Transaction.encode({ signedTransactionBytes }).finish());
+        return Math.round(estimateFeeUsd(transaction) / this.usdPerHbar * TINYBARS_PER_HBAR);
+    }
+
+    /**
+     * Helper - Cumuler un mouvement HBAR dans le record
+     */
+    addHbarTransfer(context, accountId, amount) {
+        context.hbarTransfers.set(accountId, (context.hbarTransfers.get(accountId) || 0) + amount);
+    }
+
+    /**
+     * Helper - Cumuler un mouvement de token fongible dans le record
+     */
+    addTokenTransfer(context, tokenId, accountId, amount) {
+        const amounts = context.tokenTransfers.get(tokenId) || new Map();
+        amounts.set(accountId, (amounts.get(accountId) || 0) + amount);
+        context.tokenTransfers.set(tokenId, amounts);
+    }
+
+    /**
+     * Helper - Mouvement d'un NFT (record + historique du mirror node)
+     */
+    addNftTransfer(context, tokenId, serial, from, to, type, isApproval = false) {
+        const transfers = context.nftTransfers.get(tokenId) || [];
+        transfers.push({
+            senderAccountID: from ? accountIdProto(from) : accountIdProto("0.0.0"),
+            receiverAccountID: to ? accountIdProto(to) : accountIdProto("0.0.0"),
+            serialNumber: serial,
+            isApproval: isApproval
+        });
+        context.nftTransfers.set(tokenId, transfers);
+
+        this.nftHistory.push({
+            tokenId: tokenId,
+            serial: serial,
+            type: type,
+            from: from,
+            to: to,
+            isApproval: isApproval,
+            transactionId: context.transactionId,
+            consensusTimestamp: timestampString(context.consensusTimestamp)
+        });
+    }
+
+    /**
+     * Helper - Le compte peut-il recevoir le token ? (association ou slot automatique libre)
+     */
+    relationshipForReceiver(account, token, context, pendingAutomatic) {
+        const relationship = account.relationships.get(token.tokenId);
+        if (relationship) {
+            return relationship;
+        }
+
+        // Slots déjà réservés dans cette transaction (un seul par token)
+        const pending = pendingAutomatic.get(account.accountId) || new Set();
+        if (pending.has(token.tokenId)) {
+            return null;
+        }
+        const max = account.maxAutomaticTokenAssociations;
+        const used = [...account.relationships.values()].filter(item => item.automatic).length + pending.size;
+        if (max === -1 || used < max) {
+            pendingAutomatic.set(account.accountId, pending.add(token.tokenId));
+            return null;
+        }
+        throw fail(max === 0 ? "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT" : "NO_REMAINING_AUTOMATIC_ASSOCIATIONS");
+    }
+
+    /**
+     * Helper - Associer un compte à un token
+     */
+    associate(account, token, automatic, context) {
+        const relationship = {
+            frozen: Boolean(token.keys.freeze && token.freezeDefault),
+            automatic: automatic,
+            balance: 0
+        };
+        account.relationships.set(token.tokenId, relationship);
+        if (automatic) {
+            context.automaticAssociations.push({
+                tokenId: tokenIdProto(token.tokenId),
+                accountId: accountIdProto(account.accountId)
+            });
+        }
+        return relationship;
+    }
+
+    /**
+     * Helper - Frais personnalisés valides pour le token (collecteur existant, type de frais adapté)
+     */
+    validateCustomFees(customFees, fungible) {
+        for (const fee of customFees) {
+            if (!this.accounts.has(entityId(fee.feeCollectorAccountId))) {
+                throw fail("INVALID_CUSTOM_FEE_COLLECTOR");
+            }
+            if (fee.royaltyFee && fungible) {
+                throw fail("CUSTOM_ROYALTY_FEE_ONLY_ALLOWED_FOR_NON_FUNGIBLE_UNIQUE");
+            }
+            if (fee.fractionalFee && !fungible) {
+                throw fail("CUSTOM_FRACTIONAL_FEE_ONLY_ALLOWED_FOR_FUNGIBLE_COMMON");
+            }
+            const fraction = fee.royaltyFee?.exchangeValueFraction || fee.fractionalFee?.fractionalAmount;
+            if (fraction && toNumber(fraction.denominator) === 0) {
+                throw fail("FRACTION_DIVIDES_BY_ZERO");
+            }
+        }
+    }
+
+    /**
+     * Helper - Le compte est-il exempté du frais ? (treasury, collecteur du frais ou de tout frais du token)
+     */
+    isExemptFromCustomFee(token, fee, accountId) {
+        if (accountId === token.treasury || accountId === entityId(fee.feeCollectorAccountId)) {
+            return true;
+        }
+        return Boolean(fee.allCollectorsAreExempt) &&
+            token.customFees.some(other => entityId(other.feeCollectorAccountId) === accountId);
+    }
+
+    /**
+     * Helper - Frais fixe (HBAR, autre token ou le token lui-même si 0.0.0) dû par un compte
+     */
+    fixedCustomFee(token, fixedFee, collector, payer) {
+        const denominatingTokenId = entityId(fixedFee.denominatingTokenId);
+        return {
+            collector: collector,
+            tokenId: denominatingTokenId === "0.0.0" ? token.tokenId : denominatingTokenId,
+            debits: [{ accountId: payer, amount: toNumber(fixedFee.amount) }]
+        };
+    }
+
+    /**
+     * Helper - Évaluer les frais personnalisés d'un transfert validé et vérifier que leurs payeurs les couvrent
+     * Fixe : par débit fongible ou par NFT envoyé. Fractionnaire : sur chaque débit fongible, retenu sur ce que
+     * reçoivent les destinataires (ou ajouté au débit si netOfTransfers). Royalty : une fois par vendeur, sur la
+     * contrepartie (HBAR ou fongible) qu'il reçoit ; sans contrepartie, le receveur paie le frais de repli et doit signer.
+     */
+    assessCustomFees(hbarChanges, tokenMoves, moves, context) {
+        const assessed = [];
+        const tokens = new Map([...tokenMoves, ...moves].map(({ token }) => [token.tokenId, token]));
+
+        for (const token of tokens.values()) {
+            const debits = tokenMoves.filter(move => move.token === token && move.amount < 0);
+            const nftMoves = moves.filter(move => move.token === token);
+            // Part des crédits fongibles encore disponible pour les frais fractionnaires
+            const received = new Map(tokenMoves
+                .filter(move => move.token === token && move.amount > 0)
+                .map(move => [move.account.accountId, move.amount]));
+            const senders = token.fungible
+                ? debits.map(move => move.account.accountId)
+                : nftMoves.map(move => move.sender.accountId);
+
+            for (const fee of token.customFees) {
+                const collector = entityId(fee.feeCollectorAccountId);
+                const exempt = accountId => this.isExemptFromCustomFee(token, fee, accountId);
+
+                if (fee.fixedFee) {
+                    for (const sender of senders.filter(accountId => !exempt(accountId))) {
+                        assessed.push(this.fixedCustomFee(token, fee.fixedFee, collector, sender));
+                    }
+                } else if (fee.fractionalFee) {
+                    const { fractionalAmount, minimumAmount, maximumAmount, netOfTransfers } = fee.fractionalFee;
+                    for (const debit of debits.filter(move => !exempt(move.account.accountId))) {
+                        let amount = Math.floor(-debit.amount * toNumber(fractionalAmount.numerator) / toNumber(fractionalAmount.denominator));
+                        amount = Math.max(amount, toNumber(minimumAmount));
+                        if (toNumber(maximumAmount) > 0) {
+                            amount = Math.min(amount, toNumber(maximumAmount));
+                        }
+                        if (amount === 0) {
+                            continue;
+                        }
+                        if (netOfTransfers) {
+                            assessed.push({ collector, tokenId: token.tokenId, debits: [{ accountId: debit.account.accountId, amount }] });
+                            continue;
+                        }
+
+                        const feeDebits = [];
+                        let remaining = amount;
+                        for (const [accountId, available] of received) {
+                            const share = accountId === collector ? 0 : Math.min(remaining, available);
+                            if (share > 0) {
+                                feeDebits.push({ accountId, amount: share });
+                                received.set(accountId, available - share);
+                                remaining -= share;
+                            }
+                        }
+                        if (remaining > 0) {
+                            throw fail("INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE");
+                        }
+                        assessed.push({ collector, tokenId: token.tokenId, debits: feeDebits });
+                    }
+                } else if (fee.royaltyFee) {
+                    const { exchangeValueFraction, fallbackFee } = fee.royaltyFee;
+                    const charged = new Set();
+                    for (const { sender, receiver } of nftMoves) {
+                        const sellerId = sender.accountId;
+                        if (exempt(sellerId)) {
+                            continue;
+                        }
+
+                        const exchanged = [
+                            ...(hbarChanges.get(sellerId) > 0 ? [{ tokenId: null, amount: hbarChanges.get(sellerId) }] : []),
+                            ...tokenMoves
+                                .filter(move => move.account === sender && move.amount > 0)
+                                .map(move => ({ tokenId: move.token.tokenId, amount: move.amount }))
+                        ];
+                        if (exchanged.length === 0) {
+                            if (fallbackFee && !exempt(receiver.accountId)) {
+                                this.requireAccountSignature(receiver.accountId, context.signers);
+                                assessed.push(this.fixedCustomFee(token, fallbackFee, collector, receiver.accountId));
+                            }
+                            continue;
+                        }
+                        if (charged.has(sellerId)) {
+                            continue;
+                        }
+                        charged.add(sellerId);
+                        for (const { tokenId, amount: value } of exchanged) {
+                            const amount = Math.floor(value * toNumber(exchangeValueFraction.numerator) / toNumber(exchangeValueFraction.denominator));
+                            if (amount > 0) {
+                                assessed.push({ collector, tokenId, debits: [{ accountId: sellerId, amount }] });
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        this.requireCustomFeeBalances(assessed, hbarChanges, tokenMoves, context);
+        return assessed;
+    }
+
+    /**
+     * Helper - Les payeurs couvrent leurs frais après le transfert, les collecteurs d'un token le détiennent
+     */
+    requireCustomFeeBalances(assessed, hbarChanges, tokenMoves, context) {
+        const totals = new Map();
+        for (const { collector, tokenId, debits } of assessed) {
+            const account = this.requireAccount(collector);
+            if (tokenId && !account.relationships.has(tokenId)) {
+                throw fail("TOKEN_NOT_ASSOCIATED_TO_FEE_COLLECTOR");
+            }
+            for (const { accountId, amount } of debits) {
+                const key = `${tokenId || "hbar"}|${accountId}`;
+                totals.set(key, { tokenId, accountId, amount: (totals.get(key)?.amount || 0) + amount });
+            }
+        }
+
+        for (const { tokenId, accountId, amount } of totals.values()) {
+            const account = this.accounts.get(accountId);
+            if (!tokenId) {
+                // Le payeur de la transaction doit encore couvrir ses frais de réseau
+                const fee = accountId === context.payerId ? context.fee : 0;
+                if (account.balance + (hbarChanges.get(accountId) || 0) - amount < fee) {
+                    throw fail(fee > 0 ? "INSUFFICIENT_PAYER_BALANCE_FOR_CUSTOM_FEE" : "INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE");
+                }
+                continue;
+            }
+            const moved = tokenMoves
+                .filter(move => move.token.tokenId === tokenId && move.account === account)
+                .reduce((sum, move) => sum + move.amount, 0);
+            const relationship = account.relationships.get(tokenId);
+            if (!relationship && moved <= 0) {
+                throw fail("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+            }
+            if ((relationship?.balance || 0) + moved - amount < 0) {
+                throw fail("INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE");
+            }
+        }
+    }
+
+    /**
+     * Helper - Prélever les frais évalués et les inscrire dans le record (assessedCustomFees)
+     */
+    chargeCustomFees(assessed, context) {
+        for (const { collector, tokenId, debits } of assessed) {
+            const move = (accountId, amount) => {
+                const account = this.accounts.get(accountId);
+                if (tokenId) {
+                    account.relationships.get(tokenId).balance += amount;
+                    this.addTokenTransfer(context, tokenId, accountId, amount);
+                } else {
+                    account.balance += amount;
+                    this.addHbarTransfer(context, accountId, amount);
+                }
+            };
+
+            const total = debits.reduce((sum, debit) => sum + debit.amount, 0);
+            for (const { accountId, amount } of debits) {
+                move(accountId, -amount);
+            }
+            move(collector, total);
+            context.assessedCustomFees.push({
+                amount: total,
+                tokenId: tokenId ? tokenIdProto(tokenId) : null,
+                feeCollectorAccountId: accountIdProto(collector),
+                effectivePayerAccountId: debits.map(debit => accountIdProto(debit.accountId))
+            });
+        }
+    }
+
+    /**
+     * Helper - Réponse d'une requête
+     */
+    queryResponse(kind, header, fields = {}) {
+        return proto.Response.encode({ [kind]: { header: header, ...fields } }).finish();
+    }
+
+    /**
+     * Answer a query (receipts, records, balances, account and token info); queries are free
+     * @param {Uint8Array} requestData - Encoded Query
+     * @returns {Uint8Array} Encoded Response
+     */
+    answerQuery(requestData) {
+        const query = proto.Query.decode(requestData);
+        const kind = query.query;
+        const responseType = query[kind].header?.responseType || proto.ResponseType.ANSWER_ONLY;
+
+        if (responseType === proto.ResponseType.COST_ANSWER) {
+            return this.queryResponse(kind, { nodeTransactionPrecheckCode: OK, responseType: responseType, cost: 0 });
+        }
+
+        const handler = QUERY_HANDLERS[kind];
+        try {
+            if (!handler) {
+                throw fail("NOT_SUPPORTED");
+            }
+            return this.queryResponse(kind, { nodeTransactionPrecheckCode: OK }, handler.call(this, query[kind]));
+        } catch (error) {
+            if (!(error instanceof LedgerStatus)) {
+                throw error;
+            }
+            return this.queryResponse(kind, { nodeTransactionPrecheckCode: proto.ResponseCodeEnum[error.status] });
+        }
+    }
+
+    /**
+     * Helper - Informations d'un token au format protobuf
+     */
+    tokenInfo(token) {
+        return {
+            tokenId: tokenIdProto(token.tokenId),
+            name: token.name,
+            symbol: token.symbol,
+            decimals: token.decimals,
+            totalSupply: token.totalSupply,
+            treasury: accountIdProto(token.treasury),
+            adminKey: token.keys.admin,
+            kycKey: token.keys.kyc,
+            freezeKey: token.keys.freeze,
+            wipeKey: token.keys.wipe,
+            supplyKey: token.keys.supply,
+            feeScheduleKey: token.keys.feeSchedule,
+            pauseKey: token.keys.pause,
+            metadataKey: token.keys.metadata,
+            defaultFreezeStatus: token.freezeDefault,
+            defaultKycStatus: false,
+            deleted: token.deleted,
+            autoRenewAccount: token.autoRenewAccount ? accountIdProto(token.autoRenewAccount) : null,
+            autoRenewPeriod: { seconds: token.autoRenewPeriod },
+            expiry: { seconds: token.expiry },
+            memo: token.memo,
+            tokenType: token.fungible ? proto.TokenType.FUNGIBLE_COMMON : proto.TokenType.NON_FUNGIBLE_UNIQUE,
+            supplyType: token.finite ? proto.TokenSupplyType.FINITE : proto.TokenSupplyType.INFINITE,
+            maxSupply: token.maxSupply,
+            customFees: token.customFees,
+            pauseStatus: token.keys.pause
+                ? (token.paused ? proto.TokenPauseStatus.Paused : proto.TokenPauseStatus.Unpaused)
+                : proto.TokenPauseStatus.PauseNotApplicable
+        };
+    }
+
+    /**
+     * Simulated mirror node REST API (the endpoints MirrorNodeClient uses), as a fetch implementation
+     * @param {string} url - Request URL
+     * @returns {Object} fetch-like response { ok, status, json() }
+     */
+    async mirrorFetch(url) {
+        const { pathname, searchParams } = new URL(url);
+        const route = MIRROR_ROUTES.find(([pattern]) => pattern.test(pathname));
+        const body = route ? route[1].call(this, pathname.match(route[0]).slice(1), searchParams) : null;
+
+        return {
+            ok: body !== null,
+            status: body === null ? 404 : 200,
+            json: async () => body ?? { _status: { messages: [{ message: "Not found" }] } }
+        };
+    }
+
+    /**
+     * Helper - NFT au format du mirror node
+     */
+    mirrorNft(nft) {
+        return {
+            token_id: nft.tokenId,
+            serial_number: nft.serial,
+            account_id: nft.deleted ? null : nft.owner,
+            spender: nft.spender,
+            delegating_spender: null,
+            deleted: nft.deleted,
+            metadata: Buffer.from(nft.metadata).toString("base64"),
+            created_timestamp: nft.createdAt,
+            modified_timestamp: nft.modifiedAt
+        };
+    }
+
+    /**
+     * Helper - Schedule au format du mirror node (les signatures ne sont pas conservées, seulement leurs clés)
+     */
+    mirrorSchedule(schedule) {
+        return {
+            schedule_id: schedule.scheduleId,
+            creator_account_id: schedule.creator,
+            payer_account_id: schedule.payer,
+            memo: schedule.memo,
+            admin_key: schedule.adminKey
+                ? { _type: "ProtobufEncoded", key: Buffer.from(proto.Key.encode(schedule.adminKey).finish()).toString("hex") }
+                : null,
+            consensus_timestamp: schedule.createdAt,
+            executed_timestamp: schedule.executedAt ? timestampString(schedule.executedAt) : null,
+            deleted: schedule.deletedAt !== null,
+            expiration_time: `${schedule.expiresAt}.000000000`,
+            wait_for_expiry: false,
+            transaction_body: Buffer.from(schedule.bodyBytes).toString("base64"),
+            signatures: [...schedule.signatories].map(([publicKey, timestamp]) => ({
+                consensus_timestamp: timestamp,
+                public_key_prefix: Buffer.from(publicKey, "hex").toString("base64"),
+                signature: null,
+                type: publicKey.length === 64 ? "ED25519" : "ECDSA_SECP256K1"
+            }))
+        };
+    }
+
+    /**
+     * Helper - Une page de NFTs (tri par serial, pagination par links.next comme le mirror node)
+     */
+    mirrorNftPage(pathname, nfts, searchParams) {
+        const order = searchParams.get("order") === "asc" ? "asc" : "desc";
+        const limit = Number(searchParams.get("limit") || 25);
+        const cursor = searchParams.get("serialnumber");
+
+        let items = [...nfts].sort((a, b) => order === "asc" ? a.serial - b.serial : b.serial - a.serial);
+        if (cursor) {
+            const [operator, value] = cursor.split(":");
+            items = items.filter(nft => operator === "gt" ? nft.serial > Number(value) : nft.serial < Number(value));
+        }
+
+        const page = items.slice(0, limit);
+        const next = items.length > limit
+            ? `${pathname}?limit=${limit}&order=${order}&serialnumber=${order === "asc" ? "gt" : "lt"}:${page[page.length - 1].serial}`
+            : null;
+        return { nfts: page.map(nft => this.mirrorNft(nft)), links: { next: next } };
+    }
+}
+
+// Transactions simulées (champ "data" du TransactionBody)
+const TRANSACTION_HANDLERS = {
+    cryptoCreateAccount(body, context) {
+        const payer = this.accounts.get(context.payerId);
+        const initialBalance = toNumber(body.initialBalance);
+        if (!body.key) {
+            throw fail("KEY_REQUIRED");
+        }
+        if (payer.balance < initialBalance + context.fee) {
+            throw fail("INSUFFICIENT_PAYER_BALANCE");
+        }
+
+        const accountId = `0.0.${this.nextEntityNum++}`;
+        const account = this.addAccount(accountId, body.key, initialBalance);
+        account.maxAutomaticTokenAssociations = body.maxAutomaticTokenAssociations || 0;
+        account.memo = body.memo || "";
+        payer.balance -= initialBalance;
+
+        this.addHbarTransfer(context, context.payerId, -initialBalance);
+        this.addHbarTransfer(context, accountId, initialBalance);
+        context.receipt.accountID = accountIdProto(accountId);
+    },
+
+    cryptoTransfer(body, context) {
+        // Tailles maximales des listes (ledger.transfers / tokenTransfers / nftTransfers.maxLen)
+        const tokenTransferLists = body.tokenTransfers || [];
+        const count = field => tokenTransferLists.reduce((sum, list) => sum + (list[field] || []).length, 0);
+        if ((body.transfers?.accountAmounts || []).length > MAX_HBAR_TRANSFERS) {
+            throw fail("TRANSFER_LIST_SIZE_LIMIT_EXCEEDED");
+        }
+        if (count("transfers") > MAX_TOKEN_TRANSFERS) {
+            throw fail("TOKEN_TRANSFER_LIST_SIZE_LIMIT_EXCEEDED");
+        }
+        if (count("nftTransfers") > MAX_NFT_TRANSFERS) {
+            throw fail("BATCH_SIZE_LIMIT_EXCEEDED");
+        }
+
+        // HBAR : somme nulle, chaque débit signé par son compte et couvert
+        const hbarChanges = new Map();
+        for (const accountAmount of body.transfers?.accountAmounts || []) {
+            const accountId = entityId(accountAmount.accountID);
+            this.requireAccount(accountId);
+            hbarChanges.set(accountId, (hbarChanges.get(accountId) || 0) + toNumber(accountAmount.amount));
+        }
+        if ([...hbarChanges.values()].reduce((sum, amount) => sum + amount, 0) !== 0) {
+            throw fail("INVALID_ACCOUNT_AMOUNTS");
+        }
+        for (const [accountId, amount] of hbarChanges) {
+            if (amount >= 0) {
+                continue;
+            }
+            this.requireAccountSignature(accountId, context.signers);
+            // Le payeur doit encore couvrir les frais après son débit
+            const fee = accountId === context.payerId ? context.fee : 0;
+            if (this.accounts.get(accountId).balance + amount < fee) {
+                throw fail("INSUFFICIENT_ACCOUNT_BALANCE");
+            }
+        }
+
+        // Tokens fongibles : somme nulle par token, débits signés et couverts, association, gel
+        const tokenMoves = [];
+        const pendingAutomatic = new Map();
+        for (const tokenTransferList of tokenTransferLists) {
+            if ((tokenTransferList.transfers || []).length === 0) {
+                continue;
+            }
+            const token = this.requireToken(entityId(tokenTransferList.token));
+            if (!token.fungible) {
+                throw fail("ACCOUNT_AMOUNT_TRANSFERS_ONLY_ALLOWED_FOR_FUNGIBLE_COMMON");
+            }
+
+            const changes = new Map();
+            for (const accountAmount of tokenTransferList.transfers) {
+                const accountId = entityId(accountAmount.accountID);
+                this.requireAccount(accountId);
+                changes.set(accountId, (changes.get(accountId) || 0) + toNumber(accountAmount.amount));
+            }
+            if ([...changes.values()].reduce((sum, amount) => sum + amount, 0) !== 0) {
+                throw fail("TRANSFERS_NOT_ZERO_SUM_FOR_TOKEN");
+            }
+
+            for (const [accountId, amount] of changes) {
+                const account = this.accounts.get(accountId);
+                let relationship;
+                if (amount < 0) {
+                    this.requireAccountSignature(accountId, context.signers);
+                    relationship = account.relationships.get(token.tokenId);
+                    if (!relationship) {
+                        throw fail("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+                    }
+                    if (relationship.balance + amount < 0) {
+                        throw fail("INSUFFICIENT_TOKEN_BALANCE");
+                    }
+                } else {
+                    relationship = this.relationshipForReceiver(account, token, context, pendingAutomatic);
+                }
+                if (relationship?.frozen) {
+                    throw fail("ACCOUNT_FROZEN_FOR_TOKEN");
+                }
+                tokenMoves.push({ token, account, amount });
+            }
+        }
+
+        // NFTs : propriétaire, signature (ou allowance), association, gel
+        const moves = [];
+        const movedSerials = new Set();
+        for (const tokenTransferList of tokenTransferLists) {
+            if ((tokenTransferList.nftTransfers || []).length === 0) {
+                continue;
+            }
+            const token = this.requireToken(entityId(tokenTransferList.token));
+
+            for (const nftTransfer of tokenTransferList.nftTransfers || []) {
+                const serial = toNumber(nftTransfer.serialNumber);
+                const from = entityId(nftTransfer.senderAccountID);
+                const to = entityId(nftTransfer.receiverAccountID);
+                const nft = this.requireNft(token.tokenId, serial);
+                const sender = this.requireAccount(from);
+                const receiver = this.requireAccount(to);
+
+                if (movedSerials.has(`${token.tokenId}/${serial}`)) {
+                    throw fail("ACCOUNT_REPEATED_IN_ACCOUNT_AMOUNTS");
+                }
+                movedSerials.add(`${token.tokenId}/${serial}`);
+
+                if (nft.owner !== from) {
+                    throw fail("SENDER_DOES_NOT_OWN_NFT_SERIAL_NO");
+                }
+                if (from === to) {
+                    throw fail("ACCOUNT_REPEATED_IN_ACCOUNT_AMOUNTS");
+                }
+                if (nftTransfer.isApproval) {
+                    const approved = nft.spender === context.payerId ||
+                        this.nftAllowances.has(`${from}|${token.tokenId}|${context.payerId}`);
+                    if (!approved) {
+                        throw fail("SPENDER_DOES_NOT_HAVE_ALLOWANCE");
+                    }
+                } else {
+                    this.requireAccountSignature(from, context.signers);
+                }
+
+                if (sender.relationships.get(token.tokenId)?.frozen) {
+                    throw fail("ACCOUNT_FROZEN_FOR_TOKEN");
+                }
+                const relationship = this.relationshipForReceiver(receiver, token, context, pendingAutomatic);
+                if (relationship?.frozen) {
+                    throw fail("ACCOUNT_FROZEN_FOR_TOKEN");
+                }
+
+                moves.push({ token, nft, sender, receiver, isApproval: Boolean(nftTransfer.isApproval) });
+            }
+        }
+
+        // Frais personnalisés des tokens transférés, couverts par leurs payeurs
+        const customFees = this.assessCustomFees(hbarChanges, tokenMoves, moves, context);
+
+        // Application
+        for (const [accountId, amount] of hbarChanges) {
+            this.accounts.get(accountId).balance += amount;
+            this.addHbarTransfer(context, accountId, amount);
+        }
+        for (const { token, account, amount } of tokenMoves) {
+            const relationship = account.relationships.get(token.tokenId) || this.associate(account, token, true, context);
+            relationship.balance += amount;
+            this.addTokenTransfer(context, token.tokenId, account.accountId, amount);
+        }
+        for (const { token, nft, sender, receiver, isApproval } of moves) {
+            const relationship = receiver.relationships.get(token.tokenId) || this.associate(receiver, token, true, context);
+            sender.relationships.get(token.tokenId).balance -= 1;
+            relationship.balance += 1;
+            nft.owner = receiver.accountId;
+            nft.spender = null;
+            nft.modifiedAt = timestampString(context.consensusTimestamp);
+            this.addNftTransfer(context, token.tokenId, nft.serial, sender.accountId, receiver.accountId, "CRYPTOTRANSFER", isApproval);
+        }
+        this.chargeCustomFees(customFees, context);
+    },
+
+    tokenCreation(body, context) {
+        const fungible = (body.tokenType || proto.TokenType.FUNGIBLE_COMMON) === proto.TokenType.FUNGIBLE_COMMON;
+        const initialSupply = toNumber(body.initialSupply);
+        if (!fungible && body.tokenType !== proto.TokenType.NON_FUNGIBLE_UNIQUE) {
+            throw fail("NOT_SUPPORTED");
+        }
+        if (!body.name) {
+            throw fail("MISSING_TOKEN_NAME");
+        }
+        if (!body.symbol) {
+            throw fail("MISSING_TOKEN_SYMBOL");
+        }
+        // Un NFT se mint forcément (supply key, pas de supply initiale) ; un token fongible peut avoir une supply fixe
+        if (!fungible && !body.supplyKey) {
+            throw fail("TOKEN_HAS_NO_SUPPLY_KEY");
+        }
+        if (!fungible && (initialSupply !== 0 || body.decimals)) {
+            throw fail(initialSupply !== 0 ? "INVALID_TOKEN_INITIAL_SUPPLY" : "INVALID_TOKEN_DECIMALS");
+        }
+        const finite = body.supplyType === proto.TokenSupplyType.FINITE;
+        if (finite && toNumber(body.maxSupply) <= 0) {
+            throw fail("INVALID_TOKEN_MAX_SUPPLY");
+        }
+        if (initialSupply < 0 || (finite && initialSupply > toNumber(body.maxSupply))) {
+            throw fail("INVALID_TOKEN_INITIAL_SUPPLY");
+        }
+
+        const treasuryId = entityId(body.treasury);
+        const treasury = this.requireAccount(treasuryId);
+        this.requireAccountSignature(treasuryId, context.signers);
+        if (body.adminKey && !isKeySatisfied(body.adminKey, context.signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+        const autoRenewAccount = entityId(body.autoRenewAccount);
+        if (autoRenewAccount) {
+            this.requireAccountSignature(autoRenewAccount, context.signers);
+        }
+
+        this.validateCustomFees(body.customFees || [], fungible);
+
+        const tokenId = `0.0.${this.nextEntityNum++}`;
+        const keys = {};
+        for (const [field, role] of Object.entries(TOKEN_KEY_FIELDS)) {
+            keys[role] = body[field] || null;
+        }
+        const createdAt = timestampString(context.consensusTimestamp);
+        const autoRenewPeriod = toNumber(body.autoRenewPeriod?.seconds) || DEFAULT_AUTO_RENEW_SECONDS;
+        const token = {
+            tokenId: tokenId,
+            name: body.name,
+            symbol: body.symbol,
+            memo: body.memo || "",
+            treasury: treasuryId,
+            keys: keys,
+            fungible: fungible,
+            decimals: fungible ? body.decimals || 0 : 0,
+            finite: finite,
+            maxSupply: finite ? toNumber(body.maxSupply) : 0,
+            totalSupply: initialSupply,
+            lastSerial: 0,
+            freezeDefault: Boolean(body.freezeDefault),
+            paused: false,
+            deleted: false,
+            customFees: body.customFees || [],
+            autoRenewAccount: autoRenewAccount,
+            autoRenewPeriod: autoRenewPeriod,
+            expiry: toNumber(body.expiry?.seconds) || context.consensusTimestamp.seconds + autoRenewPeriod,
+            createdAt: createdAt,
+            modifiedAt: createdAt
+        };
+        this.tokens.set(tokenId, token);
+
+        // La treasury est associée, jamais gelée et reçoit la supply initiale
+        const relationship = this.associate(treasury, token, false, context);
+        relationship.frozen = false;
+        relationship.balance = initialSupply;
+        if (initialSupply > 0) {
+            this.addTokenTransfer(context, tokenId, treasuryId, initialSupply);
+        }
+
+        // Les collecteurs des frais payés dans le token lui-même y sont associés d'office
+        for (const fee of token.customFees) {
+            const collector = this.accounts.get(entityId(fee.feeCollectorAccountId));
+            const selfDenominated = fee.fractionalFee || entityId(fee.fixedFee?.denominatingTokenId) === "0.0.0";
+            if (selfDenominated && !collector.relationships.has(tokenId)) {
+                this.associate(collector, token, false, context);
+            }
+        }
+        context.receipt.tokenID = tokenIdProto(tokenId);
+    },
+
+    tokenMint(body, context) {
+        const token = this.requireToken(entityId(body.token));
+        if (token.fungible) {
+            throw fail("NOT_SUPPORTED");
+        }
+        this.requireTokenKey(token, "supply", context.signers, "TOKEN_HAS_NO_SUPPLY_KEY");
+
+        const metadata = body.metadata || [];
+        if (metadata.length === 0) {
+            throw fail("INVALID_TOKEN_MINT_AMOUNT");
+        }
+        if (metadata.length > MAX_NFTS_PER_MINT) {
+            throw fail("BATCH_SIZE_LIMIT_EXCEEDED");
+        }
+        if (metadata.some(item => item.length > MAX_METADATA_BYTES)) {
+            throw fail("METADATA_TOO_LONG");
+        }
+        if (token.finite && token.totalSupply + metadata.length > token.maxSupply) {
+            throw fail("TOKEN_MAX_SUPPLY_REACHED");
+        }
+
+        const timestamp = timestampString(context.consensusTimestamp);
+        const serials = metadata.map(item => {
+            const serial = ++token.lastSerial;
+            this.nfts.set(`${token.tokenId}/${serial}`, {
+                tokenId: token.tokenId,
+                serial: serial,
+                owner: token.treasury,
+                spender: null,
+                metadata: Buffer.from(item),
+                deleted: false,
+                createdAt: timestamp,
+                modifiedAt: timestamp
+            });
+            this.addNftTransfer(context, token.tokenId, serial, null, token.treasury, "TOKENMINT");
+            return serial;
+        });
+        token.totalSupply += serials.length;
+        this.accounts.get(token.treasury).relationships.get(token.tokenId).balance += serials.length;
+
+        context.receipt.serialNumbers = serials;
+        context.receipt.newTotalSupply = token.totalSupply;
+    },
+
+    tokenBurn(body, context) {
+        const token = this.requireToken(entityId(body.token));
+        this.requireTokenKey(token, "supply", context.signers, "TOKEN_HAS_NO_SUPPLY_KEY");
+
+        const nfts = (body.serialNumbers || []).map(serial => this.requireNft(token.tokenId, toNumber(serial)));
+        if (nfts.length === 0) {
+            throw fail("INVALID_TOKEN_BURN_METADATA");
+        }
+        if (nfts.some(nft => nft.owner !== token.treasury)) {
+            throw fail("TREASURY_MUST_OWN_BURNED_NFT");
+        }
+
+        for (const nft of nfts) {
+            this.burnNft(token, nft, context, "TOKENBURN");
+        }
+        context.receipt.newTotalSupply = token.totalSupply;
+    },
+
+    tokenWipe(body, context) {
+        const token = this.requireToken(entityId(body.token));
+        this.requireTokenKey(token, "wipe", context.signers, "TOKEN_HAS_NO_WIPE_KEY");
+
+        const accountId = entityId(body.account);
+        const account = this.requireAccount(accountId);
+        if (accountId === token.treasury) {
+            throw fail("CANNOT_WIPE_TOKEN_TREASURY_ACCOUNT");
+        }
+        const relationship = account.relationships.get(token.tokenId);
+        if (!relationship) {
+            throw fail("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+        }
+        if (relationship.frozen) {
+            throw fail("ACCOUNT_FROZEN_FOR_TOKEN");
+        }
+        const nfts = (body.serialNumbers || []).map(serial => this.requireNft(token.tokenId, toNumber(serial)));
+        if (nfts.some(nft => nft.owner !== accountId)) {
+            throw fail("ACCOUNT_DOES_NOT_OWN_WIPED_NFT");
+        }
+
+        for (const nft of nfts) {
+            this.burnNft(token, nft, context, "TOKENWIPE");
+        }
+        context.receipt.newTotalSupply = token.totalSupply;
+    },
+
+    tokenAssociate(body, context) {
+        const accountId = entityId(body.account);
+        const account = this.requireAccount(accountId);
+        this.requireAccountSignature(accountId, context.signers);
+
+        const tokens = (body.tokens || []).map(tokenId => this.requireToken(entityId(tokenId), { allowPaused: true }));
+        if (tokens.some(token => account.relationships.has(token.tokenId))) {
+            throw fail("TOKEN_ALREADY_ASSOCIATED_TO_ACCOUNT");
+        }
+        for (const token of tokens) {
+            this.associate(account, token, false, context);
+        }
+    },
+
+    tokenFreeze(body, context) {
+        this.setFrozen(body, context, true);
+    },
+
+    tokenUnfreeze(body, context) {
+        this.setFrozen(body, context, false);
+    },
+
+    tokenPause(body, context) {
+        const token = this.requireToken(entityId(body.token), { allowPaused: true });
+        this.requireTokenKey(token, "pause", context.signers, "TOKEN_HAS_NO_PAUSE_KEY");
+        token.paused = true;
+        token.modifiedAt = timestampString(context.consensusTimestamp);
+    },
+
+    tokenUnpause(body, context) {
+        const token = this.requireToken(entityId(body.token), { allowPaused: true });
+        this.requireTokenKey(token, "pause", context.signers, "TOKEN_HAS_NO_PAUSE_KEY");
+        token.paused = false;
+        token.modifiedAt = timestampString(context.consensusTimestamp);
+    },
+
+    tokenDeletion(body, context) {
+        const token = this.requireToken(entityId(body.token), { allowPaused: true });
+        this.requireTokenKey(token, "admin", context.signers, "TOKEN_IS_IMMUTABLE");
+        token.deleted = true;
+        token.modifiedAt = timestampString(context.consensusTimestamp);
+    },
+
+    tokenUpdate(body, context) {
+        const token = this.requireToken(entityId(body.token), { allowPaused: true });
+
+        const changedKeys = Object.entries(TOKEN_KEY_FIELDS).filter(([field]) => body[field]);
+        const otherChanges = Boolean(body.name || body.symbol || body.treasury || body.autoRenewAccount ||
+            body.autoRenewPeriod || body.expiry || body.memo);
+
+        // Admin key, ou clé actuelle de chaque rôle modifié (HIP-540) quand seules des clés changent
+        const adminSigned = token.keys.admin && isKeySatisfied(token.keys.admin, context.signers);
+        if (!adminSigned) {
+            const selfSigned = !otherChanges && changedKeys.length > 0 && changedKeys.every(([, role]) =>
+                role !== "admin" && token.keys[role] && isKeySatisfied(token.keys[role], context.signers));
+            if (!selfSigned) {
+                throw fail(token.keys.admin ? "INVALID_SIGNATURE" : "TOKEN_IS_IMMUTABLE");
+            }
+        }
+        if (body.adminKey && !isKeySatisfied(body.adminKey, context.signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+        for (const [field, role] of changedKeys) {
+            if (!token.keys[role] && role !== "admin") {
+                throw fail(`TOKEN_HAS_NO_${role === "feeSchedule" ? "FEE_SCHEDULE" : role.toUpperCase()}_KEY`);
+            }
+            if (field === "adminKey" && !token.keys.admin) {
+                throw fail("TOKEN_IS_IMMUTABLE");
+            }
+        }
+        const treasuryId = entityId(body.treasury);
+        if (treasuryId) {
+            const treasury = this.requireAccount(treasuryId);
+            this.requireAccountSignature(treasuryId, context.signers);
+            if (!treasury.relationships.has(token.tokenId)) {
+                throw fail("INVALID_TREASURY_ACCOUNT_FOR_TOKEN");
+            }
+        }
+        const autoRenewAccount = entityId(body.autoRenewAccount);
+        if (autoRenewAccount) {
+            this.requireAccountSignature(autoRenewAccount, context.signers);
+        }
+
+        for (const [field, role] of changedKeys) {
+            token.keys[role] = body[field];
+        }
+        if (body.name) token.name = body.name;
+        if (body.symbol) token.symbol = body.symbol;
+        if (body.memo) token.memo = body.memo.value;
+        if (treasuryId) token.treasury = treasuryId;
+        if (autoRenewAccount) token.autoRenewAccount = autoRenewAccount;
+        if (body.autoRenewPeriod) token.autoRenewPeriod = toNumber(body.autoRenewPeriod.seconds);
+        if (body.expiry) token.expiry = toNumber(body.expiry.seconds);
+        token.modifiedAt = timestampString(context.consensusTimestamp);
+    },
+
+    tokenFeeScheduleUpdate(body, context) {
+        const token = this.requireToken(entityId(body.tokenId), { allowPaused: true });
+        this.requireTokenKey(token, "feeSchedule", context.signers, "TOKEN_HAS_NO_FEE_SCHEDULE_KEY");
+        this.validateCustomFees(body.customFees || [], token.fungible);
+        token.customFees = body.customFees || [];
+        token.modifiedAt = timestampString(context.consensusTimestamp);
+    },
+
+    cryptoApproveAllowance(body, context) {
+        if ((body.cryptoAllowances || []).length > 0 || (body.tokenAllowances || []).length > 0) {
+            throw fail("NOT_SUPPORTED");
+        }
+
+        const approvals = (body.nftAllowances || []).map(allowance => {
+            const ownerId = entityId(allowance.owner) || context.payerId;
+            const spenderId = entityId(allowance.spender);
+            const owner = this.requireAccount(ownerId);
+            this.requireAccount(spenderId);
+            this.requireAccountSignature(ownerId, context.signers);
+
+            const token = this.requireToken(entityId(allowance.tokenId));
+            if (!owner.relationships.has(token.tokenId)) {
+                throw fail("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+            }
+            const nfts = (allowance.serialNumbers || []).map(serial => this.requireNft(token.tokenId, toNumber(serial)));
+            if (nfts.some(nft => nft.owner !== ownerId)) {
+                throw fail("SENDER_DOES_NOT_OWN_NFT_SERIAL_NO");
+            }
+            return { ownerId, spenderId, token, nfts, approvedForAll: allowance.approvedForAll?.value };
+        });
+
+        for (const { ownerId, spenderId, token, nfts, approvedForAll } of approvals) {
+            for (const nft of nfts) {
+                nft.spender = spenderId;
+            }
+            const key = `${ownerId}|${token.tokenId}|${spenderId}`;
+            if (approvedForAll === true) {
+                this.nftAllowances.add(key);
+            } else if (approvedForAll === false) {
+                this.nftAllowances.delete(key);
+            }
+        }
+    },
+
+    cryptoDeleteAllowance(body, context) {
+        const removals = (body.nftAllowances || []).map(allowance => {
+            const ownerId = entityId(allowance.owner) || context.payerId;
+            this.requireAccount(ownerId);
+            this.requireAccountSignature(ownerId, context.signers);
+
+            const token = this.requireToken(entityId(allowance.tokenId));
+            const nfts = (allowance.serialNumbers || []).map(serial => this.requireNft(token.tokenId, toNumber(serial)));
+            if (nfts.some(nft => nft.owner !== ownerId)) {
+                throw fail("SENDER_DOES_NOT_OWN_NFT_SERIAL_NO");
+            }
+            return nfts;
+        });
+
+        for (const nft of removals.flat()) {
+            nft.spender = null;
+        }
+    },
+
+    scheduleCreate(body, context) {
+        const scheduled = body.scheduledTransactionBody;
+        if (!scheduled?.data || !TRANSACTION_HANDLERS[scheduled.data] || scheduled.data.startsWith("schedule")) {
+            throw fail("SCHEDULED_TRANSACTION_NOT_IN_WHITELIST");
+        }
+        // Les schedules à expiration choisie (waitForExpiry) ne sont pas modélisés
+        if (body.waitForExpiry || body.expirationTime) {
+            throw fail("SCHEDULE_EXPIRY_NOT_CONFIGURABLE");
+        }
+        if (body.adminKey && !isKeySatisfied(body.adminKey, context.signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+        const payerId = entityId(body.payerAccountID) || context.payerId;
+        if (!this.accounts.has(payerId)) {
+            throw fail("INVALID_SCHEDULE_PAYER_ID");
+        }
+
+        // Un schedule identique (même transaction, mémo et payeur) encore en attente est refusé
+        const bodyBytes = proto.SchedulableTransactionBody.encode(scheduled).finish();
+        const memo = body.memo || "";
+        const identical = [...this.schedules.values()].some(schedule => !schedule.executedAt && !schedule.deletedAt &&
+            Date.now() / 1000 <= schedule.expiresAt && schedule.payer === payerId && schedule.memo === memo &&
+            Buffer.compare(schedule.bodyBytes, bodyBytes) === 0);
+        if (identical) {
+            throw fail("IDENTICAL_SCHEDULE_ALREADY_CREATED");
+        }
+
+        const scheduleId = `0.0.${this.nextEntityNum++}`;
+        const timestamp = timestampString(context.consensusTimestamp);
+        const transactionID = { ...context.body.transactionID, scheduled: true };
+        const schedule = {
+            scheduleId: scheduleId,
+            memo: memo,
+            adminKey: body.adminKey || null,
+            creator: context.payerId,
+            payer: payerId,
+            body: scheduled,
+            bodyBytes: bodyBytes,
+            transactionID: transactionID,
+            transactionId: transactionIdString(transactionID),
+            signatories: new Map([...context.signers].map(publicKey => [publicKey, timestamp])),
+            expiresAt: toNumber(context.consensusTimestamp.seconds) + DEFAULT_SCHEDULE_EXPIRY_SECONDS,
+            executedAt: null,
+            deletedAt: null,
+            createdAt: timestamp
+        };
+        this.schedules.set(scheduleId, schedule);
+
+        context.receipt.scheduleID = scheduleIdProto(scheduleId);
+        context.receipt.scheduledTransactionID = transactionID;
+        // Les signatures de la création comptent déjà
+        context.onCommit = () => this.executeSchedule(schedule);
+    },
+
+    scheduleSign(body, context) {
+        const schedule = this.requireSchedule(entityId(body.scheduleID));
+        const added = [...context.signers].filter(publicKey => !schedule.signatories.has(publicKey));
+        if (added.length === 0) {
+            throw fail("NO_NEW_VALID_SIGNATURES");
+        }
+
+        const timestamp = timestampString(context.consensusTimestamp);
+        added.forEach(publicKey => schedule.signatories.set(publicKey, timestamp));
+        context.receipt.scheduledTransactionID = schedule.transactionID;
+        context.onCommit = () => this.executeSchedule(schedule);
+    },
+
+    consensusCreateTopic(body, context) {
+        if (body.adminKey && !isKeySatisfied(body.adminKey, context.signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+        const autoRenewAccount = entityId(body.autoRenewAccount);
+        if (autoRenewAccount) {
+            this.requireAccountSignature(autoRenewAccount, context.signers);
+        }
+
+        const topicId = `0.0.${this.nextEntityNum++}`;
+        this.topics.set(topicId, {
+            topicId: topicId,
+            memo: body.memo || "",
+            adminKey: body.adminKey || null,
+            submitKey: body.submitKey || null,
+            autoRenewAccount: autoRenewAccount,
+            sequenceNumber: 0,
+            runningHash: Buffer.alloc(48),
+            messages: [],
+            deleted: false,
+            createdAt: timestampString(context.consensusTimestamp)
+        });
+        context.receipt.topicID = topicIdProto(topicId);
+    },
+
+    consensusSubmitMessage(body, context) {
+        const topic = this.requireTopic(entityId(body.topicID));
+        if (topic.submitKey && !isKeySatisfied(topic.submitKey, context.signers)) {
+            throw fail("INVALID_SIGNATURE");
+        }
+        const message = Buffer.from(body.message || []);
+        if (message.length === 0) {
+            throw fail("INVALID_TOPIC_MESSAGE");
+        }
+        if (message.length > MAX_TOPIC_MESSAGE_BYTES) {
+            throw fail("MESSAGE_SIZE_TOO_LARGE");
+        }
+
+        // Hash courant simplifié : SHA-384(hash précédent, numéro, horodatage, message)
+        const sequenceNumber = topic.sequenceNumber + 1;
+        const consensusTimestamp = timestampString(context.consensusTimestamp);
+        const runningHash = createHash("sha384")
+            .update(topic.runningHash)
+            .update(`${topic.topicId}|${sequenceNumber}|${consensusTimestamp}|`)
+            .update(message)
+            .digest();
+
+        topic.sequenceNumber = sequenceNumber;
+        topic.runningHash = runningHash;
+        topic.messages.push({
+            sequenceNumber: sequenceNumber,
+            message: message,
+            runningHash: runningHash,
+            payer: context.payerId,
+            consensusTimestamp: consensusTimestamp,
+            chunkInfo: body.chunkInfo ? { number: body.chunkInfo.number, total: body.chunkInfo.total } : null
+        });
+
+        context.receipt.topicSequenceNumber = sequenceNumber;
+        context.receipt.topicRunningHash = runningHash;
+        context.receipt.topicRunningHashVersion = 3;
+    }
+};
+
+// Helpers partagés par plusieurs handlers
+Object.assign(LedgerSimulator.prototype, {
+    /**
+     * Helper - Brûler un NFT (burn depuis la treasury, wipe depuis un détenteur)
+     */
+    burnNft(token, nft, context, type) {
+        const owner = this.accounts.get(nft.owner);
+        owner.relationships.get(token.tokenId).balance -= 1;
+        this.addNftTransfer(context, token.tokenId, nft.serial, nft.owner, null, type);
+        nft.deleted = true;
+        nft.spender = null;
+        nft.modifiedAt = timestampString(context.consensusTimestamp);
+        token.totalSupply -= 1;
+    },
+
+    /**
+     * Helper - Geler / dégeler un compte pour un token
+     */
+    setFrozen(body, context, frozen) {
+        const token = this.requireToken(entityId(body.token));
+        this.requireTokenKey(token, "freeze", context.signers, "TOKEN_HAS_NO_FREEZE_KEY");
+
+        const relationship = this.requireAccount(entityId(body.account)).relationships.get(token.tokenId);
+        if (!relationship) {
+            throw fail("TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+        }
+        relationship.frozen = frozen;
+    }
+});
+
+// Requêtes simulées (champ "query" du Query)
+const QUERY_HANDLERS = {
+    transactionGetReceipt(query) {
+        const transaction = this.transactions.get(transactionIdString(query.transactionID));
+        if (!transaction) {
+            throw fail("RECEIPT_NOT_FOUND");
+        }
+        return { receipt: transaction.receipt };
+    },
+
+    transactionGetRecord(query) {
+        const transaction = this.transactions.get(transactionIdString(query.transactionID));
+        if (!transaction) {
+            throw fail("RECORD_NOT_FOUND");
+        }
+        return { transactionRecord: transaction.record };
+    },
+
+    cryptogetAccountBalance(query) {
+        const accountId = entityId(query.accountID);
+        const account = this.requireAccount(accountId);
+        return {
+            accountID: accountIdProto(accountId),
+            balance: account.balance,
+            tokenBalances: [...account.relationships].map(([tokenId, relationship]) => ({
+                tokenId: tokenIdProto(tokenId),
+                balance: relationship.balance,
+                decimals: this.tokens.get(tokenId).decimals
+            }))
+        };
+    },
+
+    cryptoGetInfo(query) {
+        const accountId = entityId(query.accountID);
+        const account = this.requireAccount(accountId);
+        return {
+            accountInfo: {
+                accountID: accountIdProto(accountId),
+                key: account.key,
+                balance: account.balance,
+                memo: account.memo,
+                maxAutomaticTokenAssociations: account.maxAutomaticTokenAssociations,
+                expirationTime: { seconds: Math.floor(Date.now() / 1000) + DEFAULT_AUTO_RENEW_SECONDS },
+                autoRenewPeriod: { seconds: DEFAULT_AUTO_RENEW_SECONDS },
+                tokenRelationships: [...account.relationships].map(([tokenId, relationship]) => {
+                    const token = this.tokens.get(tokenId);
+                    return {
+                        tokenId: tokenIdProto(tokenId),
+                        symbol: token.symbol,
+                        balance: relationship.balance,
+                        kycStatus: proto.TokenKycStatus.KycNotApplicable,
+                        freezeStatus: token.keys.freeze
+                            ? (relationship.frozen ? proto.TokenFreezeStatus.Frozen : proto.TokenFreezeStatus.Unfrozen)
+                            : proto.TokenFreezeStatus.FreezeNotApplicable,
+                        decimals: token.decimals,
+                        automaticAssociation: relationship.automatic
+                    };
+                })
+            }
+        };
+    },
+
+    tokenGetInfo(query) {
+        const token = this.tokens.get(entityId(query.token));
+        if (!token) {
+            throw fail("INVALID_TOKEN_ID");
+        }
+        return { tokenInfo: this.tokenInfo(token) };
+    },
+
+    scheduleGetInfo(query) {
+        const schedule = this.schedules.get(entityId(query.scheduleID));
+        if (!schedule) {
+            throw fail("INVALID_SCHEDULE_ID");
+        }
+        return {
+            scheduleInfo: {
+                scheduleID: scheduleIdProto(schedule.scheduleId),
+                creatorAccountID: accountIdProto(schedule.creator),
+                payerAccountID: accountIdProto(schedule.payer),
+                scheduledTransactionBody: schedule.body,
+                scheduledTransactionID: schedule.transactionID,
+                memo: schedule.memo,
+                adminKey: schedule.adminKey,
+                signers: { keys: [...schedule.signatories.keys()].map(publicKey => signerKeyProto(publicKey)) },
+                expirationTime: { seconds: schedule.expiresAt },
+                executionTime: schedule.executedAt,
+                deletionTime: schedule.deletedAt,
+                waitForExpiry: false
+            }
+        };
+    }
+};
+
+// Routes REST du mirror node simulé : [motif, handler(paramètres, query string)]
+const MIRROR_ROUTES = [
+    [/^\/api\/v1\/network\/exchangerate$/, function () {
+        return {
+            current_rate: {
+                cent_equivalent: this.usdPerHbar * 100,
+                hbar_equivalent: 1,
+                expiration_time: Math.floor(Date.now() / 1000) + 3600
+            }
+        };
+    }],
+    [/^\/api\/v1\/tokens\/([\d.]+)$/, function ([tokenId]) {
+        const token = this.tokens.get(tokenId);
+        if (!token) {
+            return null;
+        }
+        return {
+            token_id: token.tokenId,
+            name: token.name,
+            symbol: token.symbol,
+            type: token.fungible ? "FUNGIBLE_COMMON" : "NON_FUNGIBLE_UNIQUE",
+            memo: token.memo,
+            treasury_account_id: token.treasury,
+            total_supply: String(token.totalSupply),
+            max_supply: String(token.maxSupply),
+            supply_type: token.finite ? "FINITE" : "INFINITE",
+            deleted: token.deleted,
+            pause_status: token.keys.pause ? (token.paused ? "PAUSED" : "UNPAUSED") : "NOT_APPLICABLE",
+            freeze_default: token.freezeDefault,
+            custom_fees: mirrorCustomFees(token),
+            created_timestamp: token.createdAt,
+            modified_timestamp: token.modifiedAt
+        };
+    }],
+    [/^(\/api\/v1\/tokens\/([\d.]+)\/nfts)$/, function ([pathname, tokenId], searchParams) {
+        const accountId = searchParams.get("account.id");
+        const nfts = [...this.nfts.values()].filter(nft => nft.tokenId === tokenId && (!accountId || nft.owner === accountId));
+        return this.mirrorNftPage(pathname, nfts, searchParams);
+    }],
+    [/^\/api\/v1\/tokens\/([\d.]+)\/nfts\/(\d+)$/, function ([tokenId, serial]) {
+        const nft = this.nfts.get(`${tokenId}/${Number(serial)}`);
+        return nft ? this.mirrorNft(nft) : null;
+    }],
+    [/^\/api\/v1\/tokens\/([\d.]+)\/nfts\/(\d+)\/transactions$/, function ([tokenId, serial]) {
+        const transactions = this.nftHistory
+            .filter(event => event.tokenId === tokenId && event.serial === Number(serial))
+            .reverse()
+            .map(event => ({
+                transaction_id: event.transactionId.replace("?scheduled", "").replace("@", "-").replace(/\.(\d+)$/, "-$1"),
+                scheduled: event.transactionId.endsWith("?scheduled"),
+                type: event.type,
+                sender_account_id: event.from,
+                receiver_account_id: event.to,
+                is_approval: event.isApproval,
+                consensus_timestamp: event.consensusTimestamp
+            }));
+        return { transactions: transactions, links: { next: null } };
+    }],
+    [/^(\/api\/v1\/accounts\/([\d.]+)\/nfts)$/, function ([pathname, accountId], searchParams) {
+        const tokenId = searchParams.get("token.id");
+        const nfts = [...this.nfts.values()].filter(nft => !nft.deleted && nft.owner === accountId &&
+            (!tokenId || nft.tokenId === tokenId));
+        return this.mirrorNftPage(pathname, nfts, searchParams);
+    }],
+    [/^(\/api\/v1\/topics\/([\d.]+)\/messages)$/, function ([pathname, topicId], searchParams) {
+        const topic = this.topics.get(topicId);
+        if (!topic) {
+            return null;
+        }
+
+        // Tri et pagination par numéro de séquence, comme le mirror node
+        const order = searchParams.get("order") === "desc" ? "desc" : "asc";
+        const limit = Number(searchParams.get("limit") || 25);
+        const cursor = searchParams.get("sequencenumber");
+        let messages = [...topic.messages].sort((a, b) => order === "asc"
+            ? a.sequenceNumber - b.sequenceNumber
+            : b.sequenceNumber - a.sequenceNumber);
+        if (cursor) {
+            const [operator, value] = cursor.split(":");
+            messages = messages.filter(message => operator === "gt"
+                ? message.sequenceNumber > Number(value)
+                : message.sequenceNumber < Number(value));
+        }
+
+        const page = messages.slice(0, limit);
+        const next = messages.length > limit
+            ? `${pathname}?limit=${limit}&order=${order}&sequencenumber=${order === "asc" ? "gt" : "lt"}:${page[page.length - 1].sequenceNumber}`
+            : null;
+        return {
+            messages: page.map(message => ({
+                topic_id: topicId,
+                sequence_number: message.sequenceNumber,
+                consensus_timestamp: message.consensusTimestamp,
+                message: Buffer.from(message.message).toString("base64"),
+                running_hash: Buffer.from(message.runningHash).toString("base64"),
+                running_hash_version: 3,
+                payer_account_id: message.payer,
+                chunk_info: message.chunkInfo
+            })),
+            links: { next: next }
+        };
+    }],
+    [/^(\/api\/v1\/schedules)$/, function ([pathname], searchParams) {
+        // Tri et pagination par numéro de schedule, filtre sur le créateur (account.id)
+        const accountId = searchParams.get("account.id");
+        const order = searchParams.get("order") === "desc" ? "desc" : "asc";
+        const limit = Number(searchParams.get("limit") || 25);
+        const cursor = searchParams.get("schedule.id");
+        const num = scheduleId => Number(scheduleId.split(".")[2]);
+
+        let schedules = [...this.schedules.values()]
+            .filter(schedule => !accountId || schedule.creator === accountId)
+            .sort((a, b) => order === "asc" ? num(a.scheduleId) - num(b.scheduleId) : num(b.scheduleId) - num(a.scheduleId));
+        if (cursor) {
+            const [operator, value] = cursor.split(":");
+            schedules = schedules.filter(schedule => operator === "gt"
+                ? num(schedule.scheduleId) > num(value)
+                : num(schedule.scheduleId) < num(value));
+        }
+
+        const page = schedules.slice(0, limit);
+        const next = schedules.length > limit
+            ? `${pathname}?limit=${limit}&order=${order}${accountId ? `&account.id=${accountId}` : ""}&schedule.id=${order === "asc" ? "gt" : "lt"}:${page[page.length - 1].scheduleId}`
+            : null;
+        return { schedules: page.map(schedule => this.mirrorSchedule(schedule)), links: { next: next } };
+    }],
+    [/^\/api\/v1\/schedules\/([\d.]+)$/, function ([scheduleId]) {
+        const schedule = this.schedules.get(scheduleId);
+        return schedule ? this.mirrorSchedule(schedule) : null;
+    }],
+    [/^\/api\/v1\/accounts\/([\d.]+)\/allowances\/nfts$/, function ([ownerId], searchParams) {
+        const tokenId = searchParams.get("token.id");
+        const spenderId = searchParams.get("account.id");
+        const allowances = [...this.nftAllowances]
+            .map(key => key.split("|"))
+            .filter(([owner, token, spender]) => owner === ownerId && (!tokenId || token === tokenId) &&
+                (!spenderId || spender === spenderId))
+            .map(([owner, token, spender]) => ({
+                approved_for_all: true,
+                owner: owner,
+                spender: spender,
+                token_id: token,
+                timestamp: { from: null, to: null }
+            }));
+        return { allowances: allowances, links: { next: null } };
+    }]
+];
+
+export default LedgerSimulator;
@@ -0,0 +1,101 @@
+import { Client } from "@hashgraph/sdk";
+import { proto } from "@hashgraph/proto";
+
+// Adresse fictive du seul nœud simulé
+export const SIMULATOR_NODE = { "simulator:50211": "0.0.3" };
+
+// Services gRPC du réseau Hedera, tels que le SDK les appelle
+const SERVICES = {
+    crypto: "CryptoService",
+    smartContract: "SmartContractService",
+    file: "FileService",
+    consensus: "ConsensusService",
+    freeze: "FreezeService",
+    network: "NetworkService",
+    token: "TokenService",
+    schedule: "ScheduleService",
+    util: "UtilService",
+    addressBook: "AddressBookService"
+};
+
+// Méthodes gRPC dont la requête est un Query (les autres reçoivent une Transaction)
+const QUERY_METHODS = new Set([
+    "contractCallLocalMethod", "contractGetBytecode", "cryptoGetBalance", "getAccountDetails", "getAccountInfo",
+    "getAccountRecords", "getBySolidityID", "getContractInfo", "getExecutionTime", "getFileContent", "getFileInfo",
+    "getLiveHash", "getScheduleInfo", "getTokenInfo", "getTokenNftInfo", "getTopicInfo", "getTransactionReceipts",
+    "getTxRecordByContractID", "getTxRecordByTxID", "getVersionInfo"
+]);
+
+/**
+ * Channel answering the SDK's gRPC calls from a LedgerSimulator instead of a node
+ */
+class SimulatorChannel {
+    /**
+     * @param {LedgerSimulator} ledger - Simulated ledger
+     */
+    constructor(ledger) {
+        this.ledger = ledger;
+        this.services = {};
+
+        for (const [property, serviceName] of Object.entries(SERVICES)) {
+            Object.defineProperty(this, property, {
+                get: () => this.service(serviceName)
+            });
+        }
+    }
+
+    /**
+     * Helper - Service protobuf dont chaque appel unaire part vers le simulateur
+     */
+    service(serviceName) {
+        if (!this.services[serviceName]) {
+            this.services[serviceName] = proto[serviceName].create((method, requestData, callback) => {
+                const requestType = QUERY_METHODS.has(method.name) ? "Query" : "Transaction";
+
+                // Réponse asynchrone, comme un vrai appel réseau
+                setImmediate(() => {
+                    try {
+                        callback(null, this.ledger.handleRequest(requestType, requestData));
+                    } catch (error) {
+                        callback(error);
+                    }
+                });
+            });
+        }
+        return this.services[serviceName];
+    }
+
+    close() {}
+}
+
+/**
+ * SDK client whose network is an in-memory LedgerSimulator (see LedgerSimulator.createClient)
+ * Transactions and queries go through the real SDK code (freeze, signatures, receipts), only the node is simulated.
+ */
+class SimulatorClient extends Client {
+    /**
+     * @param {LedgerSimulator} ledger - Simulated ledger
+     */
+    constructor(ledger) {
+        super({ network: SIMULATOR_NODE });
+        this.ledger = ledger;
+    }
+
+    /**
+     * Channels are created lazily, once the ledger is set
+     * @override
+     */
+    _createNetworkChannel() {
+        return () => new SimulatorChannel(this.ledger);
+    }
+
+    /**
+     * No mirror network: mirror node REST calls go to LedgerSimulator.createMirrorNode
+     * @override
+     */
+    _createMirrorNetworkChannel() {
+        return () => ({ close() {} });
+    }
+}
+
+export default SimulatorClient;
@@ -0,0 +1,113 @@
+import { CustomFixedFee, CustomRoyaltyFee, Hbar } from "@hashgraph/sdk";
+
+// Hedera limite le nombre de frais personnalisés par token
+export const MAX_CUSTOM_FEES = 10;
+
+/**
+ * Build a fixed fee (HBAR or fungible token)
+ * @param {Object} spec - { hbar } or { amount, tokenId }
+ * @returns {CustomFixedFee} Fixed fee without collector
+ */
+function buildFixedFee(spec) {
+    const fee = new CustomFixedFee();
+
+    if (spec.hbar !== undefined) {
+        return fee.setHbarAmount(new Hbar(spec.hbar));
+    }
+    if (spec.amount !== undefined && spec.tokenId) {
+        return fee.setAmount(spec.amount).setDenominatingTokenId(spec.tokenId);
+    }
+
+    throw new Error("A fixed fee needs { hbar } or { amount, tokenId }");
+}
+
+/**
+ * Build the SDK custom fees of an NFT collection
+ * Specs:
+ *   { type: "fixed", hbar: 1, feeCollector }
+ *   { type: "fixed", amount: 10, tokenId: "0.0.x", feeCollector }
+ *   { type: "royalty", numerator: 5, denominator: 100, feeCollector, fallbackFee: { hbar: 2 } }
+ * Every spec accepts allCollectorsAreExempt.
+ * @param {Array} specs - Fee specifications
+ * @param {Function} resolveAccountId - Turns a fee collector reference into an account ID
+ * @returns {Array} CustomFixedFee / CustomRoyaltyFee objects
+ */
+export function buildCustomFees(specs = [], resolveAccountId = account => account.toString()) {
+    if (!Array.isArray(specs)) {
+        throw new Error("customFees must be an array");
+    }
+    if (specs.length > MAX_CUSTOM_FEES) {
+        throw new Error(`A token can have at most ${MAX_CUSTOM_FEES} custom fees, got ${specs.length}`);
+    }
+
+    return specs.map((spec, index) => {
+        if (!spec.feeCollector) {
+            throw new Error(`Custom fee #${index} needs a feeCollector`);
+        }
+
+        let fee;
+        if (spec.type === "fixed") {
+            fee = buildFixedFee(spec);
+        } else if (spec.type === "royalty") {
+            const { numerator, denominator } = spec;
+            if (!Number.isInteger(numerator) || !Number.isInteger(denominator) || numerator < 0 || denominator <= 0 || numerator > denominator) {
+                throw new Error(`Royalty fee #${index} needs integers with 0 <= numerator <= denominator`);
+            }
+
+            fee = new CustomRoyaltyFee()
+                .setNumerator(numerator)
+                .setDenominator(denominator);
+
+            // Frais de repli quand le NFT est échangé sans contrepartie fongible
+            if (spec.fallbackFee) {
+                fee.setFallbackFee(buildFixedFee(spec.fallbackFee));
+            }
+        } else {
+            throw new Error(`Custom fee #${index} has unsupported type "${spec.type}" (expected fixed or royalty)`);
+        }
+
+        fee.setFeeCollectorAccountId(resolveAccountId(spec.feeCollector));
+        if (spec.allCollectorsAreExempt) {
+            fee.setAllCollectorsAreExempt(true);
+        }
+        return fee;
+    });
+}
+
+/**
+ * Helper - Décrire un frais fixe en objet lisible
+ */
+function describeFixedFee(fee) {
+    if (fee.denominatingTokenId) {
+        return { amount: fee.amount?.toNumber(), tokenId: fee.denominatingTokenId.toString() };
+    }
+    return { hbar: Hbar.fromTinybars(fee.amount ?? 0).toBigNumber().toNumber() };
+}
+
+/**
+ * Describe custom fees as plain objects (same shape as the specs)
+ * @param {Array} fees - Custom fees from TokenInfoQuery
+ * @returns {Array} Readable fees
+ */
+export function describeCustomFees(fees = []) {
+    return fees.map(fee => {
+        const base = {
+            feeCollector: fee.feeCollectorAccountId?.toString(),
+            allCollectorsAreExempt: Boolean(fee.allCollectorsAreExempt)
+        };
+
+        if (fee instanceof CustomRoyaltyFee) {
+            return {
+                type: "royalty",
+                numerator: fee.numerator?.toNumber(),
+                denominator: fee.denominator?.toNumber(),
+                fallbackFee: fee.fallbackFee ? describeFixedFee(fee.fallbackFee) : null,
+                ...base
+            };
+        }
+        if (fee instanceof CustomFixedFee) {
+            return { type: "fixed", ...describeFixedFee(fee), ...base };
+        }
+        return { type: "unknown", ...base };
+    });
+}
@@ -0,0 +1,122 @@
+import { KeyList, PrivateKey, PublicKey } from "@hashgraph/sdk";
+
+// Rôles de clé d'un token Hedera -> champ de tokenConfig / setter des transactions
+export const TOKEN_KEY_ROLES = {
+    admin: { configField: "adminKey", setter: "setAdminKey" },
+    supply: { configField: "supplyKey", setter: "setSupplyKey" },
+    freeze: { configField: "freezeKey", setter: "setFreezeKey" },
+    wipe: { configField: "wipeKey", setter: "setWipeKey" },
+    kyc: { configField: "kycKey", setter: "setKycKey" },
+    pause: { configField: "pauseKey", setter: "setPauseKey" },
+    feeSchedule: { configField: "feeScheduleKey", setter: "setFeeScheduleKey" },
+    metadata: { configField: "metadataKey", setter: "setMetadataKey" }
+};
+
+/**
+ * Assert that a key role exists
+ * @param {string} role - Key role (admin, supply, freeze, ...)
+ */
+export function assertKeyRole(role) {
+    if (!TOKEN_KEY_ROLES[role]) {
+        throw new Error(`Unknown token key role "${role}", expected one of: ${Object.keys(TOKEN_KEY_ROLES).join(", ")}`);
+    }
+}
+
+/**
+ * Resolve a key specification into the on-chain key and the private keys we hold
+ * Accepted specs: PrivateKey, PublicKey, KeyList, "generate", an array of specs (KeyList)
+ * or { keys: [...], threshold: n } (threshold KeyList).
+ * @param {*} spec - Key specification
+ * @returns {Object} { key, privateKeys }
+ */
+export function resolveKeySpec(spec) {
+    if (spec === "generate") {
+        const privateKey = PrivateKey.generateED25519();
+        return { key: privateKey.publicKey, privateKeys: [privateKey] };
+    }
+    if (spec instanceof PrivateKey) {
+        return { key: spec.publicKey, privateKeys: [spec] };
+    }
+    if (spec instanceof PublicKey || spec instanceof KeyList) {
+        return { key: spec, privateKeys: [] };
+    }
+
+    const isThresholdSpec = spec && typeof spec === "object" && Array.isArray(spec.keys);
+    if (Array.isArray(spec) || isThresholdSpec) {
+        const members = (isThresholdSpec ? spec.keys : spec).map(resolveKeySpec);
+        const keyList = KeyList.of(...members.map(member => member.key));
+
+        if (isThresholdSpec && spec.threshold !== undefined) {
+            if (!Number.isInteger(spec.threshold) || spec.threshold < 1 || spec.threshold > members.length) {
+                throw new Error(`Key list threshold must be between 1 and ${members.length}`);
+            }
+            keyList.setThreshold(spec.threshold);
+        }
+
+        return { key: keyList, privateKeys: members.flatMap(member => member.privateKeys) };
+    }
+
+    throw new Error("Invalid key spec: expected PrivateKey, PublicKey, KeyList, \"generate\", an array or { keys, threshold }");
+}
+
+/**
+ * Does a key specification generate a new key somewhere (directly or inside a key list)?
+ * @param {*} spec - Key specification
+ * @returns {boolean}
+ */
+export function isGeneratedKeySpec(spec) {
+    if (spec === "generate") {
+        return true;
+    }
+    if (Array.isArray(spec)) {
+        return spec.some(isGeneratedKeySpec);
+    }
+    return Boolean(spec && typeof spec === "object" && Array.isArray(spec.keys) && spec.keys.some(isGeneratedKeySpec));
+}
+
+/**
+ * Resolve every key role present in a token configuration
+ * @param {Object} config - Token configuration
+ * @returns {Object} Map role -> { key, privateKeys }
+ */
+export function resolveTokenKeys(config) {
+    const keys = {};
+    for (const [role, { configField }] of Object.entries(TOKEN_KEY_ROLES)) {
+        if (config[configField] !== undefined && config[configField] !== null) {
+            keys[role] = resolveKeySpec(config[configField]);
+        }
+    }
+    return keys;
+}
+
+/**
+ * Private keys held for a role as an array (keys can be a single PrivateKey or a list)
+ * @param {Object} keys - Map role -> PrivateKey | PrivateKey[]
+ * @param {string} role - Key role
+ * @returns {Array} Private keys
+ */
+export function privateKeysForRole(keys, role) {
+    const value = keys?.[role];
+    if (!value) {
+        return [];
+    }
+    return Array.isArray(value) ? value : [value];
+}
+
+/**
+ * Sign a frozen transaction with every given key
+ * @param {Transaction} transaction - Frozen transaction
+ * @param {Array} privateKeys - Keys to sign with (null entries and duplicates are skipped)
+ * @returns {Transaction} Signed transaction
+ */
+export async function signWithKeys(transaction, privateKeys) {
+    const seen = new Set();
+    for (const privateKey of privateKeys.filter(Boolean)) {
+        const id = privateKey.publicKey.toStringRaw();
+        if (!seen.has(id)) {
+            seen.add(id);
+            await transaction.sign(privateKey);
+        }
+    }
+    return transaction;
+}
@@ -0,0 +1,86 @@
+// Limites imposées par le réseau Hedera, par CryptoTransfer
+export const MAX_NFT_TRANSFERS_PER_TRANSACTION = 10;
+export const MAX_TOKEN_TRANSFERS_PER_TRANSACTION = 10;
+export const MAX_HBAR_TRANSFERS_PER_TRANSACTION = 10;
+
+/**
+ * Check NFT transfers before building transactions
+ * @param {Array} transfers - { tokenId, serial, from, to } (IDs as strings)
+ * @returns {Array} Errors found (empty when valid)
+ */
+export function validateNftTransfers(transfers) {
+    const errors = [];
+    const seen = new Set();
+
+    transfers.forEach((transfer, index) => {
+        const key = `${transfer.tokenId}#${transfer.serial}`;
+        if (!Number.isInteger(transfer.serial) || transfer.serial < 1) {
+            errors.push({ index, message: `invalid serial number "${transfer.serial}"` });
+        } else if (transfer.from === transfer.to) {
+            errors.push({ index, message: `${key} is sent to its own holder ${transfer.from}` });
+        } else if (seen.has(key)) {
+            errors.push({ index, message: `${key} is transferred twice` });
+        }
+        seen.add(key);
+    });
+
+    return errors;
+}
+
+/**
+ * Split NFT transfers into transactions (each NFT transfer counts once, whatever its accounts)
+ * @param {Array} transfers - NFT transfers
+ * @param {number} chunkSize - NFT transfers per transaction
+ * @returns {Array} Array of chunks
+ */
+export function chunkNftTransfers(transfers, chunkSize = MAX_NFT_TRANSFERS_PER_TRANSACTION) {
+    if (!Number.isInteger(chunkSize) || chunkSize < 1 || chunkSize > MAX_NFT_TRANSFERS_PER_TRANSACTION) {
+        throw new Error(`chunkSize must be an integer between 1 and ${MAX_NFT_TRANSFERS_PER_TRANSACTION}`);
+    }
+
+    const chunks = [];
+    for (let i = 0; i < transfers.length; i += chunkSize) {
+        chunks.push(transfers.slice(i, i + chunkSize));
+    }
+    return chunks;
+}
+
+/**
+ * Check a swap of NFTs for a payment, which must fit in a single transaction
+ * @param {Object} swap - tokenId, serials, seller, buyer (IDs as strings), price: { hbar } or { tokenId, amount }
+ * @returns {Array} Errors found (empty when valid)
+ */
+export function validateNftSwap({ tokenId, serials, seller, buyer, price }) {
+    const errors = [];
+
+    if (serials.length === 0) {
+        errors.push("no serial to swap");
+    }
+    if (serials.length > MAX_NFT_TRANSFERS_PER_TRANSACTION) {
+        errors.push(`${serials.length} NFTs can't be swapped atomically, max is ${MAX_NFT_TRANSFERS_PER_TRANSACTION} per transaction`);
+    }
+    if (serials.some(serial => !Number.isInteger(serial) || serial < 1)) {
+        errors.push("serial numbers must be positive integers");
+    }
+    if (new Set(serials).size !== serials.length) {
+        errors.push("a serial is listed twice");
+    }
+    if (seller === buyer) {
+        errors.push(`seller and buyer are the same account (${seller})`);
+    }
+
+    // Prix : HBAR ou token fongible, jamais les deux
+    const hasHbar = price?.hbar !== undefined;
+    const hasToken = price?.tokenId !== undefined;
+    if (hasHbar === hasToken) {
+        errors.push("price must be either { hbar } or { token, amount }");
+    } else if (hasHbar && !(Number.isFinite(price.hbar) && price.hbar > 0)) {
+        errors.push(`invalid HBAR price "${price.hbar}"`);
+    } else if (hasToken && !(Number.isInteger(price.amount) && price.amount > 0)) {
+        errors.push(`invalid token amount "${price.amount}" (smallest unit, positive integer)`);
+    } else if (hasToken && price.tokenId === tokenId) {
+        errors.push("the price can't be paid with the swapped token");
+    }
+
+    return errors;
+}
@@ -0,0 +1,40 @@
+import { PrivateKey } from "@hashgraph/sdk";
+
+/**
+ * Convert SDK objects (AccountId, TokenId, Long, Status, ...) to plain JSON values
+ * Private keys are never serialized.
+ * @param {*} value - Value to convert
+ * @returns {*} JSON-friendly value
+ */
+export function toJsonValue(value) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    if (value instanceof PrivateKey) {
+        return undefined;
+    }
+    if (typeof value === "bigint") {
+        return value.toString();
+    }
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) {
+        return Buffer.from(value).toString();
+    }
+    if (Array.isArray(value)) {
+        // Une liste de clés privées (KeyList) disparaît entièrement
+        return value.map(toJsonValue).filter(item => item !== undefined);
+    }
+    if (typeof value === "object") {
+        if (Object.getPrototypeOf(value) === Object.prototype) {
+            const result = {};
+            for (const [key, item] of Object.entries(value)) {
+                const converted = toJsonValue(item);
+                if (converted !== undefined) {
+                    result[key] = converted;
+                }
+            }
+            return result;
+        }
+        return value.toString();
+    }
+    return value;
+}
@@ -0,0 +1,320 @@
+import { PrivateKey, PublicKey } from "@hashgraph/sdk";
+import { DIPLOMA_REQUIRED_PROPERTIES, validateDiplomaMetadata } from "../metadata/diploma-metadata.js";
+import { resolveMirrorNodeUrl } from "../config/hedera-config.js";
+import MirrorNodeClient from "../mirror/MirrorNodeClient.js";
+import RevocationRegistry from "../revocation/RevocationRegistry.js";
+
+export const REPORT_VERSION = 1;
+
+// Limites du téléchargement des métadonnées (URI on-chain choisie par l'émetteur)
+export const METADATA_FETCH_TIMEOUT_MS = 10000;
+export const MAX_METADATA_BYTES = 64 * 1024;
+
+const ENTITY_ID_PATTERN = /^\d+\.\d+\.\d+$/;
+// ipfs://CID[/chemin] : CID alphanumérique, segments sans "." ni ".."
+const IPFS_URI_PATTERN = /^ipfs:\/\/(?:ipfs\/)?([a-z0-9]+)((?:\/[\w.-]+)*)\/?$/i;
+
+/**
+ * Helper - Erreur de requête (HTTP 400 côté serveur)
+ */
+function badRequest(message) {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+}
+
+/**
+ * Serialize a value as JSON with sorted keys (the bytes covered by the report signature)
+ * @param {*} value - JSON value
+ * @returns {string} Canonical JSON
+ */
+export function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(canonicalJson).join(",")}]`;
+    }
+    if (value && typeof value === "object") {
+        const entries = Object.keys(value)
+            .filter(key => value[key] !== undefined)
+            .sort()
+            .map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+        return `{${entries.join(",")}}`;
+    }
+    return JSON.stringify(value);
+}
+
+/**
+ * Check the signature of a verification report
+ * @param {Object} report - Signed report from DiplomaVerifier.verify
+ * @param {PublicKey|string} trustedKey - Expected verifier key (required: the key embedded in the report proves nothing)
+ * @returns {boolean} false without a trusted key
+ */
+export function verifyReportSignature(report, trustedKey) {
+    const { signature, ...unsigned } = report;
+    if (!trustedKey || !signature?.value || !signature.publicKey) {
+        return false;
+    }
+
+    const publicKey = PublicKey.fromString(signature.publicKey);
+    if (PublicKey.fromString(trustedKey.toString()).toStringRaw() !== publicKey.toStringRaw()) {
+        return false;
+    }
+    return publicKey.verify(Buffer.from(canonicalJson(unsigned)), Buffer.from(signature.value, "hex"));
+}
+
+/**
+ * Turn an NFT metadata URI into a gateway URL
+ * Only ipfs:// URIs are fetched, always through the configured gateway: the URI comes from on-chain data
+ * anyone can write, so http(s) URIs would let a token make the verifier call arbitrary hosts.
+ * @param {string} uri - ipfs://CID/path
+ * @param {string} gatewayUrl - IPFS gateway base URL (e.g. https://ipfs.io/ipfs)
+ * @returns {string} URL
+ */
+export function resolveMetadataUrl(uri, gatewayUrl) {
+    const match = typeof uri === "string" ? uri.match(IPFS_URI_PATTERN) : null;
+    if (!match || match[2].split("/").some(segment => segment === "." || segment === "..")) {
+        throw new Error(`Unsupported metadata URI "${uri}", only ipfs:// URIs are verified`);
+    }
+    return `${gatewayUrl.replace(/\/+$/, "")}/${match[1]}${match[2]}`;
+}
+
+/**
+ * Fields of a diploma metadata document covered by the verification (the rest of the document isn't echoed)
+ * @param {Object} metadata - Valid diploma metadata
+ * @returns {Object} { name, image, type, properties }
+ */
+export function checkedMetadataFields(metadata) {
+    const properties = {};
+    for (const property of DIPLOMA_REQUIRED_PROPERTIES) {
+        properties[property] = metadata.properties[property];
+    }
+    return { name: metadata.name, image: metadata.image, type: metadata.type, properties: properties };
+}
+
+/**
+ * Helper - Corps d'une réponse lu par morceaux, abandonné au-delà de maxBytes
+ */
+async function readLimitedBody(response, maxBytes, url) {
+    const declared = Number(response.headers.get("content-length"));
+    if (declared > maxBytes) {
+        throw new Error(`Metadata at ${url} is ${declared} bytes, over the ${maxBytes} bytes limit`);
+    }
+
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of response.body || []) {
+        size += chunk.length;
+        if (size > maxBytes) {
+            throw new Error(`Metadata at ${url} is over the ${maxBytes} bytes limit`);
+        }
+        chunks.push(Buffer.from(chunk));
+    }
+    return Buffer.concat(chunks).toString("utf8");
+}
+
+/**
+ * Verifies diplomas for third parties (employers): issuer, ownership, metadata, revocation
+ * Works from the mirror node and an IPFS gateway only, no operator account needed.
+ */
+class DiplomaVerifier {
+    /**
+     * @param {Object} options - Verifier options
+     * @param {MirrorNodeClient} options.mirrorNode - Mirror node client
+     * @param {Array} options.institutions - Known institution treasuries ({ accountId, name } or account IDs)
+     * @param {PrivateKey|string} options.signingKey - Key that signs the reports
+     * @param {string} options.ipfsGatewayUrl - IPFS gateway base URL
+     * @param {RevocationRegistry} options.revocationRegistry - Optional local revocation registry
+     * @param {Function} options.fetch - fetch implementation (defaults to the global fetch)
+     * @param {number} options.metadataTimeoutMs - Metadata download timeout
+     * @param {number} options.maxMetadataBytes - Metadata document size limit
+     */
+    constructor({
+        mirrorNode,
+        institutions = [],
+        signingKey,
+        ipfsGatewayUrl,
+        revocationRegistry = null,
+        fetch = globalThis.fetch,
+        metadataTimeoutMs = METADATA_FETCH_TIMEOUT_MS,
+        maxMetadataBytes = MAX_METADATA_BYTES
+    } = {}) {
+        if (!mirrorNode) {
+            throw new Error("A mirror node client is required");
+        }
+        if (!signingKey) {
+            throw new Error("A signing key is required to sign verification reports (VERIFIER_SIGNING_KEY)");
+        }
+        if (!ipfsGatewayUrl) {
+            throw new Error("An IPFS gateway URL is required");
+        }
+
+        this.mirrorNode = mirrorNode;
+        this.institutions = institutions.map(institution => typeof institution === "string"
+            ? { accountId: institution, name: null }
+            : { accountId: institution.accountId.toString(), name: institution.name || null });
+        this.signingKey = signingKey instanceof PrivateKey ? signingKey : PrivateKey.fromStringDer(signingKey);
+        this.ipfsGatewayUrl = ipfsGatewayUrl;
+        this.revocationRegistry = revocationRegistry;
+        this.fetch = fetch;
+        this.metadataTimeoutMs = metadataTimeoutMs;
+        this.maxMetadataBytes = maxMetadataBytes;
+    }
+
+    /**
+     * Helper - Institution connue dont le compte est la treasury du token
+     */
+    findInstitution(accountId) {
+        return this.institutions.find(institution => institution.accountId === accountId) || null;
+    }
+
+    /**
+     * Fetch the metadata document behind an NFT metadata URI (IPFS gateway, time and size limited)
+     * @param {string} uri - Metadata URI (ipfs://)
+     * @returns {Object} Parsed JSON document
+     */
+    async fetchMetadata(uri) {
+        const url = resolveMetadataUrl(uri, this.ipfsGatewayUrl);
+        const response = await this.fetch(url, {
+            headers: { accept: "application/json" },
+            signal: AbortSignal.timeout(this.metadataTimeoutMs)
+        });
+        if (!response.ok) {
+            throw new Error(`Metadata fetch from ${url} failed with HTTP ${response.status}`);
+        }
+        try {
+            return JSON.parse(await readLimitedBody(response, this.maxMetadataBytes, url));
+        } catch (error) {
+            throw new Error(`Metadata from ${url} can't be read: ${error.message}`);
+        }
+    }
+
+    /**
+     * Verify a diploma and return a signed report
+     * @param {string} tokenId - Token ID
+     * @param {number} serial - Serial number
+     * @param {Object} options - holder: account the diploma is claimed to belong to
+     * @returns {Object} Signed report { valid, checks, institution, holder, metadata, signature, ... }
+     */
+    async verify(tokenId, serial, options = {}) {
+        const serialNumber = Number(serial);
+        if (!ENTITY_ID_PATTERN.test(String(tokenId))) {
+            throw badRequest(`Invalid token ID "${tokenId}"`);
+        }
+        if (!Number.isInteger(serialNumber) || serialNumber <= 0) {
+            throw badRequest(`Invalid serial number "${serial}"`);
+        }
+        if (options.holder && !ENTITY_ID_PATTERN.test(String(options.holder))) {
+            throw badRequest(`Invalid holder account "${options.holder}"`);
+        }
+
+        const checks = [];
+        const check = (name, passed, details = null) => {
+            checks.push({ name: name, passed: passed, details: details });
+            return passed;
+        };
+
+        let institution = null;
+        let nft = null;
+        let metadata = null;
+
+        // 1. Émetteur : la treasury du token doit être une institution connue
+        const token = await this.mirrorNode.getTokenInfo(tokenId);
+        if (check("tokenExists", Boolean(token), token ? null : `Token ${tokenId} not found`)) {
+            institution = this.findInstitution(token.treasury);
+            check("knownInstitution", Boolean(institution),
+                institution ? institution.name || institution.accountId : `Treasury ${token.treasury} is not a known institution`);
+        }
+
+        // 2. Propriété actuelle (un NFT brûlé ou wipé n'existe plus)
+        if (token) {
+            nft = await this.mirrorNode.getNft(tokenId, serialNumber);
+            const exists = Boolean(nft) && !nft.deleted;
+            check("nftExists", exists, exists ? null : `NFT ${tokenId}#${serialNumber} doesn't exist or was burned`);
+
+            if (exists && options.holder) {
+                check("holder", nft.owner === options.holder.toString(),
+                    nft.owner === options.holder.toString() ? null : `Held by ${nft.owner}, not ${options.holder}`);
+            }
+        }
+
+        // 3. Révocation enregistrée localement
+        if (this.revocationRegistry) {
+            const revocation = this.revocationRegistry.get(tokenId, serialNumber);
+            check("notRevoked", !revocation, revocation ? `Revoked: ${revocation.reason}` : null);
+        }
+
+        // 4. Métadonnées : URI on-chain -> document IPFS -> validation HIP-412 / diplôme
+        // Seulement pour une institution connue : sinon l'URI vient de n'importe qui
+        if (institution && nft && !nft.deleted) {
+            try {
+                const document = await this.fetchMetadata(nft.metadata);
+                const { valid, errors } = validateDiplomaMetadata(document);
+                check("metadataValid", valid, valid ? null : errors);
+
+                if (valid) {
+                    metadata = checkedMetadataFields(document);
+                }
+                if (valid && institution.name) {
+                    const matches = metadata.properties.institution === institution.name;
+                    check("metadataInstitution", matches,
+                        matches ? null : `Metadata names "${metadata.properties.institution}", treasury belongs to "${institution.name}"`);
+                }
+            } catch (error) {
+                check("metadataAvailable", false, error.message);
+            }
+        }
+
+        const report = {
+            version: REPORT_VERSION,
+            tokenId: tokenId.toString(),
+            serialNumber: serialNumber,
+            valid: checks.every(item => item.passed),
+            institution: institution,
+            holder: nft?.owner || null,
+            metadataUri: nft?.metadata || null,
+            metadata: metadata,
+            checks: checks,
+            verifiedAt: new Date().toISOString()
+        };
+
+        return this.sign(report);
+    }
+
+    /**
+     * Sign a report (canonical JSON, see verifyReportSignature)
+     * @param {Object} report - Unsigned report
+     * @returns {Object} Report with its signature
+     */
+    sign(report) {
+        const value = this.signingKey.sign(Buffer.from(canonicalJson(report)));
+        return {
+            ...report,
+            signature: {
+                algorithm: this.signingKey.type,
+                publicKey: this.signingKey.publicKey.toStringDer(),
+                value: Buffer.from(value).toString("hex")
+            }
+        };
+    }
+}
+
+/**
+ * Build a verifier from the resolved configuration (see resolveHederaConfig)
+ * @param {Object} config - Configuration (network, mirrorNodeUrl, institutions, verifierSigningKey, ipfsGatewayUrl)
+ * @returns {DiplomaVerifier} Verifier
+ */
+export function createDiplomaVerifier(config) {
+    // Un registre configuré mais encore vide active déjà le contrôle notRevoked
+    const revocationRegistry = config.revocationRegistryPath
+        ? new RevocationRegistry({ path: config.revocationRegistryPath })
+        : null;
+
+    return new DiplomaVerifier({
+        mirrorNode: new MirrorNodeClient({ baseUrl: resolveMirrorNodeUrl(config) }),
+        institutions: config.institutions,
+        signingKey: config.verifierSigningKey,
+        ipfsGatewayUrl: config.ipfsGatewayUrl,
+        revocationRegistry: revocationRegistry
+    });
+}
+
+export default DiplomaVerifier;
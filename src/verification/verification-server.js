@@ -0,0 +1,68 @@
+import http from "http";
+import Logger from "../logging/Logger.js";
+
+const VERIFY_ROUTE = /^\/verify\/([^/]+)\/([^/]+)\/?$/;
+
+/**
+ * Helper - Réponse JSON
+ */
+function sendJson(response, status, body) {
+    response.writeHead(status, { "content-type": "application/json; charset=utf-8" });
+    response.end(JSON.stringify(body, null, 2));
+}
+
+/**
+ * Helper - Segment de chemin décodé, null si l'encodage est invalide (ex. "%E0")
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Create the HTTP server of the diploma verifier
+ * Routes: GET /verify/:tokenId/:serial[?holder=0.0.x] and GET /health
+ * @param {DiplomaVerifier} verifier - Verifier used for every request
+ * @param {Object} options - logger: Logger instance, or any object with debug / info / warn / error
+ * @returns {http.Server} Server (not listening yet)
+ */
+export function createVerificationServer(verifier, { logger = new Logger({ context: { service: "VerificationServer" } }) } = {}) {
+    return http.createServer(async (request, response) => {
+        const url = new URL(request.url, "http://localhost");
+
+        if (request.method !== "GET") {
+            sendJson(response, 405, { error: "Method not allowed" });
+            return;
+        }
+        if (url.pathname === "/health") {
+            sendJson(response, 200, { status: "ok" });
+            return;
+        }
+
+        const match = url.pathname.match(VERIFY_ROUTE);
+        if (!match) {
+            sendJson(response, 404, { error: "Not found, use GET /verify/:tokenId/:serial" });
+            return;
+        }
+
+        const [tokenId, serial] = [match[1], match[2]].map(decodePathSegment);
+        if (tokenId === null || serial === null) {
+            sendJson(response, 400, { error: "Malformed percent-encoding in the request path" });
+            return;
+        }
+
+        try {
+            const report = await verifier.verify(tokenId, serial, {
+                holder: url.searchParams.get("holder") || undefined
+            });
+            sendJson(response, 200, report);
+        } catch (error) {
+            logger.error("Error verifying diploma:", error.message);
+            // Erreur d'entrée -> 400, mirror node / gateway indisponible -> 502
+            sendJson(response, error.status === 400 ? 400 : 502, { error: error.message });
+        }
+    });
+}
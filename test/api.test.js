@@ -0,0 +1,102 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { createApiServer } from "../src/api/api-server.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+const API_KEY = "test-api-key";
+
+describe("REST API", () => {
+    let context;
+    let service;
+    let ledger;
+    let server;
+    let baseUrl;
+
+    beforeEach(async () => {
+        context = createTestService({ keystore: true });
+        ({ service, ledger } = context);
+        server = createApiServer(service, { apiKeys: [API_KEY] });
+        server.listen(0, "127.0.0.1");
+        await once(server, "listening");
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterEach(async () => {
+        server.close();
+        await once(server, "close");
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Requête JSON authentifiée (apiKey: null pour une requête anonyme)
+     */
+    async function request(method, path, { body, apiKey = API_KEY } = {}) {
+        const response = await fetch(`${baseUrl}${path}`, {
+            method: method,
+            headers: {
+                ...(apiKey ? { authorization: `Bearer ${apiKey}` } : {}),
+                ...(body ? { "content-type": "application/json" } : {})
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+        return { status: response.status, headers: response.headers, body: await response.json() };
+    }
+
+    it("authenticates and validates requests before calling the service", async () => {
+        assert.deepEqual((await request("GET", "/health", { apiKey: null })).body, { status: "ok" });
+
+        const anonymous = await request("POST", "/accounts", { apiKey: null, body: {} });
+        assert.equal(anonymous.status, 401);
+        assert.equal(anonymous.body.error.code, "unauthorized");
+        assert.equal((await request("POST", "/accounts", { apiKey: "other-key", body: {} })).status, 401);
+
+        const invalid = await request("POST", "/tokens", { body: { name: "Diplomas", maxSupply: 0 } });
+        assert.equal(invalid.status, 400);
+        assert.deepEqual(invalid.body.error.details.map(detail => detail.path).sort(), ["maxSupply", "treasury"]);
+
+        assert.equal((await request("GET", "/nowhere")).status, 404);
+        assert.equal((await request("DELETE", "/health")).status, 405);
+        assert.equal((await request("GET", "/jobs/unknown-job")).body.error.code, "not_found");
+
+        const malformed = await request("GET", "/accounts/%E0/balance");
+        assert.equal(malformed.status, 400);
+        assert.deepEqual(malformed.body.error.details, [{ path: "account", message: "malformed percent-encoding" }]);
+    });
+
+    it("creates accounts and tokens, mints in a job and transfers without returning keys", async () => {
+        const account = await request("POST", "/accounts", { body: { initialBalance: 20, alias: "registrar" } });
+        assert.equal(account.status, 201);
+        assert.equal(account.body.privateKey, undefined);
+
+        const token = await request("POST", "/tokens", {
+            body: { treasury: "registrar", name: "Diplomas", symbol: "DIP", maxSupply: 5, alias: "diplomas" }
+        });
+        assert.equal(token.status, 201);
+        assert.deepEqual(token.body.keyRoles, ["supply"]);
+        assert.equal(JSON.stringify(token.body).includes("privateKey"), false);
+
+        const mint = await request("POST", "/tokens/diplomas/mint", { body: { metadata: metadataUris(3) } });
+        assert.equal(mint.status, 202);
+        assert.equal(mint.headers.get("location"), `/jobs/${mint.body.id}`);
+        await server.jobs.drain();
+        const job = await request("GET", `/jobs/${mint.body.id}`);
+        assert.equal(job.body.status, "succeeded");
+        assert.deepEqual(job.body.result.serials, [1, 2, 3]);
+
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const transfer = await request("POST", "/transfers", {
+            body: { token: "diplomas", serial: 2, from: "registrar", to: graduate.accountId.toString() }
+        });
+        assert.equal(transfer.status, 200);
+        assert.equal(ledger.getNft(token.body.tokenId, 2).owner, graduate.accountId.toString());
+
+        // Erreur typée du réseau -> statut HTTP et code stables
+        const unassociated = ledger.createAccount({ balance: 5 });
+        const refused = await request("POST", "/transfers", {
+            body: { token: "diplomas", serial: 3, from: "registrar", to: unassociated.accountId.toString() }
+        });
+        assert.equal(refused.status, 409);
+        assert.equal(refused.body.error.code, "not_associated");
+    });
+});
@@ -0,0 +1,163 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { appendFileSync, existsSync, readFileSync } from "node:fs";
+import { join } from "node:path";
+import HederaNftService from "../src/HederaNftService.js";
+import AuditLog from "../src/audit/AuditLog.js";
+import { runCli } from "../src/cli/cli.js";
+import { NotAssociatedError } from "../src/errors/hedera-errors.js";
+import { parseCsv } from "../src/issuance/roster.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("Audit log", () => {
+    let context;
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("records every executed transaction with its consensus timestamp, fee and actors", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+
+        const collection = await service.createCompleteNFTCollection({ name: "Audit", symbol: "AUD", maxSupply: 10 }, metadataUris(2), 20);
+        const { tokenId, accountId: treasuryId } = collection.summary;
+        const graduate = ledger.createAccount({ balance: 5 });
+        await service.transferNFTWithBalanceCheck(collection.tokenData, collection.account, graduate, 2);
+
+        const entries = service.getAuditLog().query();
+        assert.deepEqual(
+            entries.map(entry => entry.operation),
+            ["createAccount", "createNFTToken", "mintNFTs", "associateTokenToAccount", "transferNFT"]
+        );
+
+        for (const entry of entries) {
+            const recorded = ledger.transactions.get(entry.transactionId).record;
+            const nanos = String(recorded.consensusTimestamp.nanos).padStart(9, "0");
+            assert.equal(entry.consensusTimestamp, `${recorded.consensusTimestamp.seconds}.${nanos}`);
+            assert.equal(entry.feeHbar, recorded.transactionFee / 100000000);
+            assert.equal(entry.feeSource, "record");
+            assert.equal(entry.status, "SUCCESS");
+            assert.equal(entry.payer, entry.actors[0].accountId);
+        }
+
+        const [created, tokenCreated, mint, associate, transfer] = entries;
+        assert.deepEqual(created.actors[1], { role: "account", accountId: treasuryId });
+        assert.deepEqual(tokenCreated.tokenIds, [tokenId]);
+        assert.deepEqual(mint.serials, [1, 2]);
+        assert.deepEqual(associate.actors[1], { role: "account", accountId: graduate.accountId.toString() });
+        assert.deepEqual(transfer.tokenIds, [tokenId]);
+        assert.deepEqual(transfer.serials, [2]);
+        assert.deepEqual(transfer.actors.slice(1), [
+            { role: "sender", accountId: treasuryId },
+            { role: "receiver", accountId: graduate.accountId.toString() }
+        ]);
+    });
+
+    it("records failed transactions with their status", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+
+        const treasury = ledger.createAccount({ balance: 50 });
+        const tokenData = await service.createNFTToken(treasury, { name: "Failed", symbol: "FAIL", maxSupply: 5 });
+        await service.mintNFTs(tokenData, metadataUris(1));
+        const graduate = ledger.createAccount({ balance: 5 });
+
+        await assert.rejects(service.transferNFT(tokenData, treasury, graduate.accountId.toString(), 1), NotAssociatedError);
+
+        const [failed] = service.getAuditLog().query({ status: "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT" });
+        assert.equal(failed.operation, "transferNFT");
+        assert.ok(failed.consensusTimestamp);
+        assert.ok(failed.feeHbar > 0);
+        assert.deepEqual(failed.serials, [1]);
+    });
+
+    it("filters entries and exports them as JSON and CSV", async () => {
+        context = createTestService();
+        const { service, ledger, tempDir } = context;
+
+        const treasury = ledger.createAccount({ balance: 50 });
+        const tokenData = await service.createNFTToken(treasury, { name: "Export", symbol: "EXP", maxSupply: 5 });
+        await service.mintNFTs(tokenData, metadataUris(3));
+        const auditLog = service.getAuditLog();
+        const tokenId = tokenData.tokenId.toString();
+
+        assert.equal(auditLog.query({ tokenId: tokenId }).length, 2);
+        assert.equal(auditLog.query({ operation: "mintNFTs", serial: 3 }).length, 1);
+        assert.equal(auditLog.query({ accountId: treasury.accountId }).length, 1);
+        assert.equal(auditLog.query({ since: "2999-01-01" }).length, 0);
+        assert.equal(auditLog.query({ limit: 1 })[0].operation, "mintNFTs");
+        assert.throws(() => auditLog.query({ until: "yesterday" }), /Invalid until date/);
+
+        const csvPath = join(tempDir, "audit.csv");
+        const exported = auditLog.export(csvPath, auditLog.query({ operation: "mintNFTs" }), "csv");
+        assert.equal(exported.entries, 1);
+
+        const [header, row] = parseCsv(readFileSync(csvPath, "utf8"));
+        const values = Object.fromEntries(header.map((column, index) => [column, row[index]]));
+        assert.equal(values.operation, "mintNFTs");
+        assert.equal(values.tokenIds, tokenId);
+        assert.equal(values.serials, "1;2;3");
+        assert.equal(values.actors, `payer:${values.payer}`);
+
+        const jsonPath = join(tempDir, "audit.json");
+        auditLog.export(jsonPath, auditLog.query(), "json");
+        assert.deepEqual(JSON.parse(readFileSync(jsonPath, "utf8")), auditLog.query());
+        assert.throws(() => auditLog.export(jsonPath, [], "xml"), /Unknown export format/);
+    });
+
+    it("refuses to run unaudited or to revoke without a registry file", async () => {
+        context = createTestService({ config: { revocationRegistry: undefined } });
+        const { service, ledger } = context;
+
+        // Sans journal injecté ni AUDIT_LOG_PATH, aucune opération ne peut passer inaperçue
+        assert.throws(() => new HederaNftService({ client: service.getClient(), logLevel: "silent" }), /AUDIT_LOG_PATH/);
+
+        const tokenData = await service.createNFTToken(ledger.createAccount({ balance: 50 }), {
+            name: "Memory",
+            symbol: "MEM",
+            maxSupply: 5,
+            wipeKey: "generate"
+        });
+        await service.mintNFTs(tokenData, metadataUris(2));
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        await service.transferNFT(tokenData, tokenData.treasuryAccount, graduate, 2);
+        const recorded = service.getAuditLog().query().length;
+
+        // Refusés avant toute transaction : la révocation serait perdue à la fin du processus
+        await assert.rejects(service.burnNFTs(tokenData, [1], { reason: "Minted by mistake" }), /REVOCATION_REGISTRY_PATH/);
+        await assert.rejects(service.revokeNFT(tokenData, graduate, 2, "Academic misconduct"), /REVOCATION_REGISTRY_PATH/);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 2);
+        assert.equal(ledger.getNft(tokenData.tokenId, 2).owner, graduate.accountId.toString());
+        assert.equal(service.getAuditLog().query().length, recorded);
+
+        assert.equal(existsSync(join(process.cwd(), "revocations.json")), false);
+        assert.equal(existsSync(join(process.cwd(), "audit-log.jsonl")), false);
+    });
+
+    it("skips a line truncated by a crash and exports from the CLI", async () => {
+        context = createTestService();
+        const { service, ledger, tempDir } = context;
+
+        await service.createNFTToken(ledger.createAccount({ balance: 50 }), { name: "CLI", symbol: "CLI", maxSupply: 5 });
+        const auditPath = service.getAuditLog().path;
+        appendFileSync(auditPath, "{\"version\":1,\"operat");
+        assert.equal(new AuditLog({ path: auditPath }).query().length, 1);
+
+        // L'entrée suivante commence sur une nouvelle ligne
+        new AuditLog({ path: auditPath }).record({ operation: "manualEntry", status: "SUCCESS" });
+        assert.deepEqual(new AuditLog({ path: auditPath }).query().map(entry => entry.operation), ["createNFTToken", "manualEntry"]);
+
+        const outputPath = join(tempDir, "export.csv");
+        const originalLog = console.log;
+        console.log = () => {};
+        try {
+            assert.equal(await runCli(["audit", "export", outputPath, "--file", auditPath, "--operation", "createNFTToken"]), 0);
+        } finally {
+            console.log = originalLog;
+        }
+        const [header, ...rows] = parseCsv(readFileSync(outputPath, "utf8"));
+        assert.equal(header[0], "consensusTimestamp");
+        assert.equal(rows.length, 1);
+    });
+});
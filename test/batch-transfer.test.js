@@ -0,0 +1,178 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { TokenCreateTransaction, TokenType } from "@hashgraph/sdk";
+import { chunkNftTransfers, validateNftSwap, validateNftTransfers } from "../src/transfer/transfer-batches.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("Batch transfers and swaps", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+    let tokenData;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Memberships", symbol: "MEM", maxSupply: 20 });
+        await service.mintNFTs(tokenData, metadataUris(12));
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Token fongible dont le compte est la treasury
+     */
+    async function createFungibleToken(owner, initialSupply) {
+        const client = service.getClient();
+        const transaction = new TokenCreateTransaction()
+            .setTokenName("Credits")
+            .setTokenSymbol("CRD")
+            .setTokenType(TokenType.FungibleCommon)
+            .setDecimals(2)
+            .setInitialSupply(initialSupply)
+            .setTreasuryAccountId(owner.accountId)
+            .freezeWith(client);
+        await transaction.sign(owner.privateKey);
+        return (await (await transaction.execute(client)).getReceipt(client)).tokenId.toString();
+    }
+
+    it("packs NFT transfers into as few transactions as allowed", async () => {
+        const graduates = Array.from({ length: 11 }, () => ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 }));
+        const transfers = graduates.map((graduate, index) => ({ token: tokenData, serial: index + 1, from: treasury, to: graduate }));
+        // Un expéditeur de plus dans le même lot : sa clé signe aussi
+        await service.transferNFT(tokenData, treasury, graduates[0], 12);
+        transfers.push({ token: tokenData, serial: 12, from: graduates[0], to: treasury });
+
+        const result = await service.transferNFTs(transfers);
+
+        assert.equal(result.transferred, 12);
+        assert.equal(result.transactionCount, 2);
+        assert.deepEqual(result.transactions.map(transaction => transaction.transfers.length), [10, 2]);
+        assert.ok(result.transactions.every(transaction => transaction.status === "SUCCESS"));
+        graduates.forEach((graduate, index) => {
+            assert.equal(ledger.getNft(tokenData.tokenId, index + 1).owner, graduate.accountId.toString());
+        });
+        assert.equal(ledger.getNft(tokenData.tokenId, 12).owner, treasury.accountId.toString());
+
+        const [batch] = service.getAuditLog().query({ operation: "transferNFTs" });
+        assert.deepEqual(batch.serials, [1, 2, 3, 4, 5, 6, 7, 8, 9, 10]);
+    });
+
+    it("reports the transactions done before a failing one", async () => {
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const unassociated = ledger.createAccount({ balance: 5 });
+        const transfers = [1, 2, 3].map(serial => ({ token: tokenData, serial: serial, from: treasury, to: graduate }));
+        transfers.push({ token: tokenData, serial: 4, from: treasury, to: unassociated.accountId.toString() });
+
+        await assert.rejects(service.transferNFTs(transfers, { chunkSize: 3 }), error => {
+            assert.equal(error.status, "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT");
+            assert.equal(error.completedTransactions.length, 1);
+            assert.deepEqual(error.completedTransactions[0].transfers.map(transfer => transfer.serialNumber), [1, 2, 3]);
+            return true;
+        });
+        assert.equal(ledger.getTokenBalance(graduate.accountId, tokenData.tokenId), 3);
+
+        const twice = { token: tokenData, serial: 5, from: treasury, to: graduate };
+        await assert.rejects(service.transferNFTs([twice, twice]), /transferred twice/);
+    });
+
+    it("swaps NFTs for HBAR atomically with a balance report", async () => {
+        const buyer = ledger.createAccount({ balance: 30 });
+
+        const result = await service.swapNFTs(tokenData, [1, 2], treasury, buyer, { hbar: 12.5 });
+
+        assert.equal(result.summary.success, true);
+        assert.equal(result.summary.buyerAssociationPath, "associated");
+        const tokenId = tokenData.tokenId.toString();
+        assert.equal(result.balances.before.buyer.tokens[tokenId], undefined);
+        assert.equal(result.balances.after.buyer.tokens[tokenId], "2");
+        assert.equal(result.balances.after.seller.tokens[tokenId], "10");
+        assert.equal(ledger.getHbarBalance(buyer.accountId), 17.5);
+        assert.equal(ledger.getHbarBalance(treasury.accountId), 62.5);
+        assert.equal(ledger.getNft(tokenId, 2).owner, buyer.accountId.toString());
+
+        // Solde insuffisant : ni les NFTs ni les HBAR ne bougent
+        const poorBuyer = ledger.createAccount({ balance: 1, maxAutomaticTokenAssociations: 1 });
+        await assert.rejects(
+            service.swapNFTs(tokenData, [3], treasury, poorBuyer, { hbar: 5 }),
+            error => error.status === "INSUFFICIENT_ACCOUNT_BALANCE"
+        );
+        assert.equal(ledger.getNft(tokenId, 3).owner, treasury.accountId.toString());
+        assert.equal(ledger.getHbarBalance(poorBuyer.accountId), 1);
+    });
+
+    it("swaps NFTs for a fungible token and prepares swaps for the buyer's signature", async () => {
+        const buyer = ledger.createAccount({ balance: 30, maxAutomaticTokenAssociations: 1 });
+        const creditsId = await createFungibleToken(buyer, 100000);
+
+        const result = await service.swapNFTs(tokenData, 5, treasury, buyer, { token: creditsId, amount: 2500 });
+
+        assert.equal(result.summary.sellerAssociationPath, "associated");
+        assert.equal(result.summary.buyerAssociationPath, "auto-association");
+        assert.equal(result.balances.after.seller.tokens[creditsId], "2500");
+        assert.equal(result.balances.after.buyer.tokens[creditsId], "97500");
+        assert.equal(ledger.getNft(tokenData.tokenId, 5).owner, buyer.accountId.toString());
+
+        const envelope = await service.swapNFTs(tokenData, [6], treasury, buyer.accountId.toString(), { hbar: 1 }, { prepare: true });
+        assert.equal(envelope.operation, "swapNFTs");
+        assert.deepEqual(envelope.requiredSigners.map(signer => signer.role).slice(0, 2), ["seller", "buyer"]);
+        assert.equal(ledger.getNft(tokenData.tokenId, 6).owner, treasury.accountId.toString());
+
+        await assert.rejects(service.swapNFTs(tokenData, [7], treasury, buyer, { hbar: 1, token: creditsId, amount: 1 }), /either/);
+    });
+
+    it("locks the receivers of soulbound diplomas sent in a batch or sold", async () => {
+        const soulbound = await service.createNFTToken(treasury, { name: "Soulbound", symbol: "SBT", maxSupply: 10, soulbound: true });
+        await service.mintNFTs(soulbound, metadataUris(5));
+        const graduates = [1, 2].map(() => ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 }));
+        const other = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+
+        await service.transferNFTs(graduates.map((graduate, index) => ({ token: soulbound, serial: index + 1, from: treasury, to: graduate })));
+        for (const graduate of graduates) {
+            assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+        }
+        await assert.rejects(service.transferNFT(soulbound.tokenId, graduates[0], other, 1), error => error.status === "ACCOUNT_FROZEN_FOR_TOKEN");
+        await assert.rejects(
+            service.transferNFTs([{ token: soulbound, serial: 3, from: treasury, to: other }], { prepare: true }),
+            /can't be prepared/
+        );
+
+        // Batch refusé : le diplômé déjà verrouillé le reste
+        await assert.rejects(
+            service.transferNFTs([{ token: soulbound, serial: 9, from: treasury, to: graduates[0] }]),
+            error => error.status === "INVALID_NFT_ID"
+        );
+        assert.equal((await service.isDiplomaLocked(soulbound, graduates[0])).locked, true);
+
+        // Swap refusé (solde insuffisant) puis réussi : l'acheteur reste verrouillé dans les deux cas
+        await assert.rejects(
+            service.swapNFTs(soulbound, [3], treasury, graduates[1], { hbar: 50 }),
+            error => error.status === "INSUFFICIENT_ACCOUNT_BALANCE"
+        );
+        assert.equal((await service.isDiplomaLocked(soulbound, graduates[1])).locked, true);
+        const swap = await service.swapNFTs(soulbound, [3], treasury, graduates[1], { hbar: 1 });
+        assert.equal(swap.summary.locked, true);
+        assert.equal((await service.isDiplomaLocked(soulbound, graduates[1])).locked, true);
+    });
+
+    it("validates batches and swaps before building transactions", () => {
+        assert.deepEqual(chunkNftTransfers([1, 2, 3], 2), [[1, 2], [3]]);
+        assert.throws(() => chunkNftTransfers([1], 11), /between 1 and 10/);
+        assert.deepEqual(
+            validateNftTransfers([
+                { tokenId: "0.0.5", serial: 1, from: "0.0.7", to: "0.0.7" },
+                { tokenId: "0.0.5", serial: 0, from: "0.0.7", to: "0.0.8" }
+            ]).map(error => error.index),
+            [0, 1]
+        );
+        const swap = { tokenId: "0.0.5", serials: [1], seller: "0.0.7", buyer: "0.0.8", price: { hbar: 1 } };
+        assert.deepEqual(validateNftSwap(swap), []);
+        assert.match(validateNftSwap({ ...swap, serials: Array.from({ length: 11 }, (_, i) => i + 1) })[0], /max is 10/);
+        assert.match(validateNftSwap({ ...swap, price: { tokenId: "0.0.5", amount: 1 } })[0], /swapped token/);
+        assert.match(validateNftSwap({ ...swap, price: { tokenId: "0.0.9", amount: 1.5 } })[0], /invalid token amount/);
+    });
+});
@@ -0,0 +1,79 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import HederaNftService from "../src/HederaNftService.js";
+import { COMMANDS, runCli } from "../src/cli/cli.js";
+import { loadEnvelope, saveEnvelope } from "../src/signing/transaction-envelope.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("CLI", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+    let tokenData;
+    let output;
+    let originalLog;
+    let originalError;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 5 });
+        await service.mintNFTs(tokenData, metadataUris(2));
+
+        // Sorties console capturées le temps du test
+        output = [];
+        originalLog = console.log;
+        originalError = console.error;
+        console.log = (...args) => output.push(args.join(" "));
+        console.error = (...args) => output.push(args.join(" "));
+    });
+
+    afterEach(() => {
+        console.log = originalLog;
+        console.error = originalError;
+        context.cleanup();
+    });
+
+    it("signs a prepared transfer offline before it is submitted", async () => {
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const employer = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        await service.transferNFT(tokenData, treasury, graduate, 1);
+
+        // Le diplômé signe hors-ligne avec sa propre clé
+        const file = join(context.tempDir, "transfer.json");
+        const keyFile = join(context.tempDir, "graduate.key");
+        saveEnvelope(file, await service.transferNFT(tokenData, graduate.accountId.toString(), employer, 1, { prepare: true }));
+        writeFileSync(keyFile, graduate.privateKey.toStringDer());
+
+        assert.equal(await runCli(["tx", "show", file]), 0);
+        assert.ok(output.some(line => line.includes("transferNFT")));
+        await assert.rejects(service.submitSignedTransaction(loadEnvelope(file)));
+
+        assert.equal(await runCli(["tx", "sign", file, "--key-file", keyFile]), 0);
+        const result = await service.submitSignedTransaction(loadEnvelope(file));
+        assert.equal(result.status.toString(), "SUCCESS");
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, employer.accountId.toString());
+    });
+
+    it("rejects unknown commands and options before creating a service", async () => {
+        assert.equal(await runCli(["diploma", "print"]), 1);
+        assert.equal(await runCli(["revocations", "list", "--prepare", join(context.tempDir, "list.json")]), 1);
+        assert.ok(output.some(line => /can't be prepared/.test(line)));
+        assert.equal(await runCli(["burn", "0.0.5", "1", "--unknown"]), 1);
+        assert.equal(await runCli(["--help"]), 0);
+    });
+
+    it("lists revocations only from a configured registry", async () => {
+        await service.burnNFTs(tokenData, [1], { reason: "Minted by mistake" });
+        const [revocation] = await COMMANDS["revocations list"].run(service, [], { token: tokenData.tokenId.toString() });
+        assert.equal(revocation.serial, 1);
+        assert.equal(revocation.reason, "Minted by mistake");
+
+        const unconfigured = new HederaNftService({ client: service.getClient(), auditLog: service.getAuditLog(), logLevel: "silent" });
+        await assert.rejects(COMMANDS["revocations list"].run(unconfigured, [], {}), /REVOCATION_REGISTRY_PATH/);
+    });
+});
@@ -0,0 +1,115 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { writeFileSync } from "node:fs";
+import { join } from "node:path";
+import {
+    HIP412_FORMAT,
+    assertValidDiplomaMetadata,
+    buildDiplomaMetadata,
+    formatMetadataErrors,
+    validateDiplomaMetadata,
+    validateDiplomaMetadataFile,
+    validateHip412Metadata
+} from "../src/metadata/diploma-metadata.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+/**
+ * Helper - Métadonnées valides d'un diplôme
+ */
+function diploma(studentId, overrides = {}) {
+    return buildDiplomaMetadata({
+        studentName: "Ada Lovelace",
+        studentId: studentId,
+        degree: "Master of Science",
+        fieldOfStudy: "Mathematics",
+        institution: "Hedera University",
+        graduationDate: "2026-06-30",
+        image: "ipfs://bafyimage",
+        ...overrides
+    });
+}
+
+describe("Diploma metadata", () => {
+    let context;
+    let service;
+    let ledger;
+    let tokenData;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        const treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 10 });
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("builds HIP-412 diploma metadata", () => {
+        const metadata = diploma("S-001", { files: [{ uri: "ipfs://bafypdf", type: "application/pdf" }] });
+
+        assert.equal(metadata.format, HIP412_FORMAT);
+        assert.equal(metadata.name, "Master of Science - Ada Lovelace");
+        assert.equal(metadata.properties.fieldOfStudy, "Mathematics");
+        assert.deepEqual(metadata.attributes.map(attribute => attribute.trait_type), ["Degree", "Institution", "Graduation Date", "Field of Study"]);
+        assert.deepEqual(validateDiplomaMetadata(metadata), { valid: true, errors: [] });
+        assert.throws(() => diploma("S-002", { graduationDate: "2026-02-30" }), /properties\.graduationDate: must be a valid date/);
+    });
+
+    it("reports every invalid field with its path", () => {
+        const { valid, errors } = validateDiplomaMetadata({
+            image: "/tmp/diploma.png",
+            type: "image/png",
+            format: "ERC721",
+            files: [{ uri: "ipfs://bafypdf", type: "pdf" }],
+            attributes: [{ value: "Master of Science" }],
+            properties: { studentName: "Ada Lovelace", studentId: "", degree: "Master of Science", institution: "Hedera University", graduationDate: "30/06/2026" }
+        });
+
+        assert.equal(valid, false);
+        assert.deepEqual(errors.map(error => error.path), [
+            "name",
+            "image",
+            "format",
+            "files[0].type",
+            "attributes[0].trait_type",
+            "properties.studentId",
+            "properties.graduationDate"
+        ]);
+        assert.equal(formatMetadataErrors(errors.slice(0, 1)), "- name: is required");
+        assert.deepEqual(validateHip412Metadata(null).errors, [{ path: "", message: "metadata must be a JSON object" }]);
+
+        // Un document HIP-412 valide n'est pas forcément un diplôme
+        const badge = { name: "Badge", image: "ipfs://bafybadge", type: "image/png" };
+        assert.equal(validateHip412Metadata(badge).valid, true);
+        assert.throws(() => assertValidDiplomaMetadata(badge, "badge"), error =>
+            /^Invalid badge:\n- properties: is required for a diploma$/.test(error.message) && error.errors.length === 1
+        );
+
+        const file = join(context.tempDir, "metadata.json");
+        writeFileSync(file, "{ not json");
+        const read = validateDiplomaMetadataFile(file);
+        assert.equal(read.document, null);
+        assert.match(read.errors[0].message, /cannot read JSON/);
+    });
+
+    it("refuses to mint diplomas whose metadata is invalid", async () => {
+        const submitted = ledger.transactions.size;
+        const invalid = { ...diploma("S-002"), properties: { studentName: "Alan Turing" } };
+
+        await assert.rejects(
+            service.mintNFTs(tokenData, metadataUris(2), { diplomaMetadata: [diploma("S-001"), invalid] }),
+            /Invalid diploma metadata #1:\n- properties\.studentId: is required for a diploma/
+        );
+        await assert.rejects(
+            service.mintNFTs(tokenData, metadataUris(2), { diplomaMetadata: [diploma("S-001")] }),
+            /Got 1 diploma metadata documents for 2 NFT\(s\)/
+        );
+        assert.equal(ledger.transactions.size, submitted);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 0);
+
+        const minted = await service.mintNFTs(tokenData, metadataUris(2), { diplomaMetadata: [diploma("S-001"), diploma("S-002")] });
+        assert.deepEqual(minted.serials, [1, 2]);
+    });
+});
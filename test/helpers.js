@@ -0,0 +1,54 @@
+import { mkdtempSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import HederaNftService from "../src/HederaNftService.js";
+import AuditLog from "../src/audit/AuditLog.js";
+import RevocationRegistry from "../src/revocation/RevocationRegistry.js";
+import LedgerSimulator from "../src/simulator/LedgerSimulator.js";
+
+export const KEYSTORE_PASSPHRASE = "correct horse battery staple";
+
+/**
+ * Service connected to a fresh LedgerSimulator (fast retries, logs silenced)
+ * @param {Object} options - ledger: LedgerSimulator options, config: extra service config,
+ *   keystore: keep generated keys in a keystore of the temp directory
+ * @returns {Object} { ledger, service, tempDir, cleanup }
+ */
+export function createTestService({ ledger: ledgerOptions = {}, config = {}, keystore = false } = {}) {
+    const ledger = new LedgerSimulator(ledgerOptions);
+    const client = ledger.createClient();
+    const tempDir = mkdtempSync(join(tmpdir(), "hedera-nft-test-"));
+
+    const service = new HederaNftService({
+        network: "testnet",
+        client: client,
+        mirrorNode: ledger.createMirrorNode(),
+        revocationRegistry: new RevocationRegistry({ path: join(tempDir, "revocations.json") }),
+        auditLog: new AuditLog({ path: join(tempDir, "audit-log.jsonl") }),
+        retryPolicy: { maxRetries: 3, initialDelayMs: 1, maxDelayMs: 1, jitter: false },
+        logLevel: "silent",
+        ...(keystore ? { keystorePath: join(tempDir, "keystore.json"), keystorePassphrase: KEYSTORE_PASSPHRASE } : {}),
+        ...config
+    });
+
+    return {
+        ledger: ledger,
+        service: service,
+        tempDir: tempDir,
+        cleanup() {
+            service.close();
+            client.close();
+            rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * NFT metadata URIs for tests
+ * @param {number} count - Number of URIs
+ * @param {string} prefix - URI prefix
+ * @returns {Array} URIs
+ */
+export function metadataUris(count, prefix = "ipfs://bafy-test") {
+    return Array.from({ length: count }, (_, index) => `${prefix}-${index + 1}`);
+}
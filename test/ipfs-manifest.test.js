@@ -0,0 +1,129 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { mkdirSync, mkdtempSync, readFileSync, rmSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+import { CarReader } from "@ipld/car";
+import { CID } from "multiformats/cid";
+import * as raw from "multiformats/codecs/raw";
+import { sha256 } from "multiformats/hashes/sha2";
+import {
+    METADATA_FILE_NAME,
+    buildIpfsManifest,
+    compareWithManifest,
+    computeFileCid,
+    computeMetadataDirectoryCid,
+    generateIpfsManifest
+} from "../src/ipfs/ipfs-manifest.js";
+
+const IMAGE_BYTES = Buffer.from("diploma image");
+const PDF_BYTES = Buffer.from("%PDF-1.7 diploma");
+
+describe("IPFS manifest", () => {
+    let tempDir;
+    let inputDir;
+
+    beforeEach(() => {
+        tempDir = mkdtempSync(join(tmpdir(), "hedera-nft-ipfs-"));
+        inputDir = join(tempDir, "diplomas");
+        mkdirSync(inputDir);
+        writeFileSync(join(inputDir, "diploma.png"), IMAGE_BYTES);
+        writeFileSync(join(inputDir, "diploma.pdf"), PDF_BYTES);
+        writeDiploma("002.json", "S-002", "Alan Turing");
+        writeDiploma("001.json", "S-001", "Ada Lovelace");
+    });
+
+    afterEach(() => {
+        rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    /**
+     * Helper - Métadonnées d'un diplôme liant l'image et le PDF locaux
+     */
+    function writeDiploma(fileName, studentId, studentName, overrides = {}) {
+        writeFileSync(join(inputDir, fileName), JSON.stringify({
+            name: `Master of Science - ${studentName}`,
+            image: "diploma.png",
+            type: "image/png",
+            files: [{ uri: "diploma.pdf", type: "application/pdf" }],
+            properties: {
+                studentName: studentName,
+                studentId: studentId,
+                degree: "Master of Science",
+                institution: "Hedera University",
+                graduationDate: "2026-06-30"
+            },
+            ...overrides
+        }));
+    }
+
+    it("computes CIDv1s and rewrites local links to ipfs:// URIs", async () => {
+        const { entries, roots } = await buildIpfsManifest(inputDir);
+
+        assert.deepEqual(entries.map(entry => entry.source), ["001.json", "002.json"]);
+        // Feuille brute unique : le CID du fichier est celui de son contenu (codec raw, SHA-256)
+        const imageCid = CID.create(1, raw.code, await sha256.digest(IMAGE_BYTES)).toString();
+        assert.equal((await computeFileCid(IMAGE_BYTES)).toString(), imageCid);
+        for (const entry of entries) {
+            assert.equal(entry.files["diploma.png"], imageCid);
+            assert.equal(entry.metadata.image, `ipfs://${imageCid}`);
+            assert.equal(entry.metadata.files[0].uri, `ipfs://${entry.files["diploma.pdf"]}`);
+            assert.equal(entry.uri, `ipfs://${entry.metadataCid}/${METADATA_FILE_NAME}`);
+            assert.match(entry.metadataCid, /^bafy/);
+
+            const directoryCid = await computeMetadataDirectoryCid(Buffer.from(JSON.stringify(entry.metadata, null, 2)));
+            assert.equal(directoryCid.toString(), entry.metadataCid);
+        }
+        assert.notEqual(entries[0].metadataCid, entries[1].metadataCid);
+        assert.deepEqual(roots.map(String), entries.map(entry => entry.metadataCid));
+
+        // Mêmes fichiers, mêmes URIs : le manifest est reproductible et comparable à l'existant
+        const again = await buildIpfsManifest(inputDir);
+        assert.deepEqual(again.entries.map(entry => entry.uri), entries.map(entry => entry.uri));
+        assert.equal(compareWithManifest(entries, entries.map(entry => Buffer.from(entry.uri))).matches, true);
+        const swapped = compareWithManifest(entries, [entries[1].uri, entries[0].uri, entries[0].uri]);
+        assert.deepEqual(swapped.mismatches.map(mismatch => [mismatch.index, mismatch.source]), [[0, "001.json"], [1, "002.json"], [2, null]]);
+    });
+
+    it("writes the manifest module and a CAR file holding every block", async () => {
+        const outputModule = join(tempDir, "ipfs-cid.js");
+        const carFile = join(tempDir, "diplomas.car");
+
+        const result = await generateIpfsManifest({ inputDir, outputModule, carFile, collectionInfo: { maxSupply: 50 } });
+
+        const reader = await CarReader.fromBytes(readFileSync(carFile));
+        assert.deepEqual((await reader.getRoots()).map(String), result.roots);
+        let blocks = 0;
+        for await (const block of reader.blocks()) {
+            blocks++;
+            assert.equal(CID.create(1, block.cid.code, await sha256.digest(block.bytes)).toString(), block.cid.toString());
+        }
+        assert.equal(blocks, result.blockCount);
+        const image = await reader.get(CID.parse(result.entries[0].files["diploma.png"]));
+        assert.deepEqual(Buffer.from(image.bytes), IMAGE_BYTES);
+
+        const manifest = await import(pathToFileURL(outputModule).href);
+        assert.deepEqual(manifest.IPFS_CID_COLLECTION.map(String), result.entries.map(entry => entry.uri));
+        assert.deepEqual(manifest.IPFS_MANIFEST.map(entry => entry.source), ["001.json", "002.json"]);
+        assert.equal(manifest.COLLECTION_INFO.maxSupply, 50);
+        assert.equal(manifest.COLLECTION_INFO.totalCIDs, 2);
+    });
+
+    it("refuses invalid metadata and empty folders", async () => {
+        writeDiploma("003.json", "", "Grace Hopper");
+        await assert.rejects(buildIpfsManifest(inputDir), error =>
+            /Invalid metadata in 003\.json:\n- properties\.studentId: is required for a diploma/.test(error.message) &&
+            error.errors.length === 1
+        );
+
+        // Hors diplômes, un document HIP-412 sans propriétés suffit
+        writeDiploma("003.json", "S-003", "Grace Hopper", { properties: undefined });
+        await assert.rejects(buildIpfsManifest(inputDir), /properties: is required for a diploma/);
+        assert.equal((await buildIpfsManifest(inputDir, { diploma: false })).entries.length, 3);
+
+        const emptyDir = join(tempDir, "empty");
+        mkdirSync(emptyDir);
+        await assert.rejects(buildIpfsManifest(emptyDir), /No metadata \.json files found/);
+    });
+});
@@ -0,0 +1,128 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { PrivateKey } from "@hashgraph/sdk";
+import { buildIssuanceMessages, hashMetadata, MAX_TOPIC_MESSAGE_BYTES } from "../src/anchoring/issuance-messages.js";
+import { rebuildIssuanceHistory } from "../src/anchoring/IssuanceTrailReader.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("Issuance trail", () => {
+    let context;
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Collection avec topic d'émission, 12 NFTs mintés (deux lots)
+     */
+    async function createAnchoredCollection() {
+        context = createTestService();
+        const { service, ledger } = context;
+        const treasury = ledger.createAccount({ balance: 100 });
+        const tokenData = await service.createNFTToken(treasury, {
+            name: "Anchored",
+            symbol: "ANC",
+            maxSupply: 20,
+            wipeKey: "generate",
+            issuanceTopic: true
+        });
+        await service.mintNFTs(tokenData, metadataUris(12));
+        return { service, ledger, treasury, tokenData };
+    }
+
+    it("rebuilds a valid history of mints, transfers and revocations", async () => {
+        const { service, ledger, treasury, tokenData } = await createAnchoredCollection();
+        const anchored = [];
+        service.on("issuanceAnchored", event => anchored.push(event));
+        const graduate = ledger.createAccount({ balance: 5 });
+
+        await service.transferNFTWithBalanceCheck(tokenData, treasury, graduate, 2);
+        await service.revokeNFT(tokenData, graduate, 2, "Academic misconduct");
+        await service.burnNFTs(tokenData, [12], { reason: "printing error" });
+
+        assert.deepEqual(anchored.map(event => event.type), ["transfer", "revocation", "revocation"]);
+
+        const tokenId = tokenData.tokenId.toString();
+        const history = await service.readIssuanceHistory(tokenData);
+        assert.equal(history.valid, true, JSON.stringify(history.issues));
+        assert.equal(history.topicId, tokenData.issuanceTopicId);
+        assert.equal(history.collection.tokenId, tokenId);
+        assert.equal(history.collection.treasury, treasury.accountId.toString());
+        assert.equal(history.publicKey, treasury.privateKey.publicKey.toStringDer());
+        // 1 collection + mint de 10 découpé en 2 + mint de 2 + transfert + 2 révocations
+        assert.equal(history.messages, 7);
+        assert.equal(history.serials.length, 12);
+
+        const [first, second] = history.serials;
+        assert.equal(first.holder, treasury.accountId.toString());
+        assert.equal(first.metadataHash, hashMetadata(metadataUris(12)[0]));
+        assert.equal(second.revoked, true);
+        assert.deepEqual(second.revocation, { reason: "Academic misconduct", method: "wipe", holder: graduate.accountId.toString() });
+        assert.deepEqual(second.events.map(event => event.type), ["mint", "transfer", "revocation"]);
+        assert.equal(history.serials[11].revocation.method, "burn");
+
+        for (const message of ledger.getTopic(tokenData.issuanceTopicId).messages) {
+            assert.ok(message.message.length <= MAX_TOPIC_MESSAGE_BYTES);
+        }
+    });
+
+    it("reports tampered and missing messages", async () => {
+        const { service, ledger, tokenData } = await createAnchoredCollection();
+        const { messages } = ledger.topics.get(tokenData.issuanceTopicId);
+
+        const mint = JSON.parse(messages[1].message.toString());
+        mint.serials[0] = 99;
+        messages[1].message = Buffer.from(JSON.stringify(mint));
+        messages.splice(2, 1);
+
+        const history = await service.readIssuanceHistory(tokenData, { checkLedger: false });
+        assert.equal(history.valid, false);
+        assert.deepEqual(history.issues.map(issue => issue.problem), [
+            "Hash doesn't match the message content",
+            "Missing message(s) 3 to 3"
+        ]);
+    });
+
+    it("rejects a trail signed by another key than the trusted one", async () => {
+        const { service, treasury, tokenData } = await createAnchoredCollection();
+
+        const trusted = await service.readIssuanceHistory(tokenData, {
+            publicKey: treasury.privateKey.publicKey.toStringDer(),
+            checkLedger: false
+        });
+        assert.equal(trusted.valid, true);
+
+        const forged = await service.readIssuanceHistory(tokenData, {
+            publicKey: PrivateKey.generateED25519().publicKey.toStringDer(),
+            checkLedger: false
+        });
+        assert.equal(forged.valid, false);
+        assert.match(forged.issues[0].problem, /announces another key/);
+
+        // Messages signés par un tiers dans un historique reconstruit
+        const otherKey = PrivateKey.generateED25519();
+        const [message] = buildIssuanceMessages({ type: "mint", tokenId: tokenData.tokenId.toString(), serials: [13] }, otherKey);
+        const history = rebuildIssuanceHistory([{ sequenceNumber: 1, message: message }], {
+            publicKey: treasury.privateKey.publicKey
+        });
+        assert.deepEqual(history.issues.map(issue => issue.problem), ["Signature doesn't match the publishing key"]);
+    });
+
+    it("compares the history with the NFTs on the ledger", async () => {
+        const { service, ledger, treasury, tokenData } = await createAnchoredCollection();
+        const graduate = ledger.createAccount({ balance: 5 });
+        await service.associateTokenToAccount(graduate, tokenData.tokenId);
+
+        // Transfert qui échappe à l'ancrage (hors du service)
+        const topic = tokenData.issuanceTopicId;
+        tokenData.issuanceTopicId = null;
+        await service.transferNFT(tokenData, treasury, graduate, 3);
+        tokenData.issuanceTopicId = topic;
+
+        const history = await service.readIssuanceHistory(tokenData);
+        assert.equal(history.valid, false);
+        assert.deepEqual(history.issues.map(issue => issue.problem), [
+            `Serial 3 is held by ${graduate.accountId.toString()} on the ledger, ${treasury.accountId.toString()} on the topic`
+        ]);
+    });
+});
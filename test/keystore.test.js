@@ -0,0 +1,97 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { KeyList, PrivateKey } from "@hashgraph/sdk";
+import Keystore from "../src/keystore/Keystore.js";
+import { createTestService, metadataUris, KEYSTORE_PASSPHRASE } from "./helpers.js";
+
+describe("Keystore", () => {
+    let context;
+    let service;
+    let ledger;
+
+    beforeEach(() => {
+        context = createTestService({ keystore: true });
+        ({ service, ledger } = context);
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("keeps generated keys encrypted and loads them by alias", async () => {
+        const registrar = await service.createAccount(20, { alias: "registrar" });
+        const diplomas = await service.createNFTToken("registrar", { name: "Diplomas", symbol: "DIP", maxSupply: 5, alias: "diplomas" });
+
+        // Le fichier ne contient aucune clé privée en clair
+        const file = readFileSync(service.keystore.path, "utf8");
+        assert.equal(file.includes(registrar.privateKey.toStringDer()), false);
+        assert.equal(file.includes(diplomas.keys.supply.toStringDer()), false);
+
+        const reopened = new Keystore({ path: service.keystore.path, passphrase: KEYSTORE_PASSPHRASE });
+        assert.equal(reopened.loadAccount("registrar").privateKey.toStringDer(), registrar.privateKey.toStringDer());
+        assert.equal(reopened.resolveTokenId("diplomas"), diplomas.tokenId.toString());
+        assert.deepEqual(reopened.list().tokens[0].keyRoles, ["supply"]);
+        assert.equal(JSON.stringify(reopened.list()).includes("ciphertext"), false);
+
+        const minted = await service.mintNFTs("diplomas", metadataUris(2));
+        assert.deepEqual(minted.serials, [1, 2]);
+        assert.equal(ledger.getToken(diplomas.tokenId).totalSupply, 2);
+
+        const intruder = new Keystore({ path: service.keystore.path, passphrase: "wrong passphrase" });
+        assert.throws(() => intruder.loadAccount("registrar"), /wrong keystore passphrase/);
+        assert.throws(() => service.keystore.saveAccount(ledger.createAccount({ balance: 1 }), { alias: "diplomas" }), /alias/);
+    });
+
+    it("keeps key list accounts by alias with the member keys held here", async () => {
+        const registrar = PrivateKey.generateED25519();
+        const dean = PrivateKey.generateED25519();
+        const board = await service.createAccount(20, { alias: "board", key: { keys: [registrar, dean], threshold: 2 } });
+        // Un titulaire externe : seule sa clé publique est connue
+        const external = PrivateKey.generateED25519();
+        await service.createAccount(5, { alias: "faculty", key: { keys: [registrar.publicKey, external.publicKey], threshold: 2 } });
+
+        const reopened = new Keystore({ path: service.keystore.path, passphrase: KEYSTORE_PASSPHRASE });
+        const loaded = reopened.loadAccount("board");
+        assert.equal(loaded.accountId.toString(), board.accountId.toString());
+        assert.equal(loaded.privateKey, null);
+        assert.ok(loaded.key instanceof KeyList);
+        assert.equal(loaded.key.threshold, 2);
+        assert.deepEqual(loaded.privateKeys.map(key => key.toStringDer()).sort(), [registrar, dean].map(key => key.toStringDer()).sort());
+        const faculty = reopened.list().accounts.find(account => account.alias === "faculty");
+        assert.equal(faculty.key.threshold, 2);
+        assert.deepEqual(faculty.heldKeys, []);
+        assert.equal(readFileSync(service.keystore.path, "utf8").includes(dean.toStringDer()), false);
+
+        // Le compte est utilisable par son alias (CLI, API)
+        const diplomas = await service.createNFTToken("board", { name: "Diplomas", symbol: "DIP", maxSupply: 5, alias: "diplomas" });
+        await service.mintNFTs("diplomas", metadataUris(2));
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        await service.transferNFT("diplomas", "board", graduate, 1);
+        assert.equal(ledger.getNft(diplomas.tokenId, 1).owner, graduate.accountId.toString());
+
+        // Sans clé détenue, le compte signe à part : la transaction est préparée
+        const envelope = await service.transferNFT("diplomas", graduate, "faculty", 2, { prepare: true });
+        assert.equal(envelope.operation, "transferNFT");
+    });
+
+    it("reads the soulbound flag without decrypting token keys", async () => {
+        await service.createAccount(20, { alias: "registrar" });
+        await service.createNFTToken("registrar", { name: "Badges", symbol: "BDG", maxSupply: 5, alias: "badges" });
+        await service.createNFTToken("registrar", { name: "Diplomas", symbol: "DIP", maxSupply: 5, alias: "diplomas", soulbound: true });
+
+        let decrypted = 0;
+        const decryptKey = service.keystore.decryptKey.bind(service.keystore);
+        service.keystore.decryptKey = encrypted => {
+            decrypted++;
+            return decryptKey(encrypted);
+        };
+
+        assert.equal(service.getSoulboundToken("badges"), null);
+        assert.equal(service.getSoulboundToken("0.0.999999"), null);
+        assert.equal(decrypted, 0);
+
+        assert.equal(service.getSoulboundToken("diplomas").soulbound, true);
+        assert.ok(decrypted > 0);
+    });
+});
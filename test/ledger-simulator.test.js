@@ -0,0 +1,302 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import {
+    AccountBalanceQuery,
+    CustomFixedFee,
+    CustomFractionalFee,
+    CustomRoyaltyFee,
+    Hbar,
+    PrivateKey,
+    TokenAssociateTransaction,
+    TokenCreateTransaction,
+    TokenFreezeTransaction,
+    TokenMintTransaction,
+    TokenPauseTransaction,
+    TokenSupplyType,
+    TokenType,
+    TransferTransaction
+} from "@hashgraph/sdk";
+import LedgerSimulator, { FEE_COLLECTION_ACCOUNT_ID } from "../src/simulator/LedgerSimulator.js";
+import MirrorNodeClient from "../src/mirror/MirrorNodeClient.js";
+
+/**
+ * Helper - Exécuter une transaction signée par les clés données et lire son reçu (sans valider le statut)
+ */
+async function execute(client, transaction, keys = []) {
+    transaction.freezeWith(client);
+    for (const key of keys) {
+        await transaction.sign(key);
+    }
+    const response = await transaction.execute(client);
+    return response.getReceiptQuery().setValidateStatus(false).execute(client);
+}
+
+describe("LedgerSimulator", () => {
+    let ledger;
+    let client;
+    let treasury;
+    let supplyKey;
+    let tokenId;
+
+    beforeEach(async () => {
+        ledger = new LedgerSimulator();
+        client = ledger.createClient();
+        treasury = ledger.createAccount({ balance: 50 });
+        supplyKey = PrivateKey.generateED25519();
+
+        const receipt = await execute(client, new TokenCreateTransaction()
+            .setTokenName("Diplomas")
+            .setTokenSymbol("DIP")
+            .setTokenType(TokenType.NonFungibleUnique)
+            .setSupplyType(TokenSupplyType.Finite)
+            .setMaxSupply(3)
+            .setTreasuryAccountId(treasury.accountId)
+            .setSupplyKey(supplyKey.publicKey)
+            .setFreezeKey(supplyKey.publicKey)
+            .setPauseKey(supplyKey.publicKey), [treasury.privateKey]);
+        assert.equal(receipt.status.toString(), "SUCCESS");
+        tokenId = receipt.tokenId;
+    });
+
+    afterEach(() => {
+        client.close();
+    });
+
+    it("assigns serial numbers and enforces the max supply", async () => {
+        const first = await execute(client, new TokenMintTransaction()
+            .setTokenId(tokenId)
+            .setMetadata([Buffer.from("a"), Buffer.from("b")]), [supplyKey]);
+        assert.equal(first.status.toString(), "SUCCESS");
+        assert.deepEqual(first.serials.map(Number), [1, 2]);
+
+        const over = await execute(client, new TokenMintTransaction()
+            .setTokenId(tokenId)
+            .setMetadata([Buffer.from("c"), Buffer.from("d")]), [supplyKey]);
+        assert.equal(over.status.toString(), "TOKEN_MAX_SUPPLY_REACHED");
+        assert.equal(ledger.getToken(tokenId).totalSupply, 2);
+        assert.equal(ledger.getNft(tokenId, 2).owner, treasury.accountId.toString());
+    });
+
+    it("requires the supply key signature to mint", async () => {
+        const receipt = await execute(client, new TokenMintTransaction()
+            .setTokenId(tokenId)
+            .setMetadata([Buffer.from("a")]));
+        assert.equal(receipt.status.toString(), "INVALID_SIGNATURE");
+        assert.equal(ledger.getToken(tokenId).totalSupply, 0);
+    });
+
+    it("requires the sender signature and the receiver association to transfer", async () => {
+        await execute(client, new TokenMintTransaction().setTokenId(tokenId).setMetadata([Buffer.from("a")]), [supplyKey]);
+        const graduate = ledger.createAccount({ balance: 5 });
+        const transfer = () => new TransferTransaction().addNftTransfer(tokenId, 1, treasury.accountId, graduate.accountId);
+
+        assert.equal((await execute(client, transfer())).status.toString(), "INVALID_SIGNATURE");
+        assert.equal(
+            (await execute(client, transfer(), [treasury.privateKey])).status.toString(),
+            "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT"
+        );
+
+        await execute(client, new TokenAssociateTransaction()
+            .setAccountId(graduate.accountId)
+            .setTokenIds([tokenId]), [graduate.privateKey]);
+        assert.equal((await execute(client, transfer(), [treasury.privateKey])).status.toString(), "SUCCESS");
+        assert.equal(ledger.getNft(tokenId, 1).owner, graduate.accountId.toString());
+    });
+
+    it("uses automatic association slots", async () => {
+        await execute(client, new TokenMintTransaction().setTokenId(tokenId).setMetadata([Buffer.from("a")]), [supplyKey]);
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+
+        const receipt = await execute(client, new TransferTransaction()
+            .addNftTransfer(tokenId, 1, treasury.accountId, graduate.accountId), [treasury.privateKey]);
+        assert.equal(receipt.status.toString(), "SUCCESS");
+
+        const balance = await new AccountBalanceQuery().setAccountId(graduate.accountId).execute(client);
+        assert.equal(balance.tokens.get(tokenId).toNumber(), 1);
+    });
+
+    it("refuses transfers of frozen accounts and paused tokens", async () => {
+        await execute(client, new TokenMintTransaction().setTokenId(tokenId).setMetadata([Buffer.from("a")]), [supplyKey]);
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+        await execute(client, new TransferTransaction()
+            .addNftTransfer(tokenId, 1, treasury.accountId, graduate.accountId), [treasury.privateKey]);
+
+        await execute(client, new TokenFreezeTransaction().setTokenId(tokenId).setAccountId(graduate.accountId), [supplyKey]);
+        const back = () => new TransferTransaction().addNftTransfer(tokenId, 1, graduate.accountId, treasury.accountId);
+        assert.equal((await execute(client, back(), [graduate.privateKey])).status.toString(), "ACCOUNT_FROZEN_FOR_TOKEN");
+
+        await execute(client, new TokenPauseTransaction().setTokenId(tokenId), [supplyKey]);
+        assert.equal((await execute(client, back(), [graduate.privateKey])).status.toString(), "TOKEN_IS_PAUSED");
+    });
+
+    it("transfers fungible tokens and enforces the transfer list sizes", async () => {
+        const created = await execute(client, new TokenCreateTransaction()
+            .setTokenName("Credits")
+            .setTokenSymbol("CRD")
+            .setTokenType(TokenType.FungibleCommon)
+            .setDecimals(2)
+            .setInitialSupply(1000)
+            .setTreasuryAccountId(treasury.accountId), [treasury.privateKey]);
+        const creditsId = created.tokenId;
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const pay = amount => new TransferTransaction()
+            .addTokenTransfer(creditsId, treasury.accountId, -amount)
+            .addTokenTransfer(creditsId, graduate.accountId, amount);
+
+        assert.equal((await execute(client, pay(250), [treasury.privateKey])).status.toString(), "SUCCESS");
+        assert.equal(ledger.getTokenBalance(graduate.accountId, creditsId), 250);
+        assert.equal((await execute(client, pay(800), [treasury.privateKey])).status.toString(), "INSUFFICIENT_TOKEN_BALANCE");
+        assert.equal(ledger.getTokenBalance(treasury.accountId, creditsId), 750);
+
+        const accounts = Array.from({ length: 10 }, () => ledger.createAccount({ balance: 1 }));
+        const tooMany = accounts.reduce(
+            (transaction, account) => transaction.addHbarTransfer(account.accountId, Hbar.fromTinybars(1)),
+            new TransferTransaction().addHbarTransfer(treasury.accountId, Hbar.fromTinybars(-10))
+        );
+        assert.equal((await execute(client, tooMany, [treasury.privateKey])).status.toString(), "TRANSFER_LIST_SIZE_LIMIT_EXCEEDED");
+    });
+
+    it("charges fractional and fixed custom fees on fungible transfers", async () => {
+        const collector = ledger.createAccount({ balance: 1 });
+        const credits = () => new TokenCreateTransaction()
+            .setTokenName("Credits")
+            .setTokenSymbol("CRD")
+            .setTokenType(TokenType.FungibleCommon)
+            .setInitialSupply(1000)
+            .setTreasuryAccountId(treasury.accountId);
+        const created = await execute(client, credits().setCustomFees([
+            new CustomFractionalFee().setNumerator(1).setDenominator(10).setMin(5).setMax(50).setFeeCollectorAccountId(collector.accountId),
+            new CustomFixedFee().setHbarAmount(new Hbar(1)).setFeeCollectorAccountId(collector.accountId)
+        ]), [treasury.privateKey]);
+        const creditsId = created.tokenId;
+        const alice = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const bob = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const pay = (from, to, amount) => new TransferTransaction()
+            .addTokenTransfer(creditsId, from.accountId, -amount)
+            .addTokenTransfer(creditsId, to.accountId, amount);
+
+        // La treasury est exemptée, le collecteur du frais fractionnaire est associé d'office
+        assert.equal((await execute(client, pay(treasury, alice, 500), [treasury.privateKey])).status.toString(), "SUCCESS");
+        assert.equal(ledger.getTokenBalance(alice.accountId, creditsId), 500);
+        assert.equal(ledger.getTokenBalance(collector.accountId, creditsId), 0);
+
+        // 10 % retenus sur ce que reçoit bob (au moins 5), 1 HBAR payé par alice
+        const transfer = pay(alice, bob, 100).freezeWith(client);
+        await transfer.sign(alice.privateKey);
+        const record = await (await transfer.execute(client)).getRecord(client);
+        assert.equal(ledger.getTokenBalance(bob.accountId, creditsId), 90);
+        assert.equal(ledger.getTokenBalance(collector.accountId, creditsId), 10);
+        assert.equal(ledger.getHbarBalance(alice.accountId), 4);
+        assert.equal(ledger.getHbarBalance(collector.accountId), 2);
+        assert.deepEqual(
+            record.assessedCustomFees.map(fee => [fee.tokenId?.toString() ?? null, fee.amount.toNumber(), fee.payerAccountIds.map(String)]),
+            [[creditsId.toString(), 10, [bob.accountId.toString()]], [null, 100000000, [alice.accountId.toString()]]]
+        );
+        await execute(client, pay(alice, bob, 20), [alice.privateKey]);
+        assert.equal(ledger.getTokenBalance(bob.accountId, creditsId), 105);
+
+        // Sans HBAR pour le frais fixe, rien ne bouge
+        const broke = ledger.createAccount({ balance: 0, maxAutomaticTokenAssociations: 1 });
+        await execute(client, pay(bob, broke, 50), [bob.privateKey]);
+        assert.equal(
+            (await execute(client, pay(broke, alice, 10), [broke.privateKey])).status.toString(),
+            "INSUFFICIENT_SENDER_ACCOUNT_BALANCE_FOR_CUSTOM_FEE"
+        );
+        assert.equal(ledger.getTokenBalance(broke.accountId, creditsId), 45);
+
+        const { customFees } = await ledger.createMirrorNode().getTokenInfo(creditsId.toString());
+        assert.deepEqual(customFees.fractional_fees[0].amount, { numerator: 1, denominator: 10 });
+        assert.equal(customFees.fixed_fees[0].amount, 100000000);
+
+        const royalty = new CustomRoyaltyFee().setNumerator(1).setDenominator(10).setFeeCollectorAccountId(collector.accountId);
+        assert.equal(
+            (await execute(client, credits().setCustomFees([royalty]), [treasury.privateKey])).status.toString(),
+            "CUSTOM_ROYALTY_FEE_ONLY_ALLOWED_FOR_NON_FUNGIBLE_UNIQUE"
+        );
+    });
+
+    it("charges fees to the payer and rejects HBAR transfers it can't cover", async () => {
+        const before = ledger.getHbarBalance(ledger.operator.accountId);
+        const receipt = await execute(client, new TransferTransaction()
+            .addHbarTransfer(treasury.accountId, new Hbar(-100))
+            .addHbarTransfer(ledger.operator.accountId, new Hbar(100)), [treasury.privateKey]);
+
+        assert.equal(receipt.status.toString(), "INSUFFICIENT_ACCOUNT_BALANCE");
+        assert.equal(ledger.getHbarBalance(treasury.accountId), 50);
+        assert.ok(ledger.getHbarBalance(ledger.operator.accountId) < before);
+        assert.ok(ledger.getHbarBalance(FEE_COLLECTION_ACCOUNT_ID) > 0);
+    });
+
+    it("refuses a payer that can't pay the fee at precheck", async () => {
+        const poor = ledger.createAccount({ balance: 0 });
+        client.setOperator(poor.accountId, poor.privateKey);
+
+        await assert.rejects(
+            new TokenAssociateTransaction().setAccountId(poor.accountId).setTokenIds([tokenId]).execute(client),
+            error => error.status?.toString() === "INSUFFICIENT_PAYER_BALANCE"
+        );
+    });
+
+    it("serves NFTs through the simulated mirror node", async () => {
+        await execute(client, new TokenMintTransaction()
+            .setTokenId(tokenId)
+            .setMetadata([Buffer.from("ipfs://one"), Buffer.from("ipfs://two")]), [supplyKey]);
+        const mirrorNode = ledger.createMirrorNode();
+
+        const nft = await mirrorNode.getNft(tokenId.toString(), 2);
+        assert.equal(nft.metadata, "ipfs://two");
+        assert.equal(nft.owner, treasury.accountId.toString());
+
+        const page = await mirrorNode.listNftsByToken(tokenId.toString(), { limit: 1, order: "asc" });
+        assert.equal(page.nfts[0].serialNumber, 1);
+        assert.ok(page.next);
+        assert.equal((await mirrorNode.listAllNftsByToken(tokenId.toString())).length, 2);
+
+        const history = await mirrorNode.getNftTransactionHistory(tokenId.toString(), 1);
+        assert.equal(history[0].type, "TOKENMINT");
+        assert.equal(await mirrorNode.getNft(tokenId.toString(), 99), null);
+        assert.equal((await mirrorNode.getExchangeRate()).usdPerHbar, ledger.usdPerHbar);
+    });
+
+    it("times out silent mirror nodes and reads only recent schedules", async () => {
+        const stalled = new MirrorNodeClient({
+            baseUrl: "http://mirror.test",
+            timeoutMs: 20,
+            fetch: (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)))
+        });
+        await assert.rejects(stalled.getExchangeRate(), /timed out after 20 ms/);
+
+        // Deux pages de schedules, du plus récent au plus ancien : la seconde n'est jamais lue
+        const requested = [];
+        const schedule = (num, seconds) => ({ schedule_id: `0.0.${num}`, consensus_timestamp: `${seconds}.000000000`, signatures: [] });
+        const pages = {
+            "/api/v1/schedules": { schedules: [schedule(9, 2000), schedule(8, 1500), schedule(7, 900)], links: { next: "/api/v1/schedules?page=2" } },
+            "/api/v1/schedules?page=2": { schedules: [schedule(6, 800)], links: { next: null } }
+        };
+        const mirrorNode = new MirrorNodeClient({
+            baseUrl: "http://mirror.test",
+            fetch: async url => {
+                const { pathname, search } = new URL(url);
+                requested.push(url);
+                return new Response(JSON.stringify(pages[search.startsWith("?page") ? pathname + search : pathname]));
+            }
+        });
+
+        const recent = await mirrorNode.listSchedules("0.0.2", { createdAfter: new Date(1000 * 1000) });
+        assert.deepEqual(recent.map(item => item.scheduleId), ["0.0.9", "0.0.8"]);
+        assert.equal(requested.length, 1);
+        assert.match(requested[0], /order=desc/);
+        assert.deepEqual((await mirrorNode.listSchedules("0.0.2", { limit: 1 })).map(item => item.scheduleId), ["0.0.9"]);
+        assert.equal((await mirrorNode.listSchedules("0.0.2")).length, 4);
+    });
+
+    it("answers injected precheck statuses", async () => {
+        ledger.failNext("INVALID_TRANSACTION_START");
+
+        await assert.rejects(
+            new TokenMintTransaction().setTokenId(tokenId).setMetadata([Buffer.from("a")]).execute(client),
+            error => error.status?.toString() === "INVALID_TRANSACTION_START"
+        );
+        assert.throws(() => ledger.failNext("NOT_A_STATUS"), /Unknown Hedera status/);
+    });
+});
@@ -0,0 +1,122 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import Logger from "../src/logging/Logger.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+/**
+ * Helper - Flux qui garde les lignes écrites
+ */
+function memoryStream() {
+    return {
+        lines: [],
+        write(chunk) {
+            this.lines.push(...chunk.split("\n").filter(Boolean));
+        }
+    };
+}
+
+describe("Logger", () => {
+    it("writes entries at or above its level, warnings and errors on the error stream", () => {
+        const stream = memoryStream();
+        const errorStream = memoryStream();
+        const logger = new Logger({ level: "info", stream: stream, errorStream: errorStream });
+
+        logger.debug("hidden");
+        logger.info("Token ID:", "0.0.1001");
+        logger.error("Error minting NFTs:", "BUSY");
+
+        assert.deepEqual(stream.lines, ["Token ID: 0.0.1001"]);
+        assert.deepEqual(errorStream.lines, ["Error minting NFTs: BUSY"]);
+    });
+
+    it("writes one JSON object per line with its context", () => {
+        const stream = memoryStream();
+        const logger = new Logger({ format: "json", context: { service: "test" }, stream: stream });
+
+        logger.info("Serials:", [1, 2]);
+        const entry = JSON.parse(stream.lines[0]);
+
+        assert.equal(entry.level, "info");
+        assert.equal(entry.service, "test");
+        assert.equal(entry.msg, "Serials: [ 1, 2 ]");
+        assert.ok(Date.parse(entry.time));
+    });
+
+    it("writes nothing when silent and rejects unknown levels", () => {
+        const stream = memoryStream();
+        const logger = new Logger({ level: "silent", stream: stream, errorStream: stream });
+        logger.error("hidden");
+
+        assert.equal(stream.lines.length, 0);
+        assert.throws(() => new Logger({ level: "verbose" }), /Unknown log level/);
+        assert.throws(() => new Logger({ format: "xml" }), /Unknown log format/);
+    });
+});
+
+describe("HederaNftService events", () => {
+    let context;
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("emits lifecycle events with structured payloads", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+        const events = [];
+        for (const name of ["accountCreated", "tokenCreated", "mintChunkCompleted", "transferCompleted"]) {
+            service.on(name, payload => events.push({ name, payload }));
+        }
+
+        const collection = await service.createCompleteNFTCollection(
+            { name: "Events", symbol: "EVT", maxSupply: 20 },
+            metadataUris(12),
+            10
+        );
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        await service.transferNFT(collection.tokenData, collection.account, graduate, 4);
+
+        assert.deepEqual(events.map(event => event.name), [
+            "accountCreated",
+            "tokenCreated",
+            "mintChunkCompleted",
+            "mintChunkCompleted",
+            "transferCompleted"
+        ]);
+
+        const [account, token, firstChunk, lastChunk, transfer] = events.map(event => event.payload);
+        assert.equal(account.accountId, collection.summary.accountId);
+        assert.equal(account.initialBalance, 10);
+        assert.equal(token.tokenId, collection.summary.tokenId);
+        assert.equal(token.maxSupply, 20);
+        assert.deepEqual(
+            [firstChunk.chunkIndex, firstChunk.totalChunks, firstChunk.minted, firstChunk.total],
+            [0, 2, 10, 12]
+        );
+        assert.deepEqual(lastChunk.serials, [11, 12]);
+        assert.equal(transfer.tokenId, collection.summary.tokenId);
+        assert.equal(transfer.serialNumber, 4);
+        assert.equal(transfer.to, graduate.accountId.toString());
+        assert.match(transfer.transactionId, /^0\.0\.2@/);
+    });
+
+    it("emits operationFailed once, for the operation that failed", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+        const failures = [];
+        service.on("operationFailed", payload => failures.push(payload));
+
+        const treasury = ledger.createAccount({ balance: 5 });
+        const tokenData = await service.createNFTToken(treasury, { name: "Fail", symbol: "FL", maxSupply: 1 });
+        await assert.rejects(service.mintNFTs(tokenData, metadataUris(2)));
+
+        assert.equal(failures.length, 1);
+        assert.equal(failures[0].operation, "mintNFTs");
+        assert.equal(failures[0].errorType, "MaxSupplyReachedError");
+        assert.equal(failures[0].status, "TOKEN_MAX_SUPPLY_REACHED");
+
+        await assert.rejects(service.createCompleteNFTCollection({ name: "Fail", symbol: "FL", maxSupply: 1 }, metadataUris(2)));
+        assert.equal(failures.length, 2);
+        assert.equal(failures[1].operation, "mintNFTs");
+    });
+});
@@ -0,0 +1,86 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { MaxSupplyReachedError, TransientNetworkError } from "../src/errors/hedera-errors.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("mintNFTs", () => {
+    let context;
+    let service;
+    let ledger;
+    let tokenData;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        const treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 25 });
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("mints in chunks of 10 with consecutive serials", async () => {
+        const progress = [];
+        const result = await service.mintNFTs(tokenData, metadataUris(23), {
+            onProgress: event => progress.push(event.minted)
+        });
+
+        assert.equal(result.count, 23);
+        assert.deepEqual(result.serials, Array.from({ length: 23 }, (_, index) => index + 1));
+        assert.equal(result.chunks.length, 3);
+        assert.deepEqual(progress, [10, 20, 23]);
+        assert.equal(ledger.getNft(tokenData.tokenId, 23).metadata, "ipfs://bafy-test-23");
+    });
+
+    it("throws MaxSupplyReachedError past the max supply", async () => {
+        await service.mintNFTs(tokenData, metadataUris(20));
+
+        await assert.rejects(service.mintNFTs(tokenData, metadataUris(10, "ipfs://extra")), error => {
+            assert.ok(error instanceof MaxSupplyReachedError);
+            assert.equal(error.status, "TOKEN_MAX_SUPPLY_REACHED");
+            return true;
+        });
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 20);
+    });
+
+    it("resumes an interrupted run from its checkpoint", async () => {
+        const metadata = metadataUris(15);
+        let failure;
+        try {
+            await service.mintNFTs(tokenData, metadata, {
+                // Le deuxième lot est refusé par le réseau
+                onProgress: ({ chunkIndex }) => chunkIndex === 0 && ledger.failNext("INSUFFICIENT_PAYER_BALANCE")
+            });
+        } catch (error) {
+            failure = error;
+        }
+
+        assert.equal(failure.mintCheckpoint.completedChunks.length, 1);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 10);
+
+        const result = await service.mintNFTs(tokenData, metadata, { checkpoint: failure.mintCheckpoint });
+        assert.equal(result.count, 15);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 15);
+    });
+
+    it("retries transient failures with the same transaction", async () => {
+        ledger.failNext("BUSY", 2);
+
+        const result = await service.mintNFTs(tokenData, metadataUris(2));
+        assert.deepEqual(result.serials, [1, 2]);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 2);
+    });
+
+    it("gives up after the retry policy", async () => {
+        ledger.failNext("BUSY", 50);
+
+        await assert.rejects(service.mintNFTs(tokenData, metadataUris(1)), TransientNetworkError);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 0);
+    });
+
+    it("rejects invalid metadata before submitting anything", async () => {
+        await assert.rejects(service.mintNFTs(tokenData, ["x".repeat(101)]), /Invalid NFT metadata/);
+        assert.equal(ledger.transactions.size, 1);
+    });
+});
@@ -0,0 +1,123 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { join } from "node:path";
+import { TokenAssociateTransaction, TransferTransaction } from "@hashgraph/sdk";
+import { parseCsv, parseRoster } from "../src/issuance/roster.js";
+import { createTestService } from "./helpers.js";
+
+describe("Roster issuance", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+    let tokenData;
+    let journalPath;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 10, soulbound: true });
+        journalPath = join(context.tempDir, "journal.json");
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Roster CSV d'une promotion
+     */
+    function roster(graduates) {
+        const lines = graduates.map((graduate, index) => `S-00${index + 1},Student ${index + 1},Master of Science,${graduate.accountId.toString()}`);
+        return parseRoster(["studentId,studentName,degree,accountId", ...lines].join("\n"));
+    }
+
+    /**
+     * Helper - Émission avec les valeurs par défaut de la promotion
+     */
+    function issue(rows, options = {}) {
+        return service.issueDiplomasFromRoster(tokenData, rows, {
+            journalPath: journalPath,
+            institution: "Hedera University",
+            graduationDate: "2026-06-30",
+            image: "ipfs://bafyimage",
+            ...options
+        });
+    }
+
+    it("issues a soulbound diploma to every graduate and locks each of them", async () => {
+        const graduates = [1, 2, 3].map(() => ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 }));
+        const reportPath = join(context.tempDir, "report.csv");
+
+        const result = await issue(roster(graduates), { reportPath: reportPath });
+
+        assert.equal(result.issued, 3);
+        assert.equal(result.failed, 0);
+        for (const [index, graduate] of graduates.entries()) {
+            assert.equal(ledger.getNft(tokenData.tokenId, result.rows[index].serialNumber).owner, graduate.accountId.toString());
+            assert.equal((await service.isDiplomaLocked(tokenData, graduate)).locked, true);
+        }
+        assert.match(readFileSync(reportPath, "utf8"), /^row,studentId/);
+
+        // Relancer n'émet aucun second diplôme
+        const rerun = await issue(roster(graduates));
+        assert.equal(rerun.issued, 0);
+        assert.equal(rerun.alreadyIssued, 3);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 3);
+        await assert.rejects(issue(roster(graduates), { journalPath: undefined }), /journal path is required/);
+    });
+
+    it("reports the line of each roster row in the file", async () => {
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const text = [
+            "studentId,studentName,degree,accountId",
+            "",
+            `S-001,"Ada\r\nLovelace",Master of Science,${graduate.accountId.toString()}`,
+            "",
+            "S-002,Alan Turing,Master of Science,not-an-account",
+            "S-003,\"Grace \"\"Amazing\"\" Hopper\",Master of Science,0.0.1234"
+        ].join("\r\n");
+
+        const rows = parseRoster(text);
+        assert.deepEqual(rows.map(row => row.row), [3, 6, 7]);
+        assert.equal(rows[2].studentName, "Grace \"Amazing\" Hopper");
+        assert.deepEqual(parseCsv("a,b\n\n1,2\n"), [["a", "b"], ["1", "2"]]);
+        assert.throws(() => parseRoster("studentId\n\"S-001\n"), /starting on line 2/);
+
+        const result = await issue(rows);
+        const invalid = result.rows.find(row => row.studentId === "S-002");
+        assert.equal(invalid.row, 6);
+        assert.equal(invalid.status, "invalid");
+    });
+
+    it("locks a graduate whose diploma arrived before an interrupted run", async () => {
+        // Sans clé ni slot d'association automatique : la livraison échoue et reste "delivering"
+        const graduate = ledger.createAccount({ balance: 5 });
+        const rows = roster([{ accountId: graduate.accountId }]);
+
+        const first = await issue(rows);
+        assert.equal(first.failed, 1);
+        const serialNumber = first.rows[0].serialNumber;
+
+        // Le diplôme arrive hors du service, sans verrouillage
+        const client = service.getClient();
+        const association = new TokenAssociateTransaction()
+            .setAccountId(graduate.accountId)
+            .setTokenIds([tokenData.tokenId])
+            .freezeWith(client);
+        await association.sign(graduate.privateKey);
+        await (await association.execute(client)).getReceipt(client);
+        const transfer = new TransferTransaction()
+            .addNftTransfer(tokenData.tokenId, serialNumber, treasury.accountId, graduate.accountId)
+            .freezeWith(client);
+        await transfer.sign(treasury.privateKey);
+        await (await transfer.execute(client)).getReceipt(client);
+        assert.equal((await service.isDiplomaLocked(tokenData, graduate)).locked, false);
+
+        const rerun = await issue(rows);
+        assert.equal(rerun.issued, 1);
+        assert.equal((await service.isDiplomaLocked(tokenData, graduate)).locked, true);
+    });
+});
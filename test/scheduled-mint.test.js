@@ -0,0 +1,164 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { KeyList, PrivateKey } from "@hashgraph/sdk";
+import { describeApprovals, scheduleStatus } from "../src/mint/scheduled-mint.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("Scheduled mint approvals", () => {
+    let context;
+    let service;
+    let ledger;
+    let registrar;
+    let dean;
+    let tokenData;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        registrar = PrivateKey.generateED25519();
+        dean = PrivateKey.generateED25519();
+
+        // Diplômes : le registraire et le doyen doivent tous deux approuver un mint
+        const treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, {
+            name: "Diplomas",
+            symbol: "DIP",
+            maxSupply: 20,
+            supplyKey: { keys: [registrar, dean.publicKey], threshold: 2 },
+            issuanceTopic: true
+        });
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("mints once the registrar and the dean have both signed", async () => {
+        const executed = [];
+        service.on("scheduledMintExecuted", event => executed.push(event));
+
+        await assert.rejects(service.mintNFTs(tokenData, metadataUris(1)), error => error.status === "INVALID_SIGNATURE");
+
+        const scheduled = await service.scheduleMint(tokenData, metadataUris(3));
+        const [schedule] = scheduled.schedules;
+        assert.equal(scheduled.schedules.length, 1);
+        assert.equal(schedule.status, "pending");
+        assert.equal(schedule.count, 3);
+        assert.equal(schedule.threshold, 2);
+        assert.equal(schedule.approvals, 1);
+        assert.deepEqual(schedule.approvers, [registrar.publicKey.toStringDer()]);
+        assert.deepEqual(schedule.waitingFor, [dean.publicKey.toStringDer()]);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 0);
+
+        // Signer deux fois n'apporte rien
+        await assert.rejects(service.signSchedule(schedule.scheduleId, registrar), error => error.status === "NO_NEW_VALID_SIGNATURES");
+
+        const signed = await service.signSchedule(schedule.scheduleId, dean, { token: tokenData });
+        assert.equal(signed.status, "executed");
+        assert.equal(signed.approvals, 2);
+        assert.deepEqual(signed.result, { status: "SUCCESS", serials: [1, 2, 3] });
+        assert.equal(ledger.getNft(tokenData.tokenId, 3).metadata, metadataUris(3)[2]);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 3);
+
+        assert.deepEqual(executed.map(event => event.serials), [[1, 2, 3]]);
+        assert.equal(executed[0].transactionId, schedule.scheduledTransactionId);
+        // Le mint exécuté par la dernière signature est ancré sur le topic de la collection
+        assert.equal((await service.readIssuanceHistory(tokenData)).valid, true);
+        await assert.rejects(service.signSchedule(schedule.scheduleId, PrivateKey.generateED25519()),
+            error => error.status === "SCHEDULE_ALREADY_EXECUTED");
+    });
+
+    it("lists the pending schedules of a token", async () => {
+        const scheduled = await service.scheduleMint(tokenData, metadataUris(12), { memo: "Class of 2026" });
+        assert.deepEqual(scheduled.schedules.map(schedule => schedule.count), [10, 2]);
+
+        // Un mint identique encore en attente est refusé par le réseau
+        await assert.rejects(
+            service.scheduleMint(tokenData, metadataUris(12).slice(10), { memo: "Class of 2026" }),
+            error => error.status === "IDENTICAL_SCHEDULE_ALREADY_CREATED"
+        );
+
+        await service.signSchedule(scheduled.schedules[0].scheduleId, dean);
+
+        const pending = await service.listPendingSchedules(tokenData.tokenId.toString());
+        assert.deepEqual(pending.map(schedule => schedule.scheduleId), [scheduled.schedules[1].scheduleId]);
+        assert.equal(pending[0].memo, "Class of 2026");
+        assert.equal(pending[0].approvals, 1);
+        assert.deepEqual(pending[0].metadata, metadataUris(12).slice(10));
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 10);
+    });
+
+    it("creates a treasury account owned by a threshold key list", async () => {
+        const approvers = [PrivateKey.generateED25519(), PrivateKey.generateED25519(), PrivateKey.generateED25519()];
+        const treasury = await service.createAccount(20, {
+            key: { keys: [approvers[0], approvers[1], approvers[2].publicKey], threshold: 2 }
+        });
+        assert.equal(treasury.privateKey, null);
+        assert.equal(treasury.privateKeys.length, 2);
+        assert.ok(treasury.key instanceof KeyList);
+        await assert.rejects(service.createAccount(20, { key: { keys: ["generate", approvers[0]], threshold: 1 } }), /generate/);
+
+        // La supply key est par défaut la liste de la treasury, signée avec les clés détenues
+        const diplomas = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 5 });
+        assert.equal(diplomas.supplyKey.threshold, 2);
+        // L'historique d'émission est signé par une seule clé : refusé avant de créer le token
+        await assert.rejects(
+            service.createNFTToken(treasury, { name: "Anchored", symbol: "ANC", maxSupply: 5, issuanceTopic: true }),
+            /key list account/
+        );
+        const minted = await service.mintNFTs(diplomas, metadataUris(2));
+        assert.deepEqual(minted.serials, [1, 2]);
+
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        await service.transferNFT(diplomas, treasury, graduate, 1);
+        assert.equal(ledger.getNft(diplomas.tokenId, 1).owner, graduate.accountId.toString());
+
+        // Une seule des deux approbations : la treasury ne signe pas
+        const partial = { accountId: treasury.accountId, privateKey: null, privateKeys: [approvers[0]] };
+        await assert.rejects(service.transferNFT(diplomas, partial, graduate, 2), error => error.status === "INVALID_SIGNATURE");
+    });
+
+    it("signs allowances, spender transfers and auto-renewal with key list accounts", async () => {
+        const keyListAccount = () => service.createAccount(20, {
+            key: { keys: [PrivateKey.generateED25519(), PrivateKey.generateED25519()], threshold: 2 }
+        });
+        const treasury = await keyListAccount();
+        const registrar = await keyListAccount();
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+
+        const diplomas = await service.createNFTToken(treasury, {
+            name: "Diplomas",
+            symbol: "DIP",
+            maxSupply: 5,
+            adminKey: "generate",
+            autoRenewAccount: registrar
+        });
+        await service.mintNFTs(diplomas, metadataUris(2));
+        await service.updateToken(diplomas, { memo: "Class of 2026", autoRenewAccount: treasury });
+
+        const approval = await service.approveNftAllowance(treasury, registrar, diplomas, [1, 2]);
+        assert.equal(approval.status.toString(), "SUCCESS");
+        await service.transferNFTAsSpender(diplomas, treasury.accountId.toString(), registrar, graduate, 1);
+        assert.equal(ledger.getNft(diplomas.tokenId, 1).owner, graduate.accountId.toString());
+
+        await service.deleteNftAllowance(treasury, registrar, diplomas, [2]);
+        assert.equal(ledger.getNft(diplomas.tokenId, 2).spender, null);
+    });
+
+    it("counts approvals and reads schedule states", () => {
+        const keys = [registrar, dean, PrivateKey.generateED25519()].map(key => key.publicKey);
+        const supplyKey = KeyList.of(...keys).setThreshold(2);
+
+        const approvals = describeApprovals(supplyKey, new Set([keys[2].toStringRaw()]));
+        assert.equal(approvals.approvals, 1);
+        assert.equal(approvals.satisfied, false);
+        assert.deepEqual(approvals.waitingFor, [keys[0].toStringDer(), keys[1].toStringDer()]);
+        assert.equal(describeApprovals(keys[0], new Set([keys[0].toStringRaw()])).satisfied, true);
+
+        const now = Date.parse("2026-06-01T12:00:00Z");
+        assert.equal(scheduleStatus({ executedAt: "2026-06-01T11:00:00Z", deleted: false, expiresAt: null }, now), "executed");
+        assert.equal(scheduleStatus({ executedAt: null, deleted: true, expiresAt: null }, now), "deleted");
+        assert.equal(scheduleStatus({ executedAt: null, deleted: false, expiresAt: "2026-06-01T11:30:00Z" }, now), "expired");
+        assert.equal(scheduleStatus({ executedAt: null, deleted: false, expiresAt: "2026-06-01T12:30:00Z" }, now), "pending");
+    });
+});
@@ -0,0 +1,241 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { TokenCreateTransaction, TokenType } from "@hashgraph/sdk";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("Token management", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+
+    beforeEach(() => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Token fongible dont le compte est la treasury
+     */
+    async function createFungibleToken(owner, initialSupply) {
+        const client = service.getClient();
+        const transaction = new TokenCreateTransaction()
+            .setTokenName("Credits")
+            .setTokenSymbol("CRD")
+            .setTokenType(TokenType.FungibleCommon)
+            .setInitialSupply(initialSupply)
+            .setTreasuryAccountId(owner.accountId)
+            .freezeWith(client);
+        await transaction.sign(owner.privateKey);
+        return (await (await transaction.execute(client)).getReceipt(client)).tokenId.toString();
+    }
+
+    it("charges royalties on resales, fallback fees on gifts and follows fee schedule updates", async () => {
+        const collector = ledger.createAccount({ balance: 1 });
+        const tokenData = await service.createNFTToken(treasury, {
+            name: "Memberships",
+            symbol: "MEM",
+            maxSupply: 10,
+            feeScheduleKey: "generate",
+            customFees: [{ type: "royalty", numerator: 10, denominator: 100, feeCollector: collector, fallbackFee: { hbar: 1 } }]
+        });
+        await service.mintNFTs(tokenData, metadataUris(3));
+        const member = ledger.createAccount({ balance: 50, maxAutomaticTokenAssociations: -1 });
+        const buyer = ledger.createAccount({ balance: 50, maxAutomaticTokenAssociations: -1 });
+        const friend = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+
+        assert.deepEqual((await service.getTokenBasicInfo(tokenData)).customFees, [{
+            type: "royalty",
+            numerator: 10,
+            denominator: 100,
+            fallbackFee: { hbar: 1 },
+            feeCollector: collector.accountId.toString(),
+            allCollectorsAreExempt: false
+        }]);
+
+        // La treasury est exemptée : la première vente ne paie aucune royalty
+        await service.swapNFTs(tokenData, [1], treasury, member, { hbar: 10 });
+        assert.equal(ledger.getHbarBalance(treasury.accountId), 60);
+        assert.equal(ledger.getHbarBalance(collector.accountId), 1);
+
+        // Revente : 10 % du prix est prélevé sur ce que reçoit le vendeur
+        await service.swapNFTs(tokenData, [1], member, buyer, { hbar: 20 });
+        assert.equal(ledger.getHbarBalance(member.accountId), 58);
+        assert.equal(ledger.getHbarBalance(buyer.accountId), 30);
+        assert.equal(ledger.getHbarBalance(collector.accountId), 3);
+
+        // Don sans contrepartie : le receveur paie le frais de repli et doit signer
+        await service.transferNFT(tokenData, buyer, friend, 1);
+        assert.equal(ledger.getHbarBalance(friend.accountId), 4);
+        assert.equal(ledger.getHbarBalance(collector.accountId), 4);
+        await assert.rejects(
+            service.transferNFT(tokenData, friend, member.accountId.toString(), 1),
+            error => error.status === "INVALID_SIGNATURE"
+        );
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, friend.accountId.toString());
+
+        // Nouveau barème : un frais fixe payé par l'expéditeur, sans royalty
+        const updated = await service.updateFeeSchedule(tokenData, [{ type: "fixed", hbar: 0.5, feeCollector: collector }]);
+        assert.equal(updated.customFees[0].type, "fixed");
+        const { customFees } = await service.getMirrorNode().getTokenInfo(tokenData.tokenId.toString());
+        assert.deepEqual(customFees.royalty_fees, []);
+        assert.equal(customFees.fixed_fees[0].amount, 50000000);
+
+        await service.transferNFT(tokenData, friend, buyer, 1);
+        assert.equal(ledger.getHbarBalance(friend.accountId), 3.5);
+        assert.equal(ledger.getHbarBalance(buyer.accountId), 30);
+        assert.equal(ledger.getHbarBalance(collector.accountId), 4.5);
+
+        // Sans fee schedule key, le barème ne peut pas être modifié
+        const plain = await service.createNFTToken(treasury, { name: "Badges", symbol: "BDG", maxSupply: 5 });
+        await assert.rejects(service.updateFeeSchedule(plain, []), /No feeSchedule key available/);
+    });
+
+    it("charges royalties in the fungible token an NFT is sold for", async () => {
+        const collector = ledger.createAccount({ balance: 5 });
+        const member = ledger.createAccount({ balance: 20, maxAutomaticTokenAssociations: -1 });
+        const buyer = ledger.createAccount({ balance: 20, maxAutomaticTokenAssociations: -1 });
+        const creditsId = await createFungibleToken(buyer, 1000);
+        const tokenData = await service.createNFTToken(treasury, {
+            name: "Memberships",
+            symbol: "MEM",
+            maxSupply: 10,
+            customFees: [{ type: "royalty", numerator: 5, denominator: 100, feeCollector: collector }]
+        });
+        await service.mintNFTs(tokenData, metadataUris(1));
+        await service.transferNFT(tokenData, treasury, member, 1);
+
+        // Le collecteur doit détenir le token dans lequel la royalty est payée
+        await assert.rejects(
+            service.swapNFTs(tokenData, [1], member, buyer, { token: creditsId, amount: 200 }),
+            error => error.status === "TOKEN_NOT_ASSOCIATED_TO_FEE_COLLECTOR"
+        );
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, member.accountId.toString());
+        assert.equal(ledger.getTokenBalance(buyer.accountId, creditsId), 1000);
+
+        await service.associateTokenToAccount(collector, creditsId);
+        await service.swapNFTs(tokenData, [1], member, buyer, { token: creditsId, amount: 200 });
+        assert.equal(ledger.getTokenBalance(member.accountId, creditsId), 190);
+        assert.equal(ledger.getTokenBalance(collector.accountId, creditsId), 10);
+        assert.equal(ledger.getTokenBalance(buyer.accountId, creditsId), 800);
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, buyer.accountId.toString());
+    });
+
+    it("rotates keys, pauses, unpauses and deletes a token", async () => {
+        const tokenData = await service.createNFTToken(treasury, {
+            name: "Diplomas",
+            symbol: "DIP",
+            maxSupply: 10,
+            adminKey: "generate",
+            pauseKey: "generate"
+        });
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+
+        // Nouvelle supply key : l'ancienne (celle de la treasury) ne peut plus minter
+        const rotated = await service.rotateKey(tokenData, "supply");
+        assert.equal(rotated.role, "supply");
+        assert.equal(tokenData.keys.supply.publicKey.toStringDer(), rotated.newKey.toStringDer());
+        assert.deepEqual((await service.mintNFTs(tokenData, metadataUris(2))).serials, [1, 2]);
+        await assert.rejects(
+            service.mintNFTs({ ...tokenData, keys: { supply: treasury.privateKey } }, metadataUris(1)),
+            error => error.status === "INVALID_SIGNATURE"
+        );
+        await assert.rejects(service.rotateKey(tokenData, "owner"), /Unknown token key role/);
+
+        // Pause : ni transfert ni mint jusqu'à la reprise
+        await service.pauseToken(tokenData);
+        assert.equal(ledger.getToken(tokenData.tokenId).paused, true);
+        await assert.rejects(
+            service.transferNFT(tokenData, treasury, graduate, 1),
+            error => error.status === "TOKEN_IS_PAUSED"
+        );
+        await assert.rejects(service.mintNFTs(tokenData, metadataUris(1)), error => error.status === "TOKEN_IS_PAUSED");
+        await service.unpauseToken(tokenData);
+        await service.transferNFT(tokenData, treasury, graduate, 1);
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, graduate.accountId.toString());
+
+        // Nouvelle admin key, signée par l'ancienne et la nouvelle, puis suppression avec elle
+        const previousAdmin = tokenData.keys.admin;
+        await service.rotateKey(tokenData, "admin");
+        assert.notEqual(tokenData.keys.admin.toStringDer(), previousAdmin.toStringDer());
+        await service.deleteToken(tokenData);
+        assert.equal(ledger.getToken(tokenData.tokenId).deleted, true);
+        await assert.rejects(
+            service.transferNFT(tokenData, treasury, graduate, 2),
+            error => error.status === "TOKEN_WAS_DELETED"
+        );
+
+        // Sans admin key, un token ne peut pas être supprimé
+        const immutable = await service.createNFTToken(treasury, { name: "Badges", symbol: "BDG", maxSupply: 5 });
+        await assert.rejects(service.deleteToken(immutable), /No admin key available/);
+        assert.equal(ledger.getToken(immutable.tokenId).deleted, false);
+    });
+
+    it("estimates costs and missing signatures without submitting in dry-run mode", async () => {
+        const tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 20 });
+        const submitted = ledger.transactions.size;
+
+        const estimates = await service.mintNFTs(tokenData, metadataUris(12), { dryRun: true });
+        assert.equal(estimates.length, 2);
+        assert.deepEqual(estimates.map(estimate => estimate.summary.chunk), ["1/2", "2/2"]);
+        for (const estimate of estimates) {
+            assert.equal(estimate.dryRun, true);
+            assert.equal(estimate.operation, "mintNFTs");
+            assert.equal(estimate.valid, true);
+            assert.ok(estimate.estimatedFee.hbar > 0);
+            assert.ok(estimate.estimatedFee.usd > 0);
+        }
+
+        // Acheteur dont on ne détient pas la clé : la signature manquante est signalée
+        const buyer = ledger.createAccount({ balance: 20 });
+        const swap = await service.swapNFTs(tokenData, [1], treasury, buyer.accountId.toString(), { hbar: 5 }, { dryRun: true });
+        assert.equal(swap.valid, false);
+        assert.deepEqual(swap.missingSigners.map(signer => signer.role), ["buyer"]);
+        assert.match(swap.problems.join(), /missing signatures: buyer/);
+
+        assert.equal(ledger.transactions.size, submitted);
+        assert.equal(ledger.getToken(tokenData.tokenId).totalSupply, 0);
+        assert.equal(ledger.getHbarBalance(buyer.accountId), 20);
+    });
+
+    it("lists NFT allowances and the NFTs held by an account", async () => {
+        const tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 10 });
+        await service.mintNFTs(tokenData, metadataUris(4));
+        const registrar = ledger.createAccount({ balance: 5 });
+        const marketplace = ledger.createAccount({ balance: 5 });
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const tokenId = tokenData.tokenId.toString();
+
+        await service.approveNftAllowance(treasury, registrar, tokenData, [1, 2]);
+        await service.approveNftAllowance(treasury, marketplace, tokenData, "all");
+        await service.transferNFT(tokenData, treasury, graduate, 3);
+
+        const allowances = await service.listNftAllowances(tokenData);
+        assert.equal(allowances.owner, treasury.accountId.toString());
+        assert.deepEqual(allowances.allSerials.map(allowance => allowance.spender), [marketplace.accountId.toString()]);
+        assert.deepEqual(
+            allowances.serials.map(({ serialNumber, spender }) => [serialNumber, spender]).sort(),
+            [[1, registrar.accountId.toString()], [2, registrar.accountId.toString()]]
+        );
+
+        // Un transfert efface l'allowance du serial
+        await service.transferNFTAsSpender(tokenData, treasury, registrar, graduate, 1);
+        assert.deepEqual((await service.listNftAllowances(tokenData)).serials.map(allowance => allowance.serialNumber), [2]);
+
+        const mirrorNode = service.getMirrorNode();
+        const held = await mirrorNode.listNftsByAccount(graduate.accountId.toString(), { tokenId: tokenId });
+        assert.deepEqual(held.nfts.map(nft => nft.serialNumber).sort(), [1, 3]);
+        assert.ok(held.nfts.every(nft => nft.owner === graduate.accountId.toString()));
+        const firstPage = await mirrorNode.listNftsByAccount(treasury.accountId.toString(), { tokenId: tokenId, limit: 1 });
+        assert.equal(firstPage.nfts.length, 1);
+        assert.ok(firstPage.next);
+        const secondPage = await mirrorNode.listNftsByAccount(treasury.accountId.toString(), { next: firstPage.next });
+        assert.equal(secondPage.nfts.length, 1);
+        assert.notEqual(secondPage.nfts[0].serialNumber, firstPage.nfts[0].serialNumber);
+    });
+});
@@ -0,0 +1,143 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { AccountFrozenError, NotAssociatedError } from "../src/errors/hedera-errors.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("NFT transfers", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+    let tokenData;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 10 });
+        await service.mintNFTs(tokenData, metadataUris(3));
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("associates the receiver and reports balances before and after", async () => {
+        const graduate = ledger.createAccount({ balance: 5 });
+
+        const result = await service.transferNFTWithBalanceCheck(tokenData, treasury, graduate, 2);
+        const tokenId = tokenData.tokenId.toString();
+
+        assert.equal(result.summary.success, true);
+        assert.equal(result.summary.associationPath, "associated");
+        assert.equal(result.balances.before.sender.tokens[tokenId], "3");
+        assert.equal(result.balances.before.receiver.tokens[tokenId], undefined);
+        assert.equal(result.balances.after.sender.tokens[tokenId], "2");
+        assert.equal(result.balances.after.receiver.tokens[tokenId], "1");
+        assert.equal(ledger.getNft(tokenId, 2).owner, graduate.accountId.toString());
+    });
+
+    it("uses a free automatic association slot without the receiver key", async () => {
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+
+        const result = await service.transferNFTWithBalanceCheck(tokenData, treasury, graduate.accountId.toString(), 1);
+        assert.equal(result.summary.associationPath, "auto-association");
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, graduate.accountId.toString());
+    });
+
+    it("throws NotAssociatedError when the receiver can't be associated", async () => {
+        const graduate = ledger.createAccount({ balance: 5 });
+
+        await assert.rejects(
+            service.transferNFTWithBalanceCheck(tokenData, treasury, graduate.accountId.toString(), 1),
+            NotAssociatedError
+        );
+        await assert.rejects(
+            service.transferNFT(tokenData, treasury, graduate.accountId.toString(), 1),
+            error => error instanceof NotAssociatedError && error.status === "TOKEN_NOT_ASSOCIATED_TO_ACCOUNT"
+        );
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, treasury.accountId.toString());
+    });
+
+    it("locks soulbound diplomas with their holder", async () => {
+        const soulbound = await service.createNFTToken(treasury, { name: "Soulbound", symbol: "SBT", maxSupply: 5, soulbound: true });
+        await service.mintNFTs(soulbound, metadataUris(1));
+        const graduate = ledger.createAccount({ balance: 5 });
+        const other = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+
+        const result = await service.deliverDiploma(soulbound, graduate, 1);
+        assert.equal(result.summary.locked, true);
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+
+        // Même en contournant le service, le réseau refuse le transfert d'un compte gelé
+        await assert.rejects(service.transferNFT(soulbound.tokenId, graduate, other, 1), AccountFrozenError);
+    });
+
+    it("revokes a locked diploma and keeps the holder locked", async () => {
+        const soulbound = await service.createNFTToken(treasury, {
+            name: "Soulbound",
+            symbol: "SBT",
+            maxSupply: 5,
+            soulbound: true,
+            wipeKey: "generate"
+        });
+        await service.mintNFTs(soulbound, metadataUris(2));
+        const graduate = ledger.createAccount({ balance: 5 });
+        await service.deliverDiploma(soulbound, graduate, 1);
+        await service.deliverDiploma(soulbound, graduate, 2);
+
+        const revocation = await service.revokeNFT(soulbound, graduate, 1, "Academic misconduct");
+        assert.equal(revocation.status.toString(), "SUCCESS");
+        assert.equal(ledger.getNft(soulbound.tokenId, 1).deleted, true);
+        assert.equal(service.getRevocation(soulbound.tokenId, 1).reason, "Academic misconduct");
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+
+        // Un wipe refusé laisse le titulaire verrouillé
+        await assert.rejects(service.revokeNFT(soulbound, graduate, 1, "Twice"), error => error.status === "INVALID_NFT_ID");
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+    });
+
+    it("locks the receiver of a direct treasury transfer", async () => {
+        const soulbound = await service.createNFTToken(treasury, { name: "Soulbound", symbol: "SBT", maxSupply: 5, soulbound: true });
+        await service.mintNFTs(soulbound, metadataUris(2));
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: 1 });
+        const other = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+
+        const result = await service.transferNFT(soulbound, treasury, graduate, 2);
+        assert.equal(result.locked, true);
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+        await assert.rejects(service.transferNFT(soulbound.tokenId, graduate, other, 2), AccountFrozenError);
+
+        await assert.rejects(service.transferNFT(soulbound, treasury, graduate, 1, { prepare: true }), /can't be prepared/);
+    });
+
+    it("keeps a locked graduate locked when a second delivery fails", async () => {
+        const soulbound = await service.createNFTToken(treasury, { name: "Soulbound", symbol: "SBT", maxSupply: 5, soulbound: true });
+        await service.mintNFTs(soulbound, metadataUris(2));
+        const graduate = ledger.createAccount({ balance: 5 });
+        await service.deliverDiploma(soulbound, graduate, 1);
+
+        await assert.rejects(service.deliverDiploma(soulbound, graduate, 9), error => error.status === "INVALID_NFT_ID");
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+
+        // Une seconde livraison réussie verrouille toujours
+        const second = await service.deliverDiploma(soulbound, graduate, 2);
+        assert.equal(second.summary.locked, true);
+        assert.equal((await service.isDiplomaLocked(soulbound, graduate)).locked, true);
+        assert.equal(ledger.getTokenBalance(graduate.accountId, soulbound.tokenId), 2);
+    });
+
+    it("lets an approved spender transfer the NFT", async () => {
+        const graduate = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+        const marketplace = ledger.createAccount({ balance: 5 });
+        const buyer = ledger.createAccount({ balance: 5, maxAutomaticTokenAssociations: -1 });
+        await service.transferNFT(tokenData, treasury, graduate, 1);
+
+        await service.approveNftAllowance(graduate, marketplace, tokenData, [1]);
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).spender, marketplace.accountId.toString());
+
+        await service.transferNFTAsSpender(tokenData, graduate.accountId.toString(), marketplace, buyer, 1);
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).owner, buyer.accountId.toString());
+        assert.equal(ledger.getNft(tokenData.tokenId, 1).spender, null);
+    });
+});
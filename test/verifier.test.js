@@ -0,0 +1,145 @@
+import { describe, it, beforeEach, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { PrivateKey } from "@hashgraph/sdk";
+import DiplomaVerifier, { resolveMetadataUrl, verifyReportSignature } from "../src/verification/DiplomaVerifier.js";
+import { createVerificationServer } from "../src/verification/verification-server.js";
+import { buildDiplomaMetadata } from "../src/metadata/diploma-metadata.js";
+import { createTestService } from "./helpers.js";
+
+const GATEWAY = "https://gateway.test/ipfs";
+
+describe("Diploma verifier", () => {
+    let context;
+    let service;
+    let ledger;
+    let treasury;
+    let tokenData;
+    let fetched;
+    let documents;
+    let signingKey;
+
+    beforeEach(async () => {
+        context = createTestService();
+        ({ service, ledger } = context);
+        treasury = ledger.createAccount({ balance: 50 });
+        tokenData = await service.createNFTToken(treasury, { name: "Diplomas", symbol: "DIP", maxSupply: 10 });
+        await service.mintNFTs(tokenData, ["ipfs://bafydiploma1", "https://internal.test/admin", "ipfs://bafylarge"]);
+
+        const diploma = buildDiplomaMetadata({
+            studentName: "Ada Lovelace",
+            studentId: "S-001",
+            degree: "Master of Science",
+            institution: "Hedera University",
+            graduationDate: "2026-06-30",
+            image: "ipfs://bafyimage"
+        });
+        documents = {
+            [`${GATEWAY}/bafydiploma1`]: JSON.stringify({ ...diploma, internalNote: "not for employers" }),
+            [`${GATEWAY}/bafylarge`]: JSON.stringify({ ...diploma, description: "x".repeat(2048) })
+        };
+        fetched = [];
+        signingKey = PrivateKey.generateED25519();
+    });
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    /**
+     * Helper - Vérificateur branché sur le mirror node simulé et une passerelle IPFS factice
+     */
+    function createVerifier(options = {}) {
+        return new DiplomaVerifier({
+            mirrorNode: ledger.createMirrorNode(),
+            institutions: [{ accountId: treasury.accountId.toString(), name: "Hedera University" }],
+            signingKey: signingKey,
+            ipfsGatewayUrl: GATEWAY,
+            fetch: async url => {
+                fetched.push(url);
+                return documents[url] ? new Response(documents[url]) : new Response("{}", { status: 404 });
+            },
+            ...options
+        });
+    }
+
+    it("signs a report with only the checked metadata fields", async () => {
+        const report = await createVerifier().verify(tokenData.tokenId.toString(), 1);
+
+        assert.equal(report.valid, true);
+        assert.deepEqual(fetched, [`${GATEWAY}/bafydiploma1`]);
+        assert.equal(report.metadata.properties.studentName, "Ada Lovelace");
+        assert.equal(report.metadata.internalNote, undefined);
+        assert.equal(report.metadata.attributes, undefined);
+        assert.equal(verifyReportSignature(report, signingKey.publicKey), true);
+        assert.equal(verifyReportSignature(report, signingKey.publicKey.toStringDer()), true);
+        assert.equal(verifyReportSignature({ ...report, valid: false }, signingKey.publicKey), false);
+        assert.equal(verifyReportSignature(report), false);
+
+        // Un rapport forgé et signé avec une autre clé est refusé
+        const forger = PrivateKey.generateED25519();
+        const forged = await createVerifier({ signingKey: forger }).verify(tokenData.tokenId.toString(), 1);
+        assert.equal(verifyReportSignature(forged, forger.publicKey), true);
+        assert.equal(verifyReportSignature(forged, signingKey.publicKey), false);
+    });
+
+    it("never fetches metadata for unknown institutions or non-IPFS URIs", async () => {
+        const unknown = createVerifier({ institutions: [] });
+        const report = await unknown.verify(tokenData.tokenId.toString(), 1);
+        assert.equal(report.valid, false);
+        assert.deepEqual(fetched, []);
+
+        const internal = await createVerifier().verify(tokenData.tokenId.toString(), 2);
+        assert.equal(internal.valid, false);
+        assert.match(internal.checks.find(check => check.name === "metadataAvailable").details, /only ipfs:\/\//);
+        assert.equal(internal.metadata, null);
+        assert.deepEqual(fetched, []);
+    });
+
+    it("limits the size and duration of metadata downloads", async () => {
+        const small = createVerifier({ maxMetadataBytes: 1024 });
+        const large = await small.verify(tokenData.tokenId.toString(), 3);
+        assert.match(large.checks.find(check => check.name === "metadataAvailable").details, /bytes limit/);
+
+        // Passerelle qui ne répond jamais : la requête est abandonnée
+        const stalled = createVerifier({
+            metadataTimeoutMs: 20,
+            fetch: (url, { signal }) => new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason)))
+        });
+        const report = await stalled.verify(tokenData.tokenId.toString(), 1);
+        assert.equal(report.valid, false);
+        assert.match(report.checks.find(check => check.name === "metadataAvailable").details, /timeout|aborted/i);
+    });
+
+    it("answers malformed requests with 400 and logs errors through its logger", async () => {
+        const logged = [];
+        const logger = { debug() {}, info() {}, warn() {}, error: (...args) => logged.push(args.join(" ")) };
+        const failing = createVerifier({ mirrorNode: { getTokenInfo: async () => { throw new Error("mirror node down"); } } });
+        const server = createVerificationServer(failing, { logger: logger });
+        server.listen(0, "127.0.0.1");
+        await once(server, "listening");
+        const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+        try {
+            const malformed = await fetch(`${baseUrl}/verify/%E0/1`);
+            assert.equal(malformed.status, 400);
+            assert.match((await malformed.json()).error, /percent-encoding/);
+            assert.equal((await fetch(`${baseUrl}/verify/not-a-token/1`)).status, 400);
+
+            const unavailable = await fetch(`${baseUrl}/verify/${tokenData.tokenId.toString()}/1`);
+            assert.equal(unavailable.status, 502);
+            assert.ok(logged.some(line => line.includes("mirror node down")));
+        } finally {
+            server.close();
+            await once(server, "close");
+        }
+    });
+
+    it("only resolves ipfs:// URIs through the gateway", () => {
+        assert.equal(resolveMetadataUrl("ipfs://bafyabc/metadata.json", `${GATEWAY}/`), `${GATEWAY}/bafyabc/metadata.json`);
+        assert.equal(resolveMetadataUrl("ipfs://ipfs/bafyabc", GATEWAY), `${GATEWAY}/bafyabc`);
+        assert.throws(() => resolveMetadataUrl("https://example.test/metadata.json", GATEWAY), /only ipfs/);
+        assert.throws(() => resolveMetadataUrl("ipfs://bafyabc/../../admin", GATEWAY), /only ipfs/);
+        assert.throws(() => resolveMetadataUrl("ipfs://bafy@internal.test", GATEWAY), /only ipfs/);
+    });
+});
@@ -0,0 +1,84 @@
+import { describe, it, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import CostTracker from "../src/fees/CostTracker.js";
+import { BudgetExceededError, InsufficientBalanceError, InvalidSignatureError } from "../src/errors/hedera-errors.js";
+import { createTestService, metadataUris } from "./helpers.js";
+
+describe("createCompleteNFTCollection", () => {
+    let context;
+
+    afterEach(() => {
+        context.cleanup();
+    });
+
+    it("creates the treasury account, the token and mints the NFTs", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+
+        const result = await service.createCompleteNFTCollection(
+            { name: "Class of 2026", symbol: "C26", maxSupply: 50 },
+            metadataUris(12),
+            20
+        );
+
+        assert.equal(result.summary.nftCount, 12);
+        assert.deepEqual(result.summary.serials, metadataUris(12).map((_, index) => String(index + 1)));
+
+        const token = ledger.getToken(result.summary.tokenId);
+        assert.equal(token.treasury, result.summary.accountId);
+        assert.equal(token.totalSupply, 12);
+        assert.equal(token.maxSupply, 50);
+        assert.equal(ledger.getHbarBalance(result.summary.accountId), 20);
+
+        const info = await service.getTokenBasicInfo(result.summary.tokenId);
+        assert.equal(info.name, "Class of 2026");
+        assert.equal(Number(info.totalSupply), 12);
+    });
+
+    it("tracks actual fees and HBAR sent from transaction records", async () => {
+        context = createTestService();
+        const { service, ledger } = context;
+
+        await service.createCompleteNFTCollection({ name: "Fees", symbol: "FEE", maxSupply: 10 }, metadataUris(2), 20);
+        const summary = service.getCostSummary();
+
+        assert.equal(summary.transactions, 3);
+        assert.equal(summary.estimatedEntries, 0);
+        assert.equal(summary.totalSentHbar, 20);
+        assert.equal(summary.byOperation.createNFTToken.count, 1);
+        assert.ok(summary.totalFeesHbar > 0);
+        assert.equal(summary.totalFeesHbar, ledger.getHbarBalance("0.0.98"));
+    });
+
+    it("stops before submitting when the session budget is exhausted", async () => {
+        context = createTestService({ config: { costTracker: new CostTracker({ budget: 30 }) } });
+        const { service, ledger } = context;
+
+        await assert.rejects(
+            service.createCompleteNFTCollection({ name: "Budget", symbol: "BUD", maxSupply: 10 }, metadataUris(1), 20),
+            BudgetExceededError
+        );
+        // Le compte a été créé, le token (20 HBAR de frais estimés) n'a pas été soumis
+        assert.equal(ledger.tokens.size, 0);
+        assert.equal(service.getCostSummary().transactions, 1);
+    });
+
+    it("maps network statuses to typed errors", async () => {
+        context = createTestService({ ledger: { operatorBalance: 100 } });
+        const { service, ledger } = context;
+
+        await assert.rejects(service.createAccount(500), error => {
+            assert.ok(error instanceof InsufficientBalanceError);
+            assert.equal(error.operation, "createAccount");
+            assert.match(error.transactionId, /^0\.0\.2@/);
+            return true;
+        });
+
+        const treasury = ledger.createAccount({ balance: 50 });
+        const stranger = ledger.createAccount({ balance: 50 });
+        await assert.rejects(
+            service.createNFTToken({ ...treasury, privateKey: stranger.privateKey }, { name: "Bad", symbol: "BAD", maxSupply: 1 }),
+            InvalidSignatureError
+        );
+    });
+});